@@ -8,7 +8,7 @@
  *
  * What it does:
  *   1. Minifies background.js in-place (no IIFE wrap — globals stay accessible for e2e tests)
- *   2. Bundles content + popup + options entry points into single IIFE files per entry
+ *   2. Bundles content + popup + options + reader entry points into single IIFE files per entry
  *   3. Minifies each CSS file
  *   Output is placed next to each source file as *.min.js / *.min.css.
  *   These generated files are gitignored; the originals are kept for CWS review.
@@ -34,7 +34,7 @@ await esbuild.build({
   logLevel:  "info",
 });
 
-// ── JS bundles: content + popup + options ──────────────────────────────────
+// ── JS bundles: content + popup + options + reader ─────────────────────────
 // esbuild resolves all ES-module imports and outputs a self-contained IIFE
 // per entry point — no runtime loader injected.
 await esbuild.build({
@@ -42,6 +42,7 @@ await esbuild.build({
     { in: "src/content/content.js",   out: "src/content/content.min"   },
     { in: "src/popup/popup.js",       out: "src/popup/popup.min"       },
     { in: "src/options/options.js",   out: "src/options/options.min"   },
+    { in: "src/reader/reader.js",     out: "src/reader/reader.min"     },
   ],
   bundle:    true,
   minify:    !dev,
@@ -58,6 +59,7 @@ await esbuild.build({
   entryPoints: [
     { in: "src/popup/popup.css",     out: "src/popup/popup.min"     },
     { in: "src/options/options.css", out: "src/options/options.min" },
+    { in: "src/reader/reader.css",   out: "src/reader/reader.min"   },
   ],
   bundle:   true,
   minify:   !dev,
@@ -34,24 +34,24 @@ test.describe('novel data & character management', () => {
     const staleId = 'e2e_test__stale_91d';
     const now = Date.now();
 
-    await background.evaluate(({ id, ts }) => {
+    await background.evaluate(async ({ id, ts }) => {
       novelCharacterMaps[id] = {
         chars: { 0: { name: 'Old Hero', gender: 'm', appearances: 3, evidences: [] } },
         chaps: [1],
         style: null,
         lastAccess: ts,
       };
+      await saveNovel(id);
     }, { id: staleId, ts: now - 91 * 24 * 60 * 60 * 1000 });
 
     await background.evaluate(() => runPeriodicCleanup());
     await msgPage.waitForTimeout(800);
 
-    const stored = await background.evaluate(() =>
-      new Promise((resolve) =>
-        chrome.storage.local.get('novelCharacterMaps', (d) => resolve(d.novelCharacterMaps ?? {}))
-      )
+    const stored = await background.evaluate((id) =>
+      chrome.storage.local.get(['novelIndex', `novel_${id}`]), staleId
     );
-    expect(Object.keys(stored)).not.toContain(staleId);
+    expect(Object.keys(stored.novelIndex ?? {})).not.toContain(staleId);
+    expect(stored).not.toHaveProperty(`novel_${staleId}`);
   });
 
   test('periodic cleanup keeps novels with lastAccess within 90 days', async ({ extensionContext }) => {
@@ -96,6 +96,101 @@ test.describe('novel data & character management', () => {
     expect(flagAfterError).toBe(false);
   });
 
+  test('fetchChapterPage rejects non-http URLs and backs off while a request is running', async ({ extensionContext }) => {
+    const { background, msgPage } = extensionContext;
+
+    const rejected = await msgPage.evaluate(() =>
+      new Promise((resolve) =>
+        chrome.runtime.sendMessage(
+          { action: 'fetchChapterPage', url: 'file:///etc/passwd' },
+          resolve
+        )
+      )
+    );
+    expect(rejected.status).toBe('error');
+
+    const busy = await background.evaluate(async () => {
+      _isProcessing = true;
+      try {
+        return await fetchChapterPage('https://www.royalroad.com/fiction/1/chapter/2');
+      } finally {
+        _isProcessing = false;
+      }
+    });
+    expect(busy).toEqual({ status: 'busy' });
+  });
+
+  test('streaming port reports request errors as an error message', async ({ extensionContext }) => {
+    const { background, msgPage } = extensionContext;
+
+    const message = await msgPage.evaluate(() =>
+      new Promise((resolve) => {
+        const port = chrome.runtime.connect({ name: 'ollamaStream' });
+        port.onMessage.addListener((m) => { port.disconnect(); resolve(m); });
+        port.postMessage({ action: 'ollamaRequest', data: { prompt: 'hello', model: '', stream: true } });
+      })
+    );
+    expect(message.type).toBe('error');
+    expect(message.error).toBeTruthy();
+
+    const flagAfterError = await background.evaluate(() => _isProcessing);
+    expect(flagAfterError).toBe(false);
+  });
+
+  test('streaming port forwards fragments in order and ends with a done message', async ({ extensionContext }) => {
+    const { background, context, msgPage } = extensionContext;
+    const previous = await background.evaluate(() => chrome.storage.sync.get(['ollamaUrl', 'llmProvider']));
+    await background.evaluate(() => chrome.storage.sync.set({ ollamaUrl: 'http://localhost:11434', llmProvider: 'ollama' }));
+
+    const lines = [
+      { response: 'The wind ' },
+      { response: 'blew across ' },
+      { response: 'the courtyard.' },
+      { response: '', done: true },
+    ];
+    let requestBody = null;
+    await context.route('http://localhost:11434/**', (route) => {
+      requestBody = route.request().postDataJSON();
+      return route.fulfill({
+        status: 200,
+        contentType: 'application/x-ndjson',
+        body: lines.map((line) => JSON.stringify(line)).join('\n') + '\n',
+      });
+    });
+
+    try {
+      const messages = await msgPage.evaluate(() =>
+        new Promise((resolve) => {
+          const received = [];
+          const port = chrome.runtime.connect({ name: 'ollamaStream' });
+          port.onMessage.addListener((m) => {
+            received.push(m);
+            if (m.type !== 'chunk') {
+              port.disconnect();
+              resolve(received);
+            }
+          });
+          port.postMessage({
+            action: 'ollamaRequest',
+            data: { prompt: 'The wind blow across the courtyard.', model: 'e2e-stream-model', stream: true },
+          });
+        })
+      );
+
+      expect(requestBody).toMatchObject({ model: 'e2e-stream-model', stream: true });
+      expect(messages.map((m) => m.type)).toEqual(['chunk', 'chunk', 'chunk', 'done']);
+      expect(messages.slice(0, 3).map((m) => m.text)).toEqual(['The wind ', 'blew across ', 'the courtyard.']);
+      expect(messages[3].enhancedText).toBe('The wind blew across the courtyard.');
+      expect(await background.evaluate(() => _isProcessing)).toBe(false);
+    } finally {
+      await context.unroute('http://localhost:11434/**');
+      await background.evaluate(async (previous) => {
+        await chrome.storage.sync.remove(['ollamaUrl', 'llmProvider']);
+        await chrome.storage.sync.set(previous);
+      }, previous);
+    }
+  });
+
   test('updateNovelData trims characters to MAX_CHARS_PER_NOVEL when over the limit', async ({ extensionContext }) => {
     const { background, msgPage } = extensionContext;
     const send = makeSendBgMessage(msgPage);
@@ -149,4 +244,802 @@ test.describe('novel data & character management', () => {
 
     await background.evaluate((id) => { delete novelCharacterMaps[id]; }, novelId);
   });
+
+  test('model gender verdicts keep their source until replaced or overridden', async ({ extensionContext }) => {
+    const { background, msgPage } = extensionContext;
+    const send = makeSendBgMessage(msgPage);
+    const novelId = 'e2e_test__llm_gender';
+
+    await send({
+      action: 'updateNovelData',
+      novelId,
+      chars: {
+        0: { name: 'Yun Xi', gender: 'f', confidence: 0.8, appearances: 3, evidences: ['llm: called "sister"'], genderSource: 'llm' },
+        1: { name: 'Mo Chen', gender: 'u', confidence: 0.2, appearances: 2 },
+      },
+    });
+
+    let retrieved = await send({ action: 'getNovelData', novelId });
+    expect(retrieved.characterMap['Yun Xi']).toMatchObject({ gender: 'f', genderSource: 'llm' });
+    expect(retrieved.characterMap['Mo Chen'].genderSource).toBeUndefined();
+
+    // A newer heuristic vote takes over the verdict's source
+    await send({
+      action: 'updateNovelData',
+      novelId,
+      chars: { 0: { name: 'Yun Xi', gender: 'f', confidence: 0.95, appearances: 1, evidences: ['pronoun: she'], vote: { m: 0, f: 0.95 } } },
+    });
+    retrieved = await send({ action: 'getNovelData', novelId });
+    expect(retrieved.characterMap['Yun Xi'].genderSource).toBeUndefined();
+
+    await send({
+      action: 'updateNovelData',
+      novelId,
+      chars: { 0: { name: 'Mo Chen', gender: 'm', confidence: 0.7, appearances: 1, genderSource: 'llm', vote: { m: 0.7, f: 0, source: 'llm' } } },
+    });
+    const charId = retrieved.characterMap['Mo Chen'].id;
+    let char = await background.evaluate(({ id, charId }) => novelCharacterMaps[id].chars[charId], { id: novelId, charId });
+    expect(char).toMatchObject({ gender: 'm', genderSource: 'llm' });
+
+    await send({ action: 'updateCharacterGender', novelId, charId, newGender: 'female', isManualOverride: true });
+    char = await background.evaluate(({ id, charId }) => novelCharacterMaps[id].chars[charId], { id: novelId, charId });
+    expect(char.genderSource).toBeUndefined();
+
+    const body = await background.evaluate(() =>
+      buildGenerateRequestBody({ model: 'm', prompt: 'p', jsonOutput: true }, false)
+    );
+    expect(body.format).toBe('json');
+
+    await background.evaluate((id) => removeNovels([id]), novelId);
+  });
+
+  test('the model is asked only about uncertain characters and its reply is checked', async ({ extensionContext }) => {
+    const result = await extensionContext.msgPage.evaluate(async () => {
+      const { LlmGenderResolver } = await import(chrome.runtime.getURL('src/shared/gender/llm-gender-resolver.js'));
+      const { PromptGenerator } = await import(chrome.runtime.getURL('src/shared/llm/prompt-generator.js'));
+      const promptGenerator = new PromptGenerator();
+      const resolver = new LlmGenderResolver({ ollamaClient: null, promptGenerator });
+
+      const text = 'Mo Chen entered the hall. He bowed low. Qiao Lan smiled at the guests. ' +
+        'Elder Wu said nothing. Fang Yu laughed. Lin Feng left. Su Yue waited.';
+      const candidates = resolver.selectCandidates({
+        'Mo Chen': { confidence: 0.2, appearances: 3 },
+        'Qiao Lan': { confidence: 0.3, appearances: 9 },
+        'Elder Wu': { confidence: 0.1, appearances: 1, manualOverride: true },
+        'Su Yue': { confidence: 0.1, appearances: 5, locked: true },
+        'Fang Yu': { confidence: 0.2, appearances: 2, genderSource: 'llm' },
+        'Brother Lin': { confidence: 0.1, appearances: 5, aliasOf: 'Lin Feng' },
+        'Lin Feng': { confidence: 0.9, appearances: 20 },
+        'Xiao Bai': { confidence: 0.1, appearances: 5 }, // not in this chapter
+      }, text);
+
+      const names = candidates.map(({ name }) => name);
+      const reply = 'Here you go: {"characters": [' +
+        '{"name": "mo chen", "gender": "male", "confidence": 0.9, "reason": "He bowed"}, ' +
+        '{"name": "Qiao Lan", "gender": "female", "confidence": 0.3}, ' +
+        '{"name": "Stranger", "gender": "female", "confidence": 1}]}';
+
+      return {
+        candidates,
+        prompt: promptGenerator.createGenderResolutionPrompt(candidates),
+        emptyPrompt: promptGenerator.createGenderResolutionPrompt([]),
+        verdicts: resolver.parseResponse(reply, names),
+        invalidJson: resolver.parseResponse('{"characters": [{"name": }', names),
+        noJson: resolver.parseResponse('Mo Chen is male.', names),
+      };
+    });
+
+    // Most frequent first; overrides, locks, aliases, earlier verdicts and
+    // confident or absent characters are left out
+    expect(result.candidates).toEqual([
+      { name: 'Qiao Lan', snippets: ['Qiao Lan smiled at the guests. Elder Wu said nothing.'] },
+      { name: 'Mo Chen', snippets: ['Mo Chen entered the hall. He bowed low.'] },
+    ]);
+    expect(result.prompt).toContain('Qiao Lan:\n- Qiao Lan smiled at the guests. Elder Wu said nothing.');
+    expect(result.prompt).toContain('Mo Chen:\n- Mo Chen entered the hall. He bowed low.');
+    expect(result.prompt).toContain('Reply with JSON only');
+    expect(result.emptyPrompt).toBe('');
+
+    // Names are matched case-insensitively; Qiao Lan is below MIN_CONFIDENCE and Stranger was not asked about
+    expect(Object.keys(result.verdicts)).toEqual(['Mo Chen']);
+    expect(result.verdicts['Mo Chen']).toMatchObject({
+      gender: 'm',
+      confidence: 0.9,
+      vote: { m: 0.9, f: 0, source: 'llm' },
+    });
+    expect(result.verdicts['Mo Chen'].evidence[0]).toMatchObject({ analyzer: 'llm', detail: 'He bowed' });
+    expect(result.invalidJson).toEqual({});
+    expect(result.noJson).toEqual({});
+  });
+
+  test('structured evidence is stored with its chapter and kept below a manual override', async ({ extensionContext }) => {
+    const { background, msgPage } = extensionContext;
+    const send = makeSendBgMessage(msgPage);
+    const novelId = 'e2e_test__evidence';
+    const title = { analyzer: 'name', detail: 'title: Young Master (chinese)', gender: 'm', score: 6 };
+
+    await send({
+      action: 'updateNovelData',
+      novelId,
+      chapterNumber: 7,
+      chars: {
+        0: {
+          name: 'Su Wan', gender: 'm', confidence: 0.6, appearances: 2,
+          evidences: [title, { analyzer: 'bogus', detail: ' he bowed ', gender: 'x', score: -2 }, 'pronoun: he'],
+        },
+      },
+    });
+
+    const retrieved = await send({ action: 'getNovelData', novelId });
+    const suWan = retrieved.characterMap['Su Wan'];
+    expect(suWan.evidence).toEqual([
+      { ...title, chapter: 7 },
+      { analyzer: 'other', detail: 'he bowed', gender: 'u', score: 0, chapter: 7 },
+      { analyzer: 'pronoun', detail: 'pronoun: he', gender: 'u', score: 0, chapter: 7 },
+    ]);
+
+    // Evidence that already names its chapter keeps it
+    await send({
+      action: 'updateNovelData',
+      novelId,
+      chapterNumber: 8,
+      chars: { 0: { name: 'Su Wan', gender: 'm', confidence: 0.6, appearances: 1, evidences: [{ ...title, chapter: 7 }], vote: { m: 0.6, f: 0 } } },
+    });
+    let char = await background.evaluate(({ id, charId }) => novelCharacterMaps[id].chars[charId], { id: novelId, charId: suWan.id });
+    expect(char.evidences.filter((item) => item.analyzer === 'name')).toEqual([{ ...title, chapter: 7 }]);
+
+    await send({ action: 'updateCharacterGender', novelId, charId: suWan.id, newGender: 'female', isManualOverride: true });
+    char = await background.evaluate(({ id, charId }) => novelCharacterMaps[id].chars[charId], { id: novelId, charId: suWan.id });
+    expect(char.evidences[0]).toMatchObject({ analyzer: 'manual', gender: 'f' });
+    expect(char.evidences).toContainEqual({ ...title, chapter: 7 });
+
+    await background.evaluate((id) => removeNovels([id]), novelId);
+  });
+
+  test('locked characters keep their gender through later chapters and trimming', async ({ extensionContext }) => {
+    const { background, msgPage } = extensionContext;
+    const send = makeSendBgMessage(msgPage);
+    const novelId = 'e2e_test__locked';
+
+    await send({
+      action: 'updateNovelData',
+      novelId,
+      chars: { 0: { name: 'Su Wan', gender: 'm', confidence: 0.5, appearances: 1 } },
+    });
+    let retrieved = await send({ action: 'getNovelData', novelId });
+    const charId = retrieved.characterMap['Su Wan'].id;
+
+    const locked = await send({ action: 'setCharacterLock', novelId, charId, locked: true });
+    expect(locked).toMatchObject({ status: 'ok', locked: true });
+
+    // A more confident detection and a full novel do not touch the locked entry
+    const crowd = Object.fromEntries(Array.from({ length: 85 }, (_, i) => [i + 1, {
+      name: `Character${i}`, gender: 'f', confidence: 0.5, appearances: 10,
+    }]));
+    await send({
+      action: 'updateNovelData',
+      novelId,
+      chars: { 0: { name: 'Su Wan', gender: 'f', confidence: 0.95, appearances: 1, vote: { m: 0, f: 0.95 } }, ...crowd },
+    });
+    retrieved = await send({ action: 'getNovelData', novelId });
+    expect(retrieved.characterMap['Su Wan']).toMatchObject({ gender: 'm', confidence: 0.5, appearances: 2, locked: true });
+
+    await send({ action: 'setCharacterLock', novelId, charId, locked: false });
+    await send({
+      action: 'updateNovelData',
+      novelId,
+      chars: { 0: { name: 'Su Wan', gender: 'f', confidence: 0.95, appearances: 1, vote: { m: 0, f: 0.95 } } },
+    });
+    const char = await background.evaluate(({ id, charId }) => novelCharacterMaps[id].chars[charId], { id: novelId, charId });
+    expect(char.gender).toBe('f');
+    expect(char).not.toHaveProperty('locked');
+
+    await background.evaluate((id) => removeNovels([id]), novelId);
+  });
+
+  test('chapter votes add up with recency weighting instead of the most confident chapter winning', async ({ extensionContext }) => {
+    const { background, msgPage } = extensionContext;
+    const send = makeSendBgMessage(msgPage);
+    const novelId = 'e2e_test__gender_votes';
+    const sync = (chapterNumber, gender, vote) => send({
+      action: 'updateNovelData',
+      novelId,
+      chapterNumber,
+      chars: { 0: { name: 'Han Li', gender, confidence: Math.max(vote.m, vote.f), appearances: 1, vote } },
+    });
+
+    for (let chapter = 1; chapter <= 10; chapter++) {
+      await sync(chapter, 'm', { m: 0.6, f: 0 });
+    }
+
+    // One noisy chapter does not flip ten consistent ones
+    await sync(11, 'f', { m: 0, f: 0.95 });
+    const retrieved = await send({ action: 'getNovelData', novelId });
+    const charId = retrieved.characterMap['Han Li'].id;
+    let char = await background.evaluate(({ id, charId }) => novelCharacterMaps[id].chars[charId], { id: novelId, charId });
+    expect(char.gender).toBe('m');
+    expect(char.confidence).toBeLessThan(0.6);
+    expect(char.votes.chapters[0]).toEqual({ m: 0, f: 0.95, chapter: 11 });
+    expect(char.votes.f).toBe(0.95);
+
+    // Syncing a chapter again replaces its vote; a character sent without one was only seen
+    await sync(11, 'f', { m: 0, f: 0.95 });
+    await send({
+      action: 'updateNovelData',
+      novelId,
+      chapterNumber: 12,
+      chars: { 0: { name: 'Han Li', gender: 'f', confidence: 1, appearances: 1 } },
+    });
+    char = await background.evaluate(({ id, charId }) => novelCharacterMaps[id].chars[charId], { id: novelId, charId });
+    expect(char.votes.chapters).toHaveLength(11);
+    expect(char).toMatchObject({ gender: 'm', appearances: 13 });
+
+    // Recent chapters outweigh old ones once they agree
+    for (let chapter = 12; chapter <= 16; chapter++) {
+      await sync(chapter, 'f', { m: 0, f: 0.9 });
+    }
+    char = await background.evaluate(({ id, charId }) => novelCharacterMaps[id].chars[charId], { id: novelId, charId });
+    expect(char.gender).toBe('f');
+
+    await background.evaluate((id) => removeNovels([id]), novelId);
+  });
+
+  test('every chapter votes for characters whose gender is already confident, except locked ones', async ({ extensionContext }) => {
+    const synced = await extensionContext.msgPage.evaluate(async () => {
+      const { ContentEnhancer } = await import(chrome.runtime.getURL('src/shared/content/enhancer.js'));
+      const enhancer = new ContentEnhancer({
+        url: 'https://example.com/novel/e2e-votes/chapter-41',
+        title: 'E2E Votes Chapter 41',
+      });
+      const maps = [];
+      enhancer.novelUtils.syncCharacterMap = (map) => maps.push(map);
+
+      const text = [
+        'Lin Feng walked into the hall. He looked around the room.',
+        'Lin Feng frowned as he drew his sword. "Who goes there?" Lin Feng asked.',
+        'He gripped his blade tightly and his eyes narrowed. Lin Feng was a young man, and he was not afraid.',
+        'Su Yue watched from the doorway.',
+      ].join(' ');
+      await enhancer.determineCharacterGenders({
+        'Lin Feng': { gender: 'm', confidence: 0.9, appearances: 40 },
+        'Su Yue': { gender: 'f', confidence: 1, appearances: 12, locked: true },
+      }, text);
+      return maps[0];
+    });
+
+    expect(synced['Lin Feng'].vote.m).toBeGreaterThan(0);
+    expect(synced['Lin Feng'].vote.f).toBe(0);
+    expect(synced['Lin Feng']).toMatchObject({ gender: 'm', confidence: 0.9 });
+    expect(synced['Su Yue'].vote).toBeUndefined();
+  });
+
+  test('pre-enhanced chapters do not sync characters, votes or chapter stats', async ({ extensionContext }) => {
+    const actions = await extensionContext.msgPage.evaluate(async () => {
+      const { NovelOrchestrator } = await import(chrome.runtime.getURL('src/shared/novel/novel-orchestrator.js'));
+      const sent = [];
+      const sendMessage = chrome.runtime.sendMessage;
+      chrome.runtime.sendMessage = (message, callback) => {
+        sent.push({ action: message.action, prefetch: prefetching });
+        callback?.({ status: 'ok' });
+      };
+
+      let prefetching = true;
+      const characters = { 'Lin Feng': { gender: 'm', confidence: 0.9, appearances: 2, vote: { m: 1, f: 0 } } };
+      const url = 'https://example.com/novel/e2e-prefetch/chapter-7';
+      new NovelOrchestrator(url, 'E2E Prefetch Chapter 7', { prefetch: true }).syncCharacterMap(characters);
+      prefetching = false;
+      new NovelOrchestrator(url, 'E2E Prefetch Chapter 7').syncCharacterMap(characters);
+
+      chrome.runtime.sendMessage = sendMessage;
+      return sent;
+    });
+
+    expect(actions).toEqual([{ action: 'updateNovelData', prefetch: false }]);
+  });
+
+  test('name variants are merged into aliases and can be split and merged via messages', async ({ extensionContext }) => {
+    const { background, msgPage } = extensionContext;
+    const send = makeSendBgMessage(msgPage);
+    const novelId = 'e2e_test__aliases';
+
+    const stored = await send({
+      action: 'updateNovelData',
+      novelId,
+      chars: {
+        0: { name: 'Lin Feng', gender: 'm', confidence: 0.8, appearances: 10 },
+        1: { name: "Feng'er", gender: 'f', confidence: 0.4, appearances: 2 },
+        2: { name: 'Brother Lin', gender: 'm', confidence: 0.6, appearances: 3 },
+        3: { name: 'Su Yue', gender: 'f', confidence: 0.9, appearances: 4 },
+      },
+    });
+    expect(stored.status).toBe('ok');
+
+    const retrieved = await send({ action: 'getNovelData', novelId });
+    const linFeng = retrieved.characterMap['Lin Feng'];
+    expect(linFeng.aliases).toEqual(expect.arrayContaining(["Feng'er", 'Brother Lin']));
+    expect(linFeng.appearances).toBe(15);
+    expect(linFeng.gender).toBe('m');
+    expect(retrieved.characterMap["Feng'er"]).toMatchObject({ id: linFeng.id, gender: 'm', aliasOf: 'Lin Feng' });
+    expect(retrieved.characterMap['Su Yue'].aliases).toEqual([]);
+
+    const split = await send({ action: 'splitCharacterAlias', novelId, charId: linFeng.id, alias: 'Brother Lin' });
+    expect(split.status).toBe('ok');
+
+    // A split-off name stays separate when it is seen again
+    await send({
+      action: 'updateNovelData',
+      novelId,
+      chars: { 0: { name: 'Brother Lin', gender: 'f', confidence: 0.7, appearances: 1, vote: { m: 0, f: 0.7 } } },
+    });
+    let chars = await background.evaluate((id) => novelCharacterMaps[id].chars, novelId);
+    expect(chars[linFeng.id].aliases).toEqual(["Feng'er"]);
+    expect(chars[linFeng.id].distinct).toEqual(['Brother Lin']);
+    expect(chars[split.charId]).toMatchObject({ name: 'Brother Lin', gender: 'f' });
+
+    const merged = await send({ action: 'mergeCharacters', novelId, sourceId: split.charId, targetId: linFeng.id });
+    expect(merged.status).toBe('ok');
+
+    chars = await background.evaluate((id) => novelCharacterMaps[id].chars, novelId);
+    expect(chars[split.charId]).toBeUndefined();
+    expect(chars[linFeng.id].aliases).toEqual(["Feng'er", 'Brother Lin']);
+    expect(chars[linFeng.id].distinct).toBeUndefined();
+
+    await background.evaluate((id) => removeNovels([id]), novelId);
+  });
+
+  test('characters locked to different genders are never merged as aliases', async ({ extensionContext }) => {
+    const { background, msgPage } = extensionContext;
+    const send = makeSendBgMessage(msgPage);
+    const novelId = 'e2e_test__locked_aliases';
+
+    await background.evaluate((id) => {
+      novelCharacterMaps[id] = {
+        chars: {
+          0: { name: 'Young Master Lin', gender: 'm', confidence: 1, appearances: 6, manualOverride: true },
+          1: { name: 'Lin Yue', gender: 'f', confidence: 1, appearances: 4, manualOverride: true },
+        },
+        chaps: [],
+        style: null,
+        lastAccess: Date.now(),
+      };
+    }, novelId);
+
+    // Syncing a chapter re-clusters the novel's characters
+    await send({
+      action: 'updateNovelData',
+      novelId,
+      chapterNumber: 2,
+      chars: { 0: { name: 'Lin Yue', gender: 'f', confidence: 0.6, appearances: 1, vote: { m: 0, f: 0.6 } } },
+    });
+    let chars = await background.evaluate((id) => novelCharacterMaps[id].chars, novelId);
+    expect(chars[0]).toMatchObject({ name: 'Young Master Lin', gender: 'm', manualOverride: true });
+    expect(chars[1]).toMatchObject({ name: 'Lin Yue', gender: 'f', manualOverride: true });
+    expect(chars[0].aliases ?? []).toEqual([]);
+
+    const merged = await send({ action: 'mergeCharacters', novelId, sourceId: '1', targetId: '0' });
+    expect(merged.status).toBe('error');
+    chars = await background.evaluate((id) => novelCharacterMaps[id].chars, novelId);
+    expect(Object.keys(chars)).toHaveLength(2);
+
+    // The content script's pooling keeps them apart too
+    const groups = await msgPage.evaluate(async () => {
+      const { AliasResolver } = await import(chrome.runtime.getURL('src/shared/novel/alias-resolver.js'));
+      return AliasResolver.cluster([
+        { names: ['Young Master Lin'], lockedGender: 'm' },
+        { names: ['Lin Yue'], lockedGender: 'f' },
+        { names: ['Brother Lin'] },
+      ]);
+    });
+    expect(groups).toEqual([[0, 2], [1]]);
+
+    await background.evaluate((id) => removeNovels([id]), novelId);
+  });
+
+  test('enhanced chapters are saved to the library and listed in chapter order', async ({ extensionContext }) => {
+    const { msgPage } = extensionContext;
+    const send = makeSendBgMessage(msgPage);
+    const novelId = 'e2e_test__library';
+
+    for (const chapterNumber of [3, 1]) {
+      const saved = await send({
+        action: 'saveLibraryChapter',
+        chapter: {
+          novelId,
+          chapterNumber,
+          title: `Chapter ${chapterNumber}`,
+          novelTitle: 'Library Test',
+          model: 'qwen3.5:4b',
+          originalParagraphs: ['"Go," he say.'],
+          enhancedParagraphs: ['"Go," he said.'],
+        },
+      });
+      expect(saved.status).toBe('ok');
+    }
+
+    const missingNumber = await send({
+      action: 'saveLibraryChapter',
+      chapter: { novelId, enhancedParagraphs: ['text'] },
+    });
+    expect(missingNumber.status).toBe('error');
+
+    const list = await send({ action: 'getLibraryChapters', novelId });
+    expect(list.chapters.map((c) => c.chapterNumber)).toEqual([1, 3]);
+    expect(list.chapters[0]).not.toHaveProperty('enhancedParagraphs');
+    // The options page titles EPUB exports from the summaries
+    expect(list.chapters[0].novelTitle).toBe('Library Test');
+
+    const novels = await send({ action: 'getLibraryNovels' });
+    expect(novels.novelIds).toContain(novelId);
+
+    const chapter = await send({ action: 'getLibraryChapter', novelId, chapterNumber: 3 });
+    expect(chapter.chapter.enhancedParagraphs).toEqual(['"Go," he said.']);
+    expect(chapter.chapter.originalParagraphs).toEqual(['"Go," he say.']);
+  });
+
+  test('library chapters can be deleted one at a time or for a whole novel', async ({ extensionContext }) => {
+    const { background, msgPage } = extensionContext;
+    const send = makeSendBgMessage(msgPage);
+    const novelId = 'e2e_test__library_delete';
+    const otherId = 'e2e_test__library_delete_other';
+
+    for (const [id, chapterNumber] of [[novelId, 1], [novelId, 2], [novelId, 10], [otherId, 1]]) {
+      await send({
+        action: 'saveLibraryChapter',
+        chapter: { novelId: id, chapterNumber, enhancedParagraphs: ['"Go," he said.'] },
+      });
+    }
+
+    const deleted = await send({ action: 'deleteLibraryChapter', novelId, chapterNumber: 2 });
+    expect(deleted.status).toBe('ok');
+    let list = await send({ action: 'getLibraryChapters', novelId });
+    expect(list.chapters.map((c) => c.chapterNumber)).toEqual([1, 10]);
+
+    const missingNumber = await send({ action: 'deleteLibraryChapter', novelId });
+    expect(missingNumber.status).toBe('error');
+
+    // Purging a novel's character data keeps its saved chapters
+    await background.evaluate((id) => removeNovels([id]), novelId);
+    list = await send({ action: 'getLibraryChapters', novelId });
+    expect(list.chapters).toHaveLength(2);
+
+    const wiped = await send({ action: 'deleteLibraryNovel', novelId });
+    expect(wiped.status).toBe('ok');
+    list = await send({ action: 'getLibraryChapters', novelId });
+    expect(list.chapters).toEqual([]);
+
+    const { novelIds } = await send({ action: 'getLibraryNovels' });
+    expect(novelIds).not.toContain(novelId);
+    expect(novelIds).toContain(otherId);
+
+    await send({ action: 'deleteLibraryNovel', novelId: otherId });
+  });
+
+  test('data backup is exported and merged on import, keeping manual overrides', async ({ extensionContext }) => {
+    const { background, msgPage } = extensionContext;
+    const send = makeSendBgMessage(msgPage);
+    const novelId = 'e2e_test__backup';
+
+    await background.evaluate((id) => {
+      novelCharacterMaps[id] = {
+        chars: {
+          0: { name: 'Mira', gender: 'f', confidence: 1.0, appearances: 4, manualOverride: true },
+          1: { name: 'Tor', gender: 'u', confidence: 0.3, appearances: 9 },
+        },
+        chaps: [1, 2],
+        lastAccess: Date.now(),
+      };
+    }, novelId);
+
+    const exported = await send({ action: 'exportData' });
+    expect(exported.status).toBe('ok');
+    expect(exported.backup.format).toBe('novel-dialogue-enhancer-backup');
+    expect(exported.backup.novelCharacterMaps[novelId].chars[0].manualOverride).toBe(true);
+    expect(Array.isArray(exported.backup.whitelistedSites)).toBe(true);
+
+    const notABackup = await send({ action: 'importData', backup: { novels: {} }, dryRun: true });
+    expect(notABackup.status).toBe('error');
+
+    const backup = {
+      format: 'novel-dialogue-enhancer-backup',
+      version: 1,
+      novelCharacterMaps: {
+        [novelId]: {
+          chars: {
+            0: { name: 'Mira', gender: 'm', confidence: 0.9, appearances: 12 },
+            1: { name: 'Tor', gender: 'm', confidence: 1.0, appearances: 2, manualOverride: true },
+            2: { name: 'Sel', gender: 'f', confidence: 0.7, appearances: 1 },
+            3: { gender: 'f' },
+          },
+          chaps: [2, 3],
+          lastAccess: Date.now(),
+        },
+      },
+      settings: {},
+      whitelistedSites: [],
+    };
+
+    const preview = await send({ action: 'importData', backup, dryRun: true });
+    expect(preview.status).toBe('ok');
+    expect(preview.applied).toBe(false);
+    expect(preview.summary.novels.merged).toBe(1);
+    expect(preview.summary.characters).toMatchObject({
+      added: 1, updated: 2, skipped: 1, overridesKept: 1, overridesImported: 1,
+    });
+    expect(preview.summary.chaptersAdded).toBe(1);
+    const untouched = await background.evaluate((id) => novelCharacterMaps[id].chaps, novelId);
+    expect(untouched).toEqual([1, 2]);
+
+    const applied = await send({ action: 'importData', backup, dryRun: false });
+    expect(applied.applied).toBe(true);
+
+    const merged = await background.evaluate((id) => novelCharacterMaps[id], novelId);
+    expect(merged.chars[0]).toMatchObject({ gender: 'f', manualOverride: true, appearances: 12 });
+    expect(merged.chars[1]).toMatchObject({ gender: 'm', manualOverride: true, appearances: 9 });
+    expect(Object.values(merged.chars).map((c) => c.name)).toContain('Sel');
+    expect(merged.chaps.sort()).toEqual([1, 2, 3]);
+
+    await background.evaluate((id) => { delete novelCharacterMaps[id]; }, novelId);
+  });
+
+  test('backup import only restores known settings and keeps novels updated while it runs', async ({ extensionContext }) => {
+    const { background } = extensionContext;
+    const importedId = 'e2e_test__backup_imported';
+    const lateId = 'e2e_test__backup_late';
+
+    const result = await background.evaluate(async ({ importedId, lateId }) => {
+      const { modelName } = await chrome.storage.sync.get('modelName');
+      const backup = {
+        format: 'novel-dialogue-enhancer-backup',
+        version: 1,
+        novelCharacterMaps: {
+          [importedId]: {
+            chars: { 0: { name: 'Mira', gender: 'f', confidence: 0.9, appearances: 3 } },
+            chaps: [1],
+            lastAccess: Date.now(),
+          },
+        },
+        settings: { modelName: 'e2e-imported-model', temperature: 'hot', injectedKey: 'x' },
+        whitelistedSites: [],
+      };
+
+      const importing = importDataBackup(backup, false);
+      // Arrives while the import is waiting on storage
+      novelCharacterMaps[lateId] = {
+        chars: { 0: { name: 'Tor', gender: 'm', confidence: 0.8, appearances: 2 } },
+        chaps: [4],
+        lastAccess: Date.now(),
+      };
+      const summary = await importing;
+
+      const stored = await chrome.storage.sync.get(['modelName', 'injectedKey', 'temperature']);
+      const kept = { imported: importedId in novelCharacterMaps, late: lateId in novelCharacterMaps };
+
+      await chrome.storage.sync.set({ modelName });
+      await removeNovels([importedId, lateId]);
+      return { settings: summary.settings, stored, kept };
+    }, { importedId, lateId });
+
+    expect(result.settings.changed).toEqual(['modelName']);
+    expect(result.settings.skipped.sort()).toEqual(['injectedKey', 'temperature']);
+    expect(result.stored.modelName).toBe('e2e-imported-model');
+    expect(result.stored.injectedKey).toBeUndefined();
+    expect(typeof result.stored.temperature).toBe('number');
+    expect(result.kept).toEqual({ imported: true, late: true });
+  });
+
+  test('stored data is migrated to the current schema and corrupt novels are quarantined', async ({ extensionContext }) => {
+    const { background } = extensionContext;
+    const legacyId = 'e2e_test__legacy_schema';
+    const corruptId = 'e2e_test__corrupt_entry';
+
+    const result = await background.evaluate(async ({ legacyId, corruptId }) => {
+      // Data as written before schema versioning: every novel under one key
+      await chrome.storage.local.remove('schemaVersion');
+      await chrome.storage.local.set({
+        novelCharacterMaps: {
+          ...novelCharacterMaps,
+          [legacyId]: {
+            chars: { 0: { name: 'Lin', gender: 'female', confidence: 0.8, appearances: 2, evidence: ['she nodded'] } },
+            chaps: ['4', 4, 5],
+            lastAccess: Date.now(),
+          },
+          [corruptId]: { chars: { 0: { gender: 'm' } }, chaps: [1] },
+        },
+      });
+
+      isBackgroundReady = false;
+      await initializeBackground();
+
+      const after = await chrome.storage.local.get([
+        'novelCharacterMaps', 'novelIndex', 'schemaVersion', 'quarantinedNovels',
+        `novel_${legacyId}`, `novel_${corruptId}`,
+      ]);
+      return {
+        memory: novelCharacterMaps[legacyId],
+        stored: after[`novel_${legacyId}`],
+        indexed: legacyId in after.novelIndex,
+        legacyKeyRemoved: !('novelCharacterMaps' in after),
+        corruptInMemory: corruptId in novelCharacterMaps,
+        storedCorrupt: `novel_${corruptId}` in after || corruptId in after.novelIndex,
+        schemaVersion: after.schemaVersion,
+        quarantined: after.quarantinedNovels?.[corruptId],
+      };
+    }, { legacyId, corruptId });
+
+    expect(result.schemaVersion).toBe(4);
+    expect(result.legacyKeyRemoved).toBe(true);
+    expect(result.indexed).toBe(true);
+    expect(result.stored).toEqual(result.memory);
+    expect(result.memory.chars[0].gender).toBe('f');
+    expect(result.memory.chars[0].evidences).toEqual([{ analyzer: 'other', detail: 'she nodded', gender: 'u', score: 0 }]);
+    expect(result.memory.chars[0]).not.toHaveProperty('evidence');
+    expect(result.memory.chaps).toEqual([4, 5]);
+
+    expect(result.corruptInMemory).toBe(false);
+    expect(result.storedCorrupt).toBe(false);
+    expect(result.quarantined.reason).toBe('character 0 has no name');
+    expect(result.quarantined.entry.chaps).toEqual([1]);
+
+    await background.evaluate(async ({ legacyId, corruptId }) => {
+      await removeNovels([legacyId]);
+      const { quarantinedNovels = {} } = await chrome.storage.local.get('quarantinedNovels');
+      delete quarantinedNovels[corruptId];
+      await chrome.storage.local.set({ quarantinedNovels });
+    }, { legacyId, corruptId });
+  });
+
+  test('data from a newer schema is loaded as is and never rewritten', async ({ extensionContext }) => {
+    const { background } = extensionContext;
+    const novelId = 'e2e_test__newer_schema';
+
+    const result = await background.evaluate(async (novelId) => {
+      // A v99 entry this version's validation would reject
+      const entry = { chars: { 0: { fullName: 'Lin', gender: 'female' } }, chaps: [1], lastAccess: Date.now() };
+      const { novelIndex: storedIndex = {}, quarantinedNovels: storedQuarantine } =
+        await chrome.storage.local.get(['novelIndex', 'quarantinedNovels']);
+      const seeded = {
+        schemaVersion: 99,
+        novelIndex: { ...storedIndex, [novelId]: { lastAccess: 1, bytes: 1, manual: false, futureField: true } },
+        [`novel_${novelId}`]: entry,
+      };
+      await chrome.storage.local.set(seeded);
+
+      try {
+        isBackgroundReady = false;
+        await initializeBackground();
+        const loaded = novelCharacterMaps[novelId];
+        novelCharacterMaps[novelId] = { ...entry, chaps: [1, 2] };
+        await saveNovel(novelId);
+        await removeNovels([novelId]);
+
+        const after = await chrome.storage.local.get([
+          'schemaVersion', 'novelIndex', 'quarantinedNovels', `novel_${novelId}`,
+        ]);
+        return {
+          loaded,
+          unchanged: JSON.stringify(after.schemaVersion) === JSON.stringify(seeded.schemaVersion) &&
+            JSON.stringify(after.novelIndex) === JSON.stringify(seeded.novelIndex) &&
+            JSON.stringify(after[`novel_${novelId}`]) === JSON.stringify(entry),
+          quarantined: novelId in (after.quarantinedNovels || {}),
+          sameQuarantine: JSON.stringify(after.quarantinedNovels) === JSON.stringify(storedQuarantine),
+        };
+      } finally {
+        await chrome.storage.local.remove(`novel_${novelId}`);
+        await chrome.storage.local.set({ schemaVersion: STORAGE_SCHEMA_VERSION, novelIndex: storedIndex });
+        isBackgroundReady = false;
+        await initializeBackground();
+      }
+    }, novelId);
+
+    expect(result.loaded.chars[0].fullName).toBe('Lin');
+    expect(result.unchanged).toBe(true);
+    expect(result.quarantined).toBe(false);
+    expect(result.sameQuarantine).toBe(true);
+  });
+
+  test('the quarantine keeps only recent entries, up to its cap', async ({ extensionContext }) => {
+    const { background } = extensionContext;
+
+    const result = await background.evaluate(async () => {
+      const { quarantinedNovels: saved } = await chrome.storage.local.get('quarantinedNovels');
+      const now = Date.now();
+      const entries = { e2e_test__quarantine_old: { entry: {}, reason: 'old', quarantinedAt: now - NOVEL_PURGE_AGE_MS - 1000 } };
+      for (let i = 0; i < MAX_QUARANTINED_NOVELS + 5; i++) {
+        entries[`e2e_test__quarantine_${i}`] = { entry: {}, reason: 'bad', quarantinedAt: now - i * 1000 };
+      }
+
+      try {
+        await chrome.storage.local.set({ quarantinedNovels: entries });
+        await runPeriodicCleanup();
+        const { quarantinedNovels } = await chrome.storage.local.get('quarantinedNovels');
+        return {
+          max: MAX_QUARANTINED_NOVELS,
+          kept: Object.keys(quarantinedNovels),
+          evidences: migrateNovelToV2({
+            chars: { 0: { name: 'Lin', evidences: ['a', 'b', 'c', 'd', 'e', 'f', 'g'] } },
+          }).chars[0].evidences.length,
+        };
+      } finally {
+        await chrome.storage.local.set({ quarantinedNovels: saved || {} });
+      }
+    });
+
+    expect(result.kept).toHaveLength(result.max);
+    expect(result.kept).toContain('e2e_test__quarantine_0');
+    expect(result.kept).not.toContain(`e2e_test__quarantine_${result.max}`);
+    expect(result.kept).not.toContain('e2e_test__quarantine_old');
+    expect(result.evidences).toBe(5); // MAX_EVIDENCES_PER_CHARACTER
+  });
+
+  test('over-budget novel data evicts least recently read novels but never manual overrides', async ({ extensionContext }) => {
+    const { background } = extensionContext;
+    const ids = {
+      manual: 'e2e_test__lru_manual',
+      stale: 'e2e_test__lru_stale',
+      current: 'e2e_test__lru_current',
+    };
+
+    const result = await background.evaluate(async (ids) => {
+      const day = 24 * 60 * 60 * 1000;
+      novelCharacterMaps[ids.manual] = {
+        chars: { 0: { name: 'Kael', gender: 'm', confidence: 1, appearances: 1, manualOverride: true } },
+        chaps: [1],
+        lastAccess: Date.now() - 10 * day,
+      };
+      novelCharacterMaps[ids.stale] = {
+        chars: { 0: { name: 'Iris', gender: 'f', confidence: 0.7, appearances: 1 } },
+        chaps: [1],
+        lastAccess: Date.now() - 5 * day,
+      };
+      await saveNovels([ids.manual, ids.stale]);
+
+      // Pretend both are huge so the next write goes over budget
+      novelIndex[ids.manual].bytes = MAX_NOVEL_DATA_BYTES;
+      novelIndex[ids.stale].bytes = MAX_NOVEL_DATA_BYTES;
+
+      novelCharacterMaps[ids.current] = { chars: {}, chaps: [7], lastAccess: Date.now() };
+      await saveNovel(ids.current);
+
+      const stored = await chrome.storage.local.get(Object.values(ids).map((id) => `novel_${id}`));
+      return {
+        inMemory: Object.values(ids).filter((id) => id in novelCharacterMaps),
+        stored: Object.keys(stored),
+      };
+    }, ids);
+
+    expect(result.inMemory).toEqual([ids.manual, ids.current]);
+    expect(result.stored).not.toContain(`novel_${ids.stale}`);
+    expect(result.stored).toContain(`novel_${ids.manual}`);
+    expect(result.stored).toContain(`novel_${ids.current}`);
+
+    await background.evaluate((ids) => removeNovels(Object.values(ids)), ids);
+  });
+
+  test('novel glossary is cleaned, stored and read back via messages', async ({ extensionContext }) => {
+    const { background, msgPage } = extensionContext;
+    const send = makeSendBgMessage(msgPage);
+    const novelId = 'e2e_test__glossary';
+
+    const saved = await send({
+      action: 'updateNovelGlossary',
+      novelId,
+      glossary: {
+        terms: { ' Jindan ': 'Golden Core', 'Empty': '   ' },
+        keep: ['Azure Cloud Sect', 'Azure Cloud Sect', ''],
+      },
+    });
+    expect(saved.status).toBe('ok');
+
+    const retrieved = await send({ action: 'getNovelGlossary', novelId });
+    expect(retrieved.status).toBe('ok');
+    expect(retrieved.glossary).toEqual({
+      terms: { Jindan: 'Golden Core' },
+      keep: ['Azure Cloud Sect'],
+    });
+
+    const stored = await background.evaluate((id) => novelCharacterMaps[id].glossary, novelId);
+    expect(stored.terms.Jindan).toBe('Golden Core');
+
+    await background.evaluate((id) => { delete novelCharacterMaps[id]; }, novelId);
+  });
 });
@@ -1,6 +1,7 @@
 // tests/e2e/specs/01.service-worker.spec.js
 // Tests 1–3: service worker bootstrap, default sync settings, cleanup alarm.
 const { test, expect } = require('../fixtures/extension.fixture');
+const { makeSendBgMessage } = require('../helpers/background');
 
 test.describe('service worker & bootstrap', () => {
   test('service worker initialises and background is ready', async ({ extensionContext }) => {
@@ -15,7 +16,7 @@ test.describe('service worker & bootstrap', () => {
     const settings = await background.evaluate(() =>
       new Promise((resolve) =>
         chrome.storage.sync.get(
-          ['modelName', 'temperature', 'topP', 'contextSize', 'timeout', 'preserveNames', 'fixPronouns'],
+          ['modelName', 'temperature', 'topP', 'contextSize', 'timeout', 'preserveNames', 'fixPronouns', 'ollamaUrl', 'llmProvider'],
           resolve
         )
       )
@@ -27,6 +28,8 @@ test.describe('service worker & bootstrap', () => {
     expect(settings.timeout).toBe(300);
     expect(settings.preserveNames).toBe(true);
     expect(settings.fixPronouns).toBe(true);
+    expect(settings.ollamaUrl).toBe('http://localhost:11434');
+    expect(settings.llmProvider).toBe('ollama');
   });
 
   test('periodic cleanup alarm is registered with a 24-hour period', async ({ extensionContext }) => {
@@ -56,4 +59,375 @@ test.describe('service worker & bootstrap', () => {
     expect(defaults.temperature).toBe(0.4);
     expect(defaults.topP).toBe(0.9);
   });
+
+  test('a custom server URL is normalized and used for requests, and a bad one falls back to the default', async ({ extensionContext }) => {
+    const { background } = extensionContext;
+    const result = await background.evaluate(async () => {
+      const previous = await chrome.storage.sync.get(['ollamaUrl', 'llmProvider']);
+      const wasProcessing = _isProcessing;
+      const realFetch = fetch;
+      const targets = [];
+      fetch = async (url) => {
+        targets.push(url);
+        return new Response(JSON.stringify({ response: 'Enhanced', done: true }));
+      };
+      const requestWith = async (ollamaUrl) => {
+        await chrome.storage.sync.set({ ollamaUrl, llmProvider: 'ollama' });
+        return new Promise((resolve) => handleOllamaRequest(
+          { action: 'ollamaRequest', data: { prompt: 'Fix this.', model: 'e2e-url-model', stream: false } },
+          resolve
+        ));
+      };
+
+      try {
+        return {
+          normalized: [
+            normalizeOllamaUrl('  http://192.168.1.20:11434/ '),
+            normalizeOllamaUrl('https://llm.example.com/ollama//'),
+            normalizeOllamaUrl('ftp://192.168.1.20:11434'),
+            normalizeOllamaUrl('192.168.1.20:11434'),
+            normalizeOllamaUrl(''),
+            normalizeOllamaUrl(undefined),
+          ],
+          custom: await requestWith('http://127.0.0.1:5555/'),
+          invalid: await requestWith('not a url'),
+          targets,
+        };
+      } finally {
+        fetch = realFetch;
+        _isProcessing = wasProcessing;
+        await chrome.storage.sync.remove(['ollamaUrl', 'llmProvider']);
+        await chrome.storage.sync.set(previous);
+      }
+    });
+
+    expect(result.normalized).toEqual([
+      'http://192.168.1.20:11434',
+      'https://llm.example.com/ollama',
+      'http://localhost:11434',
+      'http://localhost:11434',
+      'http://localhost:11434',
+      'http://localhost:11434',
+    ]);
+    expect(result.custom).toEqual({ enhancedText: 'Enhanced' });
+    expect(result.invalid).toEqual({ enhancedText: 'Enhanced' });
+    expect(result.targets).toEqual([
+      'http://127.0.0.1:5555/api/generate',
+      'http://localhost:11434/api/generate',
+    ]);
+  });
+
+  test('OpenAI-compatible completions are parsed from choices', async ({ extensionContext }) => {
+    const { background } = extensionContext;
+    const result = await background.evaluate(() => {
+      const replies = [];
+      const body = JSON.stringify({
+        object: 'chat.completion',
+        choices: [{ index: 0, message: { role: 'assistant', content: 'Enhanced text' } }]
+      }, null, 2);
+      processOllamaResponse(body, (reply) => replies.push(reply));
+      const streamed = LLM_PROVIDERS.openai.parseStreamLine(
+        'data: {"choices":[{"delta":{"content":"Enh"}}]}'
+      );
+      return { reply: replies[0], streamed, done: LLM_PROVIDERS.openai.parseStreamLine('data: [DONE]') };
+    });
+    expect(result.reply).toEqual({ enhancedText: 'Enhanced text' });
+    expect(result.streamed).toBe('Enh');
+    expect(result.done).toBe('');
+  });
+
+  test('the request log describes the body sent to an OpenAI-compatible server', async ({ extensionContext }) => {
+    const { background } = extensionContext;
+    const result = await background.evaluate(async () => {
+      const realFetch = fetch;
+      const realLog = console.log;
+      const sent = [];
+      const logged = [];
+      fetch = async (url, init) => {
+        sent.push({ url, body: JSON.parse(init.body) });
+        return new Response(JSON.stringify({ choices: [{ message: { content: 'Done' } }] }));
+      };
+      console.log = (...args) => logged.push(args.join(' '));
+      try {
+        const reply = await new Promise((resolve) => processNonStreamingRequest(
+          { baseUrl: 'http://localhost:1234', provider: getLlmProvider('openai') },
+          { model: 'local-model', prompt: 'Fix this.', num_predict: 512, num_ctx: 4096 },
+          30,
+          resolve
+        ));
+        return { reply, sent, logged: logged.find((line) => line.includes('→')) };
+      } finally {
+        fetch = realFetch;
+        console.log = realLog;
+      }
+    });
+
+    expect(result.reply).toEqual({ enhancedText: 'Done' });
+    expect(result.sent).toHaveLength(1);
+    expect(result.sent[0].url).toBe('http://localhost:1234/v1/chat/completions');
+    expect(result.sent[0].body).not.toHaveProperty('think');
+    expect(result.sent[0].body.max_tokens).toBe(512);
+    expect(result.logged).toBe('[OpenAI-compatible] → local-model | max_tokens:512 | prompt_len:9');
+  });
+
+  test('a regenerate skips the cached reply and replaces it', async ({ extensionContext }) => {
+    const { background } = extensionContext;
+    const replies = await background.evaluate(async () => {
+      const realRequest = processNonStreamingRequest;
+      let calls = 0;
+      processNonStreamingRequest = (server, requestData, timeout, settle) => {
+        calls++;
+        settle({ enhancedText: `reply ${calls}` });
+      };
+
+      const cacheKey = 'e2e_regenerate_key';
+      const ask = (refreshCache) => new Promise((resolve) => handleOllamaRequest({
+        action: 'ollamaRequest',
+        data: { model: 'e2e-model', prompt: 'Fix this.', stream: false },
+        cacheKey,
+        refreshCache,
+      }, resolve));
+
+      try {
+        const first = await ask(false);
+        const cached = await ask(false);
+        const regenerated = await ask(true);
+        const afterwards = await ask(false);
+        const stored = await chrome.storage.local.get(null);
+        return {
+          texts: [first, cached, regenerated, afterwards].map((reply) => reply.enhancedText),
+          calls,
+          storedText: stored[LLM_CACHE_PREFIX + cacheKey].text,
+        };
+      } finally {
+        processNonStreamingRequest = realRequest;
+        llmResponseCache.delete(cacheKey);
+        await chrome.storage.local.remove(LLM_CACHE_PREFIX + cacheKey);
+      }
+    });
+
+    expect(replies.texts).toEqual(['reply 1', 'reply 1', 'reply 2', 'reply 2']);
+    expect(replies.calls).toBe(2);
+    expect(replies.storedText).toBe('reply 2');
+  });
+
+  test('LLM requests from all tabs share one queue, active tab first', async ({ extensionContext }) => {
+    const { background } = extensionContext;
+    const started = await background.evaluate(() => {
+      const saved = { limit: llmConcurrencyLimit, active: activeTabId };
+      const order = [];
+      const finishers = [];
+      const run = (name) => (done) => {
+        order.push(name);
+        finishers.push(done);
+      };
+
+      llmConcurrencyLimit = 1;
+      activeTabId = 303;
+      enqueueLlmRequest({ tabId: 101 }, run('first'), () => {});
+      enqueueLlmRequest({ tabId: 101, prefetch: true }, run('prefetch'), () => {});
+      enqueueLlmRequest({ tabId: 101 }, run('background'), () => {});
+      enqueueLlmRequest({ tabId: 303 }, run('active'), () => {});
+      const drop = enqueueLlmRequest({ tabId: 202 }, run('dropped'), () => {});
+      enqueueLlmRequest({ tabId: 202 }, run('switched-to'), () => {});
+      drop();
+
+      // What chrome.tabs.onActivated does when the reader switches to tab 202
+      activeTabId = 202;
+      drainLlmQueue();
+
+      while (finishers.length > 0) finishers.shift()();
+      llmConcurrencyLimit = saved.limit;
+      activeTabId = saved.active;
+      return order;
+    });
+
+    expect(started).toEqual(['first', 'switched-to', 'background', 'active', 'prefetch']);
+  });
+
+  test('a restarted worker looks up the active tab, and cache warming hears its queue position', async ({ extensionContext }) => {
+    const { background } = extensionContext;
+    const result = await background.evaluate(async () => {
+      const saved = { limit: llmConcurrencyLimit, active: activeTabId, query: chrome.tabs.query, send: chrome.tabs.sendMessage };
+      const messages = [];
+      const finishers = [];
+      try {
+        // As after a restart: nothing activated yet
+        activeTabId = null;
+        chrome.tabs.query = (_queryInfo, callback) => setTimeout(() => callback([{ id: 404 }]), 0);
+        loadActiveTab();
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        const restored = activeTabId;
+
+        chrome.tabs.sendMessage = (tabId, message) => messages.push({ tabId, ...message });
+        llmConcurrencyLimit = 1;
+        enqueueLlmRequest({ tabId: 404, requestId: 'reading' }, (done) => finishers.push(done), () => {});
+        enqueueLlmRequest({ tabId: 505, requestId: 'warming', prefetch: true }, (done) => finishers.push(done), () => {});
+        while (finishers.length > 0) finishers.shift()();
+        return { restored, messages };
+      } finally {
+        llmConcurrencyLimit = saved.limit;
+        activeTabId = saved.active;
+        chrome.tabs.query = saved.query;
+        chrome.tabs.sendMessage = saved.send;
+      }
+    });
+
+    expect(result.restored).toBe(404);
+    expect(result.messages).toEqual([
+      { tabId: 505, action: 'llmQueueStatus', requestId: 'warming', ahead: 1, prefetch: true },
+      { tabId: 505, action: 'llmQueueStatus', requestId: 'warming', ahead: 0, prefetch: true },
+    ]);
+  });
+
+  test('terminating requests only stops the asking tab unless allTabs is set', async ({ extensionContext }) => {
+    const { background } = extensionContext;
+    const result = await background.evaluate(() => {
+      const savedLimit = llmConcurrencyLimit;
+      const rejected = [];
+      const reject = (name) => () => rejected.push(name);
+      const reply = (message, sender) => new Promise((resolve) => handleMessage(message, sender, resolve));
+
+      // Nothing starts while the limit is 0, so every request stays queued
+      llmConcurrencyLimit = 0;
+      enqueueLlmRequest({ tabId: 101 }, () => {}, reject('tab-101'));
+      enqueueLlmRequest({ tabId: 202 }, () => {}, reject('tab-202'));
+      const running = new AbortController();
+      activeRequestControllers.set(running, { tabId: 202 });
+
+      return reply({ action: 'terminateAllRequests' }, { tab: { id: 101 } })
+        .then((scoped) => {
+          const afterScoped = [...rejected];
+          // What chrome.tabs.onRemoved does when tab 202 closes
+          const closed = abortLlmRequests((origin) => origin.tabId === 202, 'TAB_CLOSED');
+          llmConcurrencyLimit = savedLimit;
+          return { scoped: scoped.count, afterScoped, closed, reason: running.signal.reason, rejected };
+        });
+    });
+
+    expect(result.scoped).toBe(1);
+    expect(result.afterScoped).toEqual(['tab-101']);
+    expect(result.closed).toBe(2);
+    expect(result.reason).toBe('TAB_CLOSED');
+    expect(result.rejected).toEqual(['tab-101', 'tab-202']);
+  });
+
+  test('leaving the page stops its requests but not the cache warming for the next chapter', async ({ extensionContext }) => {
+    const { background } = extensionContext;
+    const result = await background.evaluate(async () => {
+      const opening = chrome.tabs.create({ url: chrome.runtime.getURL('src/popup/popup.html'), active: false })
+        .then((tab) => tab.id);
+      await waitForTabComplete(opening, 5000);
+      const tabId = await opening;
+      const { url } = await chrome.tabs.get(tabId);
+
+      const reading = new AbortController();
+      const warming = new AbortController();
+      activeRequestControllers.set(reading, { tabId, url });
+      activeRequestControllers.set(warming, { tabId, url, prefetch: true });
+
+      try {
+        // The reader follows the link to the chapter being warmed
+        const navigated = waitForTabComplete(Promise.resolve(tabId), 5000);
+        await chrome.tabs.update(tabId, { url: chrome.runtime.getURL('src/reader/reader.html') });
+        await navigated;
+        const afterNavigation = { reading: reading.signal.reason ?? null, warming: warming.signal.reason ?? null };
+
+        await chrome.tabs.remove(tabId);
+        await new Promise((resolve) => setTimeout(resolve, 200));
+        return { afterNavigation, afterClose: warming.signal.reason ?? null };
+      } finally {
+        activeRequestControllers.delete(reading);
+        activeRequestControllers.delete(warming);
+      }
+    });
+
+    expect(result.afterNavigation).toEqual({ reading: 'TAB_NAVIGATED', warming: null });
+    expect(result.afterClose).toBe('TAB_CLOSED');
+  });
+
+  test('bulk enhancement jobs are validated and can be cancelled and removed', async ({ extensionContext }) => {
+    const { background, msgPage } = extensionContext;
+    const send = makeSendBgMessage(msgPage);
+
+    const noPlaceholder = await send({
+      action: 'createEnhanceJob',
+      job: { pattern: 'https://novelbin.com/b/novel/chapter-1', from: 1, to: 5 },
+    });
+    expect(noPlaceholder.status).toBe('error');
+
+    const tooMany = await send({
+      action: 'createEnhanceJob',
+      job: { pattern: 'https://novelbin.com/b/novel/chapter-{n}', from: 1, to: 10000 },
+    });
+    expect(tooMany.status).toBe('error');
+
+    // A paused job never opens a tab, so the lifecycle can be driven directly
+    const jobId = 'job_e2e_lifecycle';
+    await background.evaluate((id) => chrome.storage.local.set({
+      enhanceJobs: {
+        [id]: {
+          id, title: 'novelbin.com', pattern: 'https://novelbin.com/b/novel/chapter-{n}',
+          from: 1, to: 3, next: 2, status: 'paused', completed: [1], failed: [],
+          lastError: null, tabId: null, createdAt: Date.now(), updatedAt: Date.now(),
+        },
+      },
+    }), jobId);
+
+    const cancelled = await send({ action: 'updateEnhanceJob', jobId, command: 'cancel' });
+    expect(cancelled.status).toBe('ok');
+    expect(cancelled.job.status).toBe('cancelled');
+
+    const removed = await send({ action: 'updateEnhanceJob', jobId, command: 'remove' });
+    expect(removed.status).toBe('ok');
+
+    const { jobs } = await send({ action: 'getEnhanceJobs' });
+    expect(jobs.find((j) => j.id === jobId)).toBeUndefined();
+  });
+
+  test('chapter numbers are found in hyphenated URLs and later query names', async ({ extensionContext }) => {
+    const { msgPage } = extensionContext;
+    const result = await msgPage.evaluate(async () => {
+      const { ChapterDetector } = await import(chrome.runtime.getURL('src/shared/novel/chapter-detector.js'));
+      const detector = new ChapterDetector();
+      return {
+        hyphen: detector.buildChapterUrlPattern('https://novelbin.com/b/novel/chapter-12'),
+        underscore: detector.buildChapterUrlPattern('https://example.com/novel/chapter_7'),
+        shortHyphen: detector.buildChapterUrlPattern('https://example.com/novel/ch-3.html'),
+        laterParam: detector.buildChapterUrlPattern('https://example.com/read?chapter=abc&c=5'),
+        noNumber: detector.buildChapterUrlPattern('https://example.com/read?chapter=abc'),
+        fromUrl: detector.detectChapterInfo('My Novel', '', 'https://example.com/novel/chapter-12'),
+      };
+    });
+
+    expect(result.hyphen).toEqual({ pattern: 'https://novelbin.com/b/novel/chapter-{n}', chapterNumber: 12 });
+    expect(result.underscore).toEqual({ pattern: 'https://example.com/novel/chapter_{n}', chapterNumber: 7 });
+    expect(result.shortHyphen).toEqual({ pattern: 'https://example.com/novel/ch-{n}.html', chapterNumber: 3 });
+    expect(result.laterParam).toEqual({ pattern: 'https://example.com/read?chapter=abc&c={n}', chapterNumber: 5 });
+    expect(result.noNumber).toBeNull();
+    expect(result.fromUrl).toEqual({ isChapter: true, chapterNumber: 12 });
+  });
+
+  test('a job page that finishes loading before its tab id is known is still seen', async ({ extensionContext }) => {
+    const { background } = extensionContext;
+    const loaded = await background.evaluate(async () => {
+      let tabId = null;
+      // The id only arrives after the page has loaded, like a slow saveEnhanceJobs
+      const opening = chrome.tabs.create({ url: chrome.runtime.getURL('src/popup/popup.html'), active: false })
+        .then((tab) => new Promise((resolve) => setTimeout(() => {
+          tabId = tab.id;
+          resolve(tab.id);
+        }, 1500)));
+      try {
+        await waitForTabComplete(opening, 5000);
+        return true;
+      } catch {
+        return false;
+      } finally {
+        if (tabId !== null) await chrome.tabs.remove(tabId);
+      }
+    });
+
+    expect(loaded).toBe(true);
+  });
 });
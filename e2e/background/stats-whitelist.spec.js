@@ -18,6 +18,24 @@ test.describe('stats & whitelist management', () => {
     expect(after.stats.totalProcessingTime).toBe(before.stats.totalProcessingTime + 1734);
   });
 
+  test('alignment fallbacks, name and glossary violations from a finished enhancement are added to global stats', async ({ extensionContext }) => {
+    const { msgPage } = extensionContext;
+    const send = makeSendBgMessage(msgPage);
+
+    const before = await send({ action: 'getGlobalStats' });
+
+    await send({
+      action: 'updateFinalEnhancementStats',
+      stats: { processingTime: 10, errorCount: 0, alignmentFallbacks: 2, nameViolations: 3, glossaryViolations: 4 },
+      enhancementSession: true
+    });
+
+    const after = await send({ action: 'getGlobalStats' });
+    expect(after.stats.totalAlignmentFallbacks).toBe((before.stats.totalAlignmentFallbacks || 0) + 2);
+    expect(after.stats.totalNameViolations).toBe((before.stats.totalNameViolations || 0) + 3);
+    expect(after.stats.totalGlossaryViolations).toBe((before.stats.totalGlossaryViolations || 0) + 4);
+  });
+
   test('whitelist: site can be removed via message handler', async ({ extensionContext }) => {
     const { background, msgPage } = extensionContext;
     const send = makeSendBgMessage(msgPage);
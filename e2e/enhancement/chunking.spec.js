@@ -0,0 +1,96 @@
+// tests/e2e/specs/chunking.spec.js
+// Long chapters are split to fit the context window; exercised through the
+// shared modules in an extension page with the model call replaced.
+const { test, expect } = require('../fixtures/extension.fixture');
+
+/**
+ * Enhances six long paragraphs with a 1024-token window, so they go out in
+ * three chunks. `failure` makes every model call throw with that message.
+ */
+async function enhanceInChunks(msgPage, failure) {
+  return msgPage.evaluate(async (failure) => {
+    const { ContentEnhancer } = await import(chrome.runtime.getURL('src/shared/content/enhancer.js'));
+    const enhancer = new ContentEnhancer({
+      url: 'https://example.com/novel/e2e-chunks/chapter-3',
+      title: 'E2E Chunks Chapter 3',
+    });
+    enhancer.ollamaClient.checkOllamaAvailability = async () => ({ available: true });
+    enhancer.ollamaClient.getLLMSettings = async () => ({ contextSize: 1024 });
+
+    const calls = [];
+    enhancer.enhanceTextWithLLM = async (text, _summary, options) => {
+      calls.push({ markers: text.match(/\[\[P\d+\]\]/g), hasContext: Boolean(options.context) });
+      if (failure) throw new Error(failure);
+      return text.replace(/said/g, 'replied');
+    };
+
+    const paragraphs = Array.from({ length: 6 }, (_, i) =>
+      `"Line ${i} of the talk goes on for a while here," Lin Feng said. `.repeat(5).trim()
+    );
+    const progress = [];
+    const output = await enhancer.enhanceParagraphs(paragraphs, {
+      onChunk: (done, total) => progress.push(`${done}/${total}`),
+    });
+
+    return {
+      calls,
+      progress,
+      changed: output.map((text, i) => text !== paragraphs[i]),
+      errors: enhancer.statsUtils.errorCount,
+    };
+  }, failure);
+}
+
+test.describe('chunked enhancement', () => {
+  test('chunk budget follows the context size and paragraphs are grouped within it', async ({ extensionContext }) => {
+    const result = await extensionContext.msgPage.evaluate(async () => {
+      const { TextProcessor } = await import(chrome.runtime.getURL('src/shared/llm/text-processor.js'));
+      const processor = new TextProcessor();
+      return {
+        budgets: {
+          default: processor.getChunkBudget(8192),
+          small: processor.getChunkBudget(1024),
+          unset: processor.getChunkBudget(0),
+          capped: new TextProcessor({ maxChunkSize: 5000 }).getChunkBudget(8192),
+        },
+        groups: processor.groupParagraphsIntoChunks(
+          ['a'.repeat(400), 'b'.repeat(400), 'c'.repeat(400), 'd'.repeat(2000), 'e'],
+          896
+        ),
+      };
+    });
+
+    // (8192 - 1024 prompt tokens) / 2 for the input, 3.5 characters per token
+    expect(result.budgets).toEqual({ default: 12544, small: 896, unset: 12544, capped: 5000 });
+    // The over-budget paragraph gets a chunk of its own
+    expect(result.groups).toEqual([[0, 1], [2], [3], [4]]);
+  });
+
+  test('long batches are enhanced chunk by chunk with surrounding context', async ({ extensionContext }) => {
+    const result = await enhanceInChunks(extensionContext.msgPage, null);
+
+    expect(result.calls).toHaveLength(3);
+    expect(result.calls.every((call) => call.markers.length === 2 && call.hasContext)).toBe(true);
+    expect(result.progress).toEqual(['0/3', '1/3', '2/3', '3/3']);
+    expect(result.changed).toEqual([true, true, true, true, true, true]);
+    expect(result.errors).toBe(0);
+  });
+
+  test('a chunk is retried once on a bad reply and the rest still go out', async ({ extensionContext }) => {
+    const result = await enhanceInChunks(extensionContext.msgPage, 'JSON parsing error: Unexpected token');
+
+    expect(result.calls).toHaveLength(6);
+    expect(result.progress).toEqual(['0/3', '1/3', '2/3', '3/3']);
+    expect(result.changed.every((changed) => !changed)).toBe(true);
+    expect(result.errors).toBe(3);
+  });
+
+  test('an unreachable service stops after the first failed chunk', async ({ extensionContext }) => {
+    const result = await enhanceInChunks(extensionContext.msgPage, 'LLM request timed out after 300 seconds');
+
+    expect(result.calls).toHaveLength(1);
+    expect(result.progress).toEqual(['0/3']);
+    expect(result.changed.every((changed) => !changed)).toBe(true);
+    expect(result.errors).toBe(1);
+  });
+});
@@ -135,5 +135,138 @@ test.describe('MTL enhancement — WebNovel chapter (mock)', () => {
     expect(enhancedText).not.toContain('He brows knit tightly');
     expect(enhancedText).not.toContain('He breath came out ragged');
     expect(enhancedText).not.toContain('Silence fall over hall');
+
+    // The original translation can be brought back and swapped out again.
+    const toggleOriginal = () => extensionContext.background.evaluate(
+      (url) => new Promise((resolve) =>
+        chrome.tabs.query({ url }, (tabs) =>
+          chrome.tabs.sendMessage(tabs[0].id, { action: 'toggleOriginal' }, resolve)
+        )
+      ),
+      MOCK_URL
+    );
+
+    expect(await toggleOriginal()).toEqual({ status: 'ok', showingOriginal: true });
+    expect(await chapterPage.chapterContent().textContent()).toContain('He brows knit tightly');
+
+    expect(await toggleOriginal()).toEqual({ status: 'ok', showingOriginal: false });
+    expect(await chapterPage.chapterContent().textContent()).toBe(enhancedText);
+
+    // Hovering the enhanced block offers a per-paragraph revert.
+    await chapterPage.chapterContent().hover();
+    await chapterPage.revertParagraphBtn().click();
+    await expect(chapterPage.chapterContent()).toContainText('He brows knit tightly');
+  });
+});
+
+test.describe('MTL pronoun fixes — Ollama unreachable', () => {
+  let previousUrl = null;
+  let chapterPage = null;
+
+  test.beforeAll(async ({ extensionContext }) => {
+    const { background, context } = extensionContext;
+
+    // Nothing listens on the discard port, so every availability check fails.
+    previousUrl = await background.evaluate(() =>
+      new Promise((resolve) => chrome.storage.sync.get('ollamaUrl', (d) => resolve(d.ollamaUrl ?? null)))
+    );
+    await background.evaluate(() =>
+      new Promise((resolve) => chrome.storage.sync.set({ ollamaUrl: 'http://localhost:9' }, resolve))
+    );
+
+    await context.route(MOCK_URL, (route) =>
+      route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', body: MOCK_HTML })
+    );
+
+    await background.evaluate(() =>
+      new Promise((resolve) =>
+        chrome.storage.sync.get('whitelistedSites', (data) => {
+          const sites = data.whitelistedSites || [];
+          if (!sites.includes('www.webnovel.com')) sites.push('www.webnovel.com');
+          chrome.storage.sync.set({ whitelistedSites: sites, fixPronouns: true }, resolve);
+        })
+      )
+    );
+    await background.evaluate(() => { whitelistCache.clear(); });
+  });
+
+  test.afterAll(async ({ extensionContext }) => {
+    const { context, background } = extensionContext;
+
+    if (chapterPage) await chapterPage.close();
+    await context.unroute(MOCK_URL).catch(() => {});
+
+    await background.evaluate(
+      (url) => new Promise((resolve) => {
+        if (url) chrome.storage.sync.set({ ollamaUrl: url }, resolve);
+        else chrome.storage.sync.remove('ollamaUrl', resolve);
+      }),
+      previousUrl
+    );
+    await background.evaluate(() =>
+      new Promise((resolve) =>
+        chrome.storage.sync.get('whitelistedSites', (data) => {
+          const sites = (data.whitelistedSites || []).filter((s) => s !== 'www.webnovel.com');
+          chrome.storage.sync.set({ whitelistedSites: sites }, resolve);
+        })
+      )
+    );
+    await background.evaluate(() => { whitelistCache.clear(); });
+  });
+
+  test('rule-based fixer repairs pronoun case slips without a model', async ({ extensionContext }) => {
+    test.setTimeout(60_000);
+
+    chapterPage = new ChapterPage(extensionContext.context);
+    await chapterPage.open(MOCK_URL);
+    await expect(chapterPage.chapterContent()).toContainText('He brows knit tightly');
+
+    const response = await extensionContext.background.evaluate(
+      (url) => new Promise((resolve) =>
+        chrome.tabs.query({ url }, (tabs) =>
+          chrome.tabs.sendMessage(tabs[0].id, { action: 'enhanceNow' }, resolve)
+        )
+      ),
+      MOCK_URL
+    );
+    expect(response.status).toBe('enhanced');
+
+    const fixedText = await chapterPage.chapterContent().textContent();
+    expect(fixedText).toContain('His brows knit tightly');
+    // "inside" can be an adverb, so a pronoun followed by a verb is left alone
+    expect(fixedText).toContain('The rage inside she was');
+    expect(fixedText).toContain('pain clear her head');
+    expect(fixedText).not.toContain('He breath came out ragged');
+    // Dialogue is left as written
+    expect(fixedText).toContain('"This lord not need explain himself to you');
+    await expect(chapterPage.toasterText()).toContainText('fixed');
+  });
+
+  test('rule-based fixer leaves correct English alone', async ({ extensionContext }) => {
+    const results = await extensionContext.msgPage.evaluate(async (sentences) => {
+      const { PronounFixer } = await import(chrome.runtime.getURL('src/shared/gender/pronoun-fixer.js'));
+      const characters = {
+        'Li Wei': { gender: 'male', confidence: 0.9 },
+        'Xu Mengyao': { gender: 'female', confidence: 0.9 },
+      };
+      const fixer = new PronounFixer();
+      return sentences.map((sentence) => fixer.fixText(sentence, characters).text);
+    }, [
+      'From now on he would train harder.',
+      'Deep inside he knew the truth.',
+      'Later on she left the hall.',
+      'Li Wei looked around he was alone.',
+      'Li Wei stared at he, then smiled.',
+      'Xu Mengyao walked toward he and stopped.',
+    ]);
+
+    expect(results).toEqual([
+      'From now on he would train harder.',
+      'Deep inside he knew the truth.',
+      'Later on she left the hall.',
+      'Li Wei looked around he was alone.',
+      'Li Wei stared at him, then smiled.',
+      'Xu Mengyao walked toward him and stopped.',
+    ]);
   });
 });
@@ -0,0 +1,209 @@
+// tests/e2e/specs/output-checks.spec.js
+// Checks run on model output, exercised through the shared modules in an extension page.
+const { test, expect } = require('../fixtures/extension.fixture');
+
+const PARAGRAPHS = [
+  '"Come here," Lin Feng say to her.',
+  'Su Yue nod and walk over slowly.',
+  'The wind blow across the courtyard.',
+];
+
+/**
+ * Runs enhanceParagraphs (or enhanceText on the joined paragraphs when
+ * `asText` is set) with the model replaced by canned replies, one per call
+ */
+async function enhanceWithReplies(msgPage, { replies, preferences, asText = false }) {
+  return msgPage.evaluate(async ({ paragraphs, replies, preferences, asText }) => {
+    const { ContentEnhancer } = await import(chrome.runtime.getURL('src/shared/content/enhancer.js'));
+    const enhancer = new ContentEnhancer({
+      url: 'https://example.com/novel/e2e-output-checks/chapter-2',
+      title: 'E2E Output Checks Chapter 2',
+    });
+    enhancer.ollamaClient.checkOllamaAvailability = async () => ({ available: true });
+    enhancer.setPreferences(preferences);
+    enhancer.sessionCharacterMap = {
+      'Lin Feng': { gender: 'm', confidence: 0.9, appearances: 3 },
+      'Su Yue': { gender: 'f', confidence: 0.9, appearances: 2 },
+    };
+    enhancer.characterAnalysisComplete = true;
+
+    const requests = [];
+    enhancer.enhanceTextWithLLM = async (text) => {
+      requests.push(text);
+      return replies[requests.length - 1] ?? '';
+    };
+
+    const output = asText
+      ? (await enhancer.enhanceText(paragraphs.join('\n\n'))).split('\n\n')
+      : await enhancer.enhanceParagraphs(paragraphs);
+    return {
+      output,
+      requests,
+      alignmentFallbacks: enhancer.statsUtils.alignmentFallbacks,
+      nameViolations: enhancer.statsUtils.nameViolations,
+    };
+  }, { paragraphs: PARAGRAPHS, replies, preferences, asText });
+}
+
+test.describe('model output checks', () => {
+  test('paragraph markers are numbered from their index and parsed back, dropping duplicates', async ({ extensionContext }) => {
+    const result = await extensionContext.msgPage.evaluate(async () => {
+      const { TextProcessor } = await import(chrome.runtime.getURL('src/shared/llm/text-processor.js'));
+      const processor = new TextProcessor();
+      return {
+        marked: processor.addParagraphMarkers(['First.', 'Second.'], [0, 4]),
+        parsed: [...processor.parseParagraphMarkers(
+          'Sure! [[P1]] One.\n\n[[P2]] Two [[P9]]\n\n[[P3]] Three.\n\n[[P3]] Again.'
+        )],
+      };
+    });
+
+    expect(result.marked).toBe('[[P1]] First.\n\n[[P5]] Second.');
+    // The preamble is ignored and P3, which appears twice, cannot be attributed
+    expect(result.parsed).toEqual([[0, 'One.'], [1, 'Two'], [8, '']]);
+  });
+
+  test('a paragraph whose marker is lost is re-requested on its own', async ({ extensionContext }) => {
+    const result = await enhanceWithReplies(extensionContext.msgPage, {
+      preferences: { preserveNames: true, fixPronouns: false },
+      replies: [
+        '[[P1]] "Come here," Lin Feng said to her.\n\n[[P3]] The wind blew across the courtyard.',
+        '[[P2]] Su Yue nodded and walked over slowly.',
+      ],
+    });
+
+    expect(result.requests).toHaveLength(2);
+    expect(result.requests[1]).toBe('[[P2]] Su Yue nod and walk over slowly.');
+    expect(result.output).toEqual([
+      '"Come here," Lin Feng said to her.',
+      'Su Yue nodded and walked over slowly.',
+      'The wind blew across the courtyard.',
+    ]);
+    expect(result.alignmentFallbacks).toBe(0);
+  });
+
+  test('a paragraph that stays misaligned after the retry keeps its original text', async ({ extensionContext }) => {
+    const result = await enhanceWithReplies(extensionContext.msgPage, {
+      preferences: { preserveNames: true, fixPronouns: false },
+      replies: [
+        '[[P1]] "Come here," Lin Feng said to her.\n\n[[P3]] The wind blew across the courtyard.',
+        'Su Yue nodded.',
+      ],
+    });
+
+    expect(result.requests).toHaveLength(2);
+    expect(result.output).toEqual([
+      '"Come here," Lin Feng said to her.',
+      PARAGRAPHS[1],
+      'The wind blew across the courtyard.',
+    ]);
+    expect(result.alignmentFallbacks).toBe(1);
+  });
+
+  test('with preserveNames on, a paragraph that drops a name is reverted', async ({ extensionContext }) => {
+    const dropped = '[[P1]] "Come here," he said to her.\n\n' +
+      '[[P2]] Su Yue nodded and walked over slowly.\n\n' +
+      '[[P3]] The wind blew across the courtyard.';
+
+    const preserved = await enhanceWithReplies(extensionContext.msgPage, {
+      preferences: { preserveNames: true, fixPronouns: false },
+      replies: [dropped, '[[P1]] "Come here," he said to her.'],
+    });
+    expect(preserved.output).toEqual([
+      PARAGRAPHS[0],
+      'Su Yue nodded and walked over slowly.',
+      'The wind blew across the courtyard.',
+    ]);
+    expect(preserved.nameViolations).toBe(1);
+
+    const asText = await enhanceWithReplies(extensionContext.msgPage, {
+      preferences: { preserveNames: true, fixPronouns: false },
+      replies: ['"Come here," he said to her.\n\nSu Yue nodded and walked over slowly.\n\nThe wind blew across the courtyard.'],
+      asText: true,
+    });
+    expect(asText.output[0]).toBe(PARAGRAPHS[0]);
+    expect(asText.output[1]).toBe('Su Yue nodded and walked over slowly.');
+
+    const allowed = await enhanceWithReplies(extensionContext.msgPage, {
+      preferences: { preserveNames: false, fixPronouns: false },
+      replies: [dropped],
+    });
+    expect(allowed.requests).toHaveLength(1);
+    expect(allowed.output[0]).toBe('"Come here," he said to her.');
+    expect(allowed.nameViolations).toBe(0);
+  });
+
+  test('the prompt leaves out the pronoun rule and list when pronoun fixing is off', async ({ extensionContext }) => {
+    const prompts = await extensionContext.msgPage.evaluate(async () => {
+      const { PromptGenerator } = await import(chrome.runtime.getURL('src/shared/llm/prompt-generator.js'));
+      const { NovelOrchestrator } = await import(chrome.runtime.getURL('src/shared/novel/novel-orchestrator.js'));
+      const orchestrator = new NovelOrchestrator('https://example.com/novel/e2e-prompt/chapter-1', 'E2E Prompt');
+      const characters = [
+        { name: 'Lin Feng', gender: 'male', appearances: 3 },
+        { name: 'Su Yue', gender: 'female', appearances: 2 },
+      ];
+      const text = 'Lin Feng and Su Yue met in the hall.';
+      const generator = new PromptGenerator();
+      const build = (fixPronouns, preserveNames) => generator.createEnhancementPrompt(
+        text,
+        orchestrator.createCharacterSummary(characters, text, { includePronouns: fixPronouns }),
+        { style: 'standard narrative', tone: 'neutral' },
+        { fixPronouns, preserveNames }
+      );
+      return { on: build(true, true), off: build(false, true), neither: build(false, false) };
+    });
+
+    expect(prompts.on).toContain('Characters and pronouns:');
+    expect(prompts.on).toContain('- Lin Feng: he/him');
+    expect(prompts.on).toContain('Fix pronoun errors');
+
+    expect(prompts.off).not.toContain('Characters and pronouns:');
+    expect(prompts.off).not.toContain('he/him');
+    expect(prompts.off).not.toContain('Fix pronoun errors');
+    expect(prompts.off).toContain('Character names:\n- Lin Feng\n- Su Yue');
+    expect(prompts.off).toContain('Keep pronouns as they are written');
+
+    expect(prompts.neither).not.toContain('Character names:');
+    expect(prompts.neither).not.toContain('Never alter character names');
+  });
+
+  test('names the glossary renders differently pass the name check with their rendering', async ({ extensionContext }) => {
+    const results = await extensionContext.msgPage.evaluate(async () => {
+      const { NameValidator } = await import(chrome.runtime.getURL('src/shared/llm/name-validator.js'));
+      const { Glossary } = await import(chrome.runtime.getURL('src/shared/novel/glossary.js'));
+
+      const glossary = Glossary.normalize({
+        terms: { 'Qingyun Sect': 'Azure Cloud Sect' },
+        keep: ['Heavenly Dao'],
+      });
+      const original = 'He bowed to the elders of the Qingyun Sect and prayed to the Heavenly Dao.';
+      const renderings = Glossary.renderingsFor(glossary, original);
+      const validator = new NameValidator();
+
+      return {
+        renderings,
+        followed: validator.validate(
+          original,
+          'He bowed before the elders of the Azure Cloud Sect and prayed to the Heavenly Dao.',
+          [],
+          renderings
+        ),
+        withoutGlossary: validator.validate(
+          original,
+          'He bowed before the elders of the Azure Cloud Sect and prayed to the Heavenly Dao.'
+        ),
+        keepChanged: validator.validate(
+          original,
+          'He bowed before the elders of the Azure Cloud Sect and prayed to the Dao.',
+          [],
+          renderings
+        ),
+      };
+    });
+
+    expect(results.renderings).toEqual({ 'Qingyun Sect': 'Azure Cloud Sect', 'Heavenly Dao': 'Heavenly Dao' });
+    expect(results.followed.valid).toBe(true);
+    expect(results.withoutGlossary.altered).toEqual(['Qingyun Sect']);
+    expect(results.keepChanged.altered).toEqual(['Heavenly Dao']);
+  });
+});
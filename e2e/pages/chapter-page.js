@@ -76,6 +76,7 @@ class ChapterPage {
   chapterContent() { return this.page.locator('.chapter-content'); }
   chrContent()     { return this.page.locator('#chr-content'); }
   toasterText()    { return this.page.locator('#novel-enhancer-text'); }
+  revertParagraphBtn() { return this.page.locator('#novel-enhancer-paragraph-controls button[aria-label^="Revert"]'); }
 
   /**
    * Wait for the element at `selector` to have text different from `originalText`.
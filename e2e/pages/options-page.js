@@ -49,7 +49,10 @@ class OptionsPage {
   contextSizeValue()  { return this.page.locator('[data-testid="context-size-value"]'); }
   timeoutSlider()     { return this.page.locator('[data-testid="timeout"]'); }
   timeoutValue()      { return this.page.locator('[data-testid="timeout-value"]'); }
+  streamResponsesCheckbox() { return this.page.locator('[data-testid="stream-responses"]'); }
   debugModeCheckbox() { return this.page.locator('[data-testid="debug-mode"]'); }
+  ollamaUrlInput()    { return this.page.locator('[data-testid="ollama-url"]'); }
+  llmProviderSelect() { return this.page.locator('[data-testid="llm-provider"]'); }
   testOllamaBtn()     { return this.page.locator('[data-testid="test-ollama"]'); }
   ollamaStatus()      { return this.page.locator('[data-testid="ollama-status"]'); }
 
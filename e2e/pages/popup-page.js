@@ -34,6 +34,7 @@ class PopupPage {
   pauseButton()       { return this.page.locator('[data-testid="pause-button"]'); }
   pauseIcon()         { return this.page.locator('[data-testid="pause-icon"]'); }
   enhanceNowBtn()     { return this.page.locator('[data-testid="enhance-now-btn"]'); }
+  toggleOriginalBtn() { return this.page.locator('[data-testid="toggle-original-btn"]'); }
   currentSite()       { return this.page.locator('[data-testid="current-site"]'); }
   whitelistButton()   { return this.page.locator('[data-testid="whitelist-button"]'); }
   whitelistText()     { return this.page.locator('[data-testid="whitelist-text"]'); }
@@ -0,0 +1,105 @@
+// tests/e2e/specs/epub-export.spec.js
+// EPUB export: the book is built in an extension page and its zip entries are
+// read back from the central directory.
+const { test, expect } = require('../fixtures/extension.fixture');
+
+/**
+ * Builds a book with EpubBuilder and returns every entry as text, in archive order
+ */
+async function buildBook(msgPage, book) {
+  return msgPage.evaluate(async (book) => {
+    const { EpubBuilder } = await import(chrome.runtime.getURL('src/shared/export/epub-builder.js'));
+    const archive = EpubBuilder.build(book);
+    const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+    const decoder = new TextDecoder();
+
+    const endOffset = archive.length - 22;
+    const count = view.getUint16(endOffset + 10, true);
+    let position = view.getUint32(endOffset + 16, true);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      const method = view.getUint16(position + 10, true);
+      const size = view.getUint32(position + 24, true);
+      const nameLength = view.getUint16(position + 28, true);
+      const localOffset = view.getUint32(position + 42, true);
+      const name = decoder.decode(archive.subarray(position + 46, position + 46 + nameLength));
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+      entries.push({ name, method, text: decoder.decode(archive.subarray(dataStart, dataStart + size)) });
+      position += 46 + nameLength;
+    }
+
+    return {
+      signature: view.getUint32(0, true),
+      entries,
+      fileName: EpubBuilder.fileName(book.title),
+    };
+  }, book);
+}
+
+test.describe('EPUB export', () => {
+  test('a book has the EPUB layout with mimetype first and chapters in order', async ({ extensionContext }) => {
+    const book = await buildBook(extensionContext.msgPage, {
+      title: 'Sword: The Return?',
+      identifier: 'example_com__sword',
+      chapters: [
+        { chapterNumber: 2, title: 'The Duel', paragraphs: ['He drew his sword.'] },
+        { chapterNumber: 1, title: '', paragraphs: ['It began at dawn.'] },
+      ],
+      characters: [{ name: 'Lin Feng', gender: 'm', appearances: 12 }],
+    });
+
+    expect(book.signature).toBe(0x04034b50);
+    expect(book.entries.map(({ name }) => name)).toEqual([
+      'mimetype',
+      'META-INF/container.xml',
+      'OEBPS/content.opf',
+      'OEBPS/nav.xhtml',
+      'OEBPS/toc.ncx',
+      'OEBPS/style.css',
+      'OEBPS/chapter-1.xhtml',
+      'OEBPS/chapter-2.xhtml',
+      'OEBPS/characters.xhtml',
+    ]);
+    expect(book.entries.every(({ method }) => method === 0)).toBe(true);
+    expect(book.entries[0].text).toBe('application/epub+zip');
+
+    const entry = (name) => book.entries.find((e) => e.name === name).text;
+    expect(entry('OEBPS/content.opf')).toContain(
+      '<itemref idref="chapter-1"/>\n    <itemref idref="chapter-2"/>\n    <itemref idref="characters"/>'
+    );
+    expect(entry('OEBPS/chapter-1.xhtml')).toContain('<h2>Chapter 1</h2>\n<p>It began at dawn.</p>');
+    expect(entry('OEBPS/characters.xhtml')).toContain('<tr><td>Lin Feng</td><td>Male</td><td>12</td></tr>');
+    expect(book.fileName).toBe('Sword The Return.epub');
+  });
+
+  test('text is escaped for XML and control characters are dropped', async ({ extensionContext }) => {
+    const book = await buildBook(extensionContext.msgPage, {
+      title: 'Tom & "Jerry" <Saga>',
+      identifier: 'example_com__tom_&_jerry',
+      chapters: [
+        { chapterNumber: 1, title: 'Cats & Mice', paragraphs: ["<b>Don't</b> & \u0007stop"] },
+      ],
+    });
+
+    const entry = (name) => book.entries.find((e) => e.name === name).text;
+    expect(book.entries.map(({ name }) => name)).not.toContain('OEBPS/characters.xhtml');
+    expect(entry('OEBPS/chapter-1.xhtml')).toContain('<p>&lt;b&gt;Don&apos;t&lt;/b&gt; &amp; stop</p>');
+    expect(entry('OEBPS/chapter-1.xhtml')).toContain('<title>Cats &amp; Mice</title>');
+    expect(entry('OEBPS/content.opf')).toContain('<dc:title>Tom &amp; &quot;Jerry&quot; &lt;Saga&gt;</dc:title>');
+    expect(entry('OEBPS/content.opf')).toContain('urn:novel-dialogue-enhancer:example_com__tom_&amp;_jerry');
+    expect(entry('OEBPS/toc.ncx')).toContain('<navLabel><text>Cats &amp; Mice</text></navLabel>');
+  });
+
+  test('a book without chapters is refused', async ({ extensionContext }) => {
+    const message = await extensionContext.msgPage.evaluate(async () => {
+      const { EpubBuilder } = await import(chrome.runtime.getURL('src/shared/export/epub-builder.js'));
+      try {
+        EpubBuilder.build({ title: 'Empty', identifier: 'empty', chapters: [] });
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    });
+    expect(message).toBe('Select at least one chapter to export');
+  });
+});
@@ -12,6 +12,8 @@ test.describe('options page UI', () => {
       // toHaveValue auto-retries until the storage callback populates the input
       await expect(options.modelNameInput()).toHaveValue('qwen3.5:4b', { timeout: 8000 });
       await expect(options.temperatureValue()).toHaveText('0.4');
+      await expect(options.ollamaUrlInput()).toHaveValue('http://localhost:11434');
+      await expect(options.llmProviderSelect()).toHaveValue('ollama');
     } finally {
       await options.close();
     }
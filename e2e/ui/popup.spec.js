@@ -12,6 +12,7 @@ test.describe('popup UI', () => {
       await expect(popup.statusMessage()).toBeVisible();
       await expect(popup.pauseButton()).toBeVisible();
       await expect(popup.enhanceNowBtn()).toBeVisible();
+      await expect(popup.toggleOriginalBtn()).toBeVisible();
     } finally {
       await popup.close();
     }
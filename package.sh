@@ -42,6 +42,11 @@ REQUIRED=(
   "src/options/options.css"
   "src/options/options.min.js"
   "src/options/options.min.css"
+  "src/reader/reader.html"
+  "src/reader/reader.js"
+  "src/reader/reader.css"
+  "src/reader/reader.min.js"
+  "src/reader/reader.min.css"
   "src/shared/lib/purify.min.js"
   "src/shared/content/enhancer.js"
   "src/shared/gender/appearance-analyzer.js"
@@ -1,5 +1,6 @@
 #!/usr/bin/env node
-// Verifies that hardcoded defaults in background.js match src/shared/llm/ollama-config.js.
+// Verifies that hardcoded defaults in background.js match src/shared/llm/ollama-config.js,
+// and that its copy of the alias rules matches src/shared/novel/alias-resolver.js.
 // Run with: node scripts/check-config-sync.js
 // Exits non-zero if any value differs.
 
@@ -12,6 +13,7 @@ const root = resolve(__dirname, "..");
 
 const bgText  = readFileSync(resolve(root, "src/background/background.js"), "utf8");
 const cfgText = readFileSync(resolve(root, "src/shared/llm/ollama-config.js"), "utf8");
+const aliasText = readFileSync(resolve(root, "src/shared/novel/alias-resolver.js"), "utf8");
 
 function extractBgConst(name) {
   const m = bgText.match(new RegExp(`const\\s+${name}\\s*=\\s*([^;]+);`));
@@ -19,6 +21,15 @@ function extractBgConst(name) {
   return m[1].trim().replace(/^["']|["']$/g, "");
 }
 
+// Extract a static class field such as "static MIN_FUZZY_LENGTH = 6;" from
+// alias-resolver.js. Whitespace is collapsed so multi-line arrays compare
+// independently of their line breaks.
+function extractAliasStatic(name) {
+  const m = aliasText.match(new RegExp(`static\\s+${name}\\s*=\\s*([^;]+);`));
+  if (!m) throw new Error(`Could not find static ${name} in alias-resolver.js`);
+  return m[1].trim().replace(/\s+/g, " ");
+}
+
 // Extract a value from a dotted path like "OllamaConfig.LLM.TIMEOUT" by
 // finding the parent section first, then the key within it.
 function extractCfgValue(dotPath) {
@@ -51,6 +62,18 @@ const checks = [
   ["DEFAULT_TIMEOUT_SEC",  "OllamaConfig.LLM.TIMEOUT"],
   ["DEFAULT_TEMPERATURE",  "OllamaConfig.LLM.TEMPERATURE"],
   ["DEFAULT_TOP_P",        "OllamaConfig.LLM.TOP_P"],
+  ["LLM_STREAM_PORT_NAME", "OllamaConfig.API.STREAM_PORT"],
+  ["DEFAULT_LLM_PROVIDER", "OllamaConfig.API.PROVIDER"],
+  ["DEFAULT_MAX_CONCURRENT_REQUESTS", "OllamaConfig.LLM.MAX_CONCURRENT_REQUESTS"],
+];
+
+// background.js mirrors AliasResolver for clustering stored characters
+const aliasChecks = [
+  ["ALIAS_TITLE_PREFIXES",       "TITLE_PREFIXES"],
+  ["ALIAS_SUFFIX_PATTERN",       "SUFFIX_PATTERN"],
+  ["ALIAS_SIMILARITY_THRESHOLD", "SIMILARITY_THRESHOLD"],
+  ["ALIAS_MIN_FUZZY_LENGTH",     "MIN_FUZZY_LENGTH"],
+  ["ALIAS_LETTERS_ONLY",         "LETTERS_ONLY"],
 ];
 
 let failures = 0;
@@ -65,8 +88,19 @@ for (const [bgConst, cfgPath] of checks) {
   }
 }
 
+for (const [bgConst, field] of aliasChecks) {
+  const bgVal    = extractBgConst(bgConst).replace(/\s+/g, " ");
+  const aliasVal = extractAliasStatic(field);
+  if (bgVal !== aliasVal) {
+    console.error(`MISMATCH: ${bgConst} = ${bgVal}  vs  AliasResolver.${field} = ${aliasVal}`);
+    failures++;
+  } else {
+    console.log(`OK: ${bgConst} matches AliasResolver.${field}`);
+  }
+}
+
 if (failures > 0) {
-  console.error(`\n${failures} sync error(s) found. Update background.js to match ollama-config.js.`);
+  console.error(`\n${failures} sync error(s) found. Update background.js to match ollama-config.js and alias-resolver.js.`);
   process.exit(1);
 } else {
   console.log("\nAll config values in sync.");
@@ -8,12 +8,18 @@
 //   DEFAULT_TIMEOUT_SEC  → OllamaConfig.LLM.TIMEOUT      (src/shared/llm/ollama-config.js)
 //   DEFAULT_TEMPERATURE  → OllamaConfig.LLM.TEMPERATURE  (src/shared/llm/ollama-config.js)
 //   DEFAULT_TOP_P        → OllamaConfig.LLM.TOP_P        (src/shared/llm/ollama-config.js)
+//   LLM_STREAM_PORT_NAME → OllamaConfig.API.STREAM_PORT  (src/shared/llm/ollama-config.js)
+//   DEFAULT_LLM_PROVIDER → OllamaConfig.API.PROVIDER     (src/shared/llm/ollama-config.js)
+//   DEFAULT_MAX_CONCURRENT_REQUESTS → OllamaConfig.LLM.MAX_CONCURRENT_REQUESTS (src/shared/llm/ollama-config.js)
 const DEFAULT_OLLAMA_URL   = "http://localhost:11434";
 const DEFAULT_MODEL_NAME   = "qwen3.5:4b";
 const DEFAULT_CONTEXT_SIZE = 8192;
 const DEFAULT_TIMEOUT_SEC  = 300;
 const DEFAULT_TEMPERATURE  = 0.4;
 const DEFAULT_TOP_P        = 0.9;
+const LLM_STREAM_PORT_NAME = "ollamaStream";
+const DEFAULT_LLM_PROVIDER = "ollama";
+const DEFAULT_MAX_CONCURRENT_REQUESTS = 1;
 
 const MANIFEST_SITES = [
   "webnovel.com",
@@ -31,8 +37,55 @@ const MANIFEST_SITES = [
   "novelpub.com"
 ];
 
+const MAX_GLOSSARY_TERMS = 500;
+const MAX_ALIASES_PER_CHARACTER = 20;
+const LLM_GENDER_SOURCE = "llm"; // matches GenderConfig.LLM_RESOLUTION.SOURCE
+
+// Structured gender evidence, { analyzer, detail, gender, score, chapter? }
+const EVIDENCE_ANALYZERS = [       // matches GenderConfig.EVIDENCE.ANALYZERS
+  "cultural", "name", "pronoun", "relationship", "appearance",
+  "multi-character", "history", "llm", "manual", "other"
+];
+const MAX_EVIDENCES_PER_CHARACTER = 5;   // matches ExtensionConfig.STORAGE.MAX_EVIDENCE_ENTRIES
+const MAX_EVIDENCE_DETAIL_LENGTH  = 160; // matches GenderConfig.EVIDENCE.MAX_DETAIL_LENGTH
+// "prefix: detail" labels of the free-text evidence stored before schema v4
+const LEGACY_EVIDENCE_ANALYZERS = {
+  "multi-char": "multi-character",
+  context: "multi-character",
+  dialogue: "multi-character",
+  interaction: "multi-character",
+  title: "name",
+  "name pattern": "name",
+  cultural: "cultural",
+  relationship: "relationship",
+  role: "relationship",
+  appearance: "appearance",
+  description: "appearance",
+  pronoun: "pronoun",
+  "existing-map": "history",
+  llm: "llm"
+};
+// Per-chapter gender votes, { m, f, chapter?, source? }, newest chapter first
+const GENDER_VOTE_DECAY        = 0.85; // weight of each older chapter relative to the next
+const MAX_GENDER_VOTE_CHAPTERS = 20;   // older votes add less than 5% and are dropped
+const PREFETCH_FETCH_TIMEOUT_MS = 20000;
+const PREFETCH_MAX_HTML_BYTES   = 2 * 1024 * 1024;
+
+// Running generation requests: AbortController → { tabId, frameId, url, prefetch } of the page that asked
 const activeRequestControllers = new Map();
+// Abort reasons that mean nobody wants the reply any more, as opposed to a timeout
+const TERMINATION_REASONS = new Set(["USER_TERMINATED", "TAB_CLOSED", "TAB_NAVIGATED", "PORT_DISCONNECTED"]);
+// Generation requests from every tab share one queue; see enqueueLlmRequest
+const MAX_CONCURRENT_REQUESTS_LIMIT = 4;
+const llmRequestQueue = [];
+let runningLlmRequests = 0;
+let llmConcurrencyLimit = DEFAULT_MAX_CONCURRENT_REQUESTS;
+let llmQueueSequence = 0;
+let activeTabId = null;
+const reportedQueuePositions = new WeakMap(); // queue entry → last `ahead` sent to its tab
 let novelCharacterMaps = {};
+let novelIndex = {};          // novelId → { lastAccess, bytes, manual }, mirrors NOVEL_INDEX_KEY
+let novelStorageIsNewer = false; // stored schema is newer than this version: novel data is read-only
 let isBackgroundReady = false;
 let initializationPromise = null;
 let globalStats = {
@@ -43,6 +96,9 @@ let globalStats = {
   totalCharactersDetected: 0,
   enhancementSessions: 0,
   totalErrorCount: 0,
+  totalAlignmentFallbacks: 0,
+  totalNameViolations: 0,
+  totalGlossaryViolations: 0,
   lastEnhancementDate: null,
   firstEnhancementDate: null
 };
@@ -57,9 +113,69 @@ const LLM_CACHE_PREFIX = "llmCache_";
 const CLEANUP_ALARM_NAME = "periodicStorageCleanup";
 const NOVEL_PURGE_AGE_MS = 90 * 24 * 60 * 60 * 1000; // 90 days (3 months)
 const CLEANUP_ALARM_PERIOD_MINUTES = 24 * 60;          // run once per day
-const MAX_NOVEL_DATA_BYTES = 100000;
+const MAX_NOVEL_DATA_BYTES = 3 * 1024 * 1024;        // all novel keys together; LRU-evicted above this
 const MAX_CHARS_PER_NOVEL = 80;
 
+// Storage schema: bump STORAGE_SCHEMA_VERSION together with a new STORAGE_MIGRATIONS entry
+const STORAGE_SCHEMA_KEY     = "schemaVersion";
+const STORAGE_SCHEMA_VERSION = 4;
+const QUARANTINE_KEY         = "quarantinedNovels";
+const MAX_QUARANTINED_NOVELS = 20;                     // newest kept; older ones also expire after NOVEL_PURGE_AGE_MS
+const NOVEL_INDEX_KEY        = "novelIndex";           // matches ExtensionConfig.STORAGE.NOVEL_INDEX_KEY
+const NOVEL_KEY_PREFIX       = "novel_";               // matches ExtensionConfig.STORAGE.NOVEL_KEY_PREFIX
+const LEGACY_NOVEL_MAPS_KEY  = "novelCharacterMaps";   // single key holding every novel before schema v3
+const GENDER_CODE_BY_NAME    = { male: "m", female: "f", unknown: "u" };
+
+// Bulk enhancement jobs
+const ENHANCE_JOBS_KEY          = "enhanceJobs";
+const JOB_ALARM_NAME            = "enhanceJobWatchdog";
+const JOB_ALARM_PERIOD_MINUTES  = 1;
+const JOB_CHAPTER_PLACEHOLDER   = "{n}";        // matches ChapterDetector.CHAPTER_PLACEHOLDER
+const JOB_TAB_HASH              = "#nde-job";   // matches ExtensionConfig.JOBS.TAB_HASH
+const MAX_JOB_CHAPTERS          = 500;
+const JOB_PAGE_LOAD_TIMEOUT_MS  = 60 * 1000;
+const JOB_CHAPTER_TIMEOUT_MS    = 20 * 60 * 1000;
+const JOB_CONTENT_SCRIPT_FILE   = "src/content/content.min.js";
+let enhanceJobs = {};
+let _jobRunnerActive = false;
+
+// Enhanced-chapter library (IndexedDB: chrome.storage.local is too small for chapter text)
+const LIBRARY_DB_NAME    = "novelLibrary";
+const LIBRARY_DB_VERSION = 1;
+const LIBRARY_STORE      = "chapters";
+let _libraryDbPromise = null;
+
+// Data backup (export/import of novels, stats, settings and whitelist)
+const BACKUP_FORMAT       = "novel-dialogue-enhancer-backup";
+const BACKUP_VERSION      = 1;
+const BACKUP_GENDER_CODES = ["m", "f", "u"];
+const HOSTNAME_PATTERN    = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+
+// Sync settings written on install; the whitelist is merged in separately
+const SYNC_SETTING_DEFAULTS = {
+  isExtensionPaused: false,
+  preserveNames:     true,
+  fixPronouns:       true,
+  modelName:         DEFAULT_MODEL_NAME,
+  contextSize:       DEFAULT_CONTEXT_SIZE,
+  timeout:           DEFAULT_TIMEOUT_SEC,
+  disabledPages:     [],
+  temperature:       DEFAULT_TEMPERATURE,
+  topP:              DEFAULT_TOP_P,
+  ollamaUrl:         DEFAULT_OLLAMA_URL,
+  llmProvider:       DEFAULT_LLM_PROVIDER,
+  maxConcurrentRequests: DEFAULT_MAX_CONCURRENT_REQUESTS,
+  prefetchQueueDepth: 0
+};
+// Settings a backup may restore: the install defaults plus the options page
+// toggles that have none. Anything else in a backup is reported and skipped.
+const IMPORTABLE_SETTING_KEYS = [
+  ...Object.keys(SYNC_SETTING_DEFAULTS),
+  "streamResponses",
+  "darkMode",
+  "debugMode"
+];
+
 // Badge state
 let _isProcessing    = false;
 let _badgeClearTimer = null;
@@ -112,7 +228,8 @@ function initializeBackground() {
   }
 
   initializationPromise = new Promise((resolve) => {
-    chrome.storage.local.get(["globalStats", "novelCharacterMaps"], (data) => {
+    const keys = ["globalStats", LEGACY_NOVEL_MAPS_KEY, NOVEL_INDEX_KEY, STORAGE_SCHEMA_KEY, QUARANTINE_KEY];
+    chrome.storage.local.get(keys, async (data) => {
       if (chrome.runtime.lastError) {
         console.warn(
           "Error loading background data:",
@@ -122,11 +239,13 @@ function initializeBackground() {
         if (data.globalStats) {
           globalStats = { ...globalStats, ...data.globalStats };
         }
-        if (data.novelCharacterMaps) {
-          novelCharacterMaps = data.novelCharacterMaps;
-        } else {
+        try {
+          ({ maps: novelCharacterMaps, index: novelIndex } = await upgradeNovelStorage(data));
+        } catch (error) {
+          console.error("Error upgrading stored novel data:", error);
+          // Keep the stored index so later writes do not orphan novels we failed to read
           novelCharacterMaps = {};
-          chrome.storage.local.set({ novelCharacterMaps: {} });
+          novelIndex = isPlainObject(data[NOVEL_INDEX_KEY]) ? data[NOVEL_INDEX_KEY] : {};
         }
       }
 
@@ -144,6 +263,463 @@ function initializeBackground() {
   return initializationPromise;
 }
 
+/**
+ * @param {*} value
+ * @return {boolean} - True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Sorts a free-text evidence line from before schema v4 under the analyzer
+ * named by its "prefix: detail" label
+ * @param {string} text
+ * @return {{analyzer: string, detail: string}}
+ */
+function parseLegacyEvidence(text) {
+  const match = text.match(/^([a-z -]+):/i);
+  const analyzer = match && LEGACY_EVIDENCE_ANALYZERS[match[1].toLowerCase()];
+  if (analyzer) return { analyzer, detail: text };
+  if (/^manually set to /i.test(text)) return { analyzer: "manual", detail: text };
+  return { analyzer: "other", detail: text };
+}
+
+/**
+ * Brings an evidence entry into the stored shape. Free-text entries from
+ * older versions get no gender, score or chapter.
+ * @param {*} item - Structured entry or legacy text
+ * @param {number} [chapter] - Chapter the entry came from, used when it names none
+ * @return {object|null} - Null when the entry is unusable
+ */
+function normalizeEvidence(item, chapter) {
+  let evidence;
+  if (typeof item === "string") {
+    evidence = { ...parseLegacyEvidence(item.trim()), gender: "u", score: 0 };
+  } else if (isPlainObject(item) && typeof item.detail === "string") {
+    evidence = {
+      analyzer: EVIDENCE_ANALYZERS.includes(item.analyzer) ? item.analyzer : "other",
+      detail: item.detail,
+      gender: BACKUP_GENDER_CODES.includes(item.gender) ? item.gender : "u",
+      score: Math.max(0, Math.round((parseFloat(item.score) || 0) * 100) / 100)
+    };
+    const itemChapter = parseInt(item.chapter, 10);
+    if (!isNaN(itemChapter)) evidence.chapter = itemChapter;
+  } else {
+    return null;
+  }
+
+  evidence.detail = evidence.detail.trim().slice(0, MAX_EVIDENCE_DETAIL_LENGTH);
+  if (!evidence.detail) return null;
+  if (evidence.chapter === undefined && Number.isInteger(chapter)) evidence.chapter = chapter;
+  return evidence;
+}
+
+/**
+ * Normalizes evidence, drops repeats of the same analyzer and detail and
+ * keeps the first MAX_EVIDENCES_PER_CHARACTER entries
+ * @param {Array} items - Most important first; earlier entries win over repeats
+ * @param {number} [chapter] - Stamped on entries that name no chapter
+ * @return {Array<object>}
+ */
+function mergeEvidences(items, chapter) {
+  const seen = new Set();
+  return items
+    .map((item) => normalizeEvidence(item, chapter))
+    .filter((item) => {
+      if (!item) return false;
+      const key = `${item.analyzer}|${item.detail.toLowerCase()}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_EVIDENCES_PER_CHARACTER);
+}
+
+/**
+ * Brings a chapter's gender vote into the stored shape
+ * @param {*} vote - { m, f, chapter?, source? } as sent by the content script
+ * @param {number} [chapter] - Chapter the vote came from, used when it names none
+ * @return {object|null} - Null when the vote is unusable or carries no weight
+ */
+function normalizeGenderVote(vote, chapter) {
+  if (!isPlainObject(vote)) return null;
+
+  const weight = (value) => Math.min(1, Math.max(0, Math.round((parseFloat(value) || 0) * 100) / 100));
+  const entry = { m: weight(vote.m), f: weight(vote.f) };
+  if (entry.m === 0 && entry.f === 0) return null;
+
+  const voteChapter = parseInt(vote.chapter, 10);
+  if (!isNaN(voteChapter)) {
+    entry.chapter = voteChapter;
+  } else if (Number.isInteger(chapter)) {
+    entry.chapter = chapter;
+  }
+  if (vote.source === LLM_GENDER_SOURCE) entry.source = LLM_GENDER_SOURCE;
+  return entry;
+}
+
+/**
+ * Orders votes newest chapter first, votes without a chapter last, and keeps
+ * the MAX_GENDER_VOTE_CHAPTERS most recent
+ * @param {Array<object>} votes
+ * @return {Array<object>}
+ */
+function sortGenderVotes(votes) {
+  const position = (vote) => (Number.isInteger(vote.chapter) ? vote.chapter : -1);
+  return [...votes]
+    .sort((a, b) => position(b) - position(a))
+    .slice(0, MAX_GENDER_VOTE_CHAPTERS);
+}
+
+/**
+ * Adds a chapter's vote, replacing an earlier one from the same chapter so a
+ * re-read or re-synced chapter is not counted twice
+ * @param {Array<object>} votes - Stored votes
+ * @param {object} vote - Normalized vote
+ * @return {Array<object>}
+ */
+function recordGenderVote(votes, vote) {
+  return sortGenderVotes([
+    vote,
+    ...votes.filter((item) => !Number.isInteger(vote.chapter) || item.chapter !== vote.chapter)
+  ]);
+}
+
+/**
+ * Votes of two name variants of one character; their votes for the same
+ * chapter are added up
+ * @param {Array<object>} target
+ * @param {Array<object>} source
+ * @return {Array<object>}
+ */
+function combineGenderVotes(target, source) {
+  const combined = target.map((vote) => ({ ...vote }));
+  source.forEach((vote) => {
+    const same = Number.isInteger(vote.chapter) && combined.find((item) => item.chapter === vote.chapter);
+    if (!same) {
+      combined.push({ ...vote });
+      return;
+    }
+    same.m = Math.min(1, Math.round((same.m + vote.m) * 100) / 100);
+    same.f = Math.min(1, Math.round((same.f + vote.f) * 100) / 100);
+    if (same.source !== vote.source) delete same.source;
+  });
+  return sortGenderVotes(combined);
+}
+
+/**
+ * A character's stored votes. Characters detected before votes were kept
+ * get one vote without a chapter for their stored gender; a gender set by
+ * hand is not a detection and casts none.
+ * @param {object} char - Stored character
+ * @return {Array<object>}
+ */
+function characterGenderVotes(char) {
+  if (Array.isArray(char.votes?.chapters)) return char.votes.chapters;
+  if (char.manualOverride) return [];
+
+  const seed = normalizeGenderVote({
+    m: char.gender === "m" ? char.confidence : 0,
+    f: char.gender === "f" ? char.confidence : 0,
+    source: char.genderSource
+  });
+  return seed ? [seed] : [];
+}
+
+/**
+ * Recency-weighted totals of a character's votes. The newest chapter counts
+ * fully and each older one GENDER_VOTE_DECAY times less than the next;
+ * confidence is the winning margin per weighted chapter. The source is that
+ * of the newest vote for the winning gender.
+ * @param {Array<object>} votes - Newest chapter first
+ * @return {{m: number, f: number, gender: string, confidence: number, source?: string}}
+ */
+function tallyGenderVotes(votes) {
+  let male = 0;
+  let female = 0;
+  let weight = 0;
+  votes.forEach((vote, rank) => {
+    const decay = GENDER_VOTE_DECAY ** rank;
+    male += vote.m * decay;
+    female += vote.f * decay;
+    weight += decay;
+  });
+
+  const totals = { m: Math.round(male * 100) / 100, f: Math.round(female * 100) / 100 };
+  if (weight === 0 || male === female) return { ...totals, gender: "u", confidence: 0 };
+
+  const [gender, other] = male > female ? ["m", "f"] : ["f", "m"];
+  const latest = votes.find((vote) => vote[gender] > vote[other]);
+  return {
+    ...totals,
+    gender,
+    confidence: Math.min(1, Math.round((Math.abs(male - female) / weight) * 100) / 100),
+    source: latest?.source
+  };
+}
+
+/**
+ * Schema v2: characters store `evidences` (some older writers used
+ * `evidence`), genders are single-letter codes and chapter numbers integers
+ * @param {object} entry - Stored novel entry
+ * @return {object}
+ */
+function migrateNovelToV2(entry) {
+  if (!isPlainObject(entry)) return entry;
+
+  const migrated = { ...entry };
+
+  if (isPlainObject(entry.chars)) {
+    migrated.chars = Object.fromEntries(
+      Object.entries(entry.chars).map(([id, char]) => {
+        if (!isPlainObject(char)) return [id, char];
+
+        const { evidence, ...rest } = char;
+        const next = { ...rest };
+        const evidences = [
+          ...(Array.isArray(char.evidences) ? char.evidences : []),
+          ...(Array.isArray(evidence) ? evidence : typeof evidence === "string" ? [evidence] : [])
+        ];
+        if (evidences.length > 0) {
+          next.evidences = [...new Set(evidences)].slice(0, MAX_EVIDENCES_PER_CHARACTER);
+        } else {
+          delete next.evidences;
+        }
+        if (GENDER_CODE_BY_NAME[char.gender]) {
+          next.gender = GENDER_CODE_BY_NAME[char.gender];
+        }
+        return [id, next];
+      })
+    );
+  }
+
+  if (Array.isArray(entry.chaps)) {
+    migrated.chaps = [...new Set(
+      entry.chaps.map((num) => parseInt(num, 10)).filter((num) => !isNaN(num))
+    )];
+  }
+
+  return migrated;
+}
+
+/**
+ * Schema v4: evidence lines become `{analyzer, detail, gender, score}` entries
+ * @param {object} entry - Stored novel entry
+ * @return {object}
+ */
+function migrateNovelToV4(entry) {
+  if (!isPlainObject(entry) || !isPlainObject(entry.chars)) return entry;
+
+  return {
+    ...entry,
+    chars: Object.fromEntries(
+      Object.entries(entry.chars).map(([id, char]) => {
+        if (!isPlainObject(char) || !Array.isArray(char.evidences)) return [id, char];
+
+        const next = { ...char, evidences: mergeEvidences(char.evidences) };
+        if (next.evidences.length === 0) delete next.evidences;
+        return [id, next];
+      })
+    )
+  };
+}
+
+/**
+ * Ordered storage migrations. Each upgrades `novelCharacterMaps` from
+ * `version - 1` to `version` and must tolerate malformed entries, which are
+ * quarantined after all migrations have run.
+ */
+const STORAGE_MIGRATIONS = [
+  {
+    version: 2,
+    description: "evidence → evidences, gender names → codes, integer chapter numbers",
+    migrate: (maps) => Object.fromEntries(
+      Object.entries(maps).map(([novelId, entry]) => [novelId, migrateNovelToV2(entry)])
+    )
+  },
+  {
+    // Layout only: upgradeNovelStorage reads LEGACY_NOVEL_MAPS_KEY below v3
+    // and writes one key per novel
+    version: 3,
+    description: "one storage key per novel plus an index",
+    migrate: (maps) => maps
+  },
+  {
+    version: 4,
+    description: "free-text evidences → structured evidence entries",
+    migrate: (maps) => Object.fromEntries(
+      Object.entries(maps).map(([novelId, entry]) => [novelId, migrateNovelToV4(entry)])
+    )
+  }
+];
+
+/**
+ * Runs every migration newer than `fromVersion`
+ * @param {object} maps - novelCharacterMaps as stored
+ * @param {number} fromVersion - Schema version the maps were written with
+ * @return {object} - Maps in the current schema
+ */
+function migrateNovelMaps(maps, fromVersion) {
+  return STORAGE_MIGRATIONS
+    .filter(({ version }) => version > fromVersion)
+    .reduce((current, { version, description, migrate }) => {
+      console.log(`Migrating novel data to schema v${version}: ${description}`);
+      return migrate(current);
+    }, maps);
+}
+
+/**
+ * @param {*} entry - Stored novel entry
+ * @return {string|null} - Why the entry cannot be used, or null when valid
+ */
+function validateNovelEntry(entry) {
+  if (!isPlainObject(entry)) return "entry is not an object";
+  if (!isPlainObject(entry.chars)) return "chars is missing or not an object";
+  if (entry.chaps !== undefined && !Array.isArray(entry.chaps)) return "chaps is not a list";
+
+  const badId = Object.keys(entry.chars).find((id) => {
+    const char = entry.chars[id];
+    return !isPlainObject(char) || typeof char.name !== "string" || !char.name.trim();
+  });
+  if (badId !== undefined) return `character ${badId} has no name`;
+
+  return null;
+}
+
+/**
+ * @param {string} novelId
+ * @return {string} - chrome.storage.local key holding the novel's entry
+ */
+function novelStorageKey(novelId) {
+  return `${NOVEL_KEY_PREFIX}${novelId}`;
+}
+
+/**
+ * What eviction needs to know about a novel without loading it
+ * @param {object} entry - Novel entry
+ * @return {{lastAccess: number, bytes: number, manual: boolean}}
+ */
+function buildNovelIndexEntry(entry) {
+  return {
+    lastAccess: entry.lastAccess || 0,
+    bytes: new Blob([JSON.stringify(entry)]).size,
+    manual: Object.values(entry.chars || {}).some(isCharacterLocked)
+  };
+}
+
+/**
+ * Drops quarantined entries older than NOVEL_PURGE_AGE_MS and keeps the
+ * newest MAX_QUARANTINED_NOVELS of the rest
+ * @param {object} entries - QUARANTINE_KEY contents
+ * @param {number} [now]
+ * @return {object}
+ */
+function trimQuarantine(entries, now = Date.now()) {
+  return Object.fromEntries(
+    Object.entries(entries)
+      .filter(([, item]) => now - (item?.quarantinedAt || 0) < NOVEL_PURGE_AGE_MS)
+      .sort(([, a], [, b]) => b.quarantinedAt - a.quarantinedAt)
+      .slice(0, MAX_QUARANTINED_NOVELS)
+  );
+}
+
+/**
+ * Reads stored novel data (LEGACY_NOVEL_MAPS_KEY below schema v3, per-novel
+ * keys from v3), brings it up to STORAGE_SCHEMA_VERSION and moves entries that
+ * fail validation to QUARANTINE_KEY, where they are kept for inspection
+ * instead of being dropped
+ * @param {object} data - chrome.storage.local items
+ * @return {Promise<{maps: object, index: object}>} - Valid novels and their index
+ */
+async function upgradeNovelStorage(data) {
+  const storedVersion = Number.isInteger(data[STORAGE_SCHEMA_KEY]) ? data[STORAGE_SCHEMA_KEY] : 1;
+  const legacyLayout = storedVersion < 3;
+  const quarantined = {};
+  let maps;
+
+  if (legacyLayout) {
+    maps = data[LEGACY_NOVEL_MAPS_KEY];
+    if (maps !== undefined && !isPlainObject(maps)) {
+      quarantined[LEGACY_NOVEL_MAPS_KEY] = { entry: maps, reason: "novel data is not an object" };
+      maps = {};
+    }
+    maps = maps || {};
+  } else {
+    const novelIds = Object.keys(isPlainObject(data[NOVEL_INDEX_KEY]) ? data[NOVEL_INDEX_KEY] : {});
+    const stored = novelIds.length > 0
+      ? await chrome.storage.local.get(novelIds.map(novelStorageKey))
+      : {};
+    maps = Object.fromEntries(
+      novelIds
+        .filter((novelId) => novelStorageKey(novelId) in stored)
+        .map((novelId) => [novelId, stored[novelStorageKey(novelId)]])
+    );
+  }
+
+  // Data written by a newer version (e.g. after a downgrade) is loaded as is
+  // and never written back, so upgrading again finds it untouched
+  novelStorageIsNewer = storedVersion > STORAGE_SCHEMA_VERSION;
+  if (novelStorageIsNewer) {
+    console.warn(
+      `Stored data uses schema v${storedVersion}, newer than v${STORAGE_SCHEMA_VERSION}; novel data is read-only`
+    );
+    return {
+      maps: Object.fromEntries(Object.entries(maps).filter(([, entry]) => isPlainObject(entry))),
+      index: isPlainObject(data[NOVEL_INDEX_KEY]) ? data[NOVEL_INDEX_KEY] : {}
+    };
+  }
+
+  maps = migrateNovelMaps(maps, storedVersion);
+
+  const valid = {};
+  Object.entries(maps).forEach(([novelId, entry]) => {
+    const reason = validateNovelEntry(entry);
+    if (reason) {
+      console.warn(`Quarantining novel ${novelId}: ${reason}`);
+      quarantined[novelId] = { entry, reason };
+    } else {
+      valid[novelId] = entry;
+    }
+  });
+
+  const index = Object.fromEntries(
+    Object.entries(valid).map(([novelId, entry]) => [novelId, buildNovelIndexEntry(entry)])
+  );
+
+  const migrated = storedVersion < STORAGE_SCHEMA_VERSION;
+  const quarantineCount = Object.keys(quarantined).length;
+
+  if (migrated || quarantineCount > 0) {
+    const now = Date.now();
+    const update = { [NOVEL_INDEX_KEY]: index };
+    if (migrated) {
+      update[STORAGE_SCHEMA_KEY] = STORAGE_SCHEMA_VERSION;
+      Object.entries(valid).forEach(([novelId, entry]) => {
+        update[novelStorageKey(novelId)] = entry;
+      });
+    }
+    if (quarantineCount > 0) {
+      update[QUARANTINE_KEY] = trimQuarantine({
+        ...(isPlainObject(data[QUARANTINE_KEY]) ? data[QUARANTINE_KEY] : {}),
+        ...Object.fromEntries(
+          Object.entries(quarantined).map(([novelId, item]) => [novelId, { ...item, quarantinedAt: now }])
+        )
+      }, now);
+    }
+    await chrome.storage.local.set(update);
+
+    const obsoleteKeys = legacyLayout
+      ? (data[LEGACY_NOVEL_MAPS_KEY] !== undefined ? [LEGACY_NOVEL_MAPS_KEY] : [])
+      : Object.keys(quarantined).map(novelStorageKey);
+    if (obsoleteKeys.length > 0) {
+      await chrome.storage.local.remove(obsoleteKeys);
+    }
+  }
+
+  return { maps: valid, index };
+}
+
 /**
  * Updates global statistics
  * @param {object} statsUpdate - Object containing statistics to update
@@ -172,6 +748,21 @@ function updateGlobalStats(statsUpdate) {
     globalStats.totalErrorCount += statsUpdate.errorCount;
   }
 
+  if (statsUpdate.alignmentFallbacks) {
+    globalStats.totalAlignmentFallbacks =
+      (globalStats.totalAlignmentFallbacks || 0) + statsUpdate.alignmentFallbacks;
+  }
+
+  if (statsUpdate.nameViolations) {
+    globalStats.totalNameViolations =
+      (globalStats.totalNameViolations || 0) + statsUpdate.nameViolations;
+  }
+
+  if (statsUpdate.glossaryViolations) {
+    globalStats.totalGlossaryViolations =
+      (globalStats.totalGlossaryViolations || 0) + statsUpdate.glossaryViolations;
+  }
+
   if (statsUpdate.enhancementSession) {
     globalStats.enhancementSessions += 1;
     globalStats.lastEnhancementDate = now;
@@ -219,7 +810,344 @@ function getNextCharacterId(charMap) {
 }
 
 /**
- * Purges old novels from the character maps
+ * Cleans a glossary received from the options page before it is stored.
+ * Mirrors Glossary.normalize in src/shared/novel/glossary.js.
+ * @param {object} raw - { terms: { source: rendering }, keep: [term] }
+ * @return {{terms: object, keep: Array<string>}}
+ */
+function normalizeGlossary(raw) {
+  const glossary = { terms: {}, keep: [] };
+  if (!raw || typeof raw !== "object") return glossary;
+
+  Object.entries(raw.terms || {}).forEach(([source, rendering]) => {
+    const from = String(source).trim();
+    const to = String(rendering ?? "").trim();
+    if (from && to && Object.keys(glossary.terms).length < MAX_GLOSSARY_TERMS) {
+      glossary.terms[from] = to;
+    }
+  });
+
+  const keep = Array.isArray(raw.keep) ? raw.keep : [];
+  glossary.keep = [...new Set(keep.map((term) => String(term).trim()).filter(Boolean))]
+    .slice(0, MAX_GLOSSARY_TERMS);
+
+  return glossary;
+}
+
+// Character aliases. Mirrors AliasResolver in src/shared/novel/alias-resolver.js:
+// name variants of one character are folded into the canonical entry's
+// `aliases`, and `distinct` lists names the user split off. The constants
+// below are checked against AliasResolver by scripts/check-config-sync.js.
+const ALIAS_TITLE_PREFIXES = [
+  "young master", "young miss", "young lady",
+  "senior brother", "senior sister", "junior brother", "junior sister",
+  "elder brother", "elder sister", "big brother", "big sister",
+  "little brother", "little sister",
+  "brother", "sister", "senior", "junior", "elder", "master",
+  "lady", "lord", "sir", "madam", "miss", "mrs.", "mrs", "mr.", "mr", "ms.", "ms",
+  "uncle", "aunt", "little", "old"
+];
+const ALIAS_SUFFIX_PATTERN = /['’-](er|gege|ge|jiejie|jie|meimei|mei|didi|di|xiong)$/;
+const ALIAS_SIMILARITY_THRESHOLD = 0.88;
+const ALIAS_MIN_FUZZY_LENGTH = 6;
+const ALIAS_LETTERS_ONLY = /^[\p{L}' -]+$/u;
+
+/**
+ * @param {string} name
+ * @return {string} - Lowercase name without titles or suffixes
+ */
+function stripNameTitles(name) {
+  let core = String(name || "").trim().replace(/\s+/g, " ").toLowerCase();
+
+  let stripped = true;
+  while (stripped) {
+    stripped = false;
+    for (const title of ALIAS_TITLE_PREFIXES) {
+      if (core.startsWith(`${title} `)) {
+        core = core.slice(title.length + 1);
+        stripped = true;
+        break;
+      }
+    }
+  }
+
+  return core.replace(ALIAS_SUFFIX_PATTERN, "");
+}
+
+/**
+ * @param {string} str1
+ * @param {string} str2
+ * @return {number} - Edit-distance similarity, 1 for identical strings
+ */
+function nameSimilarity(str1, str2) {
+  const longer = str1.length > str2.length ? str1 : str2;
+  const shorter = str1.length > str2.length ? str2 : str1;
+  if (longer.length === 0) return 1.0;
+
+  let previous = Array.from({ length: shorter.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= longer.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= shorter.length; j++) {
+      const cost = longer[i - 1] === shorter[j - 1] ? 0 : 1;
+      current.push(Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost));
+    }
+    previous = current;
+  }
+
+  return (longer.length - previous[shorter.length]) / longer.length;
+}
+
+/**
+ * @param {Array<string>} names
+ * @return {Set<string>} - Single-word cores shared by several multi-word names
+ */
+function ambiguousNameTokens(names) {
+  const owners = new Map();
+  new Set(names.map(stripNameTitles)).forEach((core) => {
+    const tokens = core.split(" ");
+    if (tokens.length < 2) return;
+    tokens.forEach((token) => owners.set(token, (owners.get(token) || 0) + 1));
+  });
+
+  return new Set([...owners].filter(([, count]) => count > 1).map(([token]) => token));
+}
+
+/**
+ * @param {string} nameA
+ * @param {string} nameB
+ * @param {Set<string>} ambiguous - From ambiguousNameTokens
+ * @return {boolean} - True when both names likely refer to one character
+ */
+function isNameAlias(nameA, nameB, ambiguous) {
+  const coreA = stripNameTitles(nameA);
+  const coreB = stripNameTitles(nameB);
+  if (!coreA || !coreB) return false;
+  if (coreA === coreB) return true;
+
+  const tokensA = coreA.split(" ");
+  const tokensB = coreB.split(" ");
+  if ((tokensA.length === 1) !== (tokensB.length === 1)) {
+    const [single, tokens] = tokensA.length === 1 ? [coreA, tokensB] : [coreB, tokensA];
+    return tokens.includes(single) && !ambiguous.has(single);
+  }
+
+  return (
+    Math.min(coreA.length, coreB.length) >= ALIAS_MIN_FUZZY_LENGTH &&
+    ALIAS_LETTERS_ONLY.test(coreA) &&
+    ALIAS_LETTERS_ONLY.test(coreB) &&
+    nameSimilarity(coreA, coreB) >= ALIAS_SIMILARITY_THRESHOLD
+  );
+}
+
+/**
+ * @param {object} char - Stored character
+ * @return {Array<string>} - Its name followed by its aliases
+ */
+function characterNames(char) {
+  return [char.name, ...(Array.isArray(char.aliases) ? char.aliases : [])];
+}
+
+/**
+ * @param {object} chars - Character map of a novel
+ * @param {string} name
+ * @return {string|null} - ID of the character with that name or alias
+ */
+function findCharacterIdByName(chars, name) {
+  const wanted = String(name).toLowerCase();
+  const id = Object.keys(chars).find((charId) =>
+    chars[charId] && characterNames(chars[charId]).some((n) => n.toLowerCase() === wanted)
+  );
+  return id === undefined ? null : id;
+}
+
+/**
+ * Locked characters keep their gender: automatic analysis, alias pooling,
+ * trimming, eviction and backup imports never replace it. A manual gender
+ * override always locks; `locked` also freezes a detected gender.
+ * @param {object} char - Stored character
+ * @return {boolean}
+ */
+function isCharacterLocked(char) {
+  return char?.manualOverride === true || char?.locked === true;
+}
+
+/**
+ * @param {object} char - Stored character
+ * @return {string|null} - The gender a lock holds, null when unlocked or unknown
+ */
+function lockedCharacterGender(char) {
+  return isCharacterLocked(char) && (char.gender === "m" || char.gender === "f") ? char.gender : null;
+}
+
+/**
+ * @param {object} a - Stored character
+ * @param {object} b - Stored character
+ * @return {boolean} - True when both are locked to different genders and must stay apart
+ */
+function haveConflictingLocks(a, b) {
+  const genderA = lockedCharacterGender(a);
+  const genderB = lockedCharacterGender(b);
+  return Boolean(genderA && genderB && genderA !== genderB);
+}
+
+/**
+ * Combined gender of a group of variants. A manual override wins, then a
+ * locked character; otherwise each guess is weighted by its confidence and
+ * appearances.
+ * @param {Array<object>} members - Stored characters
+ * @return {{gender: string, confidence: number}}
+ */
+function poolAliasGender(members) {
+  const manual = members.find((member) => member.manualOverride) || members.find(isCharacterLocked);
+  if (manual) return { gender: manual.gender, confidence: manual.confidence || 1 };
+
+  const scores = { m: 0, f: 0 };
+  let weight = 0;
+  members.forEach((member) => {
+    if (!(member.gender in scores)) return;
+    const memberWeight = Math.max(1, member.appearances || 0);
+    scores[member.gender] += memberWeight * (parseFloat(member.confidence) || 0);
+    weight += memberWeight;
+  });
+
+  if (weight === 0 || scores.m === scores.f) return { gender: "u", confidence: 0 };
+
+  const winner = scores.m > scores.f ? "m" : "f";
+  return { gender: winner, confidence: Math.round((scores[winner] / weight) * 100) / 100 };
+}
+
+/**
+ * Folds `source` into `target`: names become aliases, appearances add up and
+ * the gender is pooled. Once either side has chapter votes, their combined
+ * votes decide the gender unless a side is locked.
+ * @param {object} target - Character that stays canonical
+ * @param {object} source - Character being absorbed
+ * @return {object} - The merged character
+ */
+function mergeCharacterEntries(target, source) {
+  const targetName = target.name.toLowerCase();
+  const seen = new Set([targetName]);
+  const aliases = [...(target.aliases || []), ...characterNames(source)]
+    .filter((name) => {
+      const key = name.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_ALIASES_PER_CHARACTER);
+
+  const voted = Array.isArray(target.votes?.chapters) || Array.isArray(source.votes?.chapters);
+  const votes = voted
+    ? combineGenderVotes(characterGenderVotes(target), characterGenderVotes(source))
+    : [];
+  const tally = tallyGenderVotes(votes);
+  const byVotes = voted && !isCharacterLocked(target) && !isCharacterLocked(source);
+
+  const pooled = byVotes
+    ? { gender: tally.gender, confidence: tally.confidence }
+    : poolAliasGender([target, source]);
+  const merged = {
+    ...target,
+    ...pooled,
+    appearances: (target.appearances || 0) + (source.appearances || 0),
+    aliases
+  };
+
+  let genderSource = (pooled.gender === target.gender ? target : source).genderSource;
+  if (byVotes) genderSource = tally.source;
+  if (genderSource) {
+    merged.genderSource = genderSource;
+  } else {
+    delete merged.genderSource;
+  }
+
+  if (voted) merged.votes = { m: tally.m, f: tally.f, chapters: votes };
+
+  const evidences = mergeEvidences([...(target.evidences || []), ...(source.evidences || [])]);
+  if (evidences.length > 0) merged.evidences = evidences;
+  if (source.manualOverride) merged.manualOverride = true;
+  if (source.locked) merged.locked = true;
+
+  const distinct = [...new Set([...(target.distinct || []), ...(source.distinct || [])])]
+    .filter((name) => !seen.has(name.toLowerCase()));
+  if (distinct.length > 0) {
+    merged.distinct = distinct;
+  } else {
+    delete merged.distinct;
+  }
+
+  return merged;
+}
+
+/**
+ * Merges characters whose names are variants of each other. The canonical
+ * entry is a locked character if there is one, then an untitled full name,
+ * then the most frequent variant. Names in a character's `distinct` list are
+ * never merged into it, and neither are characters locked to another gender.
+ * @param {object} chars - Character map of a novel
+ * @return {object} - New character map
+ */
+function clusterNovelCharacters(chars) {
+  const ids = Object.keys(chars).filter((id) => chars[id]);
+  const names = ids.map((id) => characterNames(chars[id]));
+  const ambiguous = ambiguousNameTokens(names.flat());
+  const groups = ids.map((id, index) => ({
+    members: [id],
+    names: new Set(names[index].map((name) => name.toLowerCase())),
+    distinct: new Set((chars[id].distinct || []).map((name) => name.toLowerCase())),
+    lockedGenders: new Set([lockedCharacterGender(chars[id])].filter(Boolean))
+  }));
+  const groupOf = groups.slice();
+
+  const compatible = (a, b) =>
+    ![...a.names].some((name) => b.distinct.has(name)) &&
+    ![...b.names].some((name) => a.distinct.has(name)) &&
+    new Set([...a.lockedGenders, ...b.lockedGenders]).size <= 1;
+
+  for (let i = 0; i < ids.length; i++) {
+    for (let j = i + 1; j < ids.length; j++) {
+      const groupA = groupOf[i];
+      const groupB = groupOf[j];
+      if (
+        groupA === groupB ||
+        !names[i].some((a) => names[j].some((b) => isNameAlias(a, b, ambiguous))) ||
+        !compatible(groupA, groupB)
+      ) {
+        continue;
+      }
+
+      groupB.members.forEach((id) => {
+        groupA.members.push(id);
+        groupOf[ids.indexOf(id)] = groupA;
+      });
+      groupB.names.forEach((name) => groupA.names.add(name));
+      groupB.distinct.forEach((name) => groupA.distinct.add(name));
+      groupB.lockedGenders.forEach((gender) => groupA.lockedGenders.add(gender));
+    }
+  }
+
+  const isFullName = (char) => stripNameTitles(char.name) === char.name.toLowerCase();
+  const clustered = {};
+  new Set(groupOf).forEach(({ members }) => {
+    const [canonicalId, ...rest] = [...members].sort((a, b) =>
+      Number(isCharacterLocked(chars[b])) - Number(isCharacterLocked(chars[a])) ||
+      Number(isFullName(chars[b])) - Number(isFullName(chars[a])) ||
+      stripNameTitles(chars[b].name).split(" ").length - stripNameTitles(chars[a].name).split(" ").length ||
+      (chars[b].appearances || 0) - (chars[a].appearances || 0) ||
+      Number(a) - Number(b)
+    );
+    clustered[canonicalId] = rest.reduce(
+      (merged, id) => mergeCharacterEntries(merged, chars[id]),
+      chars[canonicalId]
+    );
+  });
+
+  return clustered;
+}
+
+/**
+ * Purges old novels from the character maps. Novels with a locked character
+ * are kept, like in size-based eviction.
  * @param {object} maps - Character maps to purge
  * @param {number} maxAge - Maximum age of novels to keep (in milliseconds)
  * @return {object} - Purged character maps
@@ -233,6 +1161,7 @@ function purgeOldNovels(maps, maxAge = NOVEL_PURGE_AGE_MS) {
 
   Object.entries(purgedMaps).forEach(([novelId, data]) => {
     if (!data.lastAccess || now - data.lastAccess < maxAge) return;
+    if (Object.values(data.chars || {}).some(isCharacterLocked)) return;
 
     delete purgedMaps[novelId];
     purgedCount++;
@@ -271,13 +1200,12 @@ function scheduleCleanupAlarm() {
 async function runPeriodicCleanup() {
   await initializeBackground();
 
-  const beforeCount = Object.keys(novelCharacterMaps).length;
-  novelCharacterMaps = purgeOldNovels(novelCharacterMaps);
-  const afterCount = Object.keys(novelCharacterMaps).length;
-  const removed = beforeCount - afterCount;
+  const kept = purgeOldNovels(novelCharacterMaps);
+  const purgedIds = Object.keys(novelCharacterMaps).filter((novelId) => !(novelId in kept));
+  const removed = purgedIds.length;
 
   if (removed > 0) {
-    storeNovelCharacterMaps(novelCharacterMaps);
+    await removeNovels(purgedIds);
     globalStats.uniqueNovelsProcessed = Object.keys(novelCharacterMaps)
       .filter(id => novelCharacterMaps[id].chaps?.length > 0).length;
     chrome.storage.local.set({ globalStats });
@@ -286,6 +1214,16 @@ async function runPeriodicCleanup() {
     console.log("Periodic cleanup: no stale novel entries found");
   }
 
+  const { [QUARANTINE_KEY]: quarantinedNovels } = await chrome.storage.local.get(QUARANTINE_KEY);
+  if (isPlainObject(quarantinedNovels)) {
+    const trimmed = trimQuarantine(quarantinedNovels);
+    const dropped = Object.keys(quarantinedNovels).length - Object.keys(trimmed).length;
+    if (dropped > 0) {
+      await chrome.storage.local.set({ [QUARANTINE_KEY]: trimmed });
+      console.log(`Periodic cleanup: dropped ${dropped} old quarantined novel(s)`);
+    }
+  }
+
   // Evict expired in-memory LLM cache entries
   const now = Date.now();
   for (const [k, v] of llmResponseCache) {
@@ -301,110 +1239,1166 @@ async function runPeriodicCleanup() {
 }
 
 /**
- * Stores novel character maps with purging old entries
- * @param {object} novelCharacterMaps - Character maps to store
+ * Loads bulk enhancement jobs from storage into `enhanceJobs`
+ * @return {Promise<object>}
  */
-function storeNovelCharacterMaps(novelCharacterMaps) {
-  try {
-    const purgedMaps = purgeOldNovels(novelCharacterMaps);
-
-    const serialized = JSON.stringify(purgedMaps);
-    const sizeInBytes = new Blob([serialized]).size;
+async function loadEnhanceJobs() {
+  const data = await chrome.storage.local.get(ENHANCE_JOBS_KEY);
+  enhanceJobs = data[ENHANCE_JOBS_KEY] || {};
+  return enhanceJobs;
+}
 
-    if (sizeInBytes > MAX_NOVEL_DATA_BYTES) {
-      console.warn(
-        "Character maps getting too large, pruning older/smaller entries"
-      );
+/**
+ * Persists `enhanceJobs` so progress survives service-worker restarts
+ * @return {Promise<void>}
+ */
+function saveEnhanceJobs() {
+  return chrome.storage.local.set({ [ENHANCE_JOBS_KEY]: enhanceJobs });
+}
+
+/**
+ * @param {string} pattern - Chapter URL with JOB_CHAPTER_PLACEHOLDER for the number
+ * @param {number} chapterNumber
+ * @return {string}
+ */
+function buildJobChapterUrl(pattern, chapterNumber) {
+  return pattern.split(JOB_CHAPTER_PLACEHOLDER).join(String(chapterNumber));
+}
+
+/**
+ * Validates and queues a new bulk enhancement job
+ * @param {object} spec
+ * @param {string} spec.pattern - Chapter URL pattern from ChapterDetector.buildChapterUrlPattern
+ * @param {number} spec.from - First chapter number
+ * @param {number} spec.to - Last chapter number (inclusive)
+ * @param {string} [spec.title] - Label shown in the jobs list
+ * @return {Promise<object>} - The stored job
+ */
+async function createEnhanceJob({ pattern, from, to, title }) {
+  if (typeof pattern !== "string" || !pattern.includes(JOB_CHAPTER_PLACEHOLDER)) {
+    throw new Error(`Chapter URL pattern must contain ${JOB_CHAPTER_PLACEHOLDER}`);
+  }
+
+  const first = parseInt(from, 10);
+  const last = parseInt(to, 10);
+  if (isNaN(first) || isNaN(last) || first < 0 || last < first) {
+    throw new Error("Invalid chapter range");
+  }
+  if (last - first + 1 > MAX_JOB_CHAPTERS) {
+    throw new Error(`A job can cover at most ${MAX_JOB_CHAPTERS} chapters`);
+  }
+
+  const sampleUrl = new URL(buildJobChapterUrl(pattern, first));
+  if (!/^https?:$/.test(sampleUrl.protocol)) {
+    throw new Error("Only http(s) chapter URLs are supported");
+  }
+  if (!(await checkSitePermission(sampleUrl.href))) {
+    throw new Error("Site is not whitelisted");
+  }
+
+  await loadEnhanceJobs();
+
+  const now = Date.now();
+  const job = {
+    id: `job_${now}_${Math.random().toString(36).slice(2, 8)}`,
+    title: (typeof title === "string" && title.trim()) || sampleUrl.hostname,
+    pattern,
+    from: first,
+    to: last,
+    next: first,
+    status: "queued",
+    completed: [],
+    failed: [],
+    lastError: null,
+    tabId: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  enhanceJobs[job.id] = job;
+  await saveEnhanceJobs();
+  scheduleJobAlarm();
+  runEnhanceJobs();
+
+  return job;
+}
+
+/**
+ * Applies a pause / resume / cancel / remove request to a job
+ * @param {string} jobId
+ * @param {string} command - "pause", "resume", "cancel" or "remove"
+ * @return {Promise<object|null>} - Updated job, or null when removed
+ */
+async function updateEnhanceJob(jobId, command) {
+  await loadEnhanceJobs();
+  const job = enhanceJobs[jobId];
+  if (!job) {
+    throw new Error("Job not found");
+  }
+
+  const finished = job.status === "done" || job.status === "cancelled";
+
+  if (command === "pause" && !finished) {
+    job.status = "paused";
+    closeJobTab(job.tabId);
+    job.tabId = null;
+  } else if (command === "resume" && job.status === "paused") {
+    job.status = "queued";
+  } else if (command === "cancel" && !finished) {
+    job.status = "cancelled";
+    closeJobTab(job.tabId);
+    job.tabId = null;
+  } else if (command === "remove") {
+    if (!finished && job.status !== "paused") {
+      throw new Error("Cancel or pause the job before removing it");
+    }
+    closeJobTab(job.tabId);
+    delete enhanceJobs[jobId];
+    await saveEnhanceJobs();
+    return null;
+  } else {
+    throw new Error(`Cannot ${command} a job that is ${job.status}`);
+  }
+
+  job.updatedAt = Date.now();
+  await saveEnhanceJobs();
+
+  if (job.status === "queued") {
+    scheduleJobAlarm();
+    runEnhanceJobs();
+  }
+  return job;
+}
+
+/**
+ * Keeps a once-a-minute alarm while jobs are pending, so a job whose service
+ * worker was stopped mid-run is picked up again
+ */
+function scheduleJobAlarm() {
+  chrome.alarms.get(JOB_ALARM_NAME, (existing) => {
+    if (!existing) {
+      chrome.alarms.create(JOB_ALARM_NAME, {
+        delayInMinutes: JOB_ALARM_PERIOD_MINUTES,
+        periodInMinutes: JOB_ALARM_PERIOD_MINUTES
+      });
+    }
+  });
+}
+
+/**
+ * Runs pending jobs one chapter at a time, oldest job first. A no-op when a
+ * run is already in progress in this service-worker instance.
+ */
+async function runEnhanceJobs() {
+  if (_jobRunnerActive) return;
+  _jobRunnerActive = true;
+
+  try {
+    await loadEnhanceJobs();
+
+    for (;;) {
+      const job = Object.values(enhanceJobs)
+        .filter((j) => j.status === "queued" || j.status === "running")
+        .sort((a, b) => a.createdAt - b.createdAt)[0];
 
-      if (!purgedMaps || typeof purgedMaps !== "object") {
-        console.error("Invalid novelCharacterMaps object");
+      if (!job) {
+        chrome.alarms.clear(JOB_ALARM_NAME);
         return;
       }
 
-      const novelEntries = Object.entries(purgedMaps);
+      if (job.next > job.to) {
+        job.status = "done";
+        job.updatedAt = Date.now();
+        closeJobTab(job.tabId);
+        job.tabId = null;
+        await saveEnhanceJobs();
+        continue;
+      }
 
-      if (!Array.isArray(novelEntries) || novelEntries.length === 0) {
-        console.warn("No valid novel entries found for pruning");
-        return;
+      job.status = "running";
+      job.updatedAt = Date.now();
+      await saveEnhanceJobs();
+
+      const chapterNumber = job.next;
+      const result = await enhanceJobChapter(job, chapterNumber);
+
+      // The job may have been paused, cancelled or removed while the chapter ran
+      await loadEnhanceJobs();
+      const current = enhanceJobs[job.id];
+      // Paused or cancelled mid-chapter: its tab was closed, so the outcome
+      // says nothing about the chapter. A resumed job redoes it.
+      if (!current || current.status !== "running") continue;
+
+      if (result.ok) {
+        current.completed.push(chapterNumber);
+      } else {
+        current.failed.push(chapterNumber);
+        current.lastError = `Chapter ${chapterNumber}: ${result.error}`;
       }
+      current.next = Math.max(current.next, chapterNumber + 1);
+      current.updatedAt = Date.now();
+      await saveEnhanceJobs();
+    }
+  } catch (error) {
+    console.error("Enhancement job runner stopped:", error);
+  } finally {
+    _jobRunnerActive = false;
+  }
+}
 
-      novelEntries.sort((a, b) => {
-        if (!a[1] || !b[1]) {
-          console.warn("Invalid entry data during sorting:", a[0], b[0]);
-          return 0;
-        }
+/**
+ * Loads one chapter in the job's background window and has the content
+ * script there enhance it through the usual path
+ * @param {object} job
+ * @param {number} chapterNumber
+ * @return {Promise<{ok: boolean, error?: string}>}
+ */
+async function enhanceJobChapter(job, chapterNumber) {
+  const url = buildJobChapterUrl(job.pattern, chapterNumber) + JOB_TAB_HASH;
 
-        const aLastAccess = a[1].lastAccess || 0;
-        const bLastAccess = b[1].lastAccess || 0;
+  try {
+    const opening = openJobTab(job.tabId, url);
+    // Listening starts before the navigation, so a fast page is not missed
+    const loaded = waitForTabComplete(opening, JOB_PAGE_LOAD_TIMEOUT_MS);
+    const tabId = await opening;
+    if (tabId !== job.tabId && enhanceJobs[job.id]) {
+      // Stored right away so cancel and pause can close it mid-chapter
+      enhanceJobs[job.id].tabId = tabId;
+      await saveEnhanceJobs();
+    }
 
-        if (aLastAccess !== bLastAccess) {
-          return aLastAccess - bLastAccess;
-        }
+    await loaded;
+    await ensureContentScript(tabId);
 
-        const aCharCount = a[1].chars ? Object.keys(a[1].chars).length : 0;
-        const bCharCount = b[1].chars ? Object.keys(b[1].chars).length : 0;
-        return aCharCount - bCharCount;
-      });
+    const response = await withJobTimeout(
+      chrome.tabs.sendMessage(tabId, { action: "runJobChapter" }),
+      JOB_CHAPTER_TIMEOUT_MS,
+      "Chapter enhancement timed out"
+    );
 
-      const toRemove = Math.max(1, Math.floor(novelEntries.length * 0.2));
-      for (let i = 0; i < toRemove; i++) {
-        if (novelEntries[i] && novelEntries[i][0]) {
-          const entryId = novelEntries[i][0];
-          console.log(`Removing novel entry: ${entryId}`);
-          delete purgedMaps[entryId];
-        }
+    if (response?.status === "enhanced") {
+      return { ok: true };
+    }
+    return { ok: false, error: response?.error || "Enhancement failed" };
+  } catch (error) {
+    console.warn(`Job ${job.id}: chapter ${chapterNumber} failed:`, error.message);
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Navigates the job's tab, or opens one in a minimized window when the old
+ * tab is gone
+ * @param {number|null} tabId
+ * @param {string} url
+ * @return {Promise<number>} - Tab id in use
+ */
+async function openJobTab(tabId, url) {
+  if (tabId !== null && tabId !== undefined) {
+    try {
+      await chrome.tabs.update(tabId, { url });
+      return tabId;
+    } catch (error) {
+      console.log("Job tab is gone, opening a new one:", error.message);
+    }
+  }
+
+  const win = await chrome.windows.create({ url, focused: false, state: "minimized" });
+  return win.tabs[0].id;
+}
+
+/**
+ * Closes a job's tab if it is still open
+ * @param {number|null} tabId
+ */
+function closeJobTab(tabId) {
+  if (tabId === null || tabId === undefined) return;
+  chrome.tabs.remove(tabId).catch((error) => {
+    console.debug("Job tab already closed:", error.message);
+  });
+}
+
+/**
+ * Resolves once the tab has finished loading. Takes the tab id as a promise
+ * so the listener can be registered before the navigation starts; loads that
+ * complete before the id is known are remembered and matched afterwards. If
+ * the tab never opens, the caller gets that error from the id promise and
+ * this one just stops listening
+ * @param {Promise<number>} tabIdPromise
+ * @param {number} timeoutMs
+ * @return {Promise<void>}
+ */
+function waitForTabComplete(tabIdPromise, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const completedEarly = new Set();
+    let tabId = null;
+
+    const stop = () => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+    };
+
+    const timer = setTimeout(() => {
+      stop();
+      reject(new Error("Chapter page did not load in time"));
+    }, timeoutMs);
+
+    function listener(updatedId, changeInfo) {
+      if (changeInfo.status !== "complete") return;
+      if (tabId === null) {
+        completedEarly.add(updatedId);
+      } else if (updatedId === tabId) {
+        stop();
+        resolve();
       }
     }
 
-    chrome.storage.local.set({ novelCharacterMaps: purgedMaps }, () => {
-      if (chrome.runtime.lastError) {
-        console.error(
-          "Error storing character maps:",
-          chrome.runtime.lastError
-        );
+    chrome.tabs.onUpdated.addListener(listener);
+
+    tabIdPromise.then((id) => {
+      tabId = id;
+      if (completedEarly.has(id)) {
+        stop();
+        resolve();
+      }
+    }, stop);
+  });
+}
+
+/**
+ * Makes sure the content script answers in the tab, injecting it for
+ * whitelisted sites that are not in the manifest's content_scripts
+ * @param {number} tabId
+ */
+async function ensureContentScript(tabId) {
+  const ping = () =>
+    withJobTimeout(chrome.tabs.sendMessage(tabId, { action: "ping" }), 3000, "No reply")
+      .catch(() => null);
+
+  if (await ping()) return;
+
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    files: [JOB_CONTENT_SCRIPT_FILE]
+  });
+
+  if (!(await ping())) {
+    throw new Error("Content script did not start on the chapter page");
+  }
+}
+
+/**
+ * @param {Promise} promise
+ * @param {number} ms
+ * @param {string} message - Rejection message on timeout
+ * @return {Promise}
+ */
+function withJobTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Opens (and on first use creates) the chapter library database. Chapters are
+ * keyed by [novelId, chapterNumber] with a novelId index for listing.
+ * @return {Promise<IDBDatabase>}
+ */
+function openLibraryDb() {
+  if (_libraryDbPromise) return _libraryDbPromise;
+
+  _libraryDbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(LIBRARY_STORE)) {
+        const store = db.createObjectStore(LIBRARY_STORE, {
+          keyPath: ["novelId", "chapterNumber"]
+        });
+        store.createIndex("novelId", "novelId", { unique: false });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      _libraryDbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return _libraryDbPromise;
+}
+
+/**
+ * Runs one request against the chapter store
+ * @param {IDBTransactionMode} mode
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest
+ * @return {Promise<*>} - The request's result once the transaction completes
+ */
+async function withLibraryStore(mode, makeRequest) {
+  const db = await openLibraryDb();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(LIBRARY_STORE, mode);
+    const request = makeRequest(tx.objectStore(LIBRARY_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Library transaction aborted"));
+  });
+}
+
+/**
+ * Saves (or replaces) an enhanced chapter in the library
+ * @param {object} chapter
+ * @param {string} chapter.novelId
+ * @param {number} chapter.chapterNumber
+ * @param {Array<string>} chapter.originalParagraphs
+ * @param {Array<string>} chapter.enhancedParagraphs
+ * @param {string} [chapter.novelTitle] - Book title for exports
+ * @param {string} [chapter.title]
+ * @param {string} [chapter.url]
+ * @param {string} [chapter.model]
+ * @return {Promise<object>} - The stored record
+ */
+async function saveLibraryChapter(chapter) {
+  const chapterNumber = parseInt(chapter?.chapterNumber, 10);
+  if (!chapter?.novelId || isNaN(chapterNumber)) {
+    throw new Error("Missing novel ID or chapter number");
+  }
+  if (!Array.isArray(chapter.enhancedParagraphs) || chapter.enhancedParagraphs.length === 0) {
+    throw new Error("Chapter has no enhanced text");
+  }
+
+  const record = {
+    novelId: String(chapter.novelId),
+    chapterNumber,
+    novelTitle: typeof chapter.novelTitle === "string" ? chapter.novelTitle : "",
+    title: typeof chapter.title === "string" ? chapter.title : "",
+    url: typeof chapter.url === "string" ? chapter.url : "",
+    model: typeof chapter.model === "string" ? chapter.model : "",
+    originalParagraphs: (chapter.originalParagraphs || []).map(String),
+    enhancedParagraphs: chapter.enhancedParagraphs.map(String),
+    savedAt: Date.now()
+  };
+
+  await withLibraryStore("readwrite", (store) => store.put(record));
+  return record;
+}
+
+/**
+ * Lists a novel's saved chapters without their text, in chapter order
+ * @param {string} novelId
+ * @return {Promise<Array<object>>}
+ */
+async function getLibraryChapters(novelId) {
+  const records = await withLibraryStore("readonly", (store) =>
+    store.index("novelId").getAll(novelId)
+  );
+
+  return records
+    .map(({ chapterNumber, novelTitle, title, url, model, savedAt }) => ({
+      chapterNumber, novelTitle, title, url, model, savedAt
+    }))
+    .sort((a, b) => a.chapterNumber - b.chapterNumber);
+}
+
+/**
+ * IDs of every novel with at least one saved chapter, including novels whose
+ * character data has since been purged
+ * @return {Promise<Array<string>>}
+ */
+async function getLibraryNovelIds() {
+  const keys = await withLibraryStore("readonly", (store) => store.getAllKeys());
+  return [...new Set(keys.map(([novelId]) => novelId))];
+}
+
+/**
+ * @param {string} novelId
+ * @param {number} chapterNumber
+ * @return {Promise<object|null>} - Full chapter record
+ */
+async function getLibraryChapter(novelId, chapterNumber) {
+  const record = await withLibraryStore("readonly", (store) =>
+    store.get([novelId, parseInt(chapterNumber, 10)])
+  );
+  return record || null;
+}
+
+/**
+ * Removes one saved chapter from the library
+ * @param {string} novelId
+ * @param {number} chapterNumber
+ * @return {Promise<void>}
+ */
+async function deleteLibraryChapter(novelId, chapterNumber) {
+  const number = parseInt(chapterNumber, 10);
+  if (!novelId || isNaN(number)) {
+    throw new Error("Missing novel ID or chapter number");
+  }
+  await withLibraryStore("readwrite", (store) => store.delete([String(novelId), number]));
+}
+
+/**
+ * Removes every saved chapter of a novel from the library. Character data is
+ * left alone; purging or evicting a novel leaves its chapters here in turn.
+ * @param {string} novelId
+ * @return {Promise<void>}
+ */
+async function deleteLibraryNovel(novelId) {
+  if (!novelId) throw new Error("Missing novel ID");
+  const id = String(novelId);
+  await withLibraryStore("readwrite", (store) =>
+    store.delete(IDBKeyRange.bound([id, -Infinity], [id, Infinity]))
+  );
+}
+
+/**
+ * Collects novels, stats, settings and the whitelist into one JSON document.
+ * Quarantined entries ride along so they can be repaired by hand; saved
+ * chapter text (IndexedDB) and the LLM response cache are not included.
+ * @return {Promise<object>}
+ */
+async function buildDataBackup() {
+  const { whitelistedSites = [], ...settings } = await chrome.storage.sync.get(null);
+  const { [QUARANTINE_KEY]: quarantinedNovels = {} } = await chrome.storage.local.get(QUARANTINE_KEY);
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: STORAGE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    novelCharacterMaps,
+    globalStats,
+    settings,
+    whitelistedSites,
+    quarantinedNovels
+  };
+}
+
+/**
+ * Rejects files that are not backups or were written by a newer version
+ * @param {object} backup - Parsed backup file
+ * @throws {Error} - Describes the first structural problem found
+ */
+function validateDataBackup(backup) {
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+    throw new Error("Not a Novel Dialogue Enhancer backup file");
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    throw new Error("Backup file has no valid version");
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error(
+      `Backup format v${backup.version} is newer than this extension supports (v${BACKUP_VERSION})`
+    );
+  }
+  if (backup.schemaVersion !== undefined && !Number.isInteger(backup.schemaVersion)) {
+    throw new Error("Backup file has no valid schema version");
+  }
+  if (backup.schemaVersion > STORAGE_SCHEMA_VERSION) {
+    throw new Error("Backup novel data is newer than this extension supports");
+  }
+  if (!isPlainObject(backup.novelCharacterMaps)) {
+    throw new Error("Backup file has no novel data");
+  }
+  if (backup.settings !== undefined && !isPlainObject(backup.settings)) {
+    throw new Error("Backup settings must be an object");
+  }
+  if (backup.globalStats !== undefined && !isPlainObject(backup.globalStats)) {
+    throw new Error("Backup statistics must be an object");
+  }
+  if (backup.whitelistedSites !== undefined && !Array.isArray(backup.whitelistedSites)) {
+    throw new Error("Backup whitelist must be a list of sites");
+  }
+}
+
+/**
+ * @param {object} raw - Character entry from a backup file
+ * @return {object|null} - Cleaned character, or null when unusable
+ */
+function sanitizeBackupCharacter(raw) {
+  if (!raw || typeof raw !== "object") return null;
+
+  const name = typeof raw.name === "string" ? raw.name.trim() : "";
+  if (!name) return null;
+
+  const character = {
+    name,
+    gender: BACKUP_GENDER_CODES.includes(raw.gender) ? raw.gender : "u",
+    confidence: Math.min(1, Math.max(0, parseFloat(raw.confidence) || 0)),
+    appearances: Math.max(0, parseInt(raw.appearances, 10) || 0)
+  };
+
+  const evidences = Array.isArray(raw.evidences) ? mergeEvidences(raw.evidences) : [];
+  if (evidences.length > 0) character.evidences = evidences;
+  if (raw.manualOverride === true) character.manualOverride = true;
+  if (raw.locked === true) character.locked = true;
+  if (raw.genderSource === LLM_GENDER_SOURCE) character.genderSource = LLM_GENDER_SOURCE;
+
+  const votes = Array.isArray(raw.votes?.chapters)
+    ? sortGenderVotes(raw.votes.chapters.map((vote) => normalizeGenderVote(vote)).filter(Boolean))
+    : [];
+  if (votes.length > 0) {
+    const tally = tallyGenderVotes(votes);
+    character.votes = { m: tally.m, f: tally.f, chapters: votes };
+  }
+
+  ["aliases", "distinct"].forEach((field) => {
+    const names = Array.isArray(raw[field])
+      ? [...new Set(raw[field].filter((item) => typeof item === "string").map((item) => item.trim()))]
+        .filter((item) => item && item.toLowerCase() !== name.toLowerCase())
+        .slice(0, MAX_ALIASES_PER_CHARACTER)
+      : [];
+    if (names.length > 0) character[field] = names;
+  });
+
+  return character;
+}
+
+/**
+ * @param {object} raw - Novel entry from a backup file
+ * @return {{novel: object|null, skippedChars: number}}
+ */
+function sanitizeBackupNovel(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { novel: null, skippedChars: 0 };
+  }
+
+  const chars = {};
+  let skippedChars = 0;
+  Object.values(raw.chars && typeof raw.chars === "object" ? raw.chars : {}).forEach((entry) => {
+    const character = sanitizeBackupCharacter(entry);
+    if (character) {
+      chars[Object.keys(chars).length] = character;
+    } else {
+      skippedChars++;
+    }
+  });
+
+  const chaps = Array.isArray(raw.chaps)
+    ? [...new Set(raw.chaps.map((num) => parseInt(num, 10)).filter((num) => !isNaN(num)))]
+    : [];
+
+  const novel = {
+    chars,
+    chaps,
+    lastAccess: Number.isFinite(raw.lastAccess) ? raw.lastAccess : Date.now()
+  };
+  if (raw.glossary) novel.glossary = normalizeGlossary(raw.glossary);
+  if (raw.style && typeof raw.style === "object") novel.style = raw.style;
+
+  return { novel, skippedChars };
+}
+
+/**
+ * Keeps the MAX_CHARS_PER_NOVEL most frequent characters, never dropping a
+ * locked one
+ * @param {object} chars - Character map
+ * @return {object}
+ */
+function trimNovelCharacters(chars) {
+  if (Object.keys(chars).length <= MAX_CHARS_PER_NOVEL) return chars;
+
+  return Object.fromEntries(
+    Object.entries(chars)
+      .sort(([, a], [, b]) =>
+        Number(isCharacterLocked(b)) - Number(isCharacterLocked(a)) ||
+        (b.appearances || 0) - (a.appearances || 0)
+      )
+      .slice(0, MAX_CHARS_PER_NOVEL)
+  );
+}
+
+/**
+ * Merges an imported novel into the local one. Local locked characters always
+ * win, imported locked characters beat automatic detections, otherwise the
+ * more confident gender is kept. Appearances take the maximum and chapters the union.
+ * @param {object} local - Current novel entry
+ * @param {object} imported - Sanitized novel entry from the backup
+ * @return {{novel: object, counts: object}}
+ */
+function mergeBackupNovel(local, imported) {
+  const counts = { added: 0, updated: 0, overridesKept: 0, overridesImported: 0, chapters: 0 };
+  const chars = { ...(local.chars || {}) };
+
+  Object.values(imported.chars).forEach((incoming) => {
+    const matchId = findCharacterIdByName(chars, incoming.name);
+
+    if (matchId === null) {
+      chars[getNextCharacterId(chars)] = incoming;
+      counts.added++;
+      return;
+    }
+
+    const current = chars[matchId];
+    const takeIncoming = !isCharacterLocked(current) && (
+      isCharacterLocked(incoming) || incoming.confidence > (parseFloat(current.confidence) || 0)
+    );
+    const merged = {
+      ...current,
+      appearances: Math.max(current.appearances || 0, incoming.appearances)
+    };
+    ["aliases", "distinct"].forEach((field) => {
+      const names = [...new Set([...(current[field] || []), ...(incoming[field] || [])])]
+        .filter((name) => name.toLowerCase() !== current.name.toLowerCase())
+        .slice(0, MAX_ALIASES_PER_CHARACTER);
+      if (names.length > 0) merged[field] = names;
+    });
+
+    if (takeIncoming) {
+      merged.gender = incoming.gender;
+      merged.confidence = incoming.confidence;
+      if (incoming.evidences) {
+        merged.evidences = incoming.evidences;
       } else {
-        console.log(
-          `Successfully stored ${Object.keys(purgedMaps).length} novel entries`
-        );
+        delete merged.evidences;
+      }
+      if (incoming.votes) {
+        merged.votes = incoming.votes;
+      } else {
+        delete merged.votes;
+      }
+      if (incoming.genderSource) {
+        merged.genderSource = incoming.genderSource;
+      } else {
+        delete merged.genderSource;
       }
+      if (incoming.manualOverride) merged.manualOverride = true;
+      if (incoming.locked) merged.locked = true;
+      if (isCharacterLocked(incoming)) counts.overridesImported++;
+    } else if (isCharacterLocked(current) && incoming.gender !== current.gender) {
+      counts.overridesKept++;
+    }
+
+    if (JSON.stringify(merged) !== JSON.stringify(current)) {
+      chars[matchId] = merged;
+      counts.updated++;
+    }
+  });
+
+  const localChaps = local.chaps || [];
+  const newChaps = imported.chaps.filter((num) => !localChaps.includes(num));
+  counts.chapters = newChaps.length;
+
+  const novel = {
+    ...local,
+    chars: trimNovelCharacters(clusterNovelCharacters(chars)),
+    chaps: [...localChaps, ...newChaps],
+    lastAccess: Math.max(local.lastAccess || 0, imported.lastAccess)
+  };
+
+  if (local.glossary || imported.glossary) {
+    novel.glossary = normalizeGlossary({
+      terms: { ...(imported.glossary?.terms || {}), ...(local.glossary?.terms || {}) },
+      keep: [...(local.glossary?.keep || []), ...(imported.glossary?.keep || [])]
     });
+  }
+  if (!local.style && imported.style) novel.style = imported.style;
+
+  return { novel, counts };
+}
+
+/**
+ * Works out what importing a backup would change without writing anything.
+ * Novels and stats are merged last, from the live maps after every await, so
+ * the caller can apply them before anything else changes.
+ * @param {object} backup - Validated backup file
+ * @return {Promise<{summary: object, changedNovels: object, settings: object, whitelistedSites: Array<string>, stats: object}>}
+ */
+async function planDataImport(backup) {
+  const summary = {
+    exportedAt: backup.exportedAt || null,
+    extensionVersion: backup.extensionVersion || null,
+    novels: { added: 0, merged: 0, skipped: 0 }, // skipped: malformed or past the purge age
+    characters: { added: 0, updated: 0, skipped: 0, overridesKept: 0, overridesImported: 0 },
+    chaptersAdded: 0,
+    whitelist: { added: [], needsPermission: [], skipped: 0 },
+    settings: { changed: [], skipped: [] }
+  };
+
+  const { whitelistedSites: currentSites = [], ...currentSettings } =
+    await chrome.storage.sync.get(null);
+
+  const whitelistedSites = [...currentSites];
+  for (const site of backup.whitelistedSites || []) {
+    const hostname = typeof site === "string" ? site.trim().toLowerCase() : "";
+    if (!HOSTNAME_PATTERN.test(hostname)) {
+      summary.whitelist.skipped++;
+    } else if (!whitelistedSites.includes(hostname)) {
+      whitelistedSites.push(hostname);
+      summary.whitelist.added.push(hostname);
+
+      const granted = MANIFEST_SITES.includes(hostname) ||
+        await chrome.permissions.contains({ origins: [`*://*.${hostname}/*`] });
+      if (!granted) summary.whitelist.needsPermission.push(hostname);
+    }
+  }
+
+  // Imported values win, except for unknown keys and where their type does
+  // not match ours (or the default's); lists are unioned
+  const settings = {};
+  Object.entries(backup.settings || {}).forEach(([key, value]) => {
+    if (value === null || value === undefined) return;
+    if (!IMPORTABLE_SETTING_KEYS.includes(key)) {
+      summary.settings.skipped.push(key);
+      return;
+    }
+
+    const current = currentSettings[key];
+    const reference = current !== undefined ? current : SYNC_SETTING_DEFAULTS[key];
+    if (
+      reference !== undefined &&
+      (typeof reference !== typeof value || Array.isArray(reference) !== Array.isArray(value))
+    ) {
+      summary.settings.skipped.push(key);
+      return;
+    }
+
+    const next = Array.isArray(value)
+      ? [...new Map([...(current || []), ...value].map((item) => [JSON.stringify(item), item])).values()]
+      : value;
+    if (JSON.stringify(next) === JSON.stringify(current)) return;
+
+    settings[key] = next;
+    summary.settings.changed.push(key);
+  });
+
+  // Merged and added novels are new objects; untouched ones are left out
+  const changedNovels = {};
+  const importedMaps = migrateNovelMaps(backup.novelCharacterMaps, backup.schemaVersion || 1);
+  Object.entries(importedMaps).forEach(([novelId, raw]) => {
+    const { novel: imported, skippedChars } = sanitizeBackupNovel(raw);
+    if (!novelId.trim() || !imported) {
+      summary.novels.skipped++;
+      return;
+    }
+    summary.characters.skipped += skippedChars;
+
+    const local = novelCharacterMaps[novelId];
+    if (!local) {
+      // The daily cleanup would purge it straight away
+      if (Date.now() - imported.lastAccess >= NOVEL_PURGE_AGE_MS) {
+        summary.novels.skipped++;
+        return;
+      }
+      changedNovels[novelId] = { ...imported, chars: trimNovelCharacters(imported.chars) };
+      summary.novels.added++;
+      summary.characters.added += Object.keys(changedNovels[novelId].chars).length;
+      summary.chaptersAdded += imported.chaps.length;
+      return;
+    }
+
+    const { novel, counts } = mergeBackupNovel(local, imported);
+    changedNovels[novelId] = novel;
+    summary.novels.merged++;
+    summary.characters.added += counts.added;
+    summary.characters.updated += counts.updated;
+    summary.characters.overridesKept += counts.overridesKept;
+    summary.characters.overridesImported += counts.overridesImported;
+    summary.chaptersAdded += counts.chapters;
+  });
+
+  // Counters take the larger value so importing a machine's own backup does not double them
+  const stats = { ...globalStats };
+  Object.entries(backup.globalStats || {}).forEach(([key, value]) => {
+    if (!Number.isFinite(value) || key === "uniqueNovelsProcessed") return;
+    if (key === "firstEnhancementDate") {
+      stats[key] = stats[key] ? Math.min(stats[key], value) : value;
+    } else {
+      stats[key] = Math.max(stats[key] || 0, value);
+    }
+  });
+  stats.uniqueNovelsProcessed = Object.values({ ...novelCharacterMaps, ...changedNovels })
+    .filter((novel) => novel.chaps && novel.chaps.length > 0).length;
+
+  return { summary, changedNovels, settings, whitelistedSites, stats };
+}
+
+/**
+ * Imports a backup file, or with dryRun only reports what would change
+ * @param {object} backup - Parsed backup file
+ * @param {boolean} dryRun
+ * @return {Promise<object>} - Import summary
+ */
+async function importDataBackup(backup, dryRun) {
+  validateDataBackup(backup);
+  const { summary, changedNovels, settings, whitelistedSites, stats } = await planDataImport(backup);
+  if (dryRun) return summary;
+
+  // Applied before the next await, so updates arriving while the settings
+  // are written are neither lost nor merged against a stale copy
+  Object.assign(novelCharacterMaps, changedNovels);
+  globalStats = stats;
+
+  await chrome.storage.sync.set({ ...settings, whitelistedSites });
+  whitelistCache.clear();
+
+  await saveNovels(Object.keys(changedNovels));
+  await chrome.storage.local.set({ globalStats });
+
+  console.log("Imported backup:", summary);
+  return summary;
+}
+
+/**
+ * Picks novels to drop when stored novel data is over MAX_NOVEL_DATA_BYTES:
+ * least recently read first, never one with a locked character
+ * @param {Array<string>} keepIds - Novels being written right now
+ * @return {Array<string>}
+ */
+function selectNovelsToEvict(keepIds) {
+  let total = Object.values(novelIndex).reduce((sum, entry) => sum + (entry.bytes || 0), 0);
+  if (total <= MAX_NOVEL_DATA_BYTES) return [];
+
+  const evicted = [];
+  const candidates = Object.entries(novelIndex)
+    .filter(([novelId, entry]) => !entry.manual && !keepIds.includes(novelId))
+    .sort(([, a], [, b]) => (a.lastAccess || 0) - (b.lastAccess || 0));
+
+  for (const [novelId, entry] of candidates) {
+    if (total <= MAX_NOVEL_DATA_BYTES) break;
+    evicted.push(novelId);
+    total -= entry.bytes || 0;
+  }
+
+  if (total > MAX_NOVEL_DATA_BYTES) {
+    console.warn("Novel data is over budget but only novels with locked characters remain");
+  }
+  return evicted;
+}
+
+/**
+ * Writes the given novels' keys and the index. Only these novels are
+ * serialized; eviction works from the sizes recorded in the index. Nothing
+ * is written while the stored schema is newer than this version.
+ * @param {Array<string>} novelIds
+ * @return {Promise<void>}
+ */
+async function saveNovels(novelIds) {
+  if (novelStorageIsNewer) return;
+
+  const items = {};
+  novelIds.forEach((novelId) => {
+    const entry = novelCharacterMaps[novelId];
+    if (!entry) return;
+    items[novelStorageKey(novelId)] = entry;
+    novelIndex[novelId] = buildNovelIndexEntry(entry);
+  });
+
+  const evicted = selectNovelsToEvict(novelIds);
+  evicted.forEach((novelId) => {
+    console.log(`Evicting least recently read novel: ${novelId}`);
+    delete novelCharacterMaps[novelId];
+    delete novelIndex[novelId];
+  });
+
+  try {
+    await chrome.storage.local.set({ ...items, [NOVEL_INDEX_KEY]: novelIndex });
+    if (evicted.length > 0) {
+      await chrome.storage.local.remove(evicted.map(novelStorageKey));
+    }
+  } catch (error) {
+    console.error("Error storing novel data:", error);
+  }
+}
+
+/**
+ * @param {string} novelId
+ * @return {Promise<void>}
+ */
+function saveNovel(novelId) {
+  return saveNovels([novelId]);
+}
+
+/**
+ * Deletes novels from memory, their storage keys and the index. Their saved
+ * chapters stay in the library, where the reader lists them and they can be
+ * deleted on their own. Like saveNovels, a no-op on newer stored data.
+ * @param {Array<string>} novelIds
+ * @return {Promise<void>}
+ */
+async function removeNovels(novelIds) {
+  if (novelStorageIsNewer) return;
+
+  novelIds.forEach((novelId) => {
+    delete novelCharacterMaps[novelId];
+    delete novelIndex[novelId];
+  });
+
+  try {
+    await chrome.storage.local.remove(novelIds.map(novelStorageKey));
+    await chrome.storage.local.set({ [NOVEL_INDEX_KEY]: novelIndex });
   } catch (error) {
-    console.error("Error processing character maps:", error);
+    console.error("Error removing novel data:", error);
   }
 }
 
+/**
+ * Runs a generation request now, or queues it while maxConcurrentRequests
+ * are already running. The active tab goes first, other tabs in arrival
+ * order, and cache warming for unopened chapters last.
+ * @param {object} origin - Where the request came from
+ * @param {number} [origin.tabId]
+ * @param {number} [origin.frameId]
+ * @param {string} [origin.requestId] - Echoed in llmQueueStatus messages
+ * @param {boolean} [origin.prefetch]
+ * @param {function(function(): void): void} run - Starts the request; receives the function to call once it settles
+ * @param {function(object): void} reject - Receives the error reply when the queue is cleared before the request starts
+ * @return {function(): boolean} - Drops the request if it has not started; true when it was dropped
+ */
+function enqueueLlmRequest(origin, run, reject) {
+  const entry = { ...origin, run, reject, sequence: llmQueueSequence++ };
+  llmRequestQueue.push(entry);
+  drainLlmQueue();
+
+  return () => {
+    const index = llmRequestQueue.indexOf(entry);
+    if (index === -1) return false;
+    llmRequestQueue.splice(index, 1);
+    drainLlmQueue();
+    return true;
+  };
+}
+
+/**
+ * @param {object} entry - Queue entry
+ * @return {number} - Lower runs first
+ */
+function llmQueuePriority(entry) {
+  if (entry.prefetch) return 2;
+  return entry.tabId === activeTabId ? 0 : 1;
+}
+
+/**
+ * Starts queued requests while there are free slots, then tells the tabs
+ * still waiting how many requests are ahead of theirs
+ */
+function drainLlmQueue() {
+  llmRequestQueue.sort((a, b) => llmQueuePriority(a) - llmQueuePriority(b) || a.sequence - b.sequence);
+
+  while (runningLlmRequests < llmConcurrencyLimit && llmRequestQueue.length > 0) {
+    const entry = llmRequestQueue.shift();
+    let settled = false;
+    runningLlmRequests++;
+    // Only tabs that were shown a queue position need to hear it started
+    if (reportedQueuePositions.has(entry)) notifyLlmQueuePosition(entry, 0);
+
+    entry.run(() => {
+      if (settled) return;
+      settled = true;
+      runningLlmRequests--;
+      drainLlmQueue();
+    });
+  }
+
+  llmRequestQueue.forEach((entry, index) => notifyLlmQueuePosition(entry, runningLlmRequests + index));
+}
+
+/**
+ * Sends a queued request's position to the frame that made it; 0 means it
+ * has started. Cache warming gets them too, flagged `prefetch`, so its
+ * client timeout waits like any other; the page shows no queue position for it.
+ * @param {object} entry - Queue entry
+ * @param {number} ahead - Requests that run before this one
+ */
+function notifyLlmQueuePosition(entry, ahead) {
+  if (typeof entry.tabId !== "number" || reportedQueuePositions.get(entry) === ahead) return;
+  reportedQueuePositions.set(entry, ahead);
+
+  chrome.tabs.sendMessage(
+    entry.tabId,
+    { action: "llmQueueStatus", requestId: entry.requestId, ahead, prefetch: Boolean(entry.prefetch) },
+    { frameId: entry.frameId ?? 0 },
+    () => {
+      if (chrome.runtime.lastError) {
+        console.debug("Queue position not delivered:", chrome.runtime.lastError.message);
+      }
+    }
+  );
+}
+
+/**
+ * Stops running and queued generation requests whose origin matches. Queued
+ * ones are answered with a terminated error; running ones are aborted with
+ * `reason` and answer through handleOllamaError.
+ * @param {function({tabId?: number, frameId?: number, url?: string}): boolean} matches - Tests a request's origin
+ * @param {string} reason - One of TERMINATION_REASONS
+ * @return {number} - Requests stopped
+ */
+function abortLlmRequests(matches, reason) {
+  const queued = llmRequestQueue.filter(matches);
+  queued.forEach((entry) => {
+    llmRequestQueue.splice(llmRequestQueue.indexOf(entry), 1);
+    entry.reject({ error: "Request was terminated", terminated: true });
+  });
+
+  let running = 0;
+  for (const [controller, origin] of activeRequestControllers) {
+    if (!matches(origin)) continue;
+    controller.abort(reason);
+    activeRequestControllers.delete(controller);
+    running++;
+  }
+
+  if (queued.length > 0) drainLlmQueue();
+  return queued.length + running;
+}
+
+/**
+ * @param {string} [url]
+ * @return {string} - URL without its fragment; in-page anchors are not navigation
+ */
+function urlWithoutHash(url) {
+  return String(url || "").split("#")[0];
+}
+
 /**
  * Handles Ollama requests for text generation
  * @param {object} request - Request object containing data
- * @param {function} sendResponse - Function to send response
+ * @param {function} sendResponse - Function to send the final response
+ * @param {chrome.runtime.Port} [port] - Stream port; when given, partial text is forwarded as it arrives
+ * @param {chrome.runtime.MessageSender} [sender] - Requesting frame, used to order the queue
  */
-function handleOllamaRequest(request, sendResponse) {
+function handleOllamaRequest(request, sendResponse, port = null, sender = null) {
   if (!request || !request.data) {
     sendResponse({ error: "Invalid request data" });
     return;
   }
 
-  if (!_isProcessing) {
-    _isProcessing = true;
-    setBadgeWorking();
-  }
-
-  // Wrap sendResponse so any error reply also clears the badge flag.
-  const _origSend = sendResponse;
-  sendResponse = (resp) => {
-    if (resp && resp.error) {
-      _isProcessing = false;
-      setBadgeError();
+  // Pre-fetch requests warm the cache for a chapter the reader has not opened
+  // yet, so they leave the toolbar badge alone.
+  if (!request.prefetch) {
+    if (!_isProcessing) {
+      _isProcessing = true;
+      setBadgeWorking();
     }
-    _origSend(resp);
-  };
+
+    // Wrap sendResponse so any error reply, or the end of a stream, also
+    // clears the busy flag; the success badge waits for the final stats.
+    const _origSend = sendResponse;
+    sendResponse = (resp) => {
+      if (resp && resp.error) {
+        _isProcessing = false;
+        setBadgeError();
+      } else if (port) {
+        _isProcessing = false;
+      }
+      _origSend(resp);
+    };
+  }
 
   chrome.storage.sync.get(
     {
       timeout:     DEFAULT_TIMEOUT_SEC,
       temperature: DEFAULT_TEMPERATURE,
       topP:        DEFAULT_TOP_P,
-      contextSize: DEFAULT_CONTEXT_SIZE
+      contextSize: DEFAULT_CONTEXT_SIZE,
+      ollamaUrl:   DEFAULT_OLLAMA_URL,
+      llmProvider: DEFAULT_LLM_PROVIDER,
+      maxConcurrentRequests: DEFAULT_MAX_CONCURRENT_REQUESTS
     },
     (data) => {
       if (chrome.runtime.lastError) {
@@ -444,18 +2438,68 @@ function handleOllamaRequest(request, sendResponse) {
           num_ctx: requestData.num_ctx,
           temperature: requestData.temperature,
           top_p: requestData.top_p,
-          stream: false,
+          stream: Boolean(port),
           timeout: data.timeout + " seconds"
         });
 
-        if (requestData.stream !== false) {
+        // Streaming is only possible over a long-lived port; one-shot messages
+        // can carry a single reply.
+        if (requestData.stream !== Boolean(port)) {
           sendResponse({ error: "Invalid stream value" });
           return;
         }
 
+        const server = {
+          baseUrl: normalizeOllamaUrl(data.ollamaUrl),
+          provider: getLlmProvider(data.llmProvider)
+        };
+        const concurrency = parseInt(data.maxConcurrentRequests, 10);
+        llmConcurrencyLimit = concurrency >= 1
+          ? Math.min(concurrency, MAX_CONCURRENT_REQUESTS_LIMIT)
+          : DEFAULT_MAX_CONCURRENT_REQUESTS;
+
+        const runRequest = (callback) => {
+          const origin = {
+            tabId: sender?.tab?.id,
+            frameId: sender?.frameId,
+            url: sender?.tab?.url,
+            prefetch: Boolean(request.prefetch)
+          };
+          const dropQueued = enqueueLlmRequest(
+            { ...origin, requestId: request.requestId },
+            (done) => {
+              const settle = (resp) => {
+                done();
+                callback(resp);
+              };
+              if (port) {
+                processStreamingRequest(server, requestData, data.timeout, port, settle, origin);
+              } else {
+                processNonStreamingRequest(server, requestData, data.timeout, settle, origin);
+              }
+            },
+            callback
+          );
+          // Nobody is waiting for a streamed request whose page went away
+          port?.onDisconnect.addListener(dropQueued);
+        };
+
         const cacheKey = request.cacheKey;
 
-        if (cacheKey) {
+        // Store the reply under cacheKey, replacing any earlier one
+        const runAndCache = () => runRequest((resp) => {
+          if (resp?.enhancedText) {
+            const e = { text: resp.enhancedText, ts: Date.now() };
+            llmResponseCache.set(cacheKey, e);
+            chrome.storage.local.set({ [LLM_CACHE_PREFIX + cacheKey]: e });
+          }
+          sendResponse(resp);
+        });
+
+        if (cacheKey && request.refreshCache) {
+          // Regenerate: the cached reply is the one being replaced
+          runAndCache();
+        } else if (cacheKey) {
           // 1. Fast in-memory hit
           const memHit = llmResponseCache.get(cacheKey);
           if (memHit && Date.now() - memHit.ts < LLM_CACHE_TTL) {
@@ -476,18 +2520,11 @@ function handleOllamaRequest(request, sendResponse) {
             if (entry) chrome.storage.local.remove(LLM_CACHE_PREFIX + cacheKey); // expired
 
             // 3. Cache miss — call Ollama, store result on success
-            processNonStreamingRequest(requestData, data.timeout, (resp) => {
-              if (resp?.enhancedText) {
-                const e = { text: resp.enhancedText, ts: Date.now() };
-                llmResponseCache.set(cacheKey, e);
-                chrome.storage.local.set({ [LLM_CACHE_PREFIX + cacheKey]: e });
-              }
-              sendResponse(resp);
-            });
+            runAndCache();
           });
         } else {
           // No cache key — call directly
-          processNonStreamingRequest(requestData, data.timeout, sendResponse);
+          runRequest(sendResponse);
         }
       } catch (error) {
         console.error("Error preparing request:", error);
@@ -512,56 +2549,158 @@ function prepareRequestData(requestData, settings) {
   };
 }
 
-function processNonStreamingRequest(requestData, timeout, sendResponse) {
-  const ollamaUrl = DEFAULT_OLLAMA_URL + "/api/generate";
+/**
+ * Builds the sanitized /api/generate request body
+ * @param {object} requestData - Prepared request data
+ * @param {boolean} stream - Whether Ollama should stream NDJSON lines
+ * @return {object} - Request body
+ */
+function buildGenerateRequestBody(requestData, stream) {
+  const body = {
+    model: String(requestData.model || ""),
+    prompt: String(requestData.prompt || ""),
+    stream,
+    think: false,   // disable reasoning chain for qwen3/qwen3.5 (ignored by non-thinking models)
+    options: {
+      temperature: parseFloat(requestData.temperature) || DEFAULT_TEMPERATURE,
+      top_p: parseFloat(requestData.top_p) || DEFAULT_TOP_P,
+      num_predict: parseInt(requestData.num_predict || requestData.max_tokens) || 4096,
+      num_ctx: parseInt(requestData.num_ctx) || DEFAULT_CONTEXT_SIZE
+    }
+  };
+  // Structured replies such as gender resolution; OpenAI-compatible servers
+  // disagree on response_format, so only Ollama gets the constraint
+  if (requestData.jsonOutput === true) body.format = "json";
+  return body;
+}
+
+/**
+ * Builds the sanitized /v1/chat/completions request body.
+ * The context window is fixed by the server, so num_ctx is not sent.
+ * @param {object} requestData - Prepared request data
+ * @param {boolean} stream - Whether the server should stream SSE events
+ * @return {object} - Request body
+ */
+function buildChatCompletionRequestBody(requestData, stream) {
+  return {
+    model: String(requestData.model || ""),
+    messages: [{ role: "user", content: String(requestData.prompt || "") }],
+    stream,
+    temperature: parseFloat(requestData.temperature) || DEFAULT_TEMPERATURE,
+    top_p: parseFloat(requestData.top_p) || DEFAULT_TOP_P,
+    max_tokens: parseInt(requestData.num_predict || requestData.max_tokens) || 4096
+  };
+}
+
+/**
+ * Extracts the generated text from an OpenAI-style completion object
+ * (chat completion, streamed chat delta, or legacy text completion)
+ * @param {object} data - Parsed response object
+ * @return {string} - Generated text, or "" when none is present
+ */
+function extractChoiceText(data) {
+  const choice = data?.choices?.[0];
+  if (!choice) return "";
+  return choice.message?.content ?? choice.delta?.content ?? choice.text ?? "";
+}
+
+/**
+ * Supported LLM server APIs. Each provider knows its endpoints, how to shape
+ * (and summarize for the log) a generation request and how to read streamed
+ * fragments and model lists.
+ */
+const LLM_PROVIDERS = {
+  ollama: {
+    id: "ollama",
+    label: "Ollama",
+    generatePath: "/api/generate",
+    versionPath: "/api/version",
+    modelsPath: "/api/tags",
+    buildRequestBody: buildGenerateRequestBody,
+    describeRequestBody(body) {
+      return `think:${body.think} | num_ctx:${body.options.num_ctx} | num_predict:${body.options.num_predict} | prompt_len:${body.prompt.length}`;
+    },
+    // NDJSON: one JSON object per line
+    parseStreamLine(line) {
+      const data = JSON.parse(line);
+      if (data.error) throw new Error(`Ollama error: ${data.error}`);
+      return data.response || "";
+    },
+    parseModels(data) {
+      return Array.isArray(data?.models)
+        ? data.models.filter((model) => model && model.name).map((model) => model.name)
+        : [];
+    }
+  },
+  openai: {
+    id: "openai",
+    label: "OpenAI-compatible",
+    generatePath: "/v1/chat/completions",
+    versionPath: null,
+    modelsPath: "/v1/models",
+    buildRequestBody: buildChatCompletionRequestBody,
+    describeRequestBody(body) {
+      return `max_tokens:${body.max_tokens} | prompt_len:${body.messages[0].content.length}`;
+    },
+    // Server-sent events: "data: {json}" lines terminated by "data: [DONE]"
+    parseStreamLine(line) {
+      if (!line.startsWith("data:")) return "";
+      const payload = line.slice(5).trim();
+      if (payload === "[DONE]") return "";
+      const data = JSON.parse(payload);
+      if (data.error) throw new Error(`Server error: ${data.error.message || data.error}`);
+      return extractChoiceText(data);
+    },
+    parseModels(data) {
+      return Array.isArray(data?.data)
+        ? data.data.filter((model) => model && model.id).map((model) => model.id)
+        : [];
+    }
+  }
+};
+
+/**
+ * Sends a one-shot generation request to the LLM server
+ * @param {{baseUrl: string, provider: object}} server - Server URL and provider
+ * @param {object} requestData - Prepared request data
+ * @param {number} timeout - Request timeout in seconds
+ * @param {function} sendResponse - Receives {enhancedText} or {error}
+ * @param {{tabId?: number, frameId?: number, url?: string}} [origin] - Page that asked, for scoped termination
+ */
+function processNonStreamingRequest(server, requestData, timeout, sendResponse, origin = {}) {
+  const { baseUrl, provider } = server;
+  const generateUrl = baseUrl + provider.generatePath;
 
   const validatedTimeout =
     typeof timeout === "number" && timeout > 0 && timeout < 600 ? timeout : 120;
 
   const controller = new AbortController();
-  const requestId = Date.now().toString();
-  activeRequestControllers.set(requestId, controller);
+  activeRequestControllers.set(controller, origin);
 
   const timeoutId = setTimeout(
     () => controller.abort(),
     validatedTimeout * 1000
   );
 
-  const num_predict = parseInt(requestData.num_predict || requestData.max_tokens) || 4096;
-  const num_ctx     = parseInt(requestData.num_ctx) || DEFAULT_CONTEXT_SIZE;
-
-  const safeRequestData = {
-    model: String(requestData.model || ""),
-    prompt: String(requestData.prompt || ""),
-    stream: false,
-    think: false,   // disable reasoning chain for qwen3/qwen3.5 (ignored by non-thinking models)
-    options: {
-      temperature: parseFloat(requestData.temperature) || DEFAULT_TEMPERATURE,
-      top_p: parseFloat(requestData.top_p) || DEFAULT_TOP_P,
-      num_predict,
-      num_ctx
-    }
-  };
+  const body = provider.buildRequestBody(requestData, false);
 
   const t0 = Date.now();
-  console.log(
-    `[Ollama] → ${safeRequestData.model} | think:false | num_ctx:${num_ctx} | num_predict:${num_predict} | prompt_len:${safeRequestData.prompt.length}`
-  );
+  console.log(`[${provider.label}] → ${body.model} | ${provider.describeRequestBody(body)}`);
 
-  fetch(ollamaUrl, {
+  fetch(generateUrl, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(safeRequestData),
+    body: JSON.stringify(body),
     signal: controller.signal
   })
     .then((response) => {
       if (!response.ok) {
-        throw new Error(`Ollama HTTP error: ${response.status}`);
+        throw new Error(`${provider.label} HTTP error: ${response.status}`);
       }
       return response.text();
     })
     .then((rawText) => {
-      console.log(`[Ollama] ← ${safeRequestData.model} responded in ${((Date.now() - t0) / 1000).toFixed(1)}s | raw_len:${rawText.length}`);
+      console.log(`[${provider.label}] ← ${body.model} responded in ${((Date.now() - t0) / 1000).toFixed(1)}s | raw_len:${rawText.length}`);
       return processOllamaResponse(rawText, sendResponse);
     })
     .catch((error) =>
@@ -569,12 +2708,122 @@ function processNonStreamingRequest(requestData, timeout, sendResponse) {
     )
     .finally(() => {
       clearTimeout(timeoutId);
-      activeRequestControllers.delete(requestId);
+      activeRequestControllers.delete(controller);
     });
 }
 
 /**
- * Processes Ollama response
+ * Streams a generation from the LLM server, forwarding each fragment over the port.
+ * The final text is still delivered through sendResponse so caching and error
+ * handling match the non-streaming path.
+ * @param {{baseUrl: string, provider: object}} server - Server URL and provider
+ * @param {object} requestData - Prepared request data
+ * @param {number} timeout - Request timeout in seconds
+ * @param {chrome.runtime.Port} port - Port connected to the requesting content script
+ * @param {function} sendResponse - Receives {enhancedText} or {error}
+ * @param {{tabId?: number, frameId?: number, url?: string}} [origin] - Page that asked, for scoped termination
+ */
+function processStreamingRequest(server, requestData, timeout, port, sendResponse, origin = {}) {
+  const { baseUrl, provider } = server;
+  const generateUrl = baseUrl + provider.generatePath;
+
+  const validatedTimeout =
+    typeof timeout === "number" && timeout > 0 && timeout < 600 ? timeout : 120;
+
+  const controller = new AbortController();
+  activeRequestControllers.set(controller, origin);
+
+  const timeoutId = setTimeout(
+    () => controller.abort(),
+    validatedTimeout * 1000
+  );
+
+  // The content script went away (navigation, tab closed) — nobody is listening.
+  port.onDisconnect.addListener(() => controller.abort("PORT_DISCONNECTED"));
+
+  const body = provider.buildRequestBody(requestData, true);
+
+  const t0 = Date.now();
+  console.log(`[${provider.label}] ⇢ ${body.model} | stream | ${provider.describeRequestBody(body)}`);
+
+  fetch(generateUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal: controller.signal
+  })
+    .then(async (response) => {
+      if (!response.ok) {
+        throw new Error(`${provider.label} HTTP error: ${response.status}`);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      let enhancedText = "";
+
+      const consumeLine = (line) => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+        let fragment;
+        try {
+          fragment = provider.parseStreamLine(trimmed);
+        } catch (lineError) {
+          if (lineError instanceof SyntaxError) {
+            console.warn("Error parsing stream line:", lineError);
+            return;
+          }
+          throw lineError;
+        }
+        if (fragment) {
+          enhancedText += fragment;
+          postStreamMessage(port, { type: "chunk", text: fragment });
+        }
+      };
+
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        lines.forEach(consumeLine);
+      }
+      consumeLine(buffer + decoder.decode());
+
+      console.log(`[${provider.label}] ⇠ ${body.model} streamed in ${((Date.now() - t0) / 1000).toFixed(1)}s | len:${enhancedText.length}`);
+
+      if (!enhancedText) {
+        throw new Error("No text found in Ollama response");
+      }
+      sendResponse({ enhancedText });
+    })
+    .catch((error) =>
+      handleOllamaError(error, controller, validatedTimeout, sendResponse)
+    )
+    .finally(() => {
+      clearTimeout(timeoutId);
+      activeRequestControllers.delete(controller);
+    });
+}
+
+/**
+ * Posts a message on a stream port, ignoring ports that already disconnected
+ * @param {chrome.runtime.Port} port - Stream port
+ * @param {object} message - Message to post
+ */
+function postStreamMessage(port, message) {
+  try {
+    port.postMessage(message);
+  } catch (error) {
+    console.debug("Stream port closed before message could be delivered:", error.message);
+  }
+}
+
+/**
+ * Processes a one-shot LLM response. Accepts a single JSON document (Ollama
+ * `response`, OpenAI-style `choices`) or Ollama NDJSON lines.
  * @param {string} rawText - Raw response text
  * @param {function} sendResponse - Function to send response
  */
@@ -586,22 +2835,31 @@ function processOllamaResponse(rawText, sendResponse) {
 
   try {
     let enhancedText = "";
+    let data = null;
 
-    if (rawText.includes("\n")) {
+    try {
+      data = JSON.parse(rawText);
+    } catch (wholeParseError) {
+      console.debug("Response is not a single JSON document, reading as NDJSON:", wholeParseError.message);
+    }
+
+    if (data) {
+      if (data.error) {
+        throw new Error(data.error.message || data.error);
+      }
+      enhancedText = data.response || extractChoiceText(data).trim();
+    } else {
       const lines = rawText.split("\n").filter((line) => line.trim());
       for (const line of lines) {
         try {
-          const data = JSON.parse(line);
-          if (data.response) {
-            enhancedText += data.response;
+          const lineData = JSON.parse(line);
+          if (lineData.response) {
+            enhancedText += lineData.response;
           }
         } catch (lineError) {
           console.warn("Error parsing JSON line:", lineError);
         }
       }
-    } else {
-      const data = JSON.parse(rawText);
-      enhancedText = data.response || data.choices?.[0]?.text?.trim();
     }
 
     if (!enhancedText) {
@@ -636,10 +2894,10 @@ function processOllamaResponse(rawText, sendResponse) {
  */
 function handleOllamaError(error, controller, timeout, sendResponse) {
   if (error.name === "AbortError") {
-    const isUserTerminated = controller.signal.reason === "USER_TERMINATED";
+    const isTerminated = TERMINATION_REASONS.has(controller.signal.reason);
 
-    if (isUserTerminated) {
-      console.log("Ollama request was manually terminated");
+    if (isTerminated) {
+      console.log("Ollama request was terminated:", controller.signal.reason);
       sendResponse({ error: "Request was terminated", terminated: true });
     } else {
       console.error("Ollama request timed out after", timeout, "ms");
@@ -654,138 +2912,136 @@ function handleOllamaError(error, controller, timeout, sendResponse) {
 }
 
 /**
- * Checks Ollama availability
- * @param {function} sendResponse - Function to send response
+ * Normalizes a user-supplied LLM server URL, falling back to the default
+ * @param {string} url - Configured URL
+ * @return {string} - URL without trailing slash
  */
-function checkOllamaAvailability(sendResponse) {
-  console.log(
-    `Checking Ollama availability at ${DEFAULT_OLLAMA_URL}/api/version`
-  );
+function normalizeOllamaUrl(url) {
+  if (typeof url !== "string" || !/^https?:\/\/[^/\s]+/i.test(url.trim())) {
+    return DEFAULT_OLLAMA_URL;
+  }
+  return url.trim().replace(/\/+$/, "");
+}
 
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 5000);
+/**
+ * Resolves a provider id to its definition, falling back to the default provider
+ * @param {string} providerId - Configured provider id
+ * @return {object} - Entry from LLM_PROVIDERS
+ */
+function getLlmProvider(providerId) {
+  return LLM_PROVIDERS[providerId] || LLM_PROVIDERS[DEFAULT_LLM_PROVIDER];
+}
 
-  fetch(DEFAULT_OLLAMA_URL + "/api/version", {
-    method: "GET",
-    headers: { "Content-Type": "application/json" },
-    signal: controller.signal
-  })
-    .then((response) => {
-      if (!response) {
-        throw new Error("No response received from Ollama");
+/**
+ * Reads the configured LLM server from sync storage
+ * @param {object} [overrides] - Unsaved values to use instead (options page "Test")
+ * @param {string} [overrides.ollamaUrl] - Server URL
+ * @param {string} [overrides.llmProvider] - Provider id
+ * @return {Promise<{baseUrl: string, provider: object}>} - Normalized server settings
+ */
+function getLlmServerSettings(overrides = {}) {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(
+      { ollamaUrl: DEFAULT_OLLAMA_URL, llmProvider: DEFAULT_LLM_PROVIDER },
+      (data) => {
+        if (chrome.runtime.lastError) {
+          console.warn("Error reading LLM server settings, using defaults:", chrome.runtime.lastError);
+        }
+        const stored = chrome.runtime.lastError ? {} : data;
+        resolve({
+          baseUrl: normalizeOllamaUrl(overrides.ollamaUrl || stored.ollamaUrl),
+          provider: getLlmProvider(overrides.llmProvider || stored.llmProvider)
+        });
       }
+    );
+  });
+}
 
-      if (response.ok) {
-        return response.json().then((data) => {
-          // Validate data parameter
-          if (!data || typeof data !== "object") {
-            console.warn("Invalid version data received:", data);
-            sendResponse({
-              available: false,
-              reason: "Invalid version data format"
-            });
-            return;
-          }
+/**
+ * Fetches JSON from the LLM server with a short timeout
+ * @param {string} url - Endpoint URL
+ * @param {number} [timeoutMs=5000] - Timeout in milliseconds
+ * @return {Promise<object>} - Parsed JSON body
+ */
+async function fetchLlmJson(url, timeoutMs = 5000) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
 
-          console.log(
-            `Ollama version check successful: ${data.version || "unknown"}`
-          );
+  try {
+    const response = await fetch(url, {
+      method: "GET",
+      headers: { "Content-Type": "application/json" },
+      signal: controller.signal
+    });
+    if (!response || !response.ok) {
+      throw new Error(`HTTP error! status: ${response?.status}`);
+    }
+    const data = await response.json();
+    if (!data || typeof data !== "object") {
+      throw new Error("Invalid data format");
+    }
+    return data;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
 
-          const modelsController = new AbortController();
-          const modelsTimeoutId = setTimeout(
-            () => modelsController.abort(),
-            5000
-          );
+/**
+ * Lists the models installed on the LLM server
+ * @param {{baseUrl: string, provider: object}} server - Server URL and provider
+ * @return {Promise<Array<string>>} - Model names
+ */
+async function fetchLlmModels(server) {
+  const data = await fetchLlmJson(server.baseUrl + server.provider.modelsPath);
+  return server.provider.parseModels(data);
+}
 
-          fetch(DEFAULT_OLLAMA_URL + "/api/tags", {
-            method: "GET",
-            headers: { "Content-Type": "application/json" },
-            signal: modelsController.signal
-          })
-            .then((modelsResponse) => {
-              if (!modelsResponse || !modelsResponse.ok) {
-                console.warn(
-                  "Models endpoint not accessible:",
-                  modelsResponse?.status
-                );
-                sendResponse({
-                  available: true,
-                  version: data.version,
-                  models: [],
-                  reason: "Could not fetch models list"
-                });
-                return;
-              }
+/**
+ * Checks LLM server availability. Ollama is probed through /api/version;
+ * OpenAI-compatible servers have no version endpoint, so a successful
+ * /v1/models listing is what proves they are up.
+ * @param {function} sendResponse - Function to send response
+ * @param {object} [overrides] - Unsaved server settings to test instead of the saved ones
+ */
+async function checkOllamaAvailability(sendResponse, overrides = {}) {
+  const server = await getLlmServerSettings(overrides);
+  const { baseUrl, provider } = server;
 
-              return modelsResponse.json();
-            })
-            .then((modelsData) => {
-              // Use modelsData parameter with validation
-              if (!modelsData || typeof modelsData !== "object") {
-                console.warn("Invalid models data:", modelsData);
-                sendResponse({
-                  available: true,
-                  version: data.version,
-                  models: []
-                });
-                return;
-              }
+  console.log(`Checking ${provider.label} availability at ${baseUrl}`);
 
-              const availableModels = Array.isArray(modelsData.models)
-                ? modelsData.models
-                    .filter((model) => model && model.name)
-                    .map((model) => model.name)
-                : [];
-
-              console.log(
-                `Ollama is available, version: ${
-                  data.version
-                }, models: ${availableModels.join(", ")}`
-              );
-              sendResponse({
-                available: true,
-                version: data.version,
-                models: availableModels
-              });
-            })
-            .catch((modelError) => {
-              console.log(
-                `Ollama is available, version: ${data.version}, but couldn't fetch models: ${modelError.message}`
-              );
-              sendResponse({
-                available: true,
-                version: data.version,
-                models: [],
-                reason: `Models fetch failed: ${modelError.message}`
-              });
-            })
-            .finally(() => clearTimeout(modelsTimeoutId));
-        });
-      } else {
-        console.warn(
-          `Ollama availability check failed with status: ${response.status}`
-        );
-        sendResponse({
-          available: false,
-          reason: `HTTP error: ${response.status}`
-        });
-      }
-    })
-    .catch((error) => {
-      // Use error parameter
-      if (!error) {
-        console.warn("Unknown error during Ollama check");
-        sendResponse({ available: false, reason: "Unknown error" });
-        return;
-      }
+  let version = null;
+  if (provider.versionPath) {
+    try {
+      const data = await fetchLlmJson(baseUrl + provider.versionPath);
+      version = data.version || "unknown";
+      console.log(`${provider.label} version check successful: ${version}`);
+    } catch (error) {
+      const reason = error.name === "AbortError" ? "Connection timeout" : error.message;
+      console.warn(`${provider.label} not available:`, reason);
+      sendResponse({ available: false, provider: provider.id, reason });
+      return;
+    }
+  }
 
-      console.warn("Ollama availability check failed:", error.message || error);
+  try {
+    const models = await fetchLlmModels(server);
+    console.log(`${provider.label} is available, models: ${models.join(", ")}`);
+    sendResponse({ available: true, provider: provider.id, version, models });
+  } catch (error) {
+    console.warn("Models endpoint not accessible:", error.message);
+    if (provider.versionPath) {
       sendResponse({
-        available: false,
-        reason: error.message || "Connection failed"
+        available: true,
+        provider: provider.id,
+        version,
+        models: [],
+        reason: "Could not fetch models list"
       });
-    })
-    .finally(() => clearTimeout(timeoutId));
+    } else {
+      const reason = error.name === "AbortError" ? "Connection timeout" : error.message;
+      sendResponse({ available: false, provider: provider.id, reason });
+    }
+  }
 }
 
 /**
@@ -850,6 +3106,65 @@ function isSiteWhitelisted(url) {
   }
 }
 
+/**
+ * Fetches a chapter page for pre-enhancement. Runs here rather than in the
+ * content script so the request is not tied to the reader's tab.
+ * @param {string} url - Absolute http(s) chapter URL
+ * @return {Promise<object>} - `{status: "ok", html, url}`, `{status: "busy"}`
+ *   while an on-page enhancement is running, or `{status: "error", message}`
+ */
+async function fetchChapterPage(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { status: "error", message: `Invalid chapter URL: ${error.message}` };
+  }
+
+  if (!/^https?:$/.test(parsed.protocol)) {
+    return { status: "error", message: "Only http(s) chapter URLs can be fetched" };
+  }
+
+  if (_isProcessing) {
+    return { status: "busy" };
+  }
+
+  if (!(await checkSitePermission(parsed.href))) {
+    return { status: "error", message: "Site is not whitelisted" };
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PREFETCH_FETCH_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(parsed.href, {
+      credentials: "include",
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      return { status: "error", message: `HTTP error ${response.status}` };
+    }
+
+    const contentType = response.headers.get("content-type") || "";
+    if (!contentType.includes("html")) {
+      return { status: "error", message: `Unexpected content type: ${contentType}` };
+    }
+
+    const html = await response.text();
+    if (html.length > PREFETCH_MAX_HTML_BYTES) {
+      return { status: "error", message: "Chapter page is too large" };
+    }
+
+    return { status: "ok", html, url: response.url || parsed.href };
+  } catch (error) {
+    const message = error.name === "AbortError" ? "Chapter fetch timed out" : error.message;
+    return { status: "error", message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
 /**
  * Checks site permission
  * @param {string} url - URL to check
@@ -945,6 +3260,9 @@ function handleMessage(request, sender, sendResponse) {
 
     novelCharacterMaps[novelId].lastAccess = Date.now();
 
+    // Evidence sent without a chapter came from the chapter being reported
+    const evidenceChapter = parseInt(request.chapterNumber, 10);
+
     if (request.chapterNumber) {
       if (!novelCharacterMaps[novelId].chaps) {
         novelCharacterMaps[novelId].chaps = [];
@@ -973,16 +3291,10 @@ function handleMessage(request, sender, sendResponse) {
           return;
         }
 
-        let existingCharId = null;
-
-        for (const [id, character] of Object.entries(
-          novelCharacterMaps[novelId].chars
-        )) {
-          if (character && character.name.toLowerCase() === charData.name.toLowerCase()) {
-            existingCharId = id;
-            break;
-          }
-        }
+        const existingCharId = findCharacterIdByName(
+          novelCharacterMaps[novelId].chars,
+          charData.name
+        );
 
         if (existingCharId !== null) {
           const existingChar =
@@ -1000,40 +3312,59 @@ function handleMessage(request, sender, sendResponse) {
 
           let mergedGender = existingChar.gender;
           let mergedConfidence = existingChar.confidence || 0;
-          let mergedEvidences = [...(existingChar.evidences || [])];
-
-          const newConfidence = parseFloat(charData.confidence) || 0;
-          if (newConfidence > mergedConfidence) {
-            mergedGender = charData.gender;
-            mergedConfidence = newConfidence;
-            mergedEvidences = Array.isArray(charData.evidences)
-              ? [...charData.evidences]
-              : [];
-          } else if (
-            newConfidence === mergedConfidence &&
-            Array.isArray(charData.evidences)
-          ) {
-            charData.evidences.forEach((item) => {
-              if (
-                item &&
-                !mergedEvidences.includes(item) &&
-                mergedEvidences.length < 5
-              ) {
-                mergedEvidences.push(item);
-              }
-            });
+          let mergedEvidences = existingChar.evidences || [];
+          let mergedSource = existingChar.genderSource;
+          let mergedVotes = existingChar.votes;
+
+          // Only a chapter's own analysis votes; a character sent without a
+          // vote was just seen again. Locked characters only count appearances.
+          const vote = isCharacterLocked(existingChar)
+            ? null
+            : normalizeGenderVote(charData.vote, evidenceChapter);
+          if (vote) {
+            const votes = recordGenderVote(characterGenderVotes(existingChar), vote);
+            const tally = tallyGenderVotes(votes);
+            mergedGender = tally.gender;
+            mergedConfidence = tally.confidence;
+            mergedSource = tally.source;
+            mergedVotes = { m: tally.m, f: tally.f, chapters: votes };
+            if (Array.isArray(charData.evidences)) {
+              mergedEvidences = mergeEvidences([
+                ...mergeEvidences(charData.evidences, evidenceChapter),
+                ...mergedEvidences
+              ]);
+            }
           }
 
+          // Keeps aliases, split-off names and locks; a name
+          // matched through an alias leaves the canonical name in place
           novelCharacterMaps[novelId].chars[existingCharId] = {
-            name: charData.name,
+            ...existingChar,
+            name:
+              existingChar.name.toLowerCase() === charData.name.toLowerCase()
+                ? charData.name
+                : existingChar.name,
             gender: mergedGender,
             confidence: mergedConfidence,
             appearances: newAppearances
           };
 
+          if (mergedVotes) {
+            novelCharacterMaps[novelId].chars[existingCharId].votes = mergedVotes;
+          }
+
           if (mergedEvidences.length > 0) {
             novelCharacterMaps[novelId].chars[existingCharId].evidences =
-              mergedEvidences.slice(0, 5);
+              mergedEvidences;
+          } else {
+            delete novelCharacterMaps[novelId].chars[existingCharId].evidences;
+          }
+
+          // Where the stored verdict came from, shown in the options page
+          if (mergedSource) {
+            novelCharacterMaps[novelId].chars[existingCharId].genderSource = mergedSource;
+          } else {
+            delete novelCharacterMaps[novelId].chars[existingCharId].genderSource;
           }
 
           console.log(
@@ -1049,13 +3380,31 @@ function handleMessage(request, sender, sendResponse) {
             appearances: parseInt(charData.appearances) || 1
           };
 
-          if (
-            Array.isArray(charData.evidences) &&
-            charData.evidences.length > 0
-          ) {
-            novelCharacterMaps[novelId].chars[nextId].evidences = [
-              ...charData.evidences.slice(0, 5)
-            ];
+          if (charData.genderSource === LLM_GENDER_SOURCE) {
+            novelCharacterMaps[novelId].chars[nextId].genderSource = LLM_GENDER_SOURCE;
+          }
+
+          // A first vote starts the running totals
+          const vote = normalizeGenderVote(charData.vote, evidenceChapter);
+          if (vote) {
+            const tally = tallyGenderVotes([vote]);
+            Object.assign(novelCharacterMaps[novelId].chars[nextId], {
+              gender: tally.gender,
+              confidence: tally.confidence,
+              votes: { m: tally.m, f: tally.f, chapters: [vote] }
+            });
+            if (tally.source) {
+              novelCharacterMaps[novelId].chars[nextId].genderSource = tally.source;
+            } else {
+              delete novelCharacterMaps[novelId].chars[nextId].genderSource;
+            }
+          }
+
+          const evidences = Array.isArray(charData.evidences)
+            ? mergeEvidences(charData.evidences, evidenceChapter)
+            : [];
+          if (evidences.length > 0) {
+            novelCharacterMaps[novelId].chars[nextId].evidences = evidences;
           }
 
           console.log(`Added new character: ${charData.name} (ID: ${nextId})`);
@@ -1063,17 +3412,14 @@ function handleMessage(request, sender, sendResponse) {
       });
     }
 
-    // Trim excess characters (keep top N by appearances) before persisting
+    // Fold name variants ("Brother Lin", "Feng'er") into one character
     const novelEntry = novelCharacterMaps[novelId];
-    if (Object.keys(novelEntry.chars).length > MAX_CHARS_PER_NOVEL) {
-      novelEntry.chars = Object.fromEntries(
-        Object.entries(novelEntry.chars)
-          .sort(([, a], [, b]) => (b.appearances || 0) - (a.appearances || 0))
-          .slice(0, MAX_CHARS_PER_NOVEL)
-      );
-    }
+    novelEntry.chars = clusterNovelCharacters(novelEntry.chars);
 
-    storeNovelCharacterMaps(novelCharacterMaps);
+    // Trim excess characters (keep top N by appearances) before persisting
+    novelEntry.chars = trimNovelCharacters(novelEntry.chars);
+
+    saveNovel(novelId);
 
     // Add stats tracking
     const statsUpdate = {
@@ -1157,19 +3503,40 @@ function handleMessage(request, sender, sendResponse) {
       character.gender = genderCode;
       character.confidence = 1.0; // Set confidence to 100% for manual overrides
       character.manualOverride = true;
-      character.evidences = [`manually set to ${newGender}`];
+      // Earlier evidence stays visible below the override
+      character.evidences = mergeEvidences([
+        {
+          analyzer: "manual",
+          detail: `set to ${newGender} by hand`,
+          gender: genderCode,
+          score: genderCode === "u" ? 0 : 1
+        },
+        ...(character.evidences || []).filter((item) => item?.analyzer !== "manual")
+      ]);
+      delete character.genderSource;
 
       console.log(
         `Character ${character.name} gender manually set to ${newGender}`
       );
     } else {
       delete character.manualOverride;
+      // The stored chapter votes decide again
+      if (!character.locked && Array.isArray(character.votes?.chapters)) {
+        const tally = tallyGenderVotes(character.votes.chapters);
+        character.gender = tally.gender;
+        character.confidence = tally.confidence;
+        if (tally.source) {
+          character.genderSource = tally.source;
+        } else {
+          delete character.genderSource;
+        }
+      }
       console.log(`Character ${character.name} reverted to auto-detection`);
     }
 
     novelCharacterMaps[novelId].lastAccess = Date.now();
 
-    storeNovelCharacterMaps(novelCharacterMaps);
+    saveNovel(novelId);
 
     const responseData = {
       status: "ok",
@@ -1185,6 +3552,94 @@ function handleMessage(request, sender, sendResponse) {
 
     sendResponse(responseData);
     return false;
+  } else if (request.action === "mergeCharacters") {
+    const { novelId, sourceId, targetId } = request;
+    const chars = novelCharacterMaps[novelId]?.chars;
+
+    if (!chars || !chars[sourceId] || !chars[targetId] || String(sourceId) === String(targetId)) {
+      sendResponse({ status: "error", message: "Characters not found" });
+      return false;
+    }
+
+    if (haveConflictingLocks(chars[sourceId], chars[targetId])) {
+      sendResponse({
+        status: "error",
+        message: "Both characters are locked to different genders; unlock one to merge them"
+      });
+      return false;
+    }
+
+    // A manual merge undoes an earlier split between the two
+    const sourceNames = characterNames(chars[sourceId]).map((name) => name.toLowerCase());
+    const targetNames = characterNames(chars[targetId]).map((name) => name.toLowerCase());
+    const withoutSplit = (char, names) => ({
+      ...char,
+      distinct: (char.distinct || []).filter((name) => !names.includes(name.toLowerCase()))
+    });
+
+    chars[targetId] = mergeCharacterEntries(
+      withoutSplit(chars[targetId], sourceNames),
+      withoutSplit(chars[sourceId], targetNames)
+    );
+    delete chars[sourceId];
+    novelCharacterMaps[novelId].lastAccess = Date.now();
+
+    console.log(`Merged character ${sourceId} into ${chars[targetId].name}`);
+    saveNovel(novelId).then(() => sendResponse({ status: "ok", character: chars[targetId] }));
+    return true;
+  } else if (request.action === "splitCharacterAlias") {
+    const { novelId, charId, alias } = request;
+    const chars = novelCharacterMaps[novelId]?.chars;
+    const character = chars?.[charId];
+    const aliasIndex = (character?.aliases || []).findIndex(
+      (name) => name.toLowerCase() === String(alias).toLowerCase()
+    );
+
+    if (!character || aliasIndex === -1) {
+      sendResponse({ status: "error", message: "Alias not found" });
+      return false;
+    }
+
+    // Both sides remember the split so clustering does not merge them again
+    const aliasName = character.aliases[aliasIndex];
+    character.aliases = character.aliases.filter((_, index) => index !== aliasIndex);
+    if (character.aliases.length === 0) delete character.aliases;
+    character.distinct = [...new Set([...(character.distinct || []), aliasName])];
+
+    const newId = getNextCharacterId(chars);
+    chars[newId] = {
+      name: aliasName,
+      gender: "u",
+      confidence: 0,
+      appearances: 1,
+      distinct: [character.name]
+    };
+    novelCharacterMaps[novelId].lastAccess = Date.now();
+
+    console.log(`Split ${aliasName} from ${character.name} (new ID: ${newId})`);
+    saveNovel(novelId).then(() => sendResponse({ status: "ok", charId: String(newId) }));
+    return true;
+  } else if (request.action === "setCharacterLock") {
+    const { novelId, charId } = request;
+    const character = novelCharacterMaps[novelId]?.chars?.[charId];
+
+    if (!character) {
+      sendResponse({ status: "error", message: "Character not found" });
+      return false;
+    }
+
+    if (request.locked) {
+      character.locked = true;
+    } else {
+      delete character.locked;
+    }
+    novelCharacterMaps[novelId].lastAccess = Date.now();
+
+    console.log(`Character ${character.name} ${request.locked ? "locked" : "unlocked"}`);
+    saveNovel(novelId).then(() =>
+      sendResponse({ status: "ok", locked: isCharacterLocked(character) })
+    );
+    return true;
   } else if (request.action === "updateParagraphStats") {
     const statsUpdate = {
       paragraphsEnhanced: request.paragraphCount || 0,
@@ -1203,6 +3658,10 @@ function handleMessage(request, sender, sendResponse) {
       totalProcessingTime: 0,
       totalCharactersDetected: 0,
       enhancementSessions: 0,
+      totalErrorCount: 0,
+      totalAlignmentFallbacks: 0,
+      totalNameViolations: 0,
+      totalGlossaryViolations: 0,
       lastEnhancementDate: null,
       firstEnhancementDate: null
     };
@@ -1262,8 +3721,34 @@ function handleMessage(request, sender, sendResponse) {
           gender: charData.gender,
           confidence: charData.confidence,
           appearances: charData.appearances,
-          evidence: charData.evidences || []
+          evidence: charData.evidences || [],
+          aliases: charData.aliases || []
         };
+        if (charData.genderSource) {
+          response.characterMap[characterName].genderSource = charData.genderSource;
+        }
+        // Content scripts skip re-analysis of locked characters
+        if (isCharacterLocked(charData)) {
+          response.characterMap[characterName].locked = true;
+        }
+      }
+    );
+
+    // Aliases resolve to their character's gender without being counted twice
+    Object.entries(novelCharacterMaps[novelId].chars || {}).forEach(
+      ([charId, charData]) => {
+        (charData.aliases || []).forEach((alias) => {
+          if (response.characterMap[alias]) return;
+          response.characterMap[alias] = {
+            id: charId,
+            gender: charData.gender,
+            confidence: charData.confidence,
+            appearances: 0,
+            evidence: [],
+            aliasOf: charData.name,
+            ...(isCharacterLocked(charData) ? { locked: true } : {})
+          };
+        });
       }
     );
 
@@ -1287,6 +3772,85 @@ function handleMessage(request, sender, sendResponse) {
         sendResponse({ hasPermission: false, error: error.message });
       });
     return true;
+  } else if (request.action === "fetchChapterPage") {
+    fetchChapterPage(request.url)
+      .then(sendResponse)
+      .catch((error) => {
+        console.error("Error fetching chapter page:", error);
+        sendResponse({ status: "error", message: error.message });
+      });
+    return true;
+  } else if (request.action === "saveLibraryChapter") {
+    saveLibraryChapter(request.chapter)
+      .then((record) => sendResponse({
+        status: "ok",
+        chapterNumber: record.chapterNumber
+      }))
+      .catch((error) => {
+        console.error("Error saving chapter to library:", error);
+        sendResponse({ status: "error", message: error.message });
+      });
+    return true;
+  } else if (request.action === "getLibraryNovels") {
+    getLibraryNovelIds()
+      .then((novelIds) => sendResponse({ status: "ok", novelIds }))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  } else if (request.action === "getLibraryChapters") {
+    getLibraryChapters(request.novelId)
+      .then((chapters) => sendResponse({ status: "ok", chapters }))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  } else if (request.action === "getLibraryChapter") {
+    getLibraryChapter(request.novelId, request.chapterNumber)
+      .then((chapter) => sendResponse(
+        chapter
+          ? { status: "ok", chapter }
+          : { status: "error", message: "Chapter not found in library" }
+      ))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  } else if (request.action === "deleteLibraryChapter") {
+    deleteLibraryChapter(request.novelId, request.chapterNumber)
+      .then(() => sendResponse({ status: "ok" }))
+      .catch((error) => {
+        console.error("Error deleting chapter from library:", error);
+        sendResponse({ status: "error", message: error.message });
+      });
+    return true;
+  } else if (request.action === "deleteLibraryNovel") {
+    deleteLibraryNovel(request.novelId)
+      .then(() => sendResponse({ status: "ok" }))
+      .catch((error) => {
+        console.error("Error deleting novel from library:", error);
+        sendResponse({ status: "error", message: error.message });
+      });
+    return true;
+  } else if (request.action === "getEnhanceJobs") {
+    loadEnhanceJobs()
+      .then((jobs) => sendResponse({ status: "ok", jobs: Object.values(jobs) }))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  } else if (request.action === "createEnhanceJob") {
+    createEnhanceJob(request.job || {})
+      .then((job) => sendResponse({ status: "ok", job }))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  } else if (request.action === "updateEnhanceJob") {
+    updateEnhanceJob(request.jobId, request.command)
+      .then((job) => sendResponse({ status: "ok", job }))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  } else if (request.action === "exportData") {
+    buildDataBackup()
+      .then((backup) => sendResponse({ status: "ok", backup }))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
+  } else if (request.action === "importData") {
+    importDataBackup(request.backup, request.dryRun !== false)
+      .then((summary) => sendResponse({ status: "ok", summary, applied: request.dryRun === false }))
+      .catch((error) => sendResponse({ status: "error", message: error.message }));
+    return true;
   } else if (request.action === "addSiteToWhitelist") {
     const url = request.url;
     try {
@@ -1360,7 +3924,10 @@ function handleMessage(request, sender, sendResponse) {
     const statsUpdate = {
       enhancementSession: request.enhancementSession || true,
       processingTime: finalStats.processingTime || 0,
-      errorCount: finalStats.errorCount || 0
+      errorCount: finalStats.errorCount || 0,
+      alignmentFallbacks: finalStats.alignmentFallbacks || 0,
+      nameViolations: finalStats.nameViolations || 0,
+      glossaryViolations: finalStats.glossaryViolations || 0
     };
 
     if (finalStats.compressionRatio && finalStats.compressionRatio !== 1.0) {
@@ -1380,13 +3947,16 @@ function handleMessage(request, sender, sendResponse) {
       totalDialoguesEnhanced: finalStats.totalDialoguesEnhanced,
       totalCharactersDetected: finalStats.totalCharactersDetected,
       totalWordsProcessed: finalStats.totalWordsProcessed,
-      errorCount: finalStats.errorCount
+      errorCount: finalStats.errorCount,
+      alignmentFallbacks: finalStats.alignmentFallbacks,
+      nameViolations: finalStats.nameViolations,
+      glossaryViolations: finalStats.glossaryViolations
     });
 
     sendResponse({ status: "ok" });
     return false;
   } else if (request.action === "ollamaRequest") {
-    handleOllamaRequest(request, sendResponse);
+    handleOllamaRequest(request, sendResponse, null, sender);
     return true; 
   } else if (request.action === "checkActiveTabPermission") {
     if (!request.url) {
@@ -1433,42 +4003,36 @@ function handleMessage(request, sender, sendResponse) {
 
     return true; 
   } else if (request.action === "terminateAllRequests") {
-    console.log(`Terminating ${activeRequestControllers.size} active requests`);
+    // Scoped to the asking tab unless allTabs is set; callers without a tab
+    // (popup, options) name one with tabId or stop everything
+    const tabId = request.tabId ?? sender?.tab?.id;
+    const everyTab = Boolean(request.allTabs) || typeof tabId !== "number";
+    const count = abortLlmRequests(
+      (origin) => everyTab || origin.tabId === tabId,
+      "USER_TERMINATED"
+    );
+    console.log(`Terminated ${count} requests for ${everyTab ? "all tabs" : `tab ${tabId}`}`);
 
-    for (const controller of activeRequestControllers.values()) {
-      controller.abort("USER_TERMINATED");
+    if (activeRequestControllers.size === 0 && llmRequestQueue.length === 0) {
+      _isProcessing = false;
+      setBadgeError();
     }
 
-    activeRequestControllers.clear();
-
-    _isProcessing = false;
-    setBadgeError();
-
     sendResponse({
       status: "terminated",
-      count: activeRequestControllers.size
+      count
     });
     return false;
   } else if (request.action === "checkOllamaAvailability") {
-    checkOllamaAvailability(sendResponse);
+    checkOllamaAvailability(sendResponse, {
+      ollamaUrl: request.ollamaUrl,
+      llmProvider: request.llmProvider
+    });
     return true; 
   } else if (request.action === "getOllamaModels") {
-    fetch(DEFAULT_OLLAMA_URL + "/api/tags", {
-      method: "GET",
-      headers: { "Content-Type": "application/json" }
-    })
-      .then((response) => {
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        return response.json();
-      })
-      .then((data) => {
-        const models = data.models
-          ? data.models.map((model) => model.name)
-          : [];
-        sendResponse({ models });
-      })
+    getLlmServerSettings()
+      .then(fetchLlmModels)
+      .then((models) => sendResponse({ models }))
       .catch((error) => {
         console.error("Error fetching Ollama models:", error);
         sendResponse({ models: [], error: error.message });
@@ -1528,10 +4092,52 @@ function handleMessage(request, sender, sendResponse) {
       novelCharacterMaps[novelId].lastAccess = Date.now();
     }
 
-    storeNovelCharacterMaps(novelCharacterMaps);
+    saveNovel(novelId);
 
     sendResponse({ status: "ok" });
     return false;
+  } else if (request.action === "getNovelGlossary") {
+    const novelId = request.novelId;
+
+    if (!novelId) {
+      sendResponse({ status: "error", message: "No novel ID provided" });
+      return false;
+    }
+
+    const glossary = novelCharacterMaps?.[novelId]?.glossary;
+    sendResponse({ status: "ok", glossary: normalizeGlossary(glossary) });
+    return false;
+  } else if (request.action === "updateNovelGlossary") {
+    const { novelId, glossary } = request;
+
+    if (!novelId || !glossary || typeof glossary !== "object") {
+      sendResponse({
+        status: "error",
+        message: "Missing novel ID or glossary data"
+      });
+      return false;
+    }
+
+    if (!novelCharacterMaps) {
+      novelCharacterMaps = {};
+    }
+
+    if (!novelCharacterMaps[novelId]) {
+      novelCharacterMaps[novelId] = {
+        chars: {},
+        chaps: [],
+        lastAccess: Date.now()
+      };
+    }
+
+    const normalized = normalizeGlossary(glossary);
+    novelCharacterMaps[novelId].glossary = normalized;
+    novelCharacterMaps[novelId].lastAccess = Date.now();
+
+    saveNovel(novelId);
+
+    sendResponse({ status: "ok", glossary: normalized });
+    return false;
   }
 
   sendResponse({ status: "error", error: "Unknown action" });
@@ -1542,18 +4148,7 @@ chrome.runtime.onInstalled.addListener(() => {
   chrome.storage.sync.get({ whitelistedSites: [] }, (existingData) => {
     const existing = Array.isArray(existingData.whitelistedSites) ? existingData.whitelistedSites : [];
     const merged = [...new Set([...MANIFEST_SITES, ...existing])];
-    const defaults = {
-      isExtensionPaused: false,
-      preserveNames:     true,
-      fixPronouns:       true,
-      modelName:         DEFAULT_MODEL_NAME,
-      contextSize:       DEFAULT_CONTEXT_SIZE,
-      timeout:           DEFAULT_TIMEOUT_SEC,
-      disabledPages:     [],
-      temperature:       DEFAULT_TEMPERATURE,
-      topP:              DEFAULT_TOP_P,
-      whitelistedSites:  merged
-    };
+    const defaults = { ...SYNC_SETTING_DEFAULTS, whitelistedSites: merged };
     chrome.storage.sync.get(defaults, (data) => {
       chrome.storage.sync.set({ ...data, whitelistedSites: merged });
       console.log("Extension initialized with default settings:", data);
@@ -1565,24 +4160,23 @@ chrome.runtime.onInstalled.addListener(() => {
       globalStats = { ...globalStats, ...data.globalStats };
     }
   });
-  chrome.storage.local.get("novelCharacterMaps", (data) => {
-    if (data.novelCharacterMaps) {
-      novelCharacterMaps = data.novelCharacterMaps;
-    }
-  });
-
+  // Loads novel data through the schema migrations
   initializeBackground();
   scheduleCleanupAlarm();
+  runEnhanceJobs();
 });
 
 chrome.runtime.onStartup.addListener(() => {
   initializeBackground();
   scheduleCleanupAlarm();
+  runEnhanceJobs();
 });
 
 chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === CLEANUP_ALARM_NAME) {
     runPeriodicCleanup();
+  } else if (alarm.name === JOB_ALARM_NAME) {
+    runEnhanceJobs();
   }
 });
 
@@ -1611,12 +4205,96 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   }
 });
 
+// The tab the reader is looking at gets the next free LLM slot
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  activeTabId = tabId;
+  drainLlmQueue();
+});
+
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+
+  chrome.tabs.query({ active: true, windowId }, (tabs) => {
+    if (chrome.runtime.lastError || !tabs?.[0]) return;
+    activeTabId = tabs[0].id;
+    drainLlmQueue();
+  });
+});
+
+/**
+ * A restarted worker has seen no tab activation yet, so the tab on screen is
+ * looked up once; an activation seen meanwhile wins
+ */
+function loadActiveTab() {
+  chrome.tabs.query({ active: true, lastFocusedWindow: true }, (tabs) => {
+    if (chrome.runtime.lastError || !tabs?.[0] || activeTabId !== null) return;
+    activeTabId = tabs[0].id;
+    drainLlmQueue();
+  });
+}
+
+loadActiveTab();
+
+// Nobody will read a reply for a page that is gone
+chrome.tabs.onRemoved.addListener((tabId) => {
+  const count = abortLlmRequests((origin) => origin.tabId === tabId, "TAB_CLOSED");
+  if (count > 0) console.log(`Tab ${tabId} closed, stopped ${count} requests`);
+});
+
+// Cache warming is for the chapter the reader moves on to, so it outlives the
+// page that started it; closing the tab or terminating still stops it
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (!changeInfo.url) return;
+
+  const url = urlWithoutHash(changeInfo.url);
+  const count = abortLlmRequests(
+    (origin) => origin.tabId === tabId && !origin.prefetch && Boolean(origin.url) && urlWithoutHash(origin.url) !== url,
+    "TAB_NAVIGATED"
+  );
+  if (count > 0) console.log(`Tab ${tabId} left the page, stopped ${count} requests`);
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command !== "toggle-original" || !tab?.id) return;
+
+  chrome.tabs.sendMessage(tab.id, { action: "toggleOriginal" }, () => {
+    if (chrome.runtime.lastError) {
+      console.debug("Toggle original: no content script on this tab:", chrome.runtime.lastError.message);
+    }
+  });
+});
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== LLM_STREAM_PORT_NAME) return;
+
+  port.onMessage.addListener((request) => {
+    if (!request || request.action !== "ollamaRequest") {
+      postStreamMessage(port, { type: "error", error: "Unknown action" });
+      return;
+    }
+
+    handleOllamaRequest(
+      request,
+      (resp) => postStreamMessage(port, { type: resp?.error ? "error" : "done", ...resp }),
+      port,
+      port.sender
+    );
+  });
+});
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   const criticalActions = [
     "getNovelData",
     "updateNovelData",
     "getNovelStyle",
-    "updateNovelStyle"
+    "updateNovelStyle",
+    "getNovelGlossary",
+    "updateNovelGlossary",
+    "exportData",
+    "importData",
+    "mergeCharacters",
+    "splitCharacterAlias",
+    "setCharacterLock"
   ];
 
   if (!isBackgroundReady && criticalActions.includes(request.action)) {
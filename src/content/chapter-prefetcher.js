@@ -0,0 +1,206 @@
+import { ExtensionConfig } from "../shared/utils/extension-config.js";
+import { ContentEnhancer } from "../shared/content/enhancer.js";
+import { findContentElementIn } from "./content-detector.js";
+import { findNextChapterUrl } from "./next-chapter.js";
+import { selectParagraphsForLLM } from "./enhancement-runner.js";
+
+// chapter-prefetcher.js
+/**
+ * Enhances the chapters after the current one while the reader is still on
+ * this page. The background worker fetches each page; the chapter is run
+ * through the same enhancer with the same inputs as a live run, so the
+ * persistent LLM cache answers when the reader opens it.
+ */
+
+const { PREFETCH } = ExtensionConfig;
+
+/**
+ * Resolve when the main thread is idle, so parsing and prompt building do
+ * not compete with the reader scrolling
+ * @return {Promise<void>}
+ */
+function waitForIdle() {
+  return new Promise((resolve) => {
+    if (typeof window.requestIdleCallback === "function") {
+      window.requestIdleCallback(() => resolve(), { timeout: 2000 });
+    } else {
+      setTimeout(resolve, 0);
+    }
+  });
+}
+
+export class ChapterPrefetcher {
+  /**
+   * @param {object} options
+   * @param {function(): object} options.getSettings - Current content-script settings
+   * @param {function(): boolean} options.isPageBusy - True while this page is enhancing
+   */
+  constructor({ getSettings, isPageBusy }) {
+    this.getSettings = getSettings;
+    this.isPageBusy = isPageBusy;
+    this.timer = null;
+    this.running = false;
+    this.generation = 0;
+    this.prefetched = new Set();
+  }
+
+  /**
+   * Start pre-fetching after the given page once it has settled. Replaces any
+   * run that is already scheduled.
+   * @param {Document} [doc]
+   * @param {string} [pageUrl]
+   */
+  schedule(doc = document, pageUrl = window.location.href) {
+    this.cancel();
+    const generation = this.generation;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.#run(doc, pageUrl, generation).catch((error) => {
+        console.warn("Chapter prefetch stopped:", error.message);
+      });
+    }, PREFETCH.START_DELAY_MS);
+  }
+
+  /**
+   * Stop scheduling further chapters. A request already sent to the LLM
+   * finishes in the background and still lands in the cache.
+   */
+  cancel() {
+    this.generation += 1;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * @param {Document} doc
+   * @param {string} pageUrl
+   * @param {number} generation - Run is abandoned once this no longer matches
+   * @private
+   */
+  async #run(doc, pageUrl, generation) {
+    if (this.running) return;
+
+    const depth = await this.#getQueueDepth();
+    if (depth === 0) return;
+
+    this.running = true;
+    try {
+      let currentDoc = doc;
+      let currentUrl = pageUrl;
+
+      for (let step = 0; step < depth; step++) {
+        const nextUrl = findNextChapterUrl(currentDoc, currentUrl);
+        if (!nextUrl) {
+          console.log("Chapter prefetch: no next chapter link found");
+          return;
+        }
+
+        const page = await this.#fetchWhenIdle(nextUrl, generation);
+        if (!page || generation !== this.generation) return;
+
+        const parsed = new DOMParser().parseFromString(page.html, "text/html");
+        if (!this.prefetched.has(page.url)) {
+          await this.#warmCache(parsed, page.url);
+          this.prefetched.add(page.url);
+        }
+
+        currentDoc = parsed;
+        currentUrl = page.url;
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * @return {Promise<number>} - Chapters to enhance ahead, clamped to the allowed range
+   * @private
+   */
+  async #getQueueDepth() {
+    const data = await chrome.storage.sync.get({ prefetchQueueDepth: PREFETCH.QUEUE_DEPTH });
+    const depth = parseInt(data.prefetchQueueDepth, 10);
+    if (isNaN(depth)) return PREFETCH.QUEUE_DEPTH;
+    return Math.min(Math.max(depth, 0), PREFETCH.MAX_QUEUE_DEPTH);
+  }
+
+  /**
+   * Low battery pauses pre-fetching unless the device is charging. Browsers
+   * without the Battery API are treated as plugged in.
+   * @return {Promise<boolean>}
+   * @private
+   */
+  async #batteryAllows() {
+    if (typeof navigator.getBattery !== "function") return true;
+
+    try {
+      const battery = await navigator.getBattery();
+      return battery.charging || battery.level >= PREFETCH.MIN_BATTERY_LEVEL;
+    } catch (error) {
+      console.debug("Battery status unavailable:", error);
+      return true;
+    }
+  }
+
+  /**
+   * Fetch the page once neither this tab nor another one is using the LLM and
+   * the browser has idle time. Gives up after MAX_BUSY_RETRIES waits.
+   * @param {string} url
+   * @param {number} generation
+   * @return {Promise<{html: string, url: string}|null>}
+   * @private
+   */
+  async #fetchWhenIdle(url, generation) {
+    for (let attempt = 0; attempt <= PREFETCH.MAX_BUSY_RETRIES; attempt++) {
+      if (generation !== this.generation || this.getSettings().isExtensionPaused) return null;
+
+      if (!(await this.#batteryAllows())) {
+        console.log("Chapter prefetch paused: battery is low and not charging");
+      } else if (!this.isPageBusy()) {
+        await waitForIdle();
+
+        const response = await chrome.runtime.sendMessage({ action: "fetchChapterPage", url });
+        if (response?.status === "ok") return response;
+        if (response?.status !== "busy") {
+          console.warn("Chapter prefetch: fetch failed:", response?.message);
+          return null;
+        }
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, PREFETCH.BUSY_RETRY_MS));
+    }
+
+    console.log("Chapter prefetch: gave up waiting for an idle moment");
+    return null;
+  }
+
+  /**
+   * Run the chapter through the enhancer the way the live page would, without
+   * touching the DOM, so its requests end up in the LLM cache.
+   * @param {Document} doc - Parsed chapter page
+   * @param {string} url
+   * @private
+   */
+  async #warmCache(doc, url) {
+    const contentElement = findContentElementIn(doc, new URL(url).hostname);
+    if (!contentElement) {
+      console.log("Chapter prefetch: no content found on", url);
+      return;
+    }
+
+    const enhancer = new ContentEnhancer({ url, title: doc.title, prefetch: true });
+    enhancer.setPreferences(this.getSettings());
+
+    console.log("Chapter prefetch: enhancing", url);
+    const paragraphs = contentElement.querySelectorAll("p");
+    if (paragraphs.length === 0) {
+      await enhancer.enhanceText(contentElement.textContent);
+    } else {
+      const originalTexts = Array.from(paragraphs).map((p) => p.textContent);
+      await enhancer.enhanceParagraphs(selectParagraphsForLLM(originalTexts).textsForLLM);
+    }
+    console.log("Chapter prefetch: cached", url);
+  }
+}
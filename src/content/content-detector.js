@@ -13,17 +13,20 @@ export function clearDetectorCache() {
   getCache().clearCache();
 }
 
+const MIN_CONTENT_LENGTH = 100;
+
 /**
  * Finds the largest container holding at least 5 paragraphs, by total text length.
  * Used as fallback when no known selector matches.
+ * @param {Document} [root] - Document to search (a parsed pre-fetched page, or the live one)
  * @return {HTMLElement|null}
  */
-export function findLargestTextBlock() {
+export function findLargestTextBlock(root = document) {
   let largestTextBlock = null;
   let maxTextLength = 0;
 
   try {
-    document.querySelectorAll("div, article, section").forEach((container) => {
+    root.querySelectorAll("div, article, section").forEach((container) => {
       const paragraphs = container.querySelectorAll("p");
       if (paragraphs.length >= 5) {
         let totalText = "";
@@ -42,20 +45,36 @@ export function findLargestTextBlock() {
 }
 
 /**
- * Returns site-specific selectors for the current hostname, or an empty array
- * when the hostname isn't in SiteSelectors (user-whitelisted unknown sites).
- * @return {string[]}
+ * Looks up a per-site selector map (SiteSelectors, NextChapterSelectors) for a
+ * hostname. Subdomains match their parent entry.
+ * @param {Object<string, string[]>} selectorMap
+ * @param {string} [hostname] - Defaults to the current page
+ * @return {string[]} - Empty when the site has no entry
  */
-function getSiteSpecificSelectors() {
-  const hostname = window.location.hostname.replace(/^www\./, '');
-  for (const [domain, selectors] of Object.entries(SiteSelectors)) {
-    if (hostname === domain || hostname.endsWith('.' + domain)) {
+export function getSelectorsForHost(selectorMap, hostname = window.location.hostname) {
+  const host = hostname.replace(/^www\./, '');
+  for (const [domain, selectors] of Object.entries(selectorMap)) {
+    if (host === domain || host.endsWith('.' + domain)) {
       return selectors;
     }
   }
   return [];
 }
 
+/**
+ * Site-specific selectors first, then the generic list without duplicates
+ * @param {string} [hostname]
+ * @return {string[]}
+ */
+function getContentSelectors(hostname) {
+  const siteSelectors = getSelectorsForHost(SiteSelectors, hostname);
+  const seen = new Set(siteSelectors);
+  return [
+    ...siteSelectors,
+    ...ContentSelectors.CONTENT.filter(s => !seen.has(s)),
+  ];
+}
+
 /**
  * Returns the first content element matching a known selector with ≥100 chars of text,
  * falling back to the largest text block on the page.
@@ -68,16 +87,7 @@ function getSiteSpecificSelectors() {
  * @return {HTMLElement|null}
  */
 export function findContentElement() {
-  const MIN_CONTENT_LENGTH = 100;
-
-  const siteSelectors = getSiteSpecificSelectors();
-  const seen = new Set(siteSelectors);
-  const allSelectors = [
-    ...siteSelectors,
-    ...ContentSelectors.CONTENT.filter(s => !seen.has(s)),
-  ];
-
-  for (const selector of allSelectors) {
+  for (const selector of getContentSelectors()) {
     try {
       const element = getCache().getElement(selector);
       if (element && (element.textContent?.length ?? 0) >= MIN_CONTENT_LENGTH) {
@@ -90,3 +100,25 @@ export function findContentElement() {
 
   return findLargestTextBlock();
 }
+
+/**
+ * Same resolution order as findContentElement, for a document that is not the
+ * live page (e.g. a pre-fetched chapter parsed with DOMParser). Uncached.
+ * @param {Document} doc
+ * @param {string} hostname - Host the document was loaded from
+ * @return {HTMLElement|null}
+ */
+export function findContentElementIn(doc, hostname) {
+  for (const selector of getContentSelectors(hostname)) {
+    try {
+      const element = doc.querySelector(selector);
+      if (element && (element.textContent?.length ?? 0) >= MIN_CONTENT_LENGTH) {
+        return element;
+      }
+    } catch (error) {
+      console.error(`Error with selector "${selector}":`, error);
+    }
+  }
+
+  return findLargestTextBlock(doc);
+}
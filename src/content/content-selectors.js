@@ -17,6 +17,19 @@ export const SiteSelectors = {
   'novelpub.com':        ['.chapter-content', '#chapter-content', '.reading-content'],
 };
 
+// Per-site "next chapter" links, tried before the generic heuristic in next-chapter.js.
+export const NextChapterSelectors = {
+  'fanmtl.com':          ['a.nextchap', "a[rel='next']"],
+  'royalroad.com':       ["a[rel='next']"],
+  'scribblehub.com':     ['a.btn-next'],
+  'lightnovelworld.org': ['a.nextchap', '#next_chap'],
+  'novelbin.com':        ['#next_chap', 'a.next_chap'],
+  'novelbin.me':         ['#next_chap', 'a.next_chap'],
+  'novelfire.net':       ['a.nextchap', '#next_chap'],
+  'novelbuddy.com':      ['a.next-chap', '#btn-next'],
+  'novelpub.com':        ['a.nextchap', '#next_chap'],
+};
+
 // CSS selectors for novel content detection, listed in priority order — first match wins.
 // Used as fallback after site-specific selectors, and as the full list for unknown/whitelisted sites.
 export const ContentSelectors = {
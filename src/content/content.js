@@ -6,7 +6,12 @@ import { OllamaClient } from "../shared/llm/ollama-client.js";
 import { ContentEnhancer } from "../shared/content/enhancer.js";
 import { findContentElement, clearDetectorCache } from "./content-detector.js";
 import { loadSettings, validateBooleanSetting, checkSitePermissions } from "./page-settings.js";
-import { processSingleContentBlock, processMultipleParagraphs } from "./enhancement-runner.js";
+import { processSingleContentBlock, processMultipleParagraphs, processOfflinePronounFixes } from "./enhancement-runner.js";
+import { EnhancementHistory } from "./enhancement-history.js";
+import { DiffPopover } from "./diff-popover.js";
+import { ParagraphControls } from "./paragraph-controls.js";
+import { sanitizeHtml } from "./dom-sanitizer.js";
+import { ChapterPrefetcher } from "./chapter-prefetcher.js";
 
 // content.js — orchestrator: state management, init, enhancement flow, messaging, observer
 
@@ -21,6 +26,22 @@ let toaster;
 let isCurrentSiteWhitelisted = false;
 let errorHandler;
 let _lastEnhancedContentHash = null;
+// Opened by a bulk enhancement job: the background decides when to enhance
+const isJobTab = window.location.hash === ExtensionConfig.JOBS.TAB_HASH;
+const enhancementHistory = new EnhancementHistory();
+const diffPopover = new DiffPopover();
+const chapterPrefetcher = new ChapterPrefetcher({
+  getSettings: () => settings,
+  isPageBusy: () => isEnhancing
+});
+const paragraphControls = new ParagraphControls({
+  findTarget: (node) =>
+    isCurrentSiteWhitelisted && !enhancementHistory.isShowingOriginal()
+      ? enhancementHistory.findRecordedAncestor(node)
+      : null,
+  onRevert: revertParagraph,
+  onRegenerate: regenerateParagraph
+});
 
 function _hashText(str) {
   let h = 0;
@@ -145,13 +166,19 @@ async function enhancePage({ silent = false } = {}) {
   }
 
   if (!contentEnhancerIntegration) {
-    contentEnhancerIntegration = new ContentEnhancer();
+    contentEnhancerIntegration = new ContentEnhancer({ errorHandler });
   }
+  contentEnhancerIntegration.setPreferences(settings);
 
   isEnhancing = true;
   terminateRequested = false;
   let enhancementSuccessful = false;
 
+  // Re-enhance from the enhanced view so the history stays consistent
+  diffPopover.hide();
+  paragraphControls.hide();
+  enhancementHistory.showEnhanced();
+
   if (typeof observer !== "undefined" && observer) {
     observer.disconnect();
   }
@@ -171,6 +198,15 @@ async function enhancePage({ silent = false } = {}) {
     return false;
   }
 
+  const runnerCtx = {
+    contentElement,
+    isTerminated: () => terminateRequested,
+    toaster,
+    contentEnhancerIntegration,
+    history: enhancementHistory
+  };
+  const paragraphs = contentElement.querySelectorAll("p");
+
   try {
     const ollamaStatus = await getOllamaClient().checkOllamaAvailability();
 
@@ -179,7 +215,22 @@ async function enhancePage({ silent = false } = {}) {
     }
 
     if (!ollamaStatus.available) {
-      throw new Error(`Ollama not available: ${ollamaStatus.reason}`);
+      // Without the model, pronoun fixing is the one thing still possible
+      if (!settings.fixPronouns) {
+        throw new Error(`Ollama not available: ${ollamaStatus.reason}`);
+      }
+
+      toaster.showLoading("Analyzing characters...");
+      await contentEnhancerIntegration.setupCharacterContext();
+      const fixedPronouns = await processOfflinePronounFixes(runnerCtx, paragraphs);
+      if (terminateRequested) return false;
+      if (fixedPronouns === 0) {
+        throw new Error(`Ollama not available: ${ollamaStatus.reason}`);
+      }
+
+      _lastEnhancedContentHash = _hashText(contentElement?.textContent ?? "");
+      toaster.showSuccess(`AI service unavailable — fixed ${fixedPronouns} pronouns offline`);
+      return true;
     }
 
     const availableModels = ollamaStatus.models;
@@ -204,14 +255,6 @@ async function enhancePage({ silent = false } = {}) {
       console.log(`Character context established: ${Object.keys(contextResult).length} characters`);
     }
 
-    const runnerCtx = {
-      contentElement,
-      isTerminated: () => terminateRequested,
-      toaster,
-      contentEnhancerIntegration
-    };
-
-    const paragraphs = contentElement.querySelectorAll("p");
     if (paragraphs.length === 0) {
       enhancementSuccessful = await processSingleContentBlock(runnerCtx);
     } else {
@@ -229,6 +272,8 @@ async function enhancePage({ silent = false } = {}) {
       const stats = contentEnhancerIntegration.statsUtils.getStats();
       console.log("Novel Dialogue Enhancer: Enhancement complete", stats);
       toaster.showSuccess("Enhancement complete!");
+      saveChapterToLibrary(configuredModel);
+      if (!isJobTab) chapterPrefetcher.schedule();
     } else {
       console.warn("Novel Dialogue Enhancer: Enhancement completed with issues");
       toaster.showWarning("Enhancement completed with some issues");
@@ -274,12 +319,57 @@ async function enhancePage({ silent = false } = {}) {
   }
 }
 
+/**
+ * Keep the enhanced chapter in the offline library, next to the text it was
+ * made from. Chapters without a detectable number are skipped.
+ * @param {string} model - Model that produced the enhancement
+ */
+function saveChapterToLibrary(model) {
+  const novelUtils = contentEnhancerIntegration?.novelUtils;
+  const chapterNumber = novelUtils?.chapterInfo?.chapterNumber;
+  if (!novelUtils?.novelId || chapterNumber === null || chapterNumber === undefined) {
+    console.log("Library: no chapter number detected, chapter not saved");
+    return;
+  }
+
+  const paragraphs = Array.from(contentElement.querySelectorAll("p"));
+  const elements = paragraphs.length > 0 ? paragraphs : [contentElement];
+  const pairs = elements
+    .map((el) => ({
+      original: enhancementHistory.get(el)?.originalText ?? el.textContent,
+      enhanced: el.textContent
+    }))
+    .filter((pair) => pair.enhanced.trim() || pair.original.trim());
+
+  const url = new URL(window.location.href);
+  url.hash = "";
+
+  chrome.runtime.sendMessage({
+    action: "saveLibraryChapter",
+    chapter: {
+      novelId: novelUtils.novelId,
+      novelTitle: novelUtils.getNovelTitle(),
+      chapterNumber,
+      title: document.title,
+      url: url.href,
+      model,
+      originalParagraphs: pairs.map((pair) => pair.original),
+      enhancedParagraphs: pairs.map((pair) => pair.enhanced)
+    }
+  }, (response) => {
+    if (chrome.runtime.lastError || response?.status !== "ok") {
+      console.warn("Library: chapter not saved:", chrome.runtime.lastError?.message || response?.message);
+    }
+  });
+}
+
 // ---------------------------------------------------------------------------
 // Termination handler
 // ---------------------------------------------------------------------------
 
 function handleTerminationRequest() {
   try {
+    chapterPrefetcher.cancel();
     if (isEnhancing) {
       console.log("Termination requested while enhancement in progress");
       terminateRequested = true;
@@ -322,6 +412,138 @@ function handleTerminationRequest() {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Original / enhanced view
+// ---------------------------------------------------------------------------
+
+/**
+ * Flip the enhanced paragraphs back to the source text, or forward again.
+ * @return {{status: string, showingOriginal?: boolean, error?: string}}
+ */
+function toggleOriginalText() {
+  if (isEnhancing) {
+    toaster.showWarning("Wait for the enhancement to finish before comparing");
+    return { status: "failed", error: "Enhancement in progress" };
+  }
+
+  if (enhancementHistory.size === 0) {
+    toaster.showInfo("Nothing has been enhanced on this page yet");
+    return { status: "failed", error: "No enhanced text on this page" };
+  }
+
+  diffPopover.hide();
+  paragraphControls.hide();
+  const showingOriginal = enhancementHistory.toggle();
+  toaster.showInfo(
+    showingOriginal
+      ? "Showing original text"
+      : "Showing enhanced text (Alt+click a paragraph to see its changes)"
+  );
+  return { status: "ok", showingOriginal };
+}
+
+/**
+ * Alt+click on an enhanced paragraph opens its word-level diff.
+ * @param {MouseEvent} event
+ */
+function handleDiffClick(event) {
+  if (!event.altKey || !isCurrentSiteWhitelisted) return;
+
+  const element = enhancementHistory.findRecordedAncestor(event.target);
+  if (!element) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+  const record = enhancementHistory.get(element);
+  diffPopover.show(element, record.originalText, record.enhancedText);
+}
+
+// ---------------------------------------------------------------------------
+// Per-paragraph revert / regenerate
+// ---------------------------------------------------------------------------
+
+/**
+ * Remember the page text after a manual edit so the observer does not treat
+ * it as new chapter content.
+ */
+function markContentAsEnhanced() {
+  _lastEnhancedContentHash = _hashText(findContentElement()?.textContent ?? "");
+}
+
+/**
+ * Put the original text back into the paragraph under the toolbar
+ */
+function revertParagraph() {
+  const paragraph = paragraphControls.target;
+  const record = enhancementHistory.get(paragraph);
+  if (!record) return;
+
+  paragraphControls.hide();
+  diffPopover.hide();
+  paragraph.innerHTML = sanitizeHtml(record.originalText);
+  enhancementHistory.forget(paragraph);
+  markContentAsEnhanced();
+  toaster.showInfo("Paragraph reverted to the original");
+}
+
+/**
+ * Ask the model for a fresh version of the paragraph under the toolbar,
+ * reusing the chapter's character context
+ */
+async function regenerateParagraph() {
+  const paragraph = paragraphControls.target;
+  const record = enhancementHistory.get(paragraph);
+  if (!record) return;
+
+  if (isEnhancing) {
+    toaster.showWarning("Wait for the enhancement to finish before regenerating");
+    return;
+  }
+  if (!contentEnhancerIntegration) {
+    contentEnhancerIntegration = new ContentEnhancer({ errorHandler });
+  }
+  contentEnhancerIntegration.setPreferences(settings);
+
+  isEnhancing = true;
+  paragraphControls.setBusy(true);
+  diffPopover.hide();
+  toaster.showLoading("Regenerating paragraph...");
+
+  try {
+    const regenerated = await contentEnhancerIntegration.enhanceText(
+      record.originalText,
+      { regenerate: true }
+    );
+
+    if (terminateRequested) {
+      toaster.showWarning("Regeneration cancelled");
+      return;
+    }
+
+    // enhanceText hands back its input when the LLM call fails
+    if (!regenerated || !regenerated.trim() || regenerated === record.originalText) {
+      toaster.showError("Regeneration failed. Check that Ollama is running.");
+      return;
+    }
+
+    if (regenerated.trim() === record.enhancedText.trim()) {
+      toaster.showInfo("The model returned the same text");
+      return;
+    }
+
+    paragraph.innerHTML = sanitizeHtml(regenerated);
+    enhancementHistory.record(paragraph, record.originalText);
+    markContentAsEnhanced();
+    toaster.showSuccess("Paragraph regenerated");
+  } catch (error) {
+    errorHandler.handleError(error, "paragraph_regenerate");
+  } finally {
+    isEnhancing = false;
+    terminateRequested = false;
+    paragraphControls.setBusy(false);
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Initialization
 // ---------------------------------------------------------------------------
@@ -401,7 +623,9 @@ function init() {
               fixPronouns: settings.fixPronouns
             });
 
-            if (!settings.isExtensionPaused) {
+            if (isJobTab) {
+              logger.debug("Bulk job tab, waiting for the job to start enhancement");
+            } else if (!settings.isExtensionPaused) {
               logger.debug("Extension not paused, scheduling auto-enhancement check");
 
               setTimeout(async () => {
@@ -580,6 +804,30 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
       return true;
     }
 
+    if (request.action === "runJobChapter") {
+      // The background job already checked the site; settings are re-read in
+      // case this script was injected and init is still loading them
+      loadSettings(errorHandler)
+        .then((loadedSettings) => {
+          if (loadedSettings && typeof loadedSettings === "object") settings = loadedSettings;
+          return enhancePage({ silent: true });
+        })
+        .then((result) => {
+          if (result) {
+            const stats = contentEnhancerIntegration?.statsUtils?.getStats() || {};
+            sendResponse({ status: "enhanced", stats });
+          } else {
+            sendResponse({ status: "failed", error: "No content could be enhanced on this page" });
+          }
+        })
+        .catch((error) => {
+          console.warn("Job chapter failed:", error);
+          sendResponse({ status: "failed", error: error.message });
+        });
+
+      return true;
+    }
+
     if (request.action === "terminateOperations") {
       console.log("Termination request received from popup");
       handleTerminationRequest();
@@ -595,6 +843,21 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
       return false;
     }
 
+    if (request.action === "llmQueueStatus") {
+      // Requests from other tabs are ahead of this one in the background queue;
+      // cache warming for the next chapter is not what the toaster is showing
+      if (isEnhancing && !request.prefetch) {
+        toaster.showLoading(request.ahead > 0 ? `Queued (${request.ahead} ahead)` : "Processing content...");
+      }
+      sendResponse({ status: "ok" });
+      return false;
+    }
+
+    if (request.action === "toggleOriginal") {
+      sendResponse(toggleOriginalText());
+      return false;
+    }
+
     if (request.action === "getErrorStats") {
       const errorStats = errorHandler ? errorHandler.getErrorStats() : {};
       sendResponse({ status: "ok", errorStats });
@@ -627,7 +890,8 @@ const observer = new MutationObserver((mutations) => {
     isCurrentSiteWhitelisted &&
     !settings.isExtensionPaused &&
     !isEnhancing &&
-    !terminateRequested
+    !terminateRequested &&
+    !enhancementHistory.isShowingOriginal()
   ) {
     if (!Array.isArray(mutations) || mutations.length === 0) {
       console.warn("Invalid mutations received in observer:", mutations);
@@ -669,6 +933,23 @@ const observer = new MutationObserver((mutations) => {
 
 init();
 
+document.addEventListener("click", handleDiffClick, true);
+
+// Popup toggles write straight to storage; pick them up for the next enhancement
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "sync") return;
+  for (const key of ["preserveNames", "fixPronouns"]) {
+    if (changes[key]) {
+      settings = {
+        ...settings,
+        [key]: validateBooleanSetting(changes[key].newValue, ExtensionConfig.DEFAULTS[key], key)
+      };
+    }
+  }
+});
+
+paragraphControls.attach();
+
 setTimeout(() => {
   if (isCurrentSiteWhitelisted) {
     // Always observe document.body so SPA navigation that replaces the content
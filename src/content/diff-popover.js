@@ -0,0 +1,104 @@
+import { diffWords } from "./text-diff.js";
+
+// diff-popover.js
+/**
+ * Floating panel that shows a word-level diff between the original and the
+ * enhanced text of a single paragraph.
+ */
+export class DiffPopover {
+  constructor() {
+    this.popoverId = "novel-enhancer-diff";
+    this.popover = null;
+    this.anchor = null;
+    this.onDocumentClick = (event) => {
+      if (this.popover && !this.popover.contains(event.target)) this.hide();
+    };
+    this.onKeyDown = (event) => {
+      if (event.key === "Escape") this.hide();
+    };
+  }
+
+  /**
+   * Show the diff below a paragraph, replacing any open popover
+   * @param {HTMLElement} anchor - Paragraph being inspected
+   * @param {string} originalText
+   * @param {string} enhancedText
+   */
+  show(anchor, originalText, enhancedText) {
+    this.hide();
+
+    const popover = document.createElement("div");
+    popover.id = this.popoverId;
+    popover.setAttribute("role", "dialog");
+    popover.setAttribute("aria-label", "Changes made to this paragraph");
+    popover.style.cssText = `
+      position: absolute;
+      z-index: 9999;
+      max-width: min(640px, 90vw);
+      max-height: 50vh;
+      overflow-y: auto;
+      background-color: #323232;
+      color: #f1f1f1;
+      padding: 12px 16px;
+      border-radius: 6px;
+      box-shadow: 0 3px 8px rgba(0, 0, 0, 0.3);
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+      font-size: 14px;
+      line-height: 1.6;
+      white-space: pre-wrap;
+    `;
+
+    const header = document.createElement("div");
+    header.textContent = "Changes in this paragraph (Esc to close)";
+    header.style.cssText = `
+      font-size: 12px;
+      opacity: 0.7;
+      margin-bottom: 6px;
+    `;
+    popover.appendChild(header);
+
+    const body = document.createElement("div");
+    const segments = diffWords(originalText, enhancedText);
+    for (const segment of segments) {
+      if (segment.type === "same") {
+        body.appendChild(document.createTextNode(segment.text));
+        continue;
+      }
+      const mark = document.createElement(segment.type === "added" ? "ins" : "del");
+      mark.textContent = segment.text;
+      mark.style.cssText = segment.type === "added"
+        ? "background-color: rgba(76, 175, 80, 0.35); text-decoration: none;"
+        : "background-color: rgba(244, 67, 54, 0.35); text-decoration: line-through;";
+      body.appendChild(mark);
+    }
+    if (!segments.some((segment) => segment.type !== "same")) {
+      body.textContent = "No changes — this paragraph was kept as written.";
+    }
+    popover.appendChild(body);
+
+    const rect = anchor.getBoundingClientRect();
+    popover.style.top = `${rect.bottom + window.scrollY + 6}px`;
+    popover.style.left = `${Math.max(8, rect.left + window.scrollX)}px`;
+
+    document.body.appendChild(popover);
+    this.popover = popover;
+    this.anchor = anchor;
+
+    // Defer so the click that opened the popover does not immediately close it
+    setTimeout(() => {
+      document.addEventListener("click", this.onDocumentClick, true);
+      document.addEventListener("keydown", this.onKeyDown, true);
+    }, 0);
+  }
+
+  /**
+   * Remove the popover if it is open
+   */
+  hide() {
+    document.removeEventListener("click", this.onDocumentClick, true);
+    document.removeEventListener("keydown", this.onKeyDown, true);
+    this.popover?.remove();
+    this.popover = null;
+    this.anchor = null;
+  }
+}
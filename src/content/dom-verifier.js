@@ -2,7 +2,8 @@ import { sanitizeHtml } from "./dom-sanitizer.js";
 
 /**
  * Verify that text was successfully updated in the DOM.
- * Returns false if the element's text didn't change meaningfully from originalText.
+ * Returns false if the element's text is empty or unchanged from originalText.
+ * A one-word pronoun fix is a valid update, so the size of the change is not checked.
  * @param {HTMLElement} element
  * @param {string} originalText
  * @return {boolean}
@@ -20,8 +21,7 @@ export function verifyTextUpdate(element, originalText) {
 
     const textWasUpdated =
       actualTextClean.length > 0 &&
-      actualTextClean !== expectedTextClean &&
-      Math.abs(actualTextClean.length - expectedTextClean.length) > 10;
+      actualTextClean !== expectedTextClean;
 
     if (!textWasUpdated) {
       console.warn("Text update verification failed:", {
@@ -0,0 +1,104 @@
+import { sanitizeHtml } from "./dom-sanitizer.js";
+
+// enhancement-history.js
+/**
+ * Remembers the original text of every element the runner rewrote so the
+ * chapter can be flipped back to the source translation and diffed.
+ */
+export class EnhancementHistory {
+  #records = new WeakMap();
+  #elements = [];
+  #showingOriginal = false;
+
+  /**
+   * Record an element right after its enhanced text was committed.
+   * Re-enhancing an element keeps the very first original.
+   * @param {HTMLElement} element
+   * @param {string} originalText - Text the element held before enhancement
+   */
+  record(element, originalText) {
+    const existing = this.#records.get(element);
+    if (!existing) this.#elements.push(element);
+    this.#records.set(element, {
+      originalText: existing?.originalText ?? originalText,
+      enhancedHtml: element.innerHTML,
+      enhancedText: element.textContent
+    });
+  }
+
+  /**
+   * Stop tracking an element (e.g. after it was reverted to its original)
+   * @param {HTMLElement} element
+   */
+  forget(element) {
+    this.#records.delete(element);
+    this.#elements = this.#elements.filter((recorded) => recorded !== element);
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @return {{originalText: string, enhancedHtml: string, enhancedText: string}|null}
+   */
+  get(element) {
+    return this.#records.get(element) || null;
+  }
+
+  /**
+   * Find the recorded element that contains a node (e.g. a click target)
+   * @param {Node} node
+   * @return {HTMLElement|null}
+   */
+  findRecordedAncestor(node) {
+    let current = node;
+    while (current && current !== document.body) {
+      if (this.#records.has(current)) return current;
+      current = current.parentNode;
+    }
+    return null;
+  }
+
+  /** @return {number} - Number of recorded elements still on the page */
+  get size() {
+    this.#prune();
+    return this.#elements.length;
+  }
+
+  /** @return {boolean} - True while the page shows the original text */
+  isShowingOriginal() {
+    return this.#showingOriginal;
+  }
+
+  /**
+   * Swap every recorded element between its original and enhanced text
+   * @return {boolean} - True when the original text is now shown
+   */
+  toggle() {
+    this.#prune();
+    const showOriginal = !this.#showingOriginal;
+
+    for (const element of this.#elements) {
+      const record = this.#records.get(element);
+      element.innerHTML = showOriginal
+        ? sanitizeHtml(record.originalText)
+        : record.enhancedHtml;
+    }
+
+    this.#showingOriginal = showOriginal && this.#elements.length > 0;
+    return this.#showingOriginal;
+  }
+
+  /**
+   * Put the enhanced text back if the original is currently shown
+   */
+  showEnhanced() {
+    if (this.#showingOriginal) this.toggle();
+  }
+
+  /**
+   * Forget elements the site removed (SPA chapter navigation)
+   */
+  #prune() {
+    this.#elements = this.#elements.filter((element) => element.isConnected);
+    if (this.#elements.length === 0) this.#showingOriginal = false;
+  }
+}
@@ -8,6 +8,7 @@ import { verifyAndHandleDOMUpdate } from "./dom-verifier.js";
  * @property {() => boolean} isTerminated   - Returns true if user requested termination
  * @property {import('../shared/ui/toaster.js').Toaster} toaster
  * @property {object} contentEnhancerIntegration
+ * @property {import('./enhancement-history.js').EnhancementHistory} history - Receives the original text of every committed element
  */
 
 /**
@@ -16,7 +17,7 @@ import { verifyAndHandleDOMUpdate } from "./dom-verifier.js";
  * @return {Promise<boolean>}
  */
 export async function processSingleContentBlock(ctx) {
-  const { contentElement, isTerminated, toaster, contentEnhancerIntegration } = ctx;
+  const { contentElement, isTerminated, toaster, contentEnhancerIntegration, history } = ctx;
   const originalText = contentElement.textContent;
 
   if (isTerminated()) {
@@ -29,8 +30,15 @@ export async function processSingleContentBlock(ctx) {
   toaster.updateProgress(0, 1);
   toaster.showLoading("Processing content...");
 
+  // Long chapters are sent in several parts; report each one as it finishes
+  const onChunk = (done, total) => {
+    if (total <= 1 || isTerminated()) return;
+    toaster.updateProgress(done, total + 1, "parts");
+    if (done < total) toaster.showLoading(`Enhancing part ${done + 1}/${total}…`);
+  };
+
   try {
-    const enhancedText = await contentEnhancerIntegration.enhanceText(originalText);
+    const enhancedText = await contentEnhancerIntegration.enhanceText(originalText, { onChunk });
 
     if (!enhancedText || typeof enhancedText !== "string") {
       console.warn("Invalid enhanced text received:", typeof enhancedText);
@@ -54,6 +62,7 @@ export async function processSingleContentBlock(ctx) {
     if (!updateVerified) {
       throw new Error("Text update verification failed");
     }
+    history.record(contentElement, originalText);
 
     console.log(`Content updated and verified with ${enhancedText.length} characters`);
     toaster.updateProgress(1, 1);
@@ -73,14 +82,34 @@ export async function processSingleContentBlock(ctx) {
   }
 }
 
+/**
+ * Picks the paragraphs that go to the LLM. Pre-fetching uses this too, so a
+ * warmed cache entry matches the request made when the chapter is opened.
+ * @param {string[]} originalTexts - Text of every paragraph
+ * @return {{textsForLLM: string[], idxForLLM: number[], passthrough: Set<number>}}
+ */
+export function selectParagraphsForLLM(originalTexts) {
+  // Only send dialogue-containing paragraphs to the LLM; narration passes through unchanged.
+  const { toSend, toSendIdx, passthrough } = partitionParagraphs(originalTexts);
+  // If no dialogue detected, send everything to avoid skipping the entire chapter.
+  return {
+    textsForLLM: toSend.length > 0 ? toSend : originalTexts,
+    idxForLLM:   toSend.length > 0 ? toSendIdx : originalTexts.map((_, i) => i),
+    passthrough
+  };
+}
+
 /**
  * Processes all paragraphs in a single LLM batch, skipping pure-narration ones.
+ * Each paragraph is committed as soon as its output is matched back to it by
+ * marker, so a terminated run keeps what was already shown; paragraphs the
+ * model could not keep aligned stay as written.
  * @param {RunnerCtx} ctx
  * @param {NodeList} paragraphs
  * @return {Promise<boolean>}
  */
 export async function processMultipleParagraphs(ctx, paragraphs) {
-  const { isTerminated, toaster, contentEnhancerIntegration } = ctx;
+  const { isTerminated, toaster, contentEnhancerIntegration, history } = ctx;
   const totalParagraphs = paragraphs.length;
 
   if (isTerminated()) {
@@ -95,11 +124,7 @@ export async function processMultipleParagraphs(ctx, paragraphs) {
   const batchStartTime = performance.now();
   const originalTexts = Array.from(paragraphs).map((p) => p.textContent);
 
-  // Only send dialogue-containing paragraphs to the LLM; narration passes through unchanged.
-  const { toSend, toSendIdx, passthrough } = partitionParagraphs(originalTexts);
-  // If no dialogue detected, send everything to avoid skipping the entire chapter.
-  const textsForLLM = toSend.length > 0 ? toSend : originalTexts;
-  const idxForLLM   = toSend.length > 0 ? toSendIdx : originalTexts.map((_, i) => i);
+  const { textsForLLM, idxForLLM, passthrough } = selectParagraphsForLLM(originalTexts);
 
   console.log(
     `Dialogue filter: ${textsForLLM.length}/${totalParagraphs} paragraphs sent to LLM` +
@@ -107,45 +132,80 @@ export async function processMultipleParagraphs(ctx, paragraphs) {
   );
   toaster.showLoading(`Enhancing ${textsForLLM.length} dialogue paragraphs…`);
 
+  const committedSlots = new Set();
+  let successfulUpdates = 0;
+  // Long batches are sent in parts; progress then counts parts, not paragraphs
+  let chunkCount = 1;
+
+  const commitSlot = (slot, enhanced) => {
+    if (committedSlots.has(slot)) return;
+    committedSlots.add(slot);
+
+    const origIdx = idxForLLM[slot];
+    // Unmatched paragraphs come back as their original text — nothing to write
+    if (!enhanced || enhanced === originalTexts[origIdx]) return;
+
+    const para = paragraphs[origIdx];
+    try {
+      para.innerHTML = sanitizeHtml(enhanced);
+      if (verifyAndHandleDOMUpdate(para, originalTexts[origIdx], enhanced)) {
+        history.record(para, originalTexts[origIdx]);
+        successfulUpdates++;
+      }
+    } catch (updateError) {
+      console.error(`Failed to update paragraph ${origIdx}:`, updateError);
+      try {
+        para.innerHTML = sanitizeHtml(originalTexts[origIdx]);
+      } catch (restoreErr) { console.debug("Fallback DOM restore failed:", restoreErr); }
+    }
+  };
+
+  const onParagraph = (slot, enhanced) => {
+    if (isTerminated()) return;
+    commitSlot(slot, enhanced);
+    if (chunkCount <= 1) toaster.updateProgress(committedSlots.size, idxForLLM.length + 1);
+  };
+
+  const onChunk = (done, total) => {
+    chunkCount = total;
+    if (total <= 1 || isTerminated()) return;
+    toaster.updateProgress(done, total + 1, "parts");
+    if (done < total) {
+      toaster.showLoading(`Enhancing ${textsForLLM.length} dialogue paragraphs (part ${done + 1}/${total})…`);
+    }
+  };
+
+  const reportParagraphStats = () => {
+    chrome.runtime.sendMessage({
+      action: "updateParagraphStats",
+      paragraphCount: successfulUpdates,
+      processingTime: performance.now() - batchStartTime
+    });
+  };
+
   try {
-    const enhancedText = await contentEnhancerIntegration.enhanceText(textsForLLM.join("\n\n"));
+    const enhancedParagraphs = await contentEnhancerIntegration.enhanceParagraphs(
+      textsForLLM,
+      { onParagraph, onChunk }
+    );
 
     if (isTerminated()) {
-      toaster.showWarning("Enhancement terminated by user");
+      if (successfulUpdates > 0) {
+        reportParagraphStats();
+        toaster.showWarning(`Enhancement terminated — kept ${successfulUpdates} enhanced paragraphs`);
+      } else {
+        toaster.showWarning("Enhancement terminated by user");
+      }
       return false;
     }
 
-    const enhancedParagraphs = enhancedText.split("\n\n");
-    let successfulUpdates = 0;
-
-    for (let slot = 0; slot < idxForLLM.length; slot++) {
-      const origIdx  = idxForLLM[slot];
-      const enhanced = enhancedParagraphs[slot] ?? originalTexts[origIdx];
-      const para = paragraphs[origIdx];
-      try {
-        para.innerHTML = sanitizeHtml(enhanced);
-        if (verifyAndHandleDOMUpdate(para, originalTexts[origIdx], enhanced)) {
-          successfulUpdates++;
-        }
-      } catch (updateError) {
-        console.error(`Failed to update paragraph ${origIdx}:`, updateError);
-        try {
-          para.innerHTML = sanitizeHtml(originalTexts[origIdx]);
-        } catch (restoreErr) { console.debug("Fallback DOM restore failed:", restoreErr); }
-      }
-    }
+    enhancedParagraphs.forEach((enhanced, slot) => commitSlot(slot, enhanced));
 
     // Narration paragraphs are preserved as-is; count them as successful.
     successfulUpdates += passthrough.size;
 
     toaster.updateProgress(1, 1);
-
-    const processingTime = performance.now() - batchStartTime;
-    chrome.runtime.sendMessage({
-      action: "updateParagraphStats",
-      paragraphCount: successfulUpdates,
-      processingTime
-    });
+    reportParagraphStats();
 
     console.log(`Enhancement complete: ${successfulUpdates}/${totalParagraphs} paragraphs updated`);
     return successfulUpdates > 0;
@@ -155,3 +215,40 @@ export async function processMultipleParagraphs(ctx, paragraphs) {
     return false;
   }
 }
+
+/**
+ * Fixes pronouns by rule when the AI service is unavailable. Writes the same
+ * elements the model runners would and records their history, so the
+ * original can be restored the usual way.
+ * @param {RunnerCtx} ctx
+ * @param {NodeList} paragraphs - Empty when the content is one text block
+ * @return {Promise<number>} - Pronouns fixed on the page
+ */
+export async function processOfflinePronounFixes(ctx, paragraphs) {
+  const { contentElement, isTerminated, toaster, contentEnhancerIntegration, history } = ctx;
+  const elements = paragraphs.length > 0 ? Array.from(paragraphs) : [contentElement];
+  const originalTexts = elements.map((element) => element.textContent);
+
+  toaster.showLoading("AI service unavailable, fixing pronouns offline...");
+  const results = await contentEnhancerIntegration.fixPronounsOffline(originalTexts);
+
+  if (isTerminated()) {
+    toaster.showWarning("Enhancement terminated by user");
+    return 0;
+  }
+
+  let fixedPronouns = 0;
+  for (const [index, element] of elements.entries()) {
+    const { text, fixes } = results[index];
+    if (fixes === 0 || text === originalTexts[index]) continue;
+
+    element.innerHTML = sanitizeHtml(text);
+    if (verifyAndHandleDOMUpdate(element, originalTexts[index], text)) {
+      history.record(element, originalTexts[index]);
+      fixedPronouns += fixes;
+    }
+  }
+
+  console.log(`Offline pronoun fixes: ${fixedPronouns} in ${elements.length} elements`);
+  return fixedPronouns;
+}
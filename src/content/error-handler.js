@@ -73,7 +73,7 @@ export class ErrorHandler {
      * Handle error with enhanced user feedback
      * @param {Error} error - Error object
      * @param {string} context - Context where error occurred
-     * @param {object} options - Additional options
+     * @param {object} options - Additional options (`silent: true` records without a toast)
      */
     handleError(error, context = 'general', options = {}) {
       const errorInfo = this.#analyzeError(error, context);
@@ -85,7 +85,7 @@ export class ErrorHandler {
       // Add to error history
       this.#addToHistory(errorInfo);
   
-      if (shouldShow) {
+      if (shouldShow && !options.silent) {
         this.#showUserFriendlyError(errorInfo, options);
       }
   
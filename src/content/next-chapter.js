@@ -0,0 +1,68 @@
+import { NextChapterSelectors } from "./content-selectors.js";
+import { getSelectorsForHost } from "./content-detector.js";
+
+// next-chapter.js
+/**
+ * Finds the link to the following chapter on a chapter page: per-site
+ * selectors first, then rel="next", then links labelled "Next" / "Next Chapter".
+ */
+
+// "Next", "Next Chapter", "Next Chapter »", "Next >", "下一章"
+const NEXT_TEXT = /^\s*(next(\s+chapter)?|下一章)\s*[>»→›]*\s*$/i;
+const NEXT_ATTR = /(^|[-_\s])next([-_\s]?chap(ter)?)?($|[-_\s])/i;
+
+/**
+ * Resolves an anchor/link href to an absolute same-site chapter URL
+ * @param {Element|null} element
+ * @param {string} pageUrl - URL of the document the element came from
+ * @return {string|null}
+ */
+function toChapterUrl(element, pageUrl) {
+  const href = element?.getAttribute("href");
+  if (!href || href.startsWith("#") || /^javascript:/i.test(href)) return null;
+
+  try {
+    const url = new URL(href, pageUrl);
+    const page = new URL(pageUrl);
+    if (!/^https?:$/.test(url.protocol) || url.hostname !== page.hostname) return null;
+
+    url.hash = "";
+    page.hash = "";
+    return url.href === page.href ? null : url.href;
+  } catch (error) {
+    console.debug("Ignoring malformed next-chapter href:", href, error);
+    return null;
+  }
+}
+
+/**
+ * @param {Document} [doc] - Live page or a parsed pre-fetched chapter
+ * @param {string} [pageUrl] - URL the document was loaded from
+ * @return {string|null} - Absolute URL of the next chapter, or null when none is found
+ */
+export function findNextChapterUrl(doc = document, pageUrl = window.location.href) {
+  const hostname = new URL(pageUrl).hostname;
+
+  for (const selector of getSelectorsForHost(NextChapterSelectors, hostname)) {
+    try {
+      const url = toChapterUrl(doc.querySelector(selector), pageUrl);
+      if (url) return url;
+    } catch (error) {
+      console.error(`Error with next-chapter selector "${selector}":`, error);
+    }
+  }
+
+  const relNext = toChapterUrl(doc.querySelector("link[rel~='next'], a[rel~='next']"), pageUrl);
+  if (relNext) return relNext;
+
+  for (const anchor of doc.querySelectorAll("a[href]")) {
+    const label = anchor.textContent || anchor.getAttribute("title") || anchor.getAttribute("aria-label") || "";
+    const marked = NEXT_TEXT.test(label) || NEXT_ATTR.test(`${anchor.id} ${anchor.className}`);
+    if (!marked) continue;
+
+    const url = toChapterUrl(anchor, pageUrl);
+    if (url) return url;
+  }
+
+  return null;
+}
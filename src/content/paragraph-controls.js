@@ -0,0 +1,132 @@
+// paragraph-controls.js
+/**
+ * Small hover toolbar attached to enhanced paragraphs with "revert" and
+ * "regenerate" buttons. The toolbar only tracks which paragraph it is on;
+ * the actions themselves are supplied by the content script.
+ */
+export class ParagraphControls {
+  /**
+   * @param {object} options
+   * @param {function(Node): (HTMLElement|null)} options.findTarget - Maps a hovered node to its enhanced paragraph
+   * @param {function(): void} options.onRevert - Called when "revert" is clicked; act on `target`
+   * @param {function(): void} options.onRegenerate - Called when "regenerate" is clicked; act on `target`
+   */
+  constructor({ findTarget, onRevert, onRegenerate }) {
+    this.toolbarId = "novel-enhancer-paragraph-controls";
+    this.findTarget = findTarget;
+    this.onRevert = onRevert;
+    this.onRegenerate = onRegenerate;
+    this.toolbar = null;
+    this.target = null;
+    this.hideTimer = null;
+    this.busy = false;
+    this.onMouseOver = (event) => this.#handleMouseOver(event);
+  }
+
+  /**
+   * Start following the mouse over enhanced paragraphs
+   */
+  attach() {
+    document.addEventListener("mouseover", this.onMouseOver, true);
+  }
+
+  /**
+   * Stop following the mouse and remove the toolbar
+   */
+  detach() {
+    document.removeEventListener("mouseover", this.onMouseOver, true);
+    this.hide();
+  }
+
+  /**
+   * Disable the buttons while an action on the current paragraph runs
+   * @param {boolean} busy
+   */
+  setBusy(busy) {
+    this.busy = busy;
+    this.toolbar?.querySelectorAll("button").forEach((button) => {
+      button.toggleAttribute("disabled", busy);
+    });
+  }
+
+  /**
+   * Remove the toolbar and forget the current paragraph
+   */
+  hide() {
+    clearTimeout(this.hideTimer);
+    this.toolbar?.remove();
+    this.toolbar = null;
+    this.target = null;
+  }
+
+  #handleMouseOver(event) {
+    if (this.busy) return;
+    if (this.toolbar && this.toolbar.contains(event.target)) {
+      clearTimeout(this.hideTimer);
+      return;
+    }
+
+    const paragraph = this.findTarget(event.target);
+    if (!paragraph) {
+      clearTimeout(this.hideTimer);
+      this.hideTimer = setTimeout(() => this.hide(), 300);
+      return;
+    }
+
+    clearTimeout(this.hideTimer);
+    if (paragraph !== this.target) this.#show(paragraph);
+  }
+
+  #show(paragraph) {
+    this.hide();
+
+    const toolbar = document.createElement("div");
+    toolbar.id = this.toolbarId;
+    toolbar.style.cssText = `
+      position: absolute;
+      z-index: 9998;
+      display: flex;
+      gap: 4px;
+      padding: 2px;
+      background-color: #323232;
+      border-radius: 6px;
+      box-shadow: 0 2px 6px rgba(0, 0, 0, 0.3);
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+    `;
+
+    toolbar.appendChild(this.#createButton("↺", "Revert this paragraph to the original", this.onRevert));
+    toolbar.appendChild(this.#createButton("⟳", "Regenerate this paragraph", this.onRegenerate));
+
+    const rect = paragraph.getBoundingClientRect();
+    document.body.appendChild(toolbar);
+    toolbar.style.top = `${rect.top + window.scrollY - toolbar.offsetHeight - 2}px`;
+    toolbar.style.left = `${rect.right + window.scrollX - toolbar.offsetWidth}px`;
+
+    this.toolbar = toolbar;
+    this.target = paragraph;
+  }
+
+  #createButton(label, title, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = label;
+    button.title = title;
+    button.setAttribute("aria-label", title);
+    button.style.cssText = `
+      background: transparent;
+      color: #ffffff;
+      border: none;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 14px;
+      line-height: 1;
+      padding: 4px 6px;
+    `;
+    button.addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      if (!this.busy && this.target) onClick();
+    });
+    return button;
+  }
+}
@@ -0,0 +1,65 @@
+/** Token-pair budget for the LCS table; longer inputs fall back to a whole-text replace. */
+const MAX_DIFF_CELLS = 250000;
+
+/**
+ * Split text into word and whitespace tokens so the diff can be re-joined verbatim.
+ * @param {string} text
+ * @return {string[]}
+ */
+function tokenize(text) {
+  return (text || "").split(/(\s+)/).filter((token) => token.length > 0);
+}
+
+/**
+ * Word-level diff of two texts using a longest-common-subsequence table.
+ * Adjacent tokens of the same kind are merged into a single segment.
+ * @param {string} originalText
+ * @param {string} enhancedText
+ * @return {Array<{type: "same"|"removed"|"added", text: string}>}
+ */
+export function diffWords(originalText, enhancedText) {
+  const a = tokenize(originalText);
+  const b = tokenize(enhancedText);
+  const segments = [];
+
+  const push = (type, text) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) last.text += text;
+    else segments.push({ type, text });
+  };
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    if (a.length) push("removed", a.join(""));
+    if (b.length) push("added", b.join(""));
+    return segments;
+  }
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..], stored row-major
+  const width = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("same", a[i]);
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+
+  return segments;
+}
@@ -2,19 +2,47 @@ import { logger } from "../shared/utils/logger.js";
 import { darkModeManager } from "../shared/ui/dark-mode-manager.js";
 import { OllamaConfig } from "../shared/llm/ollama-config.js";
 import { Toaster } from "../shared/ui/toaster.js";
+import { Glossary } from "../shared/novel/glossary.js";
+import { ExtensionConfig } from "../shared/utils/extension-config.js";
+import { ChapterDetector } from "../shared/novel/chapter-detector.js";
+import { EpubBuilder } from "../shared/export/epub-builder.js";
+import { NovelStorage } from "../shared/novel/novel-storage.js";
+import { GenderConfig } from "../shared/gender/gender-config.js";
+
+const ANALYZERS = GenderConfig.EVIDENCE.ANALYZERS;
+const EVIDENCE_LABELS = {
+  [ANALYZERS.CULTURAL]: "Cultural",
+  [ANALYZERS.NAME]: "Name",
+  [ANALYZERS.PRONOUN]: "Pronoun",
+  [ANALYZERS.RELATIONSHIP]: "Relationship",
+  [ANALYZERS.APPEARANCE]: "Appearance",
+  [ANALYZERS.MULTI_CHARACTER]: "Multi-character",
+  [ANALYZERS.HISTORY]: "Earlier chapters",
+  [ANALYZERS.LLM]: "Language model",
+  [ANALYZERS.MANUAL]: "Manual",
+  [ANALYZERS.OTHER]: "Note"
+};
+const GENDER_WORDS = { m: "male", f: "female" };
 
 document.addEventListener("DOMContentLoaded", () => {
   const modelNameInput = document.getElementById("model-name");
+  const ollamaUrlInput = document.getElementById("ollama-url");
+  const llmProviderSelect = document.getElementById("llm-provider");
   const saveButton = document.getElementById("save");
   const resetButton = document.getElementById("reset");
   const contextSizeSlider = document.getElementById("context-size");
   const contextSizeValue = document.getElementById("context-size-value");
   const timeoutSlider = document.getElementById("timeout");
   const timeoutValue = document.getElementById("timeout-value");
+  const concurrencySlider = document.getElementById("max-concurrent-requests");
+  const concurrencyValue = document.getElementById("max-concurrent-requests-value");
+  const prefetchDepthSlider = document.getElementById("prefetch-queue-depth");
+  const prefetchDepthValue = document.getElementById("prefetch-queue-depth-value");
   const temperatureSlider = document.getElementById("temperature");
   const temperatureValue = document.getElementById("temperature-value");
   const topPSlider = document.getElementById("top-p");
   const topPValue = document.getElementById("top-p-value");
+  const streamResponsesCheckbox = document.getElementById("stream-responses");
   const testOllamaButton = document.getElementById("test-ollama");
   const ollamaStatus = document.getElementById("ollama-status");
   const whitelistItemsContainer = document.getElementById("whitelist-items");
@@ -33,6 +61,20 @@ document.addEventListener("DOMContentLoaded", () => {
   const closeModalBtn = document.querySelector(".close-modal");
   const novelsTab = document.querySelector('.tab-btn[data-tab="novels"]');
   const statsTab = document.querySelector('.tab-btn[data-tab="stats"]');
+  const jobsTab = document.querySelector('.tab-btn[data-tab="jobs"]');
+  const jobChapterUrlInput = document.getElementById("job-chapter-url");
+  const jobPatternInput = document.getElementById("job-pattern");
+  const jobFromInput = document.getElementById("job-from");
+  const jobToInput = document.getElementById("job-to");
+  const jobStartBtn = document.getElementById("job-start");
+  const jobsList = document.getElementById("jobs-list");
+  const exportDataBtn = document.getElementById("export-data");
+  const importDataBtn = document.getElementById("import-data");
+  const importFileInput = document.getElementById("import-file");
+  const importPreview = document.getElementById("import-preview");
+  const importSummaryList = document.getElementById("import-summary");
+  const importApplyBtn = document.getElementById("import-apply");
+  const importCancelBtn = document.getElementById("import-cancel");
   const refreshStatsBtn = document.getElementById("refresh-stats");
   const resetStatsBtn = document.getElementById("reset-stats");
 
@@ -42,6 +84,12 @@ document.addEventListener("DOMContentLoaded", () => {
 
   const toaster = new Toaster();
 
+  // Backup file awaiting confirmation, with its dry-run summary
+  let pendingImport = null;
+
+  // Novel entries as last loaded, refreshed after merges and splits
+  let loadedNovelMaps = {};
+
   addSiteBtn.addEventListener("click", () => {
     addCurrentSiteToWhitelist();
   });
@@ -89,7 +137,11 @@ document.addEventListener("DOMContentLoaded", () => {
     ollamaStatus.className = "status-message pending";
 
     chrome.runtime.sendMessage(
-      { action: "checkOllamaAvailability" },
+      {
+        action: "checkOllamaAvailability",
+        ollamaUrl: ollamaUrlInput.value.trim() || OllamaConfig.API.BASE,
+        llmProvider: llmProviderSelect.value
+      },
       (response) => {
         if (chrome.runtime.lastError || !response) {
           const msg = chrome.runtime.lastError?.message || "No response from extension background";
@@ -101,7 +153,9 @@ document.addEventListener("DOMContentLoaded", () => {
         }
         if (response.available) {
           logger.success("Ollama connection test successful", response);
-          ollamaStatus.textContent = `Connected successfully! Ollama version: ${response.version}`;
+          ollamaStatus.textContent = response.version
+            ? `Connected successfully! Ollama version: ${response.version}`
+            : `Connected successfully! ${response.models?.length || 0} models available`;
           ollamaStatus.className = "status-message success";
           toaster.showSuccess("Ollama is connected and ready!");
         } else {
@@ -114,6 +168,44 @@ document.addEventListener("DOMContentLoaded", () => {
     );
   }
 
+  /**
+   * Parses the Ollama server URL field
+   * @param {string} value - Raw input value
+   * @return {{href: string, origin: string}|null} - Normalized URL, or null if invalid
+   */
+  function parseOllamaUrl(value) {
+    const raw = (value || "").trim() || OllamaConfig.API.BASE;
+    try {
+      const url = new URL(raw);
+      if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+      return { href: url.origin + url.pathname.replace(/\/+$/, ""), origin: url.origin };
+    } catch (error) {
+      logger.debug("Invalid Ollama URL:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Requests the optional host permission for a non-default Ollama server
+   * @param {{href: string, origin: string}} ollamaUrl - Parsed server URL
+   * @param {function(boolean): void} callback - Receives whether access is granted
+   */
+  function requestOllamaHostPermission(ollamaUrl, callback) {
+    if (ollamaUrl.origin === new URL(OllamaConfig.API.BASE).origin) {
+      callback(true); // covered by the manifest host_permissions
+      return;
+    }
+
+    chrome.permissions.request({ origins: [`${ollamaUrl.origin}/*`] }, (granted) => {
+      if (chrome.runtime.lastError) {
+        logger.error("Error requesting host permission:", chrome.runtime.lastError);
+        callback(false);
+        return;
+      }
+      callback(Boolean(granted));
+    });
+  }
+
   /**
    * Adds a site manually to the whitelist
    */
@@ -265,6 +357,8 @@ document.addEventListener("DOMContentLoaded", () => {
     updateSliderBackground(topPSlider);
     updateSliderBackground(contextSizeSlider);
     updateSliderBackground(timeoutSlider);
+    updateSliderBackground(concurrencySlider);
+    updateSliderBackground(prefetchDepthSlider);
   }
 
   /**
@@ -401,7 +495,12 @@ document.addEventListener("DOMContentLoaded", () => {
         contextSize: OllamaConfig.LLM.CONTEXT_SIZE,
         timeout: OllamaConfig.LLM.TIMEOUT,
         temperature: OllamaConfig.LLM.TEMPERATURE,
-        topP: OllamaConfig.LLM.TOP_P
+        topP: OllamaConfig.LLM.TOP_P,
+        streamResponses: OllamaConfig.LLM.STREAM,
+        ollamaUrl: OllamaConfig.API.BASE,
+        llmProvider: OllamaConfig.API.PROVIDER,
+        maxConcurrentRequests: OllamaConfig.LLM.MAX_CONCURRENT_REQUESTS,
+        prefetchQueueDepth: ExtensionConfig.PREFETCH.QUEUE_DEPTH
       };
 
       chrome.storage.sync.set(defaultSettings, () => {
@@ -418,6 +517,13 @@ document.addEventListener("DOMContentLoaded", () => {
           temperatureValue.textContent = defaultSettings.temperature;
           topPSlider.value = defaultSettings.topP;
           topPValue.textContent = defaultSettings.topP;
+          streamResponsesCheckbox.checked = defaultSettings.streamResponses;
+          ollamaUrlInput.value = defaultSettings.ollamaUrl;
+          llmProviderSelect.value = defaultSettings.llmProvider;
+          concurrencySlider.value = defaultSettings.maxConcurrentRequests;
+          concurrencyValue.textContent = defaultSettings.maxConcurrentRequests;
+          prefetchDepthSlider.value = defaultSettings.prefetchQueueDepth;
+          prefetchDepthValue.textContent = defaultSettings.prefetchQueueDepth;
 
           updateAllSliderBackgrounds();
 
@@ -432,10 +538,15 @@ document.addEventListener("DOMContentLoaded", () => {
    * Loads and displays novel character maps
    */
   function loadNovelCharacterMaps() {
-    chrome.storage.local.get("novelCharacterMaps", (data) => {
-      const novelMaps = data.novelCharacterMaps || {};
-      renderNovelMaps(novelMaps);
-    });
+    NovelStorage.loadAll()
+      .then((novelMaps) => {
+        loadedNovelMaps = novelMaps;
+        renderNovelMaps(novelMaps);
+      })
+      .catch((error) => {
+        logger.error("Error loading novels:", error);
+        logger.userError("Error loading novels");
+      });
   }
 
   /**
@@ -512,7 +623,7 @@ document.addEventListener("DOMContentLoaded", () => {
             }
           });
 
-          renderNovelDetails(detailsContainer, novelData);
+          renderNovelDetails(detailsContainer, loadedNovelMaps[novelId] || novelData);
           detailsContainer.style.display = "block";
         } else {
           detailsContainer.style.display = "none";
@@ -543,6 +654,7 @@ document.addEventListener("DOMContentLoaded", () => {
       const appearances = char.appearances || 0;
       const confidence = parseFloat(char.confidence) || 0;
       const isManualOverride = char.manualOverride || false;
+      const isModelVerdict = !isManualOverride && char.genderSource === "llm";
 
       let gender = "unknown";
       if (char.gender === "m") gender = "male";
@@ -580,6 +692,7 @@ document.addEventListener("DOMContentLoaded", () => {
                 isManualOverride && gender === "unknown" ? "selected" : ""
               }>Unknown</option>
             </select>
+            <button type="button" class="lock-toggle"></button>
           </div>
           <div class="confidence-info">
             <span class="confidence-indicator ${confidenceClass}"></span> 
@@ -589,6 +702,14 @@ document.addEventListener("DOMContentLoaded", () => {
                 ? '<span class="manual-override-badge">Manual</span>'
                 : ""
             }
+            ${
+              isModelVerdict
+                ? `<span class="source-badge" title="${escapeHtml(
+                  (char.evidences || []).find((item) => item?.analyzer === ANALYZERS.LLM)?.detail ||
+                    "Decided by the language model"
+                )}">LLM</span>`
+                : ""
+            }
           </div>
           <div class="character-appearances">
             <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -612,12 +733,444 @@ document.addEventListener("DOMContentLoaded", () => {
       card.dataset.testid = `character-card-${nId}-${cId}`;
       const sel = card.querySelector(".gender-select");
       if (sel) sel.dataset.testid = `gender-select-${nId}-${cId}`;
+      const lock = card.querySelector(".lock-toggle");
+      lock.dataset.testid = `lock-toggle-${nId}-${cId}`;
+      updateLockToggle(lock, novelData.chars[cId].manualOverride === true, novelData.chars[cId].locked === true);
+      lock.addEventListener("click", () => {
+        const locked = lock.getAttribute("aria-pressed") !== "true";
+        updateNovelCharacters(container, nId, {
+          action: "setCharacterLock",
+          novelId: nId,
+          charId: cId,
+          locked
+        }, `${novelData.chars[cId].name} ${locked ? "locked" : "unlocked"}`);
+      });
+      const explorer = createEvidenceExplorer(nId, cId, novelData.chars[cId]);
+      if (explorer) card.appendChild(explorer);
+      card.appendChild(createAliasControls(container, nId, cId, novelData.chars));
     });
 
     // Add event listeners for gender selection changes
     container.querySelectorAll(".gender-select").forEach((select) => {
       select.addEventListener("change", handleGenderChange);
     });
+
+    container.appendChild(createGlossaryEditor(novelId));
+    container.appendChild(createEpubExporter(novelId, novelData));
+  }
+
+  /**
+   * Shows a character's lock state. Manually set genders are always locked,
+   * so the button only toggles the lock of detected genders.
+   * @param {HTMLButtonElement} button - The card's .lock-toggle
+   * @param {boolean} isManualOverride
+   * @param {boolean} isLocked - The character's own `locked` flag
+   */
+  function updateLockToggle(button, isManualOverride, isLocked) {
+    const locked = isManualOverride || isLocked;
+    let title = "Keep this gender when new chapters are analyzed";
+    if (isManualOverride) title = "Manually set genders are always locked";
+    else if (locked) title = "Unlock to let new chapters update this gender";
+
+    button.toggleAttribute("disabled", isManualOverride);
+    button.setAttribute("aria-pressed", String(locked));
+    button.setAttribute("title", title);
+    button.replaceChildren(locked ? "Locked" : "Lock");
+  }
+
+  /**
+   * Builds a character card's expandable evidence table: which analyzer found
+   * what, how many points it gave towards which gender, and in which chapter.
+   * Below it, each chapter's vote and the running totals they add up to.
+   * @param {string} novelId - The novel identifier
+   * @param {string} charId - The character's ID
+   * @param {object} char - Stored character
+   * @return {HTMLElement|null} - Null when the character has no evidence or votes
+   */
+  function createEvidenceExplorer(novelId, charId, char) {
+    const evidences = (char.evidences || []).filter((item) => item && typeof item === "object");
+    const votes = (char.votes?.chapters || []).filter((vote) => vote && typeof vote === "object");
+    if (evidences.length === 0 && votes.length === 0) return null;
+
+    const details = document.createElement("details");
+    details.className = "evidence-details";
+    details.dataset.testid = `evidence-${novelId}-${charId}`;
+
+    const counts = [];
+    if (evidences.length > 0) counts.push(`${evidences.length} evidence`);
+    if (votes.length > 0) counts.push(`${votes.length} chapter ${votes.length === 1 ? "vote" : "votes"}`);
+
+    const summary = document.createElement("summary");
+    summary.textContent = `Why ${GENDER_WORDS[char.gender] || "unknown"}? (${counts.join(", ")})`;
+    details.appendChild(summary);
+
+    if (evidences.length > 0) {
+      const body = appendExplorerTable(details, "evidence-table", ["Analyzer", "Evidence", "Score", "Chapter"]);
+      evidences.forEach((item) => {
+        const row = body.insertRow();
+        row.insertCell().textContent = EVIDENCE_LABELS[item.analyzer] || item.analyzer;
+        row.insertCell().textContent = item.detail;
+
+        const score = row.insertCell();
+        if (item.score > 0 && GENDER_WORDS[item.gender]) {
+          score.textContent = `+${item.score} ${GENDER_WORDS[item.gender]}`;
+          score.className = `evidence-score evidence-${GENDER_WORDS[item.gender]}`;
+        } else {
+          score.textContent = "—";
+          score.className = "evidence-score";
+        }
+
+        row.insertCell().textContent = Number.isInteger(item.chapter) ? item.chapter : "—";
+      });
+    }
+
+    if (votes.length > 0) {
+      const totals = document.createElement("p");
+      totals.className = "vote-totals";
+      totals.dataset.testid = `vote-totals-${novelId}-${charId}`;
+      totals.textContent =
+        `Running totals: ${char.votes.m || 0} male, ${char.votes.f || 0} female. ` +
+        "Newer chapters count more.";
+      details.appendChild(totals);
+
+      const body = appendExplorerTable(details, "evidence-table vote-table", ["Chapter", "Vote"]);
+      votes.forEach((vote) => {
+        const row = body.insertRow();
+        row.insertCell().textContent = Number.isInteger(vote.chapter) ? vote.chapter : "—";
+
+        const cell = row.insertCell();
+        Object.entries(GENDER_WORDS)
+          .filter(([code]) => vote[code] > 0)
+          .forEach(([code, word]) => {
+            const score = document.createElement("span");
+            score.className = `evidence-score evidence-${word}`;
+            score.textContent = `+${vote[code]} ${word}`;
+            if (cell.childNodes.length > 0) cell.append(", ");
+            cell.appendChild(score);
+          });
+        if (vote.source === GenderConfig.LLM_RESOLUTION.SOURCE) cell.append(" (model)");
+      });
+    }
+
+    return details;
+  }
+
+  /**
+   * Adds a table with a header row to the evidence explorer
+   * @param {HTMLElement} details - The explorer
+   * @param {string} className
+   * @param {Array<string>} labels - Column headings
+   * @return {HTMLTableSectionElement} - The table body to fill
+   */
+  function appendExplorerTable(details, className, labels) {
+    const table = document.createElement("table");
+    table.className = className;
+    const header = table.createTHead().insertRow();
+    labels.forEach((label) => {
+      const cell = document.createElement("th");
+      cell.textContent = label;
+      header.appendChild(cell);
+    });
+    details.appendChild(table);
+    return table.createTBody();
+  }
+
+  /**
+   * Builds a character card's alias row (each alias with a button that splits
+   * it back into its own character) and its "Merge into…" picker
+   * @param {HTMLElement} container - Novel details container to re-render
+   * @param {string} novelId - The novel identifier
+   * @param {string} charId - The character's ID
+   * @param {object} chars - Every character of the novel
+   * @return {HTMLElement}
+   */
+  function createAliasControls(container, novelId, charId, chars) {
+    const controls = document.createElement("div");
+    controls.className = "alias-controls";
+    const aliases = chars[charId].aliases || [];
+
+    if (aliases.length > 0) {
+      const list = document.createElement("div");
+      list.className = "alias-list";
+      list.dataset.testid = `alias-list-${novelId}-${charId}`;
+      list.append("Also: ");
+
+      aliases.forEach((alias, index) => {
+        const chip = document.createElement("span");
+        chip.className = "alias-chip";
+        chip.textContent = alias;
+
+        const split = document.createElement("button");
+        split.type = "button";
+        split.className = "alias-split";
+        split.textContent = "×";
+        split.title = `Split "${alias}" into its own character`;
+        split.dataset.testid = `alias-split-${novelId}-${charId}-${index}`;
+        split.addEventListener("click", () => {
+          updateNovelCharacters(container, novelId, {
+            action: "splitCharacterAlias",
+            novelId,
+            charId,
+            alias
+          }, `"${alias}" split into its own character`);
+        });
+
+        chip.appendChild(split);
+        list.appendChild(chip);
+      });
+      controls.appendChild(list);
+    }
+
+    const otherIds = Object.keys(chars).filter((id) => id !== charId);
+    if (otherIds.length > 0) {
+      const merge = document.createElement("select");
+      merge.className = "merge-select";
+      merge.dataset.testid = `merge-select-${novelId}-${charId}`;
+      merge.add(new Option("Merge into…", ""));
+      otherIds
+        .sort((a, b) => chars[a].name.localeCompare(chars[b].name))
+        .forEach((id) => merge.add(new Option(chars[id].name, id)));
+
+      merge.addEventListener("change", () => {
+        if (!merge.value) return;
+        const targetName = chars[merge.value].name;
+        updateNovelCharacters(container, novelId, {
+          action: "mergeCharacters",
+          novelId,
+          sourceId: charId,
+          targetId: merge.value
+        }, `${chars[charId].name} merged into ${targetName}`);
+      });
+      controls.appendChild(merge);
+    }
+
+    return controls;
+  }
+
+  /**
+   * Sends a merge, split or lock change to the background, then re-renders
+   * the novel's characters from storage
+   * @param {HTMLElement} container - Novel details container
+   * @param {string} novelId - The novel identifier
+   * @param {object} message - mergeCharacters, splitCharacterAlias or setCharacterLock request
+   * @param {string} successMessage
+   * @return {Promise<void>}
+   */
+  async function updateNovelCharacters(container, novelId, message, successMessage) {
+    try {
+      await sendBackgroundMessage(message);
+      loadedNovelMaps = await NovelStorage.loadAll();
+      renderNovelDetails(container, loadedNovelMaps[novelId]);
+      logger.userSuccess(successMessage);
+    } catch (error) {
+      logger.error("Failed to update characters:", error);
+      logger.userError(error.message || "Failed to update characters");
+      renderNovelDetails(container, loadedNovelMaps[novelId]);
+    }
+  }
+
+  /**
+   * Saves a generated file through the browser's download prompt
+   * @param {Blob} blob
+   * @param {string} fileName
+   */
+  function downloadFile(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+  }
+
+  /**
+   * Sends a message to the background and resolves with an "ok" reply
+   * @param {object} message
+   * @return {Promise<object>}
+   */
+  function sendBackgroundMessage(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (response?.status !== "ok") {
+          reject(new Error(response?.message || "Request failed"));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  /**
+   * Builds the EPUB export panel: a checklist of the novel's chapters saved in
+   * the library, in `chaps` order, and an optional character appendix
+   * @param {string} novelId - The novel identifier
+   * @param {object} novelData - Stored novel entry (chars, chaps)
+   * @return {HTMLElement} - Export panel
+   */
+  function createEpubExporter(novelId, novelData) {
+    const panel = document.createElement("div");
+    panel.className = "epub-exporter";
+    panel.dataset.testid = `epub-exporter-${novelId}`;
+    panel.innerHTML = `
+      <h4 class="epub-title">E-book export</h4>
+      <div class="epub-chapter-list" data-testid="epub-chapters-${novelId}">Loading saved chapters…</div>
+      <label class="epub-option">
+        <input type="checkbox" class="epub-characters" checked data-testid="epub-characters-${novelId}" />
+        Add a character appendix
+      </label>
+      <button type="button" class="button button-secondary epub-export" data-testid="epub-export-${novelId}" disabled>Export to EPUB</button>
+    `;
+
+    const chapterList = panel.querySelector(".epub-chapter-list");
+    const includeCharacters = panel.querySelector(".epub-characters");
+    const exportBtn = panel.querySelector(".epub-export");
+    let savedChapters = [];
+
+    sendBackgroundMessage({ action: "getLibraryChapters", novelId })
+      .then(({ chapters }) => {
+        savedChapters = chapters;
+        const saved = new Set(chapters.map((c) => c.chapterNumber));
+        const notSaved = (novelData.chaps || [])
+          .map((num) => parseInt(num, 10))
+          .filter((num) => !saved.has(num));
+
+        chapterList.innerHTML = "";
+        if (chapters.length === 0) {
+          chapterList.textContent = "No chapters of this novel are in the library yet.";
+          return;
+        }
+
+        chapters.forEach((chapter) => {
+          const label = document.createElement("label");
+          label.className = "epub-option";
+          label.innerHTML = `<input type="checkbox" checked value="${chapter.chapterNumber}" /> `;
+          label.append(`Chapter ${chapter.chapterNumber}`);
+          chapterList.appendChild(label);
+        });
+
+        if (notSaved.length > 0) {
+          const hint = document.createElement("div");
+          hint.className = "hint";
+          hint.textContent = `${notSaved.length} enhanced ${notSaved.length === 1 ? "chapter was" : "chapters were"} read before the library kept text and cannot be exported.`;
+          chapterList.appendChild(hint);
+        }
+        exportBtn.disabled = false;
+      })
+      .catch((error) => {
+        logger.error("Failed to load library chapters:", error);
+        chapterList.textContent = "Could not load saved chapters.";
+      });
+
+    exportBtn.addEventListener("click", async () => {
+      const selected = Array.from(chapterList.querySelectorAll("input:checked"))
+        .map((input) => parseInt(input.value, 10));
+
+      if (selected.length === 0) {
+        logger.userError("Select at least one chapter to export");
+        return;
+      }
+
+      exportBtn.disabled = true;
+      try {
+        const chapters = [];
+        for (const chapterNumber of selected) {
+          const { chapter } = await sendBackgroundMessage({
+            action: "getLibraryChapter",
+            novelId,
+            chapterNumber
+          });
+          chapters.push({
+            chapterNumber: chapter.chapterNumber,
+            title: chapter.title,
+            paragraphs: chapter.enhancedParagraphs
+          });
+        }
+
+        const characters = includeCharacters.checked
+          ? Object.values(novelData.chars || {})
+            .sort((a, b) => (b.appearances || 0) - (a.appearances || 0))
+          : [];
+        const latest = [...savedChapters].sort((a, b) => b.savedAt - a.savedAt)[0];
+        const title = latest?.novelTitle || formatNovelId(novelId).replace(/<[^>]+>/g, "");
+
+        const epub = EpubBuilder.build({ title, identifier: novelId, chapters, characters });
+        downloadFile(new Blob([epub], { type: "application/epub+zip" }), EpubBuilder.fileName(title));
+
+        logger.userSuccess(`Exported ${chapters.length} ${chapters.length === 1 ? "chapter" : "chapters"} to EPUB`);
+      } catch (error) {
+        logger.error("EPUB export failed:", error);
+        logger.userError(`EPUB export failed: ${error.message}`);
+      } finally {
+        exportBtn.disabled = false;
+      }
+    });
+
+    return panel;
+  }
+
+  /**
+   * Builds the glossary editor shown under a novel's characters. The glossary
+   * is fetched from the background each time so it reflects the last save.
+   * @param {string} novelId - The novel identifier
+   * @return {HTMLElement} - Editor element
+   */
+  function createGlossaryEditor(novelId) {
+    const editor = document.createElement("div");
+    editor.className = "glossary-editor";
+    editor.dataset.testid = `glossary-editor-${novelId}`;
+    editor.innerHTML = `
+      <h4 class="glossary-title">Glossary</h4>
+      <label>Preferred renderings</label>
+      <textarea class="glossary-terms" rows="5" placeholder="Jindan = Golden Core" data-testid="glossary-terms-${novelId}"></textarea>
+      <div class="hint">One term per line as <code>source = rendering</code>. Only terms found in the text are sent with each request.</div>
+      <label>Never change</label>
+      <textarea class="glossary-keep" rows="3" placeholder="Azure Cloud Sect" data-testid="glossary-keep-${novelId}"></textarea>
+      <div class="hint">One term per line, kept exactly as written.</div>
+      <button type="button" class="button button-secondary glossary-save" data-testid="glossary-save-${novelId}">Save Glossary</button>
+    `;
+
+    const termsInput = editor.querySelector(".glossary-terms");
+    const keepInput = editor.querySelector(".glossary-keep");
+    const saveBtn = editor.querySelector(".glossary-save");
+
+    const fill = (glossary) => {
+      termsInput.value = Glossary.formatTerms(glossary.terms);
+      keepInput.value = glossary.keep.join("\n");
+    };
+
+    chrome.runtime.sendMessage({ action: "getNovelGlossary", novelId }, (response) => {
+      if (chrome.runtime.lastError || response?.status !== "ok") {
+        logger.error("Failed to load glossary:", chrome.runtime.lastError || response);
+        return;
+      }
+      fill(Glossary.normalize(response.glossary));
+    });
+
+    saveBtn.addEventListener("click", () => {
+      const glossary = Glossary.normalize({
+        terms: Glossary.parseTerms(termsInput.value),
+        keep: keepInput.value.split("\n")
+      });
+
+      saveBtn.disabled = true;
+      chrome.runtime.sendMessage({ action: "updateNovelGlossary", novelId, glossary }, (response) => {
+        saveBtn.disabled = false;
+
+        if (chrome.runtime.lastError || response?.status !== "ok") {
+          logger.error("Failed to save glossary:", chrome.runtime.lastError || response);
+          logger.userError(response?.message || "Failed to save glossary");
+          return;
+        }
+
+        fill(Glossary.normalize(response.glossary));
+        const count = Object.keys(response.glossary.terms).length + response.glossary.keep.length;
+        logger.userSuccess(`Glossary saved (${count} ${count === 1 ? "term" : "terms"})`);
+      });
+    });
+
+    return editor;
   }
 
   /**
@@ -697,7 +1250,14 @@ document.addEventListener("DOMContentLoaded", () => {
           ".manual-override-badge"
         );
 
+        updateLockToggle(
+          characterCard.querySelector(".lock-toggle"),
+          newGender !== "auto",
+          loadedNovelMaps[novelId]?.chars?.[charId]?.locked === true
+        );
+
         if (newGender !== "auto") {
+          confidenceInfo.querySelector(".source-badge")?.remove();
           if (!existingBadge) {
             confidenceInfo.insertAdjacentHTML(
               "beforeend",
@@ -790,6 +1350,294 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  /**
+   * Fills the pattern and first chapter from a pasted chapter URL
+   */
+  function handleJobChapterUrlInput() {
+    const detected = new ChapterDetector().buildChapterUrlPattern(
+      jobChapterUrlInput.value.trim()
+    );
+    if (!detected) return;
+
+    jobPatternInput.value = detected.pattern;
+    if (!jobFromInput.value) jobFromInput.value = detected.chapterNumber;
+  }
+
+  /**
+   * Sends the job form to the background worker
+   */
+  function startEnhanceJob() {
+    const job = {
+      pattern: jobPatternInput.value.trim(),
+      from: parseInt(jobFromInput.value, 10),
+      to: parseInt(jobToInput.value, 10)
+    };
+
+    if (!job.pattern.includes(ChapterDetector.CHAPTER_PLACEHOLDER)) {
+      jobPatternInput.classList.add("input-error");
+      setTimeout(() => jobPatternInput.classList.remove("input-error"), 1500);
+      logger.userError(`The URL pattern needs ${ChapterDetector.CHAPTER_PLACEHOLDER} where the chapter number goes`);
+      return;
+    }
+
+    if (isNaN(job.from) || isNaN(job.to) || job.to < job.from) {
+      logger.userError("Enter a valid chapter range");
+      return;
+    }
+
+    jobStartBtn.disabled = true;
+    chrome.runtime.sendMessage({ action: "createEnhanceJob", job }, (response) => {
+      jobStartBtn.disabled = false;
+
+      if (chrome.runtime.lastError || response?.status !== "ok") {
+        logger.error("Failed to start job:", chrome.runtime.lastError || response);
+        logger.userError(response?.message || "Failed to start job");
+        return;
+      }
+
+      logger.userSuccess(`Job started for chapters ${job.from}–${job.to}`);
+      loadEnhanceJobs();
+    });
+  }
+
+  /**
+   * Loads and displays bulk enhancement jobs
+   */
+  function loadEnhanceJobs() {
+    chrome.runtime.sendMessage({ action: "getEnhanceJobs" }, (response) => {
+      if (chrome.runtime.lastError || response?.status !== "ok") {
+        logger.error("Failed to load jobs:", chrome.runtime.lastError || response);
+        return;
+      }
+      renderEnhanceJobs(response.jobs);
+    });
+  }
+
+  /**
+   * Renders the jobs list, newest first
+   * @param {Array<object>} jobs
+   */
+  function renderEnhanceJobs(jobs) {
+    jobsList.innerHTML = "";
+
+    if (!Array.isArray(jobs) || jobs.length === 0) {
+      jobsList.innerHTML = '<div class="empty-list">No jobs yet</div>';
+      return;
+    }
+
+    [...jobs]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .forEach((job) => jobsList.appendChild(createJobItem(job)));
+  }
+
+  /**
+   * @param {object} job - Job as stored by the background worker
+   * @return {HTMLElement}
+   */
+  function createJobItem(job) {
+    const total = job.to - job.from + 1;
+    const processed = job.completed.length + job.failed.length;
+    const percent = Math.round((processed / total) * 100);
+
+    const item = document.createElement("div");
+    item.className = "job-item";
+    item.dataset.testid = `job-${job.id}`;
+    item.innerHTML = `
+      <div class="job-header">
+        <span class="novel-title"></span>
+        <span class="job-status job-status-${job.status}" data-testid="job-status-${job.id}"></span>
+      </div>
+      <div class="job-progress"><div class="job-progress-bar" style="width: ${percent}%"></div></div>
+      <div class="job-meta"></div>
+      <div class="job-actions"></div>
+    `;
+
+    item.querySelector(".novel-title").textContent =
+      `${job.title}: chapters ${job.from}–${job.to}`;
+    item.querySelector(".job-status").textContent = job.status;
+
+    const failedNote = job.failed.length > 0 ? `, ${job.failed.length} failed` : "";
+    const meta = item.querySelector(".job-meta");
+    meta.textContent = `${job.completed.length} of ${total} enhanced${failedNote}`;
+    if (job.lastError) meta.title = job.lastError;
+
+    const commands = {
+      queued: ["pause", "cancel"],
+      running: ["pause", "cancel"],
+      paused: ["resume", "cancel", "remove"],
+      done: ["remove"],
+      cancelled: ["remove"]
+    }[job.status] || [];
+
+    const actions = item.querySelector(".job-actions");
+    commands.forEach((command) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = command === "cancel"
+        ? "button button-danger"
+        : "button button-secondary";
+      button.textContent = command.charAt(0).toUpperCase() + command.slice(1);
+      button.dataset.testid = `job-${command}-${job.id}`;
+      button.addEventListener("click", () => updateEnhanceJob(job.id, command));
+      actions.appendChild(button);
+    });
+
+    return item;
+  }
+
+  /**
+   * @param {string} jobId
+   * @param {string} command - "pause", "resume", "cancel" or "remove"
+   */
+  function updateEnhanceJob(jobId, command) {
+    chrome.runtime.sendMessage({ action: "updateEnhanceJob", jobId, command }, (response) => {
+      if (chrome.runtime.lastError || response?.status !== "ok") {
+        logger.error(`Failed to ${command} job:`, chrome.runtime.lastError || response);
+        logger.userError(response?.message || `Failed to ${command} job`);
+        return;
+      }
+      loadEnhanceJobs();
+    });
+  }
+
+  /**
+   * Downloads novels, stats, settings and whitelist as a versioned JSON file
+   */
+  function exportData() {
+    sendBackgroundMessage({ action: "exportData" })
+      .then(({ backup }) => {
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(
+          new Blob([JSON.stringify(backup, null, 2)], { type: "application/json" }),
+          `novel-dialogue-enhancer-backup-${date}.json`
+        );
+        const count = Object.keys(backup.novelCharacterMaps).length;
+        logger.userSuccess(`Exported ${count} ${count === 1 ? "novel" : "novels"}`);
+      })
+      .catch((error) => {
+        logger.error("Data export failed:", error);
+        logger.userError(`Export failed: ${error.message}`);
+      });
+  }
+
+  /**
+   * Reads the chosen backup file and shows a dry-run summary before anything
+   * is written
+   */
+  async function previewImport() {
+    const file = importFileInput.files[0];
+    importFileInput.value = "";
+    if (!file) return;
+
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch (error) {
+      logger.error("Backup file is not JSON:", error);
+      logger.userError("That file is not a valid backup");
+      return;
+    }
+
+    try {
+      const { summary } = await sendBackgroundMessage({ action: "importData", backup, dryRun: true });
+      pendingImport = { backup, summary };
+      renderImportSummary(summary);
+      importPreview.style.display = "block";
+    } catch (error) {
+      logger.error("Backup validation failed:", error);
+      logger.userError(error.message);
+    }
+  }
+
+  /**
+   * @param {object} summary - Dry-run summary from the background
+   */
+  function renderImportSummary(summary) {
+    const lines = [];
+    const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+    if (summary.exportedAt) {
+      const version = summary.extensionVersion ? ` by version ${summary.extensionVersion}` : "";
+      lines.push(`Restore a backup made ${new Date(summary.exportedAt).toLocaleString()}${version}`);
+    }
+    lines.push(`Add ${plural(summary.novels.added, "novel")} and merge ${plural(summary.novels.merged, "novel")}`);
+    if (summary.novels.skipped > 0) {
+      lines.push(`Skip ${plural(summary.novels.skipped, "novel")} that are malformed or too old to keep`);
+    }
+    lines.push(
+      `Add ${plural(summary.characters.added, "character")}, update ${plural(summary.characters.updated, "character")} and add ${plural(summary.chaptersAdded, "read chapter")}`
+    );
+    if (summary.characters.overridesImported > 0) {
+      lines.push(`Bring over ${plural(summary.characters.overridesImported, "manual gender choice")}`);
+    }
+    if (summary.characters.overridesKept > 0) {
+      lines.push(`Keep ${plural(summary.characters.overridesKept, "manual gender choice")} made here that the backup disagrees with`);
+    }
+    if (summary.whitelist.added.length > 0) {
+      lines.push(`Whitelist ${summary.whitelist.added.join(", ")}`);
+    }
+    if (summary.whitelist.needsPermission.length > 0) {
+      lines.push(`Ask Chrome for access to ${summary.whitelist.needsPermission.join(", ")}`);
+    }
+    lines.push(
+      summary.settings.changed.length > 0
+        ? `Change settings: ${summary.settings.changed.join(", ")}`
+        : "Leave settings unchanged"
+    );
+    if (summary.settings.skipped.length > 0) {
+      lines.push(`Ignore settings with unexpected values: ${summary.settings.skipped.join(", ")}`);
+    }
+
+    importSummaryList.innerHTML = "";
+    lines.forEach((line) => {
+      const item = document.createElement("li");
+      item.textContent = line;
+      importSummaryList.appendChild(item);
+    });
+  }
+
+  /**
+   * Writes the previewed backup. Site access is requested first, while the
+   * click still counts as a user gesture.
+   */
+  function applyImport() {
+    if (!pendingImport) return;
+
+    const { backup, summary } = pendingImport;
+    const origins = summary.whitelist.needsPermission.map((site) => `*://*.${site}/*`);
+    const permissionRequest = origins.length > 0
+      ? chrome.permissions.request({ origins })
+      : Promise.resolve(true);
+
+    importApplyBtn.disabled = true;
+    permissionRequest
+      .then((granted) => {
+        if (!granted) {
+          logger.userWarning("Sites without access stay whitelisted but are not enhanced");
+        }
+        return sendBackgroundMessage({ action: "importData", backup, dryRun: false });
+      })
+      .then(() => {
+        logger.userSuccess("Backup imported. Reloading…");
+        // Settings fields are only filled in on load
+        setTimeout(() => window.location.reload(), 1500);
+      })
+      .catch((error) => {
+        logger.error("Data import failed:", error);
+        logger.userError(`Import failed: ${error.message}`);
+        importApplyBtn.disabled = false;
+      });
+  }
+
+  /**
+   * Discards the previewed backup
+   */
+  function cancelImport() {
+    pendingImport = null;
+    importSummaryList.innerHTML = "";
+    importPreview.style.display = "none";
+  }
+
   /**
    * Loads and displays global statistics
    */
@@ -830,6 +1678,9 @@ document.addEventListener("DOMContentLoaded", () => {
         ? `${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`
         : `${totalMinutes}m`;
     updateStatValue("stat-time", timeDisplay);
+    updateStatValue("stat-alignment-fallbacks", stats.totalAlignmentFallbacks || 0);
+    updateStatValue("stat-name-violations", stats.totalNameViolations || 0);
+    updateStatValue("stat-glossary-violations", stats.totalGlossaryViolations || 0);
 
     const firstDate = stats.firstEnhancementDate
       ? new Date(stats.firstEnhancementDate).toLocaleDateString()
@@ -996,6 +1847,8 @@ document.addEventListener("DOMContentLoaded", () => {
     setupSlider(topPSlider, topPValue);
     setupSlider(contextSizeSlider, contextSizeValue);
     setupSlider(timeoutSlider, timeoutValue);
+    setupSlider(concurrencySlider, concurrencyValue);
+    setupSlider(prefetchDepthSlider, prefetchDepthValue);
 
     clearAllBtn.addEventListener("click", () => {
       if (
@@ -1025,7 +1878,7 @@ document.addEventListener("DOMContentLoaded", () => {
     try {
       // Load initial settings directly
       chrome.storage.sync.get(
-        ["modelName", "contextSize", "timeout", "temperature", "topP"],
+        ["modelName", "contextSize", "timeout", "temperature", "topP", "streamResponses", "ollamaUrl", "llmProvider", "maxConcurrentRequests", "prefetchQueueDepth"],
         (data) => {
           if (chrome.runtime.lastError) {
             logger.error("Error loading settings:", chrome.runtime.lastError);
@@ -1039,6 +1892,13 @@ document.addEventListener("DOMContentLoaded", () => {
             temperatureValue.textContent = OllamaConfig.LLM.TEMPERATURE;
             topPSlider.value = OllamaConfig.LLM.TOP_P;
             topPValue.textContent = OllamaConfig.LLM.TOP_P;
+            streamResponsesCheckbox.checked = OllamaConfig.LLM.STREAM;
+            ollamaUrlInput.value = OllamaConfig.API.BASE;
+            llmProviderSelect.value = OllamaConfig.API.PROVIDER;
+            concurrencySlider.value = OllamaConfig.LLM.MAX_CONCURRENT_REQUESTS;
+            concurrencyValue.textContent = OllamaConfig.LLM.MAX_CONCURRENT_REQUESTS;
+            prefetchDepthSlider.value = ExtensionConfig.PREFETCH.QUEUE_DEPTH;
+            prefetchDepthValue.textContent = ExtensionConfig.PREFETCH.QUEUE_DEPTH;
           } else {
             modelNameInput.value =
               data.modelName || OllamaConfig.LLM.MODEL_NAME;
@@ -1055,6 +1915,18 @@ document.addEventListener("DOMContentLoaded", () => {
               data.temperature || OllamaConfig.LLM.TEMPERATURE;
             topPSlider.value = data.topP || OllamaConfig.LLM.TOP_P;
             topPValue.textContent = data.topP || OllamaConfig.LLM.TOP_P;
+            streamResponsesCheckbox.checked =
+              data.streamResponses ?? OllamaConfig.LLM.STREAM;
+            ollamaUrlInput.value = data.ollamaUrl || OllamaConfig.API.BASE;
+            llmProviderSelect.value = data.llmProvider || OllamaConfig.API.PROVIDER;
+            concurrencySlider.value =
+              data.maxConcurrentRequests || OllamaConfig.LLM.MAX_CONCURRENT_REQUESTS;
+            concurrencyValue.textContent =
+              data.maxConcurrentRequests || OllamaConfig.LLM.MAX_CONCURRENT_REQUESTS;
+            prefetchDepthSlider.value =
+              data.prefetchQueueDepth ?? ExtensionConfig.PREFETCH.QUEUE_DEPTH;
+            prefetchDepthValue.textContent =
+              data.prefetchQueueDepth ?? ExtensionConfig.PREFETCH.QUEUE_DEPTH;
 
             logger.success("Initial settings loaded successfully:", data);
           }
@@ -1072,22 +1944,44 @@ document.addEventListener("DOMContentLoaded", () => {
       const temperature = parseFloat(temperatureSlider.value);
       const topP = parseFloat(topPSlider.value);
 
+      const ollamaUrl = parseOllamaUrl(ollamaUrlInput.value);
+      if (!ollamaUrl) {
+        ollamaUrlInput.classList.add("input-error");
+        setTimeout(() => ollamaUrlInput.classList.remove("input-error"), 1500);
+        logger.userError("Server URL must start with http:// or https://");
+        return;
+      }
+
       const settingsToSave = {
         modelName: modelNameInput.value.trim() || OllamaConfig.LLM.MODEL_NAME,
         contextSize: contextSize,
         timeout: timeout,
         temperature: temperature,
-        topP: topP
+        topP: topP,
+        streamResponses: streamResponsesCheckbox.checked,
+        ollamaUrl: ollamaUrl.href,
+        llmProvider: llmProviderSelect.value,
+        maxConcurrentRequests: parseInt(concurrencySlider.value),
+        prefetchQueueDepth: parseInt(prefetchDepthSlider.value)
       };
 
-      chrome.storage.sync.set(settingsToSave, () => {
-        if (chrome.runtime.lastError) {
-          logger.error("Error saving settings:", chrome.runtime.lastError);
-          logger.userError("Error saving settings");
-        } else {
-          logger.userSuccess("Settings Saved Successfully!");
-          logger.success("Settings saved successfully:", settingsToSave);
+      // Must run inside the click handler: permission prompts need a user gesture.
+      requestOllamaHostPermission(ollamaUrl, (granted) => {
+        if (!granted) {
+          logger.userError(`Access to ${ollamaUrl.origin} was not granted`);
+          return;
         }
+
+        chrome.storage.sync.set(settingsToSave, () => {
+          if (chrome.runtime.lastError) {
+            logger.error("Error saving settings:", chrome.runtime.lastError);
+            logger.userError("Error saving settings");
+          } else {
+            ollamaUrlInput.value = settingsToSave.ollamaUrl;
+            logger.userSuccess("Settings Saved Successfully!");
+            logger.success("Settings saved successfully:", settingsToSave);
+          }
+        });
       });
     });
 
@@ -1097,6 +1991,25 @@ document.addEventListener("DOMContentLoaded", () => {
       });
     }
 
+    if (jobsTab) {
+      jobsTab.addEventListener("click", loadEnhanceJobs);
+      jobChapterUrlInput.addEventListener("input", handleJobChapterUrlInput);
+      jobStartBtn.addEventListener("click", startEnhanceJob);
+
+      // Progress is written to storage after every chapter
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === "local" && changes.enhanceJobs) {
+          renderEnhanceJobs(Object.values(changes.enhanceJobs.newValue || {}));
+        }
+      });
+    }
+
+    exportDataBtn.addEventListener("click", exportData);
+    importDataBtn.addEventListener("click", () => importFileInput.click());
+    importFileInput.addEventListener("change", previewImport);
+    importApplyBtn.addEventListener("click", applyImport);
+    importCancelBtn.addEventListener("click", cancelImport);
+
     if (refreshStatsBtn) {
       refreshStatsBtn.addEventListener("click", loadGlobalStats);
     }
@@ -9,6 +9,7 @@ document.addEventListener("DOMContentLoaded", () => {
   const preserveNamesToggle = document.getElementById("preserve-names-toggle");
   const fixPronounsToggle = document.getElementById("fix-pronouns-toggle");
   const enhanceNowBtn = document.getElementById("enhance-now-btn");
+  const toggleOriginalBtn = document.getElementById("toggle-original-btn");
   const statusMessage = document.getElementById("status-message");
   const currentSite = document.getElementById("current-site");
 
@@ -111,6 +112,7 @@ document.addEventListener("DOMContentLoaded", () => {
   });
 
   enhanceNowBtn.addEventListener("click", handleEnhanceNowClick);
+  toggleOriginalBtn.addEventListener("click", handleToggleOriginalClick);
 
   /**
    * Terminate active operations when pausing extension
@@ -156,9 +158,9 @@ document.addEventListener("DOMContentLoaded", () => {
       }
     });
 
-    // Also terminate background requests
+    // Pausing stops background requests from every tab, not just this one
     chrome.runtime.sendMessage(
-      { action: "terminateAllRequests" },
+      { action: "terminateAllRequests", allTabs: true },
       (terminateResponse) => {
         if (chrome.runtime.lastError) {
           logger.error(
@@ -398,6 +400,39 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  /**
+   * Switch the active tab between the original and the enhanced chapter text
+   */
+  function handleToggleOriginalClick() {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      const activeTab = Array.isArray(tabs) ? tabs[0] : null;
+      if (!activeTab || !activeTab.id) {
+        logger.error("No active tab found for toggling original text:", tabs);
+        statusMessage.textContent = "Error: No active tab found";
+        setTimeout(() => updateStatus(), 2000);
+        return;
+      }
+
+      chrome.tabs.sendMessage(
+        activeTab.id,
+        { action: "toggleOriginal" },
+        (response) => {
+          if (chrome.runtime.lastError) {
+            logger.error("Toggle original failed:", chrome.runtime.lastError);
+            statusMessage.textContent = "Extension not ready on this page";
+          } else if (response?.status === "ok") {
+            statusMessage.textContent = response.showingOriginal
+              ? "Showing original text"
+              : "Showing enhanced text";
+          } else {
+            statusMessage.textContent = response?.error || "Nothing to compare yet";
+          }
+          setTimeout(() => updateStatus(), 2000);
+        }
+      );
+    });
+  }
+
   /**
    * Check whitelist status with background page fallback and error handling
    */
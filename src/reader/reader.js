@@ -0,0 +1,317 @@
+import { logger } from "../shared/utils/logger.js";
+import { darkModeManager } from "../shared/ui/dark-mode-manager.js";
+import { NovelStorage } from "../shared/novel/novel-storage.js";
+
+// reader.js — offline library: lists novels from the novel index and reads
+// their saved chapters through the background worker's library store.
+// Deep links: reader.html?novel=<novelId>&chapter=<number>
+
+document.addEventListener("DOMContentLoaded", () => {
+  const novelSelect = document.getElementById("novel-select");
+  const chapterList = document.getElementById("chapter-list");
+  const chapterView = document.getElementById("chapter-view");
+  const prevButton = document.getElementById("prev-chapter");
+  const nextButton = document.getElementById("next-chapter");
+  const showOriginal = document.getElementById("show-original");
+  const deleteChapterButton = document.getElementById("delete-chapter");
+  const deleteNovelButton = document.getElementById("delete-novel");
+
+  let chapters = [];
+  let currentChapter = null;
+  let novelIndex = {};
+
+  darkModeManager.init();
+
+  /**
+   * Plain-text form of a novel ID ("example_com__my_novel" → "My Novel (example.com)")
+   * @param {string} novelId
+   * @return {string}
+   */
+  function formatNovelName(novelId) {
+    const [domainPart = "", novelPart = ""] = novelId.split("__");
+    const novelName = novelPart
+      .split("_")
+      .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(" ");
+    return `${novelName || novelId} (${domainPart.replace(/_/g, ".")})`;
+  }
+
+  /**
+   * Sends a message to the background worker
+   * @param {object} message
+   * @return {Promise<object>}
+   */
+  function sendMessage(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (response?.status !== "ok") {
+          reject(new Error(response?.message || "Request failed"));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  /**
+   * Shows a message in place of the chapter text
+   * @param {string} text
+   */
+  function showEmptyState(text) {
+    chapterView.innerHTML = "";
+    const message = document.createElement("div");
+    message.className = "empty-state";
+    message.textContent = text;
+    chapterView.appendChild(message);
+  }
+
+  /**
+   * Keeps the address bar pointing at what is on screen
+   */
+  function updateLocation() {
+    const params = new URLSearchParams();
+    if (novelSelect.value) params.set("novel", novelSelect.value);
+    if (currentChapter) params.set("chapter", currentChapter.chapterNumber);
+    history.replaceState(null, "", `?${params}`);
+  }
+
+  /**
+   * Fills the novel picker from the novel index, most recently read first,
+   * followed by library novels whose character data was purged
+   * @return {Promise<void>}
+   */
+  async function loadNovels() {
+    novelIndex = await NovelStorage.loadIndex();
+    const { novelIds: libraryIds } = await sendMessage({ action: "getLibraryNovels" });
+
+    const known = Object.keys(novelIndex)
+      .sort((a, b) => (novelIndex[b].lastAccess || 0) - (novelIndex[a].lastAccess || 0));
+    const orphaned = libraryIds.filter((novelId) => !novelIndex[novelId]);
+
+    [...known, ...orphaned]
+      .forEach((novelId) => {
+        const option = document.createElement("option");
+        option.value = novelId;
+        option.textContent = formatNovelName(novelId);
+        novelSelect.appendChild(option);
+      });
+  }
+
+  /**
+   * Lists the saved chapters of the selected novel
+   * @return {Promise<void>}
+   */
+  async function loadChapters() {
+    chapters = [];
+    currentChapter = null;
+    chapterList.innerHTML = "";
+    updateNavigation();
+
+    const novelId = novelSelect.value;
+    if (!novelId) {
+      showEmptyState("Pick a novel to start reading.");
+      return;
+    }
+
+    try {
+      ({ chapters } = await sendMessage({ action: "getLibraryChapters", novelId }));
+    } catch (error) {
+      logger.error("Failed to load library chapters:", error);
+      showEmptyState("Could not load the library.");
+      return;
+    }
+
+    if (chapters.length === 0) {
+      showEmptyState("No enhanced chapters saved for this novel yet.");
+      return;
+    }
+
+    chapters.forEach((chapter) => {
+      const item = document.createElement("li");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = `Chapter ${chapter.chapterNumber}`;
+      button.title = chapter.title;
+      button.dataset.chapter = chapter.chapterNumber;
+      button.dataset.testid = `chapter-${chapter.chapterNumber}`;
+      button.addEventListener("click", () => openChapter(chapter.chapterNumber));
+      item.appendChild(button);
+      chapterList.appendChild(item);
+    });
+
+    updateNavigation();
+    showEmptyState(`${chapters.length} saved ${chapters.length === 1 ? "chapter" : "chapters"}. Pick one from the list.`);
+  }
+
+  /**
+   * Loads and renders one saved chapter
+   * @param {number} chapterNumber
+   * @return {Promise<void>}
+   */
+  async function openChapter(chapterNumber) {
+    try {
+      const { chapter } = await sendMessage({
+        action: "getLibraryChapter",
+        novelId: novelSelect.value,
+        chapterNumber
+      });
+      currentChapter = chapter;
+    } catch (error) {
+      logger.error("Failed to load chapter:", error);
+      showEmptyState(`Chapter ${chapterNumber} is not in the library.`);
+      return;
+    }
+
+    renderChapter();
+    updateNavigation();
+    updateLocation();
+    window.scrollTo(0, 0);
+  }
+
+  /**
+   * Renders the current chapter in the chosen version
+   */
+  function renderChapter() {
+    if (!currentChapter) return;
+
+    const paragraphs = showOriginal.checked
+      ? currentChapter.originalParagraphs
+      : currentChapter.enhancedParagraphs;
+
+    chapterView.innerHTML = "";
+
+    const heading = document.createElement("h2");
+    heading.textContent = currentChapter.title || `Chapter ${currentChapter.chapterNumber}`;
+    chapterView.appendChild(heading);
+
+    const meta = document.createElement("div");
+    meta.className = "chapter-meta";
+    const savedOn = new Date(currentChapter.savedAt).toLocaleString();
+    meta.textContent = `Enhanced with ${currentChapter.model || "unknown model"} · saved ${savedOn}`;
+    if (currentChapter.url) {
+      const source = document.createElement("a");
+      source.href = currentChapter.url;
+      source.target = "_blank";
+      source.rel = "noopener";
+      source.textContent = "source";
+      meta.append(" · ", source);
+    }
+    chapterView.appendChild(meta);
+
+    paragraphs.forEach((text) => {
+      const paragraph = document.createElement("p");
+      paragraph.textContent = text;
+      chapterView.appendChild(paragraph);
+    });
+  }
+
+  /**
+   * Enables prev/next for the neighbouring saved chapters and marks the
+   * current one in the list
+   */
+  function updateNavigation() {
+    const index = currentChapter
+      ? chapters.findIndex((c) => c.chapterNumber === currentChapter.chapterNumber)
+      : -1;
+
+    prevButton.disabled = index <= 0;
+    nextButton.disabled = index === -1 || index >= chapters.length - 1;
+    deleteChapterButton.disabled = !currentChapter;
+    deleteNovelButton.disabled = chapters.length === 0;
+
+    chapterList.querySelectorAll("button").forEach((button) => {
+      button.classList.toggle(
+        "active",
+        Number(button.dataset.chapter) === currentChapter?.chapterNumber
+      );
+    });
+  }
+
+  /**
+   * @param {number} offset - -1 for previous, 1 for next
+   */
+  function step(offset) {
+    const index = chapters.findIndex((c) => c.chapterNumber === currentChapter?.chapterNumber);
+    const target = chapters[index + offset];
+    if (target) openChapter(target.chapterNumber);
+  }
+
+  /**
+   * Deletes the open chapter from the library and goes back to the list
+   * @return {Promise<void>}
+   */
+  async function deleteCurrentChapter() {
+    if (!currentChapter) return;
+    const { chapterNumber } = currentChapter;
+    if (!confirm(`Delete chapter ${chapterNumber} from the library? The enhanced text cannot be recovered.`)) return;
+
+    try {
+      await sendMessage({ action: "deleteLibraryChapter", novelId: novelSelect.value, chapterNumber });
+    } catch (error) {
+      logger.error("Failed to delete chapter:", error);
+      showEmptyState(`Could not delete chapter ${chapterNumber}.`);
+      return;
+    }
+
+    await loadChapters();
+    updateLocation();
+  }
+
+  /**
+   * Deletes every saved chapter of the selected novel. A novel that only the
+   * library still knew about leaves the picker; character data is kept.
+   * @return {Promise<void>}
+   */
+  async function deleteSelectedNovel() {
+    const novelId = novelSelect.value;
+    if (!novelId) return;
+    if (!confirm(`Delete all ${chapters.length} saved chapters of ${formatNovelName(novelId)} from the library?`)) return;
+
+    try {
+      await sendMessage({ action: "deleteLibraryNovel", novelId });
+    } catch (error) {
+      logger.error("Failed to delete novel from library:", error);
+      showEmptyState("Could not delete this novel's chapters.");
+      return;
+    }
+
+    if (!novelIndex[novelId]) {
+      novelSelect.querySelector(`option[value="${CSS.escape(novelId)}"]`)?.remove();
+      novelSelect.value = "";
+    }
+    await loadChapters();
+    updateLocation();
+  }
+
+  novelSelect.addEventListener("change", () => {
+    loadChapters().then(updateLocation);
+  });
+  prevButton.addEventListener("click", () => step(-1));
+  nextButton.addEventListener("click", () => step(1));
+  showOriginal.addEventListener("change", renderChapter);
+  deleteChapterButton.addEventListener("click", deleteCurrentChapter);
+  deleteNovelButton.addEventListener("click", deleteSelectedNovel);
+  document.addEventListener("keydown", (event) => {
+    if (event.target instanceof HTMLSelectElement) return;
+    if (event.key === "ArrowLeft") step(-1);
+    if (event.key === "ArrowRight") step(1);
+  });
+
+  const params = new URLSearchParams(window.location.search);
+  loadNovels()
+    .then(async () => {
+      const novelId = params.get("novel");
+      if (!novelId || !novelSelect.querySelector(`option[value="${CSS.escape(novelId)}"]`)) return;
+
+      novelSelect.value = novelId;
+      await loadChapters();
+      const chapterNumber = parseInt(params.get("chapter"), 10);
+      if (!isNaN(chapterNumber)) await openChapter(chapterNumber);
+    })
+    .catch((error) => {
+      logger.error("Failed to open library:", error);
+      showEmptyState("Could not load the library.");
+    });
+});
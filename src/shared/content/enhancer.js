@@ -4,9 +4,14 @@ import { OllamaConfig } from "../llm/ollama-config.js";
 import { StringUtils } from "../utils/string-utils.js";
 import { NovelOrchestrator } from "../novel/novel-orchestrator.js";
 import { GenderOrchestrator } from "../gender/gender-orchestrator.js";
+import { LlmGenderResolver } from "../gender/llm-gender-resolver.js";
+import { PronounFixer } from "../gender/pronoun-fixer.js";
 import { OllamaClient } from "../llm/ollama-client.js";
 import { TextProcessor } from "../llm/text-processor.js";
 import { PromptGenerator } from "../llm/prompt-generator.js";
+import { NameValidator } from "../llm/name-validator.js";
+import { Glossary } from "../novel/glossary.js";
+import { ExtensionConfig } from "../utils/extension-config.js";
 
 class StatsUtils {
   constructor() {
@@ -16,6 +21,9 @@ class StatsUtils {
     this.totalWordsProcessed = 0;
     this.compressionRatio = 1.0;
     this.errorCount = 0;
+    this.alignmentFallbacks = 0;
+    this.nameViolations = 0;
+    this.glossaryViolations = 0;
   }
 
   #set(prop, value, label) {
@@ -35,6 +43,9 @@ class StatsUtils {
     this.compressionRatio = v;
   }
   incrementErrorCount() { this.errorCount += 1; }
+  setAlignmentFallbacks(v) { this.#set("alignmentFallbacks", v, "alignmentFallbacks"); }
+  incrementNameViolations() { this.nameViolations += 1; }
+  setGlossaryViolations(v) { this.#set("glossaryViolations", v, "glossaryViolations"); }
   getStats() {
     return {
       totalDialoguesEnhanced: this.totalDialoguesEnhanced,
@@ -42,7 +53,10 @@ class StatsUtils {
       processingTime: this.processingTime,
       totalWordsProcessed: this.totalWordsProcessed,
       compressionRatio: this.compressionRatio,
-      errorCount: this.errorCount
+      errorCount: this.errorCount,
+      alignmentFallbacks: this.alignmentFallbacks,
+      nameViolations: this.nameViolations,
+      glossaryViolations: this.glossaryViolations
     };
   }
 }
@@ -55,26 +69,269 @@ class StatsUtils {
 export class ContentEnhancer {
   /**
    * Creates a new ContentEnhancerIntegration instance
+   * @param {object} [options]
+   * @param {import('../../content/error-handler.js').ErrorHandler} [options.errorHandler] - Receives name-validation incidents
+   * @param {string} [options.url] - Chapter URL, when enhancing a page other than the current one
+   * @param {string} [options.title] - Chapter title that goes with `url`
+   * @param {boolean} [options.prefetch] - Requests warm the cache for a chapter not yet opened
    */
-  constructor() {
+  constructor({
+    errorHandler = null,
+    url = window.location.href,
+    title = document.title,
+    prefetch = false
+  } = {}) {
+    this.errorHandler = errorHandler;
+    this.pageUrl = url;
+    this.pageTitle = title;
+    this.prefetch = prefetch;
     this.genderUtils = new GenderOrchestrator();
     this.ollamaClient = new OllamaClient();
-    this.novelUtils = new NovelOrchestrator(window.location.href, document.title);
+    this.novelUtils = new NovelOrchestrator(url, title, { prefetch });
     this.statsUtils = new StatsUtils();
     this.textProcessor = new TextProcessor();
     this.promptGenerator = new PromptGenerator();
+    this.nameValidator = new NameValidator();
+    this.llmGenderResolver = new LlmGenderResolver({
+      ollamaClient: this.ollamaClient,
+      promptGenerator: this.promptGenerator
+    });
+    this.pronounFixer = new PronounFixer();
     this.logger = logger;
 
     // Add flag to track if character analysis was already done for this session
     this.characterAnalysisComplete = false;
     this.sessionCharacterMap = {};
+    this.glossary = Glossary.empty();
+
+    // User toggles from the popup; see setPreferences
+    this.preferences = {
+      preserveNames: ExtensionConfig.DEFAULTS.preserveNames,
+      fixPronouns: ExtensionConfig.DEFAULTS.fixPronouns
+    };
 
     this.logger.debug(
       "Novel Dialogue Enhancer: Integration module initialized with LLM support"
     );
   }
 
-  async enhanceText(text) {
+  /**
+   * Apply the popup's name and pronoun toggles to later requests
+   * @param {object} settings - Page settings; non-boolean values are ignored
+   * @param {boolean} [settings.preserveNames] - Forbid renaming and revert paragraphs that lose a known name
+   * @param {boolean} [settings.fixPronouns] - Fix pronouns by rule, then send character pronouns and ask the model to fix the rest
+   */
+  setPreferences({ preserveNames, fixPronouns } = {}) {
+    if (typeof preserveNames === "boolean") this.preferences.preserveNames = preserveNames;
+    if (typeof fixPronouns === "boolean") this.preferences.fixPronouns = fixPronouns;
+  }
+
+  /**
+   * Enhance text with character context
+   * @param {string} text - Text to enhance (paragraphs separated by blank lines)
+   * @param {object} [options] - Enhancement options
+   * @param {function(string): void} [options.onPartial] - Receives the cleaned partial output while streaming
+   * @param {boolean} [options.regenerate] - Skip cached output and sample at a higher temperature
+   * @param {function(number, number): void} [options.onChunk] - Receives (completedChunks, totalChunks) for long texts
+   * @return {Promise<string>} - Enhanced text, or the original text on failure
+   */
+  async enhanceText(text, options = {}) {
+    const enhancedText = await this.#runEnhancementSession(
+      text,
+      (sanitizedText, characterSummary) =>
+        this.#enhanceTextInChunks(this.#fixPronouns([sanitizedText])[0].text, characterSummary, options)
+    );
+    return enhancedText ?? text;
+  }
+
+  /**
+   * Enhance a batch of paragraphs in one request while keeping each output
+   * tied to its input. Every paragraph carries a numbered marker the model is
+   * asked to preserve; paragraphs whose marker is lost, duplicated or whose
+   * length no longer matches are re-requested once on their own, then fall
+   * back to the original text, with the rule-based pronoun fixes applied.
+   * @param {string[]} paragraphs - Paragraph texts, in page order
+   * @param {object} [options] - Enhancement options
+   * @param {function(number, string): void} [options.onParagraph] - Receives (index, text) once a paragraph is final; may repeat an index
+   * @param {function(number, number): void} [options.onChunk] - Receives (completedChunks, totalChunks), starting at 0
+   * @return {Promise<string[]>} - One entry per input paragraph; unmatched entries are the original text
+   */
+  async enhanceParagraphs(paragraphs, options = {}) {
+    let aligned = null;
+    await this.#runEnhancementSession(
+      paragraphs.join("\n\n"),
+      async (_sanitizedText, characterSummary) => {
+        const prepared = this.#fixPronouns(paragraphs).map(({ text }) => text);
+        aligned = await this.#enhanceParagraphsInChunks(prepared, characterSummary, options);
+        return aligned.join("\n\n");
+      }
+    );
+    return aligned ?? [...paragraphs];
+  }
+
+  /**
+   * Fix pronouns by rule alone, for when the AI service is unavailable.
+   * Character genders come from the usual analysis; nothing is sent to the
+   * model.
+   * @param {string[]} paragraphs - Paragraph texts, in page order
+   * @return {Promise<Array<{text: string, fixes: number}>>} - One entry per paragraph
+   */
+  async fixPronounsOffline(paragraphs) {
+    await this.#getOrExtractCharacterInfo(StringUtils.sanitizeText(paragraphs.join("\n\n")));
+    return this.#fixPronouns(paragraphs);
+  }
+
+  /**
+   * Rule-based pronoun pass against the session's characters; a no-op when
+   * the user turned pronoun fixing off
+   * @param {string[]} paragraphs
+   * @return {Array<{text: string, fixes: number}>}
+   * @private
+   */
+  #fixPronouns(paragraphs) {
+    if (!this.preferences.fixPronouns) {
+      return paragraphs.map((text) => ({ text, fixes: 0 }));
+    }
+
+    const results = paragraphs.map((paragraph) => {
+      const { text, fixes } = this.pronounFixer.fixText(paragraph, this.sessionCharacterMap);
+      return { text, fixes: fixes.length };
+    });
+
+    const total = results.reduce((sum, { fixes }) => sum + fixes, 0);
+    if (total > 0) this.logger.debug(`Fixed ${total} pronouns by rule`);
+    return results;
+  }
+
+  /**
+   * Maximum characters of source text per request for the configured context size
+   * @return {Promise<number>}
+   * @private
+   */
+  async #getChunkBudget() {
+    const settings = await this.ollamaClient.getLLMSettings();
+    return this.textProcessor.getChunkBudget(settings.contextSize);
+  }
+
+  /**
+   * Enhance paragraphs chunk by chunk so long chapters fit the context window.
+   * Each chunk sees the end of the previous (enhanced) chunk and the start of
+   * the next (original) one; a chunk that fails twice is left as written, and
+   * once the service is unreachable the remaining chunks are too.
+   * @param {string[]} paragraphs - Original paragraph texts
+   * @param {string} characterSummary - Character information summary
+   * @param {object} options - See enhanceParagraphs
+   * @return {Promise<string[]>} - Aligned output, one entry per paragraph
+   * @private
+   */
+  async #enhanceParagraphsInChunks(paragraphs, characterSummary, options) {
+    const budget = await this.#getChunkBudget();
+    const chunks = this.textProcessor.groupParagraphsIntoChunks(paragraphs, budget);
+    const chunkTexts = chunks.map((indices) => indices.map((i) => paragraphs[i]).join("\n\n"));
+    const output = [...paragraphs];
+
+    if (chunks.length > 1) {
+      this.logger.info(`Enhancing ${paragraphs.length} paragraphs in ${chunks.length} chunks (budget ${budget} chars)`);
+    }
+    options.onChunk?.(0, chunks.length);
+
+    for (let c = 0; c < chunks.length; c++) {
+      const indices = chunks[c];
+      const chunkOptions = {
+        context: chunks.length > 1 ? this.textProcessor.buildChunkContext(chunkTexts, c) : "",
+        onParagraph: options.onParagraph
+          ? (local, text) => options.onParagraph(indices[local], text)
+          : undefined
+      };
+
+      const { enhanced, unreachable } = await this.#withChunkRetry(c, chunks.length, () =>
+        this.#enhanceAlignedParagraphs(indices.map((i) => paragraphs[i]), characterSummary, chunkOptions)
+      );
+      if (unreachable) break;
+
+      if (enhanced) {
+        enhanced.forEach((text, local) => {
+          output[indices[local]] = text;
+          // Hand finished chunks over right away when streaming didn't already
+          options.onParagraph?.(indices[local], text);
+        });
+        chunkTexts[c] = enhanced.join("\n\n");
+      }
+      options.onChunk?.(c + 1, chunks.length);
+    }
+
+    return output;
+  }
+
+  /**
+   * Enhance free text chunk by chunk; a single chunk keeps the one-pass
+   * behaviour (streaming, regenerate) unchanged.
+   * @param {string} text - Sanitized text
+   * @param {string} characterSummary - Character information summary
+   * @param {object} options - See enhanceText
+   * @return {Promise<string>} - Enhanced text
+   * @private
+   */
+  async #enhanceTextInChunks(text, characterSummary, options) {
+    const chunks = this.textProcessor.splitIntoChunks(text, await this.#getChunkBudget());
+    if (chunks.length <= 1) {
+      const enhanced = await this.enhanceTextWithLLM(text, characterSummary, options);
+      return this.#restoreDroppedNames(text, enhanced);
+    }
+
+    const results = [...chunks];
+    options.onChunk?.(0, chunks.length);
+
+    for (let c = 0; c < chunks.length; c++) {
+      const context = this.textProcessor.buildChunkContext(results, c);
+      const { enhanced, unreachable } = await this.#withChunkRetry(c, chunks.length, () =>
+        this.enhanceTextWithLLM(chunks[c], characterSummary, { ...options, onPartial: undefined, context })
+      );
+      if (unreachable) break;
+      if (enhanced) results[c] = this.#restoreDroppedNames(chunks[c], enhanced);
+      options.onChunk?.(c + 1, chunks.length);
+    }
+
+    return results.join("\n\n");
+  }
+
+  /**
+   * Run one chunk, retrying once before giving up on it. A connection-level
+   * failure is not retried and tells the caller to stop, so an unreachable
+   * service costs one timeout rather than two per remaining chunk.
+   * @param {number} index - Chunk index (for logging)
+   * @param {number} total - Number of chunks
+   * @param {function(): Promise<*>} run - Enhances the chunk
+   * @return {Promise<{enhanced: *|null, unreachable: boolean}>} - Result, or null when the chunk failed
+   * @private
+   */
+  async #withChunkRetry(index, total, run) {
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      try {
+        return { enhanced: await run(), unreachable: false };
+      } catch (error) {
+        this.logger.warn(`Chunk ${index + 1}/${total} failed (attempt ${attempt}/2):`, error);
+        if (OllamaClient.isConnectionError(error)) {
+          this.logger.error(`AI service unreachable, chunks ${index + 1}-${total} left unenhanced`);
+          this.statsUtils.incrementErrorCount();
+          return { enhanced: null, unreachable: true };
+        }
+      }
+    }
+    this.logger.error(`Chunk ${index + 1}/${total} left unenhanced after retry`);
+    this.statsUtils.incrementErrorCount();
+    return { enhanced: null, unreachable: false };
+  }
+
+  /**
+   * Shared setup and bookkeeping for one enhancement request: character
+   * context, dialogue statistics, LLM availability and timing.
+   * @param {string} text - Raw text being enhanced
+   * @param {function(string, string): Promise<string>} enhance - Receives (sanitizedText, characterSummary), returns the enhanced text
+   * @return {Promise<string|null>} - Enhanced text, or null on failure
+   * @private
+   */
+  async #runEnhancementSession(text, enhance) {
     const startTime = performance.now();
 
     // Reset stats for this enhancement session
@@ -111,22 +368,22 @@ export class ContentEnhancer {
       // Create character summary for LLM context — filtered to characters present in this text
       const characterSummary = this.novelUtils.createCharacterSummary(
         this.#convertCharacterMapToArray(characterMap),
-        sanitizedText
+        sanitizedText,
+        { includePronouns: this.preferences.fixPronouns }
       );
 
+      this.glossary = await this.novelUtils.loadGlossary();
+
       // Check LLM availability
       const ollamaStatus = await this.ollamaClient.checkOllamaAvailability();
       if (!ollamaStatus.available) {
         this.logger.error(`LLM not available: ${ollamaStatus.reason}`);
         this.statsUtils.incrementErrorCount();
-        return text;
+        return null;
       }
 
-      // Use the ollamaClient with our newly refactored components
-      const enhancedText = await this.enhanceTextWithLLM(
-        sanitizedText,
-        characterSummary
-      );
+      const enhancedText = await enhance(sanitizedText, characterSummary);
+      this.#checkGlossary(sanitizedText, enhancedText);
 
       // Calculate compression ratio
       const enhancedWordCount = this.#countWords(enhancedText);
@@ -139,13 +396,191 @@ export class ContentEnhancer {
     } catch (error) {
       this.logger.error("Error enhancing text:", error);
       this.statsUtils.incrementErrorCount();
-      return text;
+      return null;
     } finally {
       const endTime = performance.now();
       this.statsUtils.setProcessingTime(endTime - startTime);
     }
   }
 
+  /**
+   * Run the marked batch, stream out paragraphs as they complete, retry the
+   * misaligned ones and fall back to the original for the rest.
+   * @param {string[]} paragraphs - Original paragraph texts
+   * @param {string} characterSummary - Character information summary
+   * @param {object} options - onParagraph callback and surrounding `context` for the prompt
+   * @return {Promise<string[]>} - Aligned output, one entry per paragraph
+   * @private
+   */
+  async #enhanceAlignedParagraphs(paragraphs, characterSummary, options) {
+    const sanitized = paragraphs.map((paragraph) => StringUtils.sanitizeText(paragraph));
+    const aligned = new Array(paragraphs.length).fill(null);
+    const allIndices = paragraphs.map((_, index) => index);
+    // Paragraphs whose output lost a character name; they get one re-request
+    const renamed = new Set();
+
+    const accept = (segments, indices, isFinal) => {
+      const markers = [...segments.keys()];
+      // While streaming, the last marker seen may still be receiving text
+      const settled = isFinal ? markers : markers.slice(0, -1);
+      for (const index of settled) {
+        if (aligned[index] !== null || !indices.includes(index)) continue;
+        const text = segments.get(index);
+        if (!this.#isPlausibleParagraph(sanitized[index], text)) continue;
+        const nameCheck = this.#validateNames(sanitized[index], text);
+        if (!nameCheck.valid) {
+          if (!renamed.has(index)) this.#reportNameViolation(nameCheck);
+          renamed.add(index);
+          continue;
+        }
+        aligned[index] = text;
+        options.onParagraph?.(index, text);
+      }
+    };
+
+    const markedText = this.textProcessor.addParagraphMarkers(sanitized, allIndices);
+    const onPartial = options.onParagraph
+      ? (partial) => accept(this.textProcessor.parseParagraphMarkers(partial), allIndices, false)
+      : undefined;
+
+    const enhancedText = await this.enhanceTextWithLLM(markedText, characterSummary, {
+      onPartial,
+      paragraphMarkers: true,
+      context: options.context
+    });
+    accept(this.textProcessor.parseParagraphMarkers(enhancedText), allIndices, true);
+
+    const misaligned = allIndices.filter((index) => aligned[index] === null);
+    if (misaligned.length > 0) {
+      this.logger.warn(
+        `Paragraph alignment: re-requesting ${misaligned.length}/${paragraphs.length} paragraphs (${renamed.size} with changed names)`
+      );
+      try {
+        const retryText = await this.enhanceTextWithLLM(
+          this.textProcessor.addParagraphMarkers(
+            misaligned.map((index) => sanitized[index]),
+            misaligned
+          ),
+          characterSummary,
+          { paragraphMarkers: true, context: options.context }
+        );
+        accept(this.textProcessor.parseParagraphMarkers(retryText), misaligned, true);
+      } catch (retryError) {
+        this.logger.warn("Paragraph alignment retry failed:", retryError);
+      }
+    }
+
+    // Renamed paragraphs that failed again are already counted as name violations
+    const fallbacks = allIndices.filter((index) => aligned[index] === null && !renamed.has(index));
+    if (fallbacks.length > 0) {
+      this.logger.warn(`Paragraph alignment: kept ${fallbacks.length} paragraphs unchanged`);
+      this.statsUtils.setAlignmentFallbacks(fallbacks.length);
+    }
+
+    return aligned.map((text, index) => text ?? paragraphs[index]);
+  }
+
+  /**
+   * With preserveNames on, check that the output still names everyone the
+   * original named (see NameValidator). Names the glossary renders
+   * differently pass with their rendering.
+   * @param {string} original - Sanitized original paragraph
+   * @param {string} enhanced - Enhanced paragraph
+   * @return {{valid: boolean, dropped: Array<string>, altered: Array<string>}}
+   * @private
+   */
+  #validateNames(original, enhanced) {
+    if (!this.preferences.preserveNames) {
+      return { valid: true, dropped: [], altered: [] };
+    }
+    return this.nameValidator.validate(
+      original,
+      enhanced,
+      Object.keys(this.sessionCharacterMap),
+      Glossary.renderingsFor(this.glossary, original)
+    );
+  }
+
+  /**
+   * Log and count a paragraph that came back with a changed name
+   * @param {{dropped: Array<string>, altered: Array<string>}} nameCheck
+   * @private
+   */
+  #reportNameViolation(nameCheck) {
+    const message = this.nameValidator.describe(nameCheck);
+    this.logger.warn(`Name check: ${message}`);
+    this.statsUtils.incrementNameViolations();
+    this.errorHandler?.handleError(new Error(message), "name_validation", {
+      silent: true,
+      attemptRecovery: false
+    });
+  }
+
+  /**
+   * Flag glossary entries the output did not follow. The text is kept as is;
+   * the incidents are logged and counted.
+   * @param {string} original - Sanitized original text
+   * @param {string} enhanced - Final enhanced text
+   * @private
+   */
+  #checkGlossary(original, enhanced) {
+    const violations = Glossary.findViolations(this.glossary, original, enhanced);
+    if (violations.length === 0) return;
+
+    const message = `Glossary not followed: ${violations
+      .map(({ term, expected }) => (term === expected ? `kept "${term}"` : `"${term}" → "${expected}"`))
+      .join(", ")}`;
+    this.logger.warn(message);
+    this.statsUtils.setGlossaryViolations(violations.length);
+    this.errorHandler?.handleError(new Error(message), "glossary_validation", {
+      silent: true,
+      attemptRecovery: false
+    });
+  }
+
+  /**
+   * Put back the original of every paragraph that changed a character name.
+   * When the model changed the paragraph count the text is judged as a whole.
+   * @param {string} original - Sanitized original text
+   * @param {string} enhanced - Enhanced text
+   * @return {string}
+   * @private
+   */
+  #restoreDroppedNames(original, enhanced) {
+    if (!this.preferences.preserveNames || !enhanced) return enhanced;
+
+    const keep = (before, after) => {
+      const nameCheck = this.#validateNames(before, after);
+      if (!nameCheck.valid) this.#reportNameViolation(nameCheck);
+      return nameCheck.valid;
+    };
+
+    const before = original.split(/\n\s*\n/);
+    const after = enhanced.split(/\n\s*\n/);
+    if (before.length !== after.length) {
+      return keep(original, enhanced) ? enhanced : original;
+    }
+
+    return after
+      .map((paragraph, index) => (keep(before[index], paragraph) ? paragraph : before[index]))
+      .join("\n\n");
+  }
+
+  /**
+   * Reject outputs that are far shorter or longer than their input, which is
+   * how a merged or split paragraph shows up once markers are matched.
+   * @param {string} original - Sanitized original paragraph
+   * @param {string} enhanced - Candidate output for the same marker
+   * @return {boolean}
+   * @private
+   */
+  #isPlausibleParagraph(original, enhanced) {
+    if (!enhanced) return false;
+    if (Math.abs(enhanced.length - original.length) <= 80) return true;
+    const ratio = enhanced.length / Math.max(original.length, 1);
+    return ratio >= 0.5 && ratio <= 2;
+  }
+
   /**
    * Get or extract character information - only extract once per session
    * @param {string} text - The text to analyze
@@ -162,7 +597,7 @@ export class ContentEnhancer {
     }
 
     this.logger.debug("Extracting character information...");
-    const characterMap = this.novelUtils.extractCharacterNames(text);
+    const characterMap = await this.novelUtils.extractCharacterNames(text);
 
     if (!this.novelUtils.isCurrentChapterEnhanced) {
       const updatedCharacterMap = await this.determineCharacterGenders(
@@ -231,12 +666,16 @@ export class ContentEnhancer {
     return Object.entries(characterMap || {}).map(([name, data]) => ({
       name,
       gender: data.gender,
-      appearances: data.appearances
+      appearances: data.appearances,
+      aliases: data.aliases || [],
+      aliasOf: data.aliasOf
     }));
   }
 
   /**
-   * Apply gender detection to characters with unknown gender
+   * Analyze every character's gender in this chapter. Each one that is not
+   * locked casts this chapter's vote; the background tally of all chapters
+   * decides the stored gender.
    * @param {object} characterMap - The character map to update
    * @param {string} text - The text to analyze
    * @return {Promise<object>} - Updated character map with gender information
@@ -245,31 +684,99 @@ export class ContentEnhancer {
     const updatedCharacterMap = { ...characterMap };
 
     for (const [name, data] of Object.entries(updatedCharacterMap)) {
-      const needsGenderDetermination =
-        data.gender === GenderConfig.CODES.UNKNOWN ||
-        !data.confidence ||
-        data.confidence < 0.7;
-
-      if (needsGenderDetermination) {
-        const genderInfo = this.genderUtils.guessGender(
-          name,
-          text,
-          updatedCharacterMap
-        );
+      // Locked (or manually set) genders are never re-analyzed
+      if (data.locked) continue;
 
-        updatedCharacterMap[name] = {
-          ...updatedCharacterMap[name],
-          gender: genderInfo.gender, // Already compressed from genderUtils
-          confidence: genderInfo.confidence,
-          evidence: genderInfo.evidence
-        };
+      const genderInfo = this.genderUtils.guessGender(
+        name,
+        text,
+        updatedCharacterMap
+      );
+
+      const vote = this.#chapterVote(genderInfo.vote);
+
+      // Confident genders are only replaced by the tally, and a stored model
+      // verdict stands until the heuristics are more certain; either way
+      // this chapter still gets its vote
+      const settled =
+        data.gender !== GenderConfig.CODES.UNKNOWN &&
+        (data.confidence || 0) >= GenderConfig.ANALYSIS.HIGH_CONFIDENCE_THRESHOLD;
+      if (
+        settled ||
+        (data.genderSource === GenderConfig.LLM_RESOLUTION.SOURCE &&
+          genderInfo.confidence <= (data.confidence || 0))
+      ) {
+        updatedCharacterMap[name] = { ...data, evidence: genderInfo.evidence, vote };
+        continue;
       }
+
+      const detected = {
+        ...updatedCharacterMap[name],
+        gender: genderInfo.gender, // Already compressed from genderUtils
+        confidence: genderInfo.confidence,
+        evidence: genderInfo.evidence,
+        vote
+      };
+      delete detected.genderSource;
+      updatedCharacterMap[name] = detected;
+    }
+
+    const resolvedCharacterMap = await this.#applyLlmGenderVerdicts(
+      updatedCharacterMap,
+      text
+    );
+
+    this.novelUtils.syncCharacterMap(resolvedCharacterMap);
+    return resolvedCharacterMap;
+  }
+
+  /**
+   * Ask the model about characters the heuristics left below
+   * MEDIUM_CONFIDENCE_THRESHOLD and adopt its more confident verdicts
+   * @param {object} characterMap - Character map after heuristic detection
+   * @param {string} text - The text to analyze
+   * @return {Promise<object>} - Character map with model verdicts applied
+   * @private
+   */
+  async #applyLlmGenderVerdicts(characterMap, text) {
+    if (this.llmGenderResolver.selectCandidates(characterMap, text).length === 0) {
+      return characterMap;
     }
 
-    this.novelUtils.syncCharacterMap(updatedCharacterMap);
+    const ollamaStatus = await this.ollamaClient.checkOllamaAvailability();
+    if (!ollamaStatus.available) return characterMap;
+
+    const settings = await this.ollamaClient.getLLMSettings();
+    const verdicts = await this.llmGenderResolver.resolve(characterMap, text, settings, {
+      prefetch: this.prefetch
+    });
+
+    const updatedCharacterMap = { ...characterMap };
+    Object.entries(verdicts).forEach(([name, verdict]) => {
+      if (verdict.confidence <= (updatedCharacterMap[name].confidence || 0)) return;
+      updatedCharacterMap[name] = {
+        ...updatedCharacterMap[name],
+        ...verdict,
+        vote: this.#chapterVote(verdict.vote),
+        genderSource: GenderConfig.LLM_RESOLUTION.SOURCE
+      };
+      this.logger.debug(`Model resolved ${name} as ${verdict.gender} (${verdict.confidence})`);
+    });
+
     return updatedCharacterMap;
   }
 
+  /**
+   * Tags a gender vote with the chapter it was cast in, so syncing the same
+   * analysis again replaces the vote instead of counting it twice
+   * @param {{m: number, f: number, source?: string}} vote
+   * @return {object}
+   * @private
+   */
+  #chapterVote(vote) {
+    return { ...vote, chapter: this.novelUtils.chapterInfo?.chapterNumber };
+  }
+
   /**
    * Set up character context for enhancement
    * @return {Promise<Object>} - Character map with gender information
@@ -289,7 +796,7 @@ export class ContentEnhancer {
    * @return {number}
    */
   #computeDynamicCtx(prompt, maxCtx = OllamaConfig.LLM.CONTEXT_SIZE) {
-    const estimate = Math.ceil(prompt.length / 3.5); // input tokens
+    const estimate = Math.ceil(prompt.length / OllamaConfig.LLM.CHARS_PER_TOKEN); // input tokens
     const needed   = Math.ceil(estimate * 1.5);       // +50% for output
     for (const b of [512, 1024, 2048, 4096, 8192]) {
       if (b >= needed) return Math.min(b, maxCtx);
@@ -301,15 +808,20 @@ export class ContentEnhancer {
    * Enhance text using the LLM with character context
    * @param {string} text - Text to enhance
    * @param {string} characterSummary - Character information summary
+   * @param {object} [options] - Enhancement options
+   * @param {function(string): void} [options.onPartial] - Streaming callback; ignored when streaming is disabled
+   * @param {boolean} [options.regenerate] - Use a one-off cache key and a higher temperature
+   * @param {boolean} [options.paragraphMarkers] - Text carries [[P#]] markers the model must keep
+   * @param {string} [options.context] - Neighbouring text from buildChunkContext, for continuity only
    * @return {Promise<string>} - Enhanced text
    */
-  async enhanceTextWithLLM(text, characterSummary) {
+  async enhanceTextWithLLM(text, characterSummary, options = {}) {
     try {
-      const novelStyle = this.novelUtils.analyzeNovelStyle(text);
+      const novelStyle = await this.novelUtils.analyzeNovelStyle(text);
 
       if (!this.novelUtils.chapterInfo) {
         this.novelUtils.chapterInfo = this.novelUtils.detectChapterInfo(
-          document.title,
+          this.pageTitle,
           text
         );
       }
@@ -318,37 +830,66 @@ export class ContentEnhancer {
         style: novelStyle.style,
         tone: novelStyle.tone,
         title: this.novelUtils.title,
-        platform: this.novelUtils.detectPlatform(window.location.href),
+        platform: this.novelUtils.detectPlatform(this.pageUrl),
         chapterInfo: this.novelUtils.chapterInfo
       };
 
       const settings = await this.ollamaClient.getLLMSettings();
+      const glossaryLines = Glossary.formatForPrompt(this.glossary, text);
 
       const prompt = this.promptGenerator.createEnhancementPrompt(
         text,
         characterSummary,
-        novelInfo
+        novelInfo,
+        {
+          paragraphMarkers: options.paragraphMarkers,
+          context: options.context,
+          preserveNames: this.preferences.preserveNames,
+          fixPronouns: this.preferences.fixPronouns,
+          glossary: glossaryLines
+        }
       );
 
-      const cacheKey   = StringUtils.createHash(text);
+      // The toggles and glossary change the prompt, so they are part of the cache key.
+      // A regenerate is not answered from the cache; its output replaces the entry instead
+      const { preserveNames, fixPronouns } = this.preferences;
+      const cacheKey = StringUtils.createHash(
+        `${text}|names:${preserveNames}|pronouns:${fixPronouns}|glossary:${glossaryLines}`
+      );
+      const temperature = options.regenerate
+        ? Math.min(1, settings.temperature + OllamaConfig.LLM.REGENERATE_TEMPERATURE_BOOST)
+        : settings.temperature;
       const dynamicCtx = this.#computeDynamicCtx(prompt, settings.contextSize || OllamaConfig.LLM.CONTEXT_SIZE);
 
-      this.logger.info(`Enhancing chapter in one pass (${text.length} chars, num_ctx: ${dynamicCtx})`);
-
-      const enhancedText = await this.ollamaClient.processWithLLM(
-        settings.modelName,
-        prompt,
-        {
-          num_predict: 4096,
-          num_ctx: dynamicCtx,
-          temperature: settings.temperature,
-          top_p: settings.topP,
-          timeout: settings.timeout,
-          cacheKey
-        }
+      // Room for the rewrite of this text plus some slack; chunks keep it inside num_ctx
+      const numPredict = Math.max(
+        1024,
+        Math.ceil((text.length / OllamaConfig.LLM.CHARS_PER_TOKEN) * 1.25)
       );
 
-      this.logger.success("Chapter enhancement complete");
+      this.logger.info(`Enhancing ${text.length} chars (num_ctx: ${dynamicCtx}, num_predict: ${numPredict})`);
+
+      const llmOptions = {
+        num_predict: numPredict,
+        num_ctx: dynamicCtx,
+        temperature,
+        top_p: settings.topP,
+        timeout: settings.timeout,
+        cacheKey,
+        refreshCache: Boolean(options.regenerate),
+        prefetch: this.prefetch
+      };
+
+      const enhancedText = options.onPartial && settings.streamResponses
+        ? await this.ollamaClient.streamWithLLM(
+          settings.modelName,
+          prompt,
+          llmOptions,
+          (partial) => options.onPartial(this.textProcessor.cleanLLMResponse(partial))
+        )
+        : await this.ollamaClient.processWithLLM(settings.modelName, prompt, llmOptions);
+
+      this.logger.success("LLM enhancement complete");
       return this.textProcessor.cleanLLMResponse(enhancedText);
     } catch (error) {
       this.logger.error("LLM enhancement error:", error);
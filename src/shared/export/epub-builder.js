@@ -0,0 +1,213 @@
+import { ZipWriter } from "./zip-writer.js";
+
+// epub-builder.js
+/**
+ * Packages saved chapters into an EPUB 3 book. A toc.ncx is included next to
+ * the EPUB 3 nav document because many e-ink readers only read the former.
+ */
+
+const GENDER_LABELS = { m: "Male", f: "Female" };
+
+/**
+ * @param {string} char
+ * @return {boolean} - False for control characters XML 1.0 does not allow
+ */
+function isXmlChar(char) {
+  const code = char.charCodeAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+}
+
+/**
+ * @param {string} text
+ * @return {string} - Text safe inside XML content and attribute values
+ */
+function escapeXml(text) {
+  return Array.from(String(text ?? ""))
+    .filter(isXmlChar)
+    .join("")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * @param {string} title
+ * @param {string} body - XHTML body content
+ * @return {string} - Complete XHTML document
+ */
+function xhtmlPage(title, body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css" />
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.5; margin: 0 5%; }
+h1, h2 { text-align: center; }
+p { margin: 0 0 0.8em; text-indent: 1.2em; }
+table { width: 100%; border-collapse: collapse; }
+th, td { text-align: left; padding: 0.2em 0.4em; border-bottom: 1px solid #999; }
+`;
+
+export class EpubBuilder {
+  /**
+   * @param {object} book
+   * @param {string} book.title - Novel title
+   * @param {string} book.identifier - Stable ID for the book (the novel ID)
+   * @param {Array<{chapterNumber: number, title: string, paragraphs: Array<string>}>} book.chapters
+   * @param {Array<{name: string, gender: string, appearances: number}>} [book.characters] - Adds a character appendix when non-empty
+   * @param {string} [book.language]
+   * @return {Uint8Array} - The .epub file
+   */
+  static build({ title, identifier, chapters, characters = [], language = "en" }) {
+    if (!Array.isArray(chapters) || chapters.length === 0) {
+      throw new Error("Select at least one chapter to export");
+    }
+
+    const ordered = [...chapters].sort((a, b) => a.chapterNumber - b.chapterNumber);
+    const pages = ordered.map((chapter) => ({
+      id: `chapter-${chapter.chapterNumber}`,
+      href: `chapter-${chapter.chapterNumber}.xhtml`,
+      title: chapter.title || `Chapter ${chapter.chapterNumber}`,
+      body: [
+        `<h2>${escapeXml(chapter.title || `Chapter ${chapter.chapterNumber}`)}</h2>`,
+        ...chapter.paragraphs.map((text) => `<p>${escapeXml(text)}</p>`)
+      ].join("\n")
+    }));
+
+    if (characters.length > 0) {
+      const rows = characters
+        .map((c) =>
+          `<tr><td>${escapeXml(c.name)}</td><td>${GENDER_LABELS[c.gender] || "Unknown"}</td><td>${c.appearances || 0}</td></tr>`
+        )
+        .join("\n");
+      pages.push({
+        id: "characters",
+        href: "characters.xhtml",
+        title: "Characters",
+        body: `<h2>Characters</h2>
+<table>
+<thead><tr><th>Name</th><th>Gender</th><th>Appearances</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`
+      });
+    }
+
+    const zip = new ZipWriter();
+    // Must be first and stored uncompressed
+    zip.addFile("mimetype", "application/epub+zip");
+    zip.addFile("META-INF/container.xml", `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`);
+    zip.addFile("OEBPS/content.opf", EpubBuilder.#packageDocument(title, identifier, language, pages));
+    zip.addFile("OEBPS/nav.xhtml", EpubBuilder.#navDocument(title, pages));
+    zip.addFile("OEBPS/toc.ncx", EpubBuilder.#ncxDocument(title, identifier, pages));
+    zip.addFile("OEBPS/style.css", STYLESHEET);
+    pages.forEach((page) => zip.addFile(`OEBPS/${page.href}`, xhtmlPage(page.title, page.body)));
+
+    return zip.build();
+  }
+
+  /**
+   * @param {string} title
+   * @return {string} - File name for the download
+   */
+  static fileName(title) {
+    const base = String(title || "novel")
+      .replace(/[\\/:*?"<>|]+/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+    return `${base || "novel"}.epub`;
+  }
+
+  /**
+   * OPF package: metadata, manifest and reading order
+   * @private
+   */
+  static #packageDocument(title, identifier, language, pages) {
+    const modified = new Date().toISOString().replace(/\.\d{3}Z$/, "Z");
+    const manifest = pages
+      .map((page) => `    <item id="${page.id}" href="${page.href}" media-type="application/xhtml+xml"/>`)
+      .join("\n");
+    const spine = pages.map((page) => `    <itemref idref="${page.id}"/>`).join("\n");
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">urn:novel-dialogue-enhancer:${escapeXml(identifier)}</dc:identifier>
+    <dc:title>${escapeXml(title)}</dc:title>
+    <dc:language>${escapeXml(language)}</dc:language>
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="style" href="style.css" media-type="text/css"/>
+${manifest}
+  </manifest>
+  <spine toc="ncx">
+${spine}
+  </spine>
+</package>
+`;
+  }
+
+  /**
+   * EPUB 3 table of contents
+   * @private
+   */
+  static #navDocument(title, pages) {
+    const items = pages
+      .map((page) => `    <li><a href="${page.href}">${escapeXml(page.title)}</a></li>`)
+      .join("\n");
+
+    return xhtmlPage(title, `<nav epub:type="toc" id="toc">
+  <h1>${escapeXml(title)}</h1>
+  <ol>
+${items}
+  </ol>
+</nav>`);
+  }
+
+  /**
+   * EPUB 2 table of contents, for older and e-ink readers
+   * @private
+   */
+  static #ncxDocument(title, identifier, pages) {
+    const points = pages
+      .map((page, index) => `    <navPoint id="nav-${page.id}" playOrder="${index + 1}">
+      <navLabel><text>${escapeXml(page.title)}</text></navLabel>
+      <content src="${page.href}"/>
+    </navPoint>`)
+      .join("\n");
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="urn:novel-dialogue-enhancer:${escapeXml(identifier)}"/>
+  </head>
+  <docTitle><text>${escapeXml(title)}</text></docTitle>
+  <navMap>
+${points}
+  </navMap>
+</ncx>
+`;
+  }
+}
@@ -0,0 +1,120 @@
+// zip-writer.js
+/**
+ * Minimal ZIP archive writer. Entries are stored uncompressed, which is what
+ * EPUB requires for its `mimetype` entry and is fine for the small text files
+ * the rest of an e-book consists of.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * @param {Uint8Array} bytes
+ * @return {number} - CRC-32 of the bytes
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @param {Date} date
+ * @return {{time: number, date: number}} - MS-DOS timestamp fields
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+export class ZipWriter {
+  constructor() {
+    this.entries = [];
+    this.encoder = new TextEncoder();
+  }
+
+  /**
+   * Add a file. Entries are written in the order they are added.
+   * @param {string} path - Path inside the archive, "/" separated
+   * @param {string|Uint8Array} content
+   */
+  addFile(path, content) {
+    const data = typeof content === "string" ? this.encoder.encode(content) : content;
+    this.entries.push({ name: this.encoder.encode(path), data, crc: crc32(data) });
+  }
+
+  /**
+   * @param {Date} [modified] - Timestamp recorded for every entry
+   * @return {Uint8Array} - The complete archive
+   */
+  build(modified = new Date()) {
+    const { time, date } = toDosDateTime(modified);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    this.entries.forEach(({ name, data, crc }) => {
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);  // local file header signature
+      local.setUint16(4, 20, true);          // version needed to extract
+      local.setUint16(6, 0x0800, true);      // flags: UTF-8 names
+      local.setUint16(8, 0, true);           // method: stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true); // compressed size
+      local.setUint32(22, data.length, true); // uncompressed size
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);           // extra field length
+      localParts.push(new Uint8Array(local.buffer), name, data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true); // central directory signature
+      central.setUint16(4, 20, true);         // version made by
+      central.setUint16(6, 20, true);         // version needed to extract
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);    // local header offset
+      centralParts.push(new Uint8Array(central.buffer), name);
+
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);       // end of central directory signature
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const archive = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach((part) => {
+      archive.set(part, position);
+      position += part.length;
+    });
+
+    return archive;
+  }
+}
@@ -13,5 +13,31 @@ export const GenderConfig = {
     HIGH_CONFIDENCE_THRESHOLD:   0.75,
     MEDIUM_CONFIDENCE_THRESHOLD: 0.4,
     TRANSLATION_ADJUSTMENT:      1
+  },
+  // Model-assisted resolution of characters below MEDIUM_CONFIDENCE_THRESHOLD
+  LLM_RESOLUTION: {
+    SOURCE:                 "llm", // stored as genderSource on the character
+    MAX_CHARACTERS:         8,     // per request, most frequent first
+    SNIPPETS_PER_CHARACTER: 3,
+    MAX_SNIPPET_LENGTH:     240,
+    MIN_CONFIDENCE:         0.5,   // verdicts below this are ignored
+    MAX_REASON_LENGTH:      120
+  },
+  // Stored as `evidences: [{ analyzer, detail, gender, score, chapter? }]`,
+  // strongest first; chapter is added by the background worker
+  EVIDENCE: {
+    ANALYZERS: {
+      CULTURAL:        "cultural",
+      NAME:            "name",
+      PRONOUN:         "pronoun",
+      RELATIONSHIP:    "relationship",
+      APPEARANCE:      "appearance",
+      MULTI_CHARACTER: "multi-character",
+      HISTORY:         "history", // gender already stored for the character
+      LLM:             "llm",
+      MANUAL:          "manual",
+      OTHER:           "other"    // free-text evidence from before schema v4
+    },
+    MAX_DETAIL_LENGTH: 160
   }
 };
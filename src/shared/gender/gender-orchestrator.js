@@ -2,6 +2,7 @@ import { logger } from "../utils/logger.js";
 import { ExtensionConfig } from "../utils/extension-config.js";
 import { StringUtils } from "../utils/string-utils.js";
 import { GenderUtils } from "./gender-utils.js";
+import { GenderConfig } from "./gender-config.js";
 import { CharacterUtils } from "../utils/character-utils.js";
 import { CulturalAnalyzer } from "./cultural-analyzer.js";
 import { NameAnalyzer } from "./name-analyzer.js";
@@ -10,6 +11,8 @@ import { RelationshipAnalyzer } from "./relationship-analyzer.js";
 import { AppearanceAnalyzer } from "./appearance-analyzer.js";
 import { MultiCharacterAnalyzer } from "./multi-character-analyzer.js";
 
+const ANALYZERS = GenderConfig.EVIDENCE.ANALYZERS;
+
 /**
  * Core gender utilities module for Novel Dialogue Enhancer
  * Coordinates other specialized modules for gender detection with enhanced multi-character analysis
@@ -60,7 +63,7 @@ export class GenderOrchestrator {
    * @param {string} text - Surrounding text context
    * @param {object} characterMap - Existing character data
    * @param {string} culturalOrigin - Cultural origin of the character
-   * @returns {object} - Detailed gender information with confidence
+   * @returns {object} - Scores plus structured evidence carrying each step's weighted score
    */
   #performAdvancedMultiCharacterAnalysis(
     name,
@@ -82,7 +85,12 @@ export class GenderOrchestrator {
     totalMaleScore += contextResult.maleScore * 1.5; // Higher weight
     totalFemaleScore += contextResult.femaleScore * 1.5;
     if (contextResult.evidence) {
-      evidenceList.push(`context: ${contextResult.evidence}`);
+      evidenceList.push(GenderUtils.createEvidence(
+        ANALYZERS.MULTI_CHARACTER,
+        `context: ${contextResult.evidence}`,
+        contextResult.maleScore * 1.5,
+        contextResult.femaleScore * 1.5
+      ));
     }
 
     // 2. Enhanced dialogue attribution analysis
@@ -96,7 +104,12 @@ export class GenderOrchestrator {
     totalMaleScore += dialogueResult.maleScore * 1.3; // Dialogue is reliable
     totalFemaleScore += dialogueResult.femaleScore * 1.3;
     if (dialogueResult.evidence) {
-      evidenceList.push(`dialogue: ${dialogueResult.evidence}`);
+      evidenceList.push(GenderUtils.createEvidence(
+        ANALYZERS.MULTI_CHARACTER,
+        `dialogue: ${dialogueResult.evidence}`,
+        dialogueResult.maleScore * 1.3,
+        dialogueResult.femaleScore * 1.3
+      ));
     }
 
     // 3. Character interaction pattern analysis
@@ -108,7 +121,12 @@ export class GenderOrchestrator {
     totalMaleScore += interactionResult.maleScore * 1.2;
     totalFemaleScore += interactionResult.femaleScore * 1.2;
     if (interactionResult.evidence) {
-      evidenceList.push(`interaction: ${interactionResult.evidence}`);
+      evidenceList.push(GenderUtils.createEvidence(
+        ANALYZERS.MULTI_CHARACTER,
+        `interaction: ${interactionResult.evidence}`,
+        interactionResult.maleScore * 1.2,
+        interactionResult.femaleScore * 1.2
+      ));
     }
 
     // 4. Relationship-based gender inference
@@ -121,7 +139,12 @@ export class GenderOrchestrator {
     totalMaleScore += relationshipInference.maleScore * 1.4; // Relationships are strong indicators
     totalFemaleScore += relationshipInference.femaleScore * 1.4;
     if (relationshipInference.evidence) {
-      evidenceList.push(`relationship: ${relationshipInference.evidence}`);
+      evidenceList.push(GenderUtils.createEvidence(
+        ANALYZERS.RELATIONSHIP,
+        `related characters: ${relationshipInference.evidence}`,
+        relationshipInference.maleScore * 1.4,
+        relationshipInference.femaleScore * 1.4
+      ));
     }
 
     // 5. Pronoun disambiguation in multi-character context
@@ -133,7 +156,12 @@ export class GenderOrchestrator {
     totalMaleScore += pronounDisambiguation.maleScore;
     totalFemaleScore += pronounDisambiguation.femaleScore;
     if (pronounDisambiguation.evidence) {
-      evidenceList.push(`pronoun: ${pronounDisambiguation.evidence}`);
+      evidenceList.push(GenderUtils.createEvidence(
+        ANALYZERS.PRONOUN,
+        pronounDisambiguation.evidence,
+        pronounDisambiguation.maleScore,
+        pronounDisambiguation.femaleScore
+      ));
     }
 
     const culturalBonus = this.#calculateCulturalBonus(culturalOrigin, 1);
@@ -143,7 +171,7 @@ export class GenderOrchestrator {
     return {
       maleScore: totalMaleScore,
       femaleScore: totalFemaleScore,
-      evidence: evidenceList.join("; ")
+      evidence: evidenceList
     };
   }
 
@@ -154,7 +182,7 @@ export class GenderOrchestrator {
    * @param {object} characterMap - Existing character data
    * @param {object} preliminaryScores - Preliminary gender scores
    * @param {object} multiCharResult - Multi-character analysis result
-   * @returns {object} - Cross-validation result with adjusted scores and evidence
+   * @returns {object} - Cross-validation result with adjusted scores and an evidence entry per adjustment
    */
   #performCrossValidation(
     name,
@@ -164,7 +192,7 @@ export class GenderOrchestrator {
     multiCharResult
   ) {
     let { maleScore, femaleScore } = preliminaryScores;
-    let evidenceAdjustment = null;
+    const evidence = [];
     let adjustmentMade = false;
 
     // Check for inconsistencies between traditional and multi-character analysis
@@ -196,6 +224,7 @@ export class GenderOrchestrator {
       if (multiCharConfidence > traditionalConfidence * 1.2) {
         const adjustmentFactor = 0.3;
         const adjustment = multiCharConfidence * adjustmentFactor;
+        const [maleBefore, femaleBefore] = [maleScore, femaleScore];
 
         if (multiCharLeaning === "male") {
           maleScore += adjustment;
@@ -205,7 +234,12 @@ export class GenderOrchestrator {
           maleScore = Math.max(0, maleScore - adjustment * 0.5);
         }
 
-        evidenceAdjustment = `cross-validated with multi-char analysis (${multiCharLeaning})`;
+        evidence.push(GenderUtils.createEvidence(
+          ANALYZERS.MULTI_CHARACTER,
+          `cross-validated with multi-char analysis (${multiCharLeaning})`,
+          maleScore - maleBefore,
+          femaleScore - femaleBefore
+        ));
         adjustmentMade = true;
       }
     }
@@ -215,6 +249,7 @@ export class GenderOrchestrator {
       this.pronounAnalyzer.detectPronounInconsistencies(name, text);
     if (inconsistencyResult.correction && inconsistencyResult.correctedGender) {
       const correctionWeight = 2;
+      const [maleBefore, femaleBefore] = [maleScore, femaleScore];
 
       if (inconsistencyResult.correctedGender === "male") {
         maleScore += correctionWeight;
@@ -224,18 +259,19 @@ export class GenderOrchestrator {
         maleScore = Math.max(0, maleScore - correctionWeight * 0.5);
       }
 
-      if (evidenceAdjustment) {
-        evidenceAdjustment += `; ${inconsistencyResult.correction}`;
-      } else {
-        evidenceAdjustment = inconsistencyResult.correction;
-      }
+      evidence.push(GenderUtils.createEvidence(
+        ANALYZERS.PRONOUN,
+        inconsistencyResult.correction,
+        maleScore - maleBefore,
+        femaleScore - femaleBefore
+      ));
       adjustmentMade = true;
     }
 
     return {
       maleScore,
       femaleScore,
-      evidenceAdjustment,
+      evidence,
       adjustmentMade
     };
   }
@@ -256,24 +292,36 @@ export class GenderOrchestrator {
    * @param {string} name - The character name
    * @param {string} text - Surrounding text context
    * @param {object} characterMap - Existing character data
-   * @return {object} - Detailed gender information with confidence
+   * @return {object} - Detailed gender information with confidence, plus
+   *   `vote: {m, f}`, this chapter's contribution to the stored gender
    */
   guessGender(name, text, characterMap = {}) {
     if (!this._validateAnalysisInputs(name, text)) {
-      return this.#createGenderResult("unknown", 0, ["invalid input"]);
+      return this.#createGenderResult("unknown", 0, []);
     }
 
     if (name.length <= 1) {
-      return this.#createGenderResult("unknown", 0, ["name too short"]);
+      return this.#createGenderResult("unknown", 0, []);
     }
 
-    // Short-circuit: manual overrides bypass all analysis
+    // Short-circuit: manual overrides and locked characters bypass all analysis
+    // and cast no chapter vote
     const existingEntry = characterMap[name];
-    if (existingEntry?.manualOverride && existingEntry.gender !== "unknown") {
+    if (
+      (existingEntry?.manualOverride || existingEntry?.locked) &&
+      existingEntry.gender !== "unknown"
+    ) {
+      const confidence = existingEntry.confidence || 0.99;
+      const gender = GenderUtils.compressGender(existingEntry.gender);
       return this.#createGenderResult(
         GenderUtils.expandGender(existingEntry.gender),
-        existingEntry.confidence || 0.99,
-        ["manual override"]
+        confidence,
+        [GenderUtils.createEvidence(
+          ANALYZERS.MANUAL,
+          existingEntry.manualOverride ? "manual override" : "locked",
+          gender === GenderConfig.CODES.MALE ? confidence : 0,
+          gender === GenderConfig.CODES.FEMALE ? confidence : 0
+        )]
       );
     }
 
@@ -313,9 +361,11 @@ export class GenderOrchestrator {
       maleScore += multiCharResult.maleScore * multiCharWeight;
       femaleScore += multiCharResult.femaleScore * multiCharWeight;
 
-      if (multiCharResult.evidence) {
-        evidence.push(`multi-char: ${multiCharResult.evidence}`);
-      }
+      // Scale each step's contribution by the same weight as the totals
+      evidence.push(...multiCharResult.evidence.map((item) => ({
+        ...item,
+        score: Math.round(item.score * multiCharWeight * 100) / 100
+      })));
 
       analysisMetadata.multiCharacterAnalyzed = true;
       this.multiCharacterValidationCount++;
@@ -331,7 +381,12 @@ export class GenderOrchestrator {
       femaleScore += multiCharResult.femaleScore;
 
       if (multiCharResult.evidence) {
-        evidence.push(multiCharResult.evidence);
+        evidence.push(GenderUtils.createEvidence(
+          ANALYZERS.MULTI_CHARACTER,
+          multiCharResult.evidence,
+          multiCharResult.maleScore,
+          multiCharResult.femaleScore
+        ));
       }
     }
 
@@ -366,9 +421,7 @@ export class GenderOrchestrator {
       maleScore = crossValidationResult.maleScore;
       femaleScore = crossValidationResult.femaleScore;
 
-      if (crossValidationResult.evidenceAdjustment) {
-        evidence.push(crossValidationResult.evidenceAdjustment);
-      }
+      evidence.push(...crossValidationResult.evidence);
 
       analysisMetadata.crossValidated = true;
       if (crossValidationResult.adjustmentMade) {
@@ -402,7 +455,7 @@ export class GenderOrchestrator {
    * @param {string} text - Text context
    * @param {string} culturalOrigin - Cultural origin
    * @param {object} characterMap - Character map
-   * @return {object} - Traditional analysis results
+   * @return {object} - Scores plus structured evidence
    * @private
    */
   #performTraditionalAnalysis(name, text, culturalOrigin, characterMap) {
@@ -415,10 +468,10 @@ export class GenderOrchestrator {
       const mapBonus = (existingEntry.confidence || 0) * 3;
       if (existingEntry.gender === 'm') {
         maleScore += mapBonus;
-        evidence.push(`existing-map: male`);
+        evidence.push(GenderUtils.createEvidence(ANALYZERS.HISTORY, "stored as male", mapBonus, 0));
       } else if (existingEntry.gender === 'f') {
         femaleScore += mapBonus;
-        evidence.push(`existing-map: female`);
+        evidence.push(GenderUtils.createEvidence(ANALYZERS.HISTORY, "stored as female", 0, mapBonus));
       }
     }
 
@@ -429,12 +482,13 @@ export class GenderOrchestrator {
     );
     if (titleResult.gender !== "unknown") {
       const titleScore = this.#calculateCulturalBonus(culturalOrigin, 5);
+      const titleEvidence = `title: ${titleResult.evidence} (${culturalOrigin})`;
       if (titleResult.gender === "male") {
         maleScore += titleScore;
-        evidence.push(`title: ${titleResult.evidence} (${culturalOrigin})`);
+        evidence.push(GenderUtils.createEvidence(ANALYZERS.NAME, titleEvidence, titleScore, 0));
       } else if (titleResult.gender === "female") {
         femaleScore += titleScore;
-        evidence.push(`title: ${titleResult.evidence} (${culturalOrigin})`);
+        evidence.push(GenderUtils.createEvidence(ANALYZERS.NAME, titleEvidence, 0, titleScore));
       }
     }
 
@@ -445,12 +499,13 @@ export class GenderOrchestrator {
     );
     if (namePatternResult.gender !== "unknown") {
       const nameScore = this.#calculateCulturalBonus(culturalOrigin, 2);
+      const nameEvidence = `name pattern: ${namePatternResult.evidence}`;
       if (namePatternResult.gender === "male") {
         maleScore += nameScore;
-        evidence.push(`name pattern: ${namePatternResult.evidence}`);
+        evidence.push(GenderUtils.createEvidence(ANALYZERS.NAME, nameEvidence, nameScore, 0));
       } else {
         femaleScore += nameScore;
-        evidence.push(`name pattern: ${namePatternResult.evidence}`);
+        evidence.push(GenderUtils.createEvidence(ANALYZERS.NAME, nameEvidence, 0, nameScore));
       }
     }
 
@@ -467,7 +522,12 @@ export class GenderOrchestrator {
       femaleScore += culturalResult.femaleScore + culturalBonus;
 
       if (culturalResult.evidence) {
-        evidence.push(`cultural: ${culturalResult.evidence}`);
+        evidence.push(GenderUtils.createEvidence(
+          ANALYZERS.CULTURAL,
+          culturalResult.evidence,
+          culturalResult.maleScore,
+          culturalResult.femaleScore
+        ));
       }
     }
 
@@ -485,7 +545,12 @@ export class GenderOrchestrator {
       maleScore += relationshipPattern.maleScore + relationshipBonus;
       femaleScore += relationshipPattern.femaleScore + relationshipBonus;
       if (relationshipPattern.evidence) {
-        evidence.push(`relationship: ${relationshipPattern.evidence}`);
+        evidence.push(GenderUtils.createEvidence(
+          ANALYZERS.RELATIONSHIP,
+          relationshipPattern.evidence,
+          relationshipPattern.maleScore,
+          relationshipPattern.femaleScore
+        ));
       }
     }
 
@@ -501,7 +566,12 @@ export class GenderOrchestrator {
       femaleScore += roleResult.femaleScore + roleBonus;
 
       if (roleResult.evidence) {
-        evidence.push(`role: ${roleResult.evidence}`);
+        evidence.push(GenderUtils.createEvidence(
+          ANALYZERS.RELATIONSHIP,
+          `role: ${roleResult.evidence}`,
+          roleResult.maleScore,
+          roleResult.femaleScore
+        ));
       }
     }
 
@@ -513,7 +583,12 @@ export class GenderOrchestrator {
       femaleScore += appearanceResult.femaleScore;
 
       if (appearanceResult.evidence) {
-        evidence.push(`appearance: ${appearanceResult.evidence}`);
+        evidence.push(GenderUtils.createEvidence(
+          ANALYZERS.APPEARANCE,
+          appearanceResult.evidence,
+          appearanceResult.maleScore,
+          appearanceResult.femaleScore
+        ));
       }
     }
 
@@ -527,7 +602,12 @@ export class GenderOrchestrator {
       femaleScore += descriptionResult.femaleScore;
 
       if (descriptionResult.evidence) {
-        evidence.push(`description: ${descriptionResult.evidence}`);
+        evidence.push(GenderUtils.createEvidence(
+          ANALYZERS.APPEARANCE,
+          `description: ${descriptionResult.evidence}`,
+          descriptionResult.maleScore,
+          descriptionResult.femaleScore
+        ));
       }
     }
 
@@ -627,7 +707,9 @@ export class GenderOrchestrator {
   }
 
   /**
-   * Calculate final result with enhanced confidence
+   * Calculate final result with enhanced confidence. The result also carries
+   * this chapter's vote: the same calculation without the points the stored
+   * gender added, so a chapter does not vote for what earlier chapters said.
    * @param {string} name - Character name
    * @param {number} maleScore - Male score
    * @param {number} femaleScore - Female score
@@ -645,53 +727,88 @@ export class GenderOrchestrator {
     evidence,
     analysisMetadata
   ) {
-    let gender = "unknown";
-    let confidence = 0;
-
-    const minThreshold = this.#getCulturalThreshold(culturalOrigin);
-    const translationAdjustment =
-      this.#getTranslationAdjustment(culturalOrigin);
-
     // Enhanced confidence calculation for multi-character analysis
     const confidenceBonus = analysisMetadata.multiCharacterAnalyzed ? 0.15 : 0;
     const crossValidationBonus = analysisMetadata.crossValidated ? 0.1 : 0;
+    const bonus = confidenceBonus + crossValidationBonus;
 
-    if (
-      maleScore > femaleScore &&
-      maleScore >= minThreshold + translationAdjustment
-    ) {
-      gender = "male";
-      confidence =
-        this.#calculateConfidence(maleScore, femaleScore, culturalOrigin) +
-        confidenceBonus +
-        crossValidationBonus;
+    const { gender, confidence } = this.#resolveScores(
+      maleScore,
+      femaleScore,
+      culturalOrigin,
+      bonus
+    );
+
+    if (gender === "male") {
       this.maleEvidenceCount++;
-    } else if (
-      femaleScore > maleScore &&
-      femaleScore >= minThreshold + translationAdjustment
-    ) {
-      gender = "female";
-      confidence =
-        this.#calculateConfidence(femaleScore, maleScore, culturalOrigin) +
-        confidenceBonus +
-        crossValidationBonus;
+    } else if (gender === "female") {
       this.femaleEvidenceCount++;
     } else {
       this.unknownGenderCount++;
     }
 
-    // Limit evidence to most important items
+    const historyScore = (code) => evidence
+      .filter((e) => e?.analyzer === ANALYZERS.HISTORY && e.gender === code)
+      .reduce((sum, e) => sum + e.score, 0);
+    const chapterVerdict = this.#resolveScores(
+      maleScore - historyScore(GenderConfig.CODES.MALE),
+      femaleScore - historyScore(GenderConfig.CODES.FEMALE),
+      culturalOrigin,
+      bonus
+    );
+
+    // Keep the entries that moved the score most
     const limitedEvidence = evidence
-      .filter((e) => e && e.trim().length > 0)
+      .filter((e) => e && e.detail)
+      .sort((a, b) => b.score - a.score)
       .slice(0, ExtensionConfig.STORAGE.MAX_EVIDENCE_ENTRIES);
 
     return this.#createGenderResult(
       gender,
-      Math.min(1.0, confidence),
-      limitedEvidence
+      confidence,
+      limitedEvidence,
+      GenderUtils.createVote(chapterVerdict.gender, chapterVerdict.confidence)
     );
   }
 
+  /**
+   * Turns male and female scores into a gender once the winner clears the
+   * cultural threshold
+   * @param {number} maleScore - Male score
+   * @param {number} femaleScore - Female score
+   * @param {string} culturalOrigin - Cultural origin
+   * @param {number} bonus - Added to the confidence of a detected gender
+   * @return {{gender: string, confidence: number}}
+   * @private
+   */
+  #resolveScores(maleScore, femaleScore, culturalOrigin, bonus) {
+    const minScore =
+      this.#getCulturalThreshold(culturalOrigin) +
+      this.#getTranslationAdjustment(culturalOrigin);
+
+    if (maleScore > femaleScore && maleScore >= minScore) {
+      return {
+        gender: "male",
+        confidence: Math.min(
+          1.0,
+          this.#calculateConfidence(maleScore, femaleScore, culturalOrigin) + bonus
+        )
+      };
+    }
+
+    if (femaleScore > maleScore && femaleScore >= minScore) {
+      return {
+        gender: "female",
+        confidence: Math.min(
+          1.0,
+          this.#calculateConfidence(femaleScore, maleScore, culturalOrigin) + bonus
+        )
+      };
+    }
+
+    return { gender: "unknown", confidence: 0 };
+  }
+
   /**
    * Cache character interaction patterns for performance
    * @param {string} name - Character name
@@ -803,11 +920,12 @@ export class GenderOrchestrator {
     );
   }
 
-  #createGenderResult(gender, confidence, evidence) {
+  #createGenderResult(gender, confidence, evidence, vote = GenderUtils.createVote("unknown", 0)) {
     return {
       gender: GenderUtils.compressGender(gender),
       confidence: Math.max(0, Math.min(1, confidence || 0)),
-      evidence: Array.isArray(evidence) ? evidence : [evidence || "no evidence"]
+      evidence: Array.isArray(evidence) ? evidence : [],
+      vote
     };
   }
 
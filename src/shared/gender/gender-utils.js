@@ -21,6 +21,47 @@ export class GenderUtils {
     return GenderConfig.CODES.UNKNOWN_FULL;
   }
 
+  /**
+   * One structured evidence entry: which analyzer found what, and how many
+   * points it moved the score towards a gender
+   * @param {string} analyzer - One of GenderConfig.EVIDENCE.ANALYZERS
+   * @param {string} detail - What the analyzer found
+   * @param {number} [maleScore] - Points added to the male score
+   * @param {number} [femaleScore] - Points added to the female score
+   * @return {{analyzer: string, detail: string, gender: string, score: number}}
+   */
+  static createEvidence(analyzer, detail, maleScore = 0, femaleScore = 0) {
+    const net = maleScore - femaleScore;
+    let gender = GenderConfig.CODES.UNKNOWN;
+    if (net > 0) gender = GenderConfig.CODES.MALE;
+    if (net < 0) gender = GenderConfig.CODES.FEMALE;
+
+    return {
+      analyzer,
+      detail: String(detail || "").trim().slice(0, GenderConfig.EVIDENCE.MAX_DETAIL_LENGTH),
+      gender,
+      score: Math.round(Math.abs(net) * 100) / 100
+    };
+  }
+
+  /**
+   * One chapter's say in a character's stored gender. The background worker
+   * adds these up across chapters instead of keeping the single most
+   * confident guess.
+   * @param {string} gender - Detected gender, any form
+   * @param {number} confidence - Confidence of the detection
+   * @return {{m: number, f: number}}
+   */
+  static createVote(gender, confidence) {
+    const code = GenderUtils.compressGender(gender);
+    const weight = Math.round(Math.min(1, Math.max(0, parseFloat(confidence) || 0)) * 100) / 100;
+
+    return {
+      m: code === GenderConfig.CODES.MALE ? weight : 0,
+      f: code === GenderConfig.CODES.FEMALE ? weight : 0
+    };
+  }
+
   static validateGender(gender) {
     return (
       typeof gender === "string" &&
@@ -0,0 +1,162 @@
+// llm-gender-resolver.js
+/**
+ * Second opinion from the configured model for characters the heuristic
+ * analyzers leave below MEDIUM_CONFIDENCE_THRESHOLD. Candidates are sent in
+ * one small JSON prompt with the passages that mention them; verdicts are
+ * validated before they are used and marked with genderSource "llm".
+ */
+import { logger } from "../utils/logger.js";
+import { StringUtils } from "../utils/string-utils.js";
+import { GenderConfig } from "./gender-config.js";
+import { GenderUtils } from "./gender-utils.js";
+import { MALE_PRONOUN_PATTERN, FEMALE_PRONOUN_PATTERN } from "./pronouns.js";
+
+const PRONOUN_REGEX = new RegExp(`${MALE_PRONOUN_PATTERN}|${FEMALE_PRONOUN_PATTERN}`, "i");
+
+export class LlmGenderResolver {
+  /**
+   * @param {object} deps
+   * @param {import('../llm/ollama-client.js').OllamaClient} deps.ollamaClient
+   * @param {import('../llm/prompt-generator.js').PromptGenerator} deps.promptGenerator
+   */
+  constructor({ ollamaClient, promptGenerator }) {
+    this.ollamaClient = ollamaClient;
+    this.promptGenerator = promptGenerator;
+    this.logger = logger;
+  }
+
+  /**
+   * Characters worth asking about: low confidence, not set by hand or
+   * locked, not an alias and not already answered by the model
+   * @param {object} characterMap - name → character data
+   * @param {string} text - Chapter text
+   * @return {Array<{name: string, snippets: Array<string>}>}
+   */
+  selectCandidates(characterMap, text) {
+    return Object.entries(characterMap || {})
+      .filter(([, data]) =>
+        !data.manualOverride &&
+        !data.locked &&
+        !data.aliasOf &&
+        data.genderSource !== GenderConfig.LLM_RESOLUTION.SOURCE &&
+        (parseFloat(data.confidence) || 0) < GenderConfig.ANALYSIS.MEDIUM_CONFIDENCE_THRESHOLD
+      )
+      .sort(([, a], [, b]) => (b.appearances || 0) - (a.appearances || 0))
+      .map(([name]) => ({ name, snippets: this.collectSnippets(name, text) }))
+      .filter(({ snippets }) => snippets.length > 0)
+      .slice(0, GenderConfig.LLM_RESOLUTION.MAX_CHARACTERS);
+  }
+
+  /**
+   * Sentences that mention the character, each with the sentence after it
+   * (where a pronoun usually refers back), those with a gendered pronoun first
+   * @param {string} name
+   * @param {string} text
+   * @return {Array<string>}
+   */
+  collectSnippets(name, text) {
+    if (!name || !text) return [];
+
+    const { SNIPPETS_PER_CHARACTER, MAX_SNIPPET_LENGTH } = GenderConfig.LLM_RESOLUTION;
+    const nameRegex = new RegExp(`\\b${StringUtils.escapeRegExp(name)}\\b`);
+    const sentences = (text.match(/[^.!?\n]+[.!?]*["”']?/g) || [])
+      .map((sentence) => sentence.trim())
+      .filter(Boolean);
+    const passages = sentences
+      .map((sentence, index) => (nameRegex.test(sentence)
+        ? [sentence, sentences[index + 1]].filter(Boolean).join(" ")
+        : null))
+      .filter(Boolean);
+
+    return [
+      ...passages.filter((passage) => PRONOUN_REGEX.test(passage)),
+      ...passages.filter((passage) => !PRONOUN_REGEX.test(passage))
+    ]
+      .slice(0, SNIPPETS_PER_CHARACTER)
+      .map((passage) => passage.length > MAX_SNIPPET_LENGTH
+        ? `${passage.slice(0, MAX_SNIPPET_LENGTH)}…`
+        : passage);
+  }
+
+  /**
+   * Reads the model's answer, keeping only confident verdicts for names that
+   * were asked about
+   * @param {string} response - Raw model output
+   * @param {Array<string>} names - Names in the request
+   * @return {object} - name → { gender, confidence, evidence, vote }
+   */
+  parseResponse(response, names) {
+    const start = String(response || "").indexOf("{");
+    const end = String(response || "").lastIndexOf("}");
+    if (start === -1 || end <= start) return {};
+
+    let parsed;
+    try {
+      parsed = JSON.parse(response.slice(start, end + 1));
+    } catch (error) {
+      this.logger.warn("Gender resolution reply is not valid JSON:", error.message);
+      return {};
+    }
+
+    const { MIN_CONFIDENCE, MAX_REASON_LENGTH } = GenderConfig.LLM_RESOLUTION;
+    const byName = new Map(names.map((name) => [name.toLowerCase(), name]));
+    const verdicts = {};
+
+    (Array.isArray(parsed?.characters) ? parsed.characters : []).forEach((entry) => {
+      const name = byName.get(String(entry?.name || "").trim().toLowerCase());
+      const gender = GenderUtils.compressGender(entry?.gender);
+      const confidence = Math.min(1, Math.max(0, parseFloat(entry?.confidence) || 0));
+      if (!name || gender === GenderConfig.CODES.UNKNOWN || confidence < MIN_CONFIDENCE) return;
+
+      const reason = typeof entry.reason === "string"
+        ? entry.reason.trim().slice(0, MAX_REASON_LENGTH)
+        : "";
+      verdicts[name] = {
+        gender,
+        confidence,
+        evidence: [GenderUtils.createEvidence(
+          GenderConfig.EVIDENCE.ANALYZERS.LLM,
+          reason || "no reason given",
+          gender === GenderConfig.CODES.MALE ? confidence : 0,
+          gender === GenderConfig.CODES.FEMALE ? confidence : 0
+        )],
+        vote: { ...GenderUtils.createVote(gender, confidence), source: GenderConfig.LLM_RESOLUTION.SOURCE }
+      };
+    });
+
+    return verdicts;
+  }
+
+  /**
+   * Asks the model about low-confidence characters
+   * @param {object} characterMap - name → character data
+   * @param {string} text - Chapter text
+   * @param {object} settings - From OllamaClient.getLLMSettings
+   * @param {object} [options]
+   * @param {boolean} [options.prefetch] - Part of background cache warming
+   * @return {Promise<object>} - name → { gender, confidence, evidence, vote }; empty when nothing was resolved
+   */
+  async resolve(characterMap, text, settings, { prefetch = false } = {}) {
+    const candidates = this.selectCandidates(characterMap, text);
+    if (candidates.length === 0) return {};
+
+    const prompt = this.promptGenerator.createGenderResolutionPrompt(candidates);
+    this.logger.info(`Asking the model about ${candidates.length} low-confidence characters`);
+
+    try {
+      const response = await this.ollamaClient.processWithLLM(settings.modelName, prompt, {
+        num_predict: 128 + candidates.length * 64,
+        temperature: 0.1,
+        top_p: settings.topP,
+        timeout: settings.timeout,
+        cacheKey: StringUtils.createHash(prompt),
+        prefetch,
+        jsonOutput: true
+      });
+      return this.parseResponse(response, candidates.map(({ name }) => name));
+    } catch (error) {
+      this.logger.warn("LLM gender resolution failed:", error);
+      return {};
+    }
+  }
+}
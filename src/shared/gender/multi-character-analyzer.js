@@ -433,42 +433,7 @@ export class MultiCharacterAnalyzer extends BaseAnalyzer {
    * @private
    */
   #calculateNameSimilarity(name1, name2) {
-    const longer = name1.length > name2.length ? name1 : name2;
-    const shorter = name1.length > name2.length ? name2 : name1;
-
-    if (longer.length === 0) return 1.0;
-
-    const editDistance = this.#calculateEditDistance(longer, shorter);
-    return (longer.length - editDistance) / longer.length;
-  }
-
-  /**
-   * Calculate edit distance between two strings
-   * @param {string} str1 - First string
-   * @param {string} str2 - Second string
-   * @return {number} - Edit distance
-   * @private
-   */
-  #calculateEditDistance(str1, str2) {
-    const matrix = Array(str2.length + 1)
-      .fill(null)
-      .map(() => Array(str1.length + 1).fill(null));
-
-    for (let i = 0; i <= str1.length; i++) matrix[0][i] = i;
-    for (let j = 0; j <= str2.length; j++) matrix[j][0] = j;
-
-    for (let j = 1; j <= str2.length; j++) {
-      for (let i = 1; i <= str1.length; i++) {
-        const indicator = str1[i - 1] === str2[j - 1] ? 0 : 1;
-        matrix[j][i] = Math.min(
-          matrix[j][i - 1] + 1,
-          matrix[j - 1][i] + 1,
-          matrix[j - 1][i - 1] + indicator
-        );
-      }
-    }
-
-    return matrix[str2.length][str1.length];
+    return StringUtils.similarity(name1, name2);
   }
 
   /**
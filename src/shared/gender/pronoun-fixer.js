@@ -0,0 +1,323 @@
+// pronoun-fixer.js
+/**
+ * Rule-based pronoun repair for machine translations, used when no model is
+ * available and as a cheap pass before the model sees the text. Only
+ * narration is touched. Case mistakes ("He brows", "looked at she.") are fixed on
+ * their own; a pronoun only changes gender when every character it could
+ * refer to in the sentence has the same gender, known with high confidence.
+ */
+import { StringUtils } from "../utils/string-utils.js";
+import { GenderConfig } from "./gender-config.js";
+import { GenderUtils } from "./gender-utils.js";
+import { MALE_POSSESSIVES, FEMALE_POSSESSIVES, PRONOUN_FORMS } from "./pronouns.js";
+
+const { MALE, FEMALE, UNKNOWN } = GenderConfig.CODES;
+
+// "his" → "m", "herself" → "f", ...
+const PRONOUN_GENDER = new Map(
+  Object.entries(PRONOUN_FORMS).flatMap(([gender, forms]) =>
+    Object.values(forms).map((form) => [form, gender]))
+);
+
+export class PronounFixer {
+  /** Nouns that only follow a pronoun when a possessive was meant ("He brows") */
+  static POSSESSED_NOUNS = new Set([
+    "brows", "eyebrows", "heart", "voice", "breath", "fist", "lips", "chest",
+    "throat", "complexion", "heartbeat", "expression", "hair", "cheeks",
+    "forehead", "pupils", "body", "cultivation", "dantian", "aura", "qi"
+  ]);
+
+  /** Possessed after a verb or preposition ("clear she head"), but can be verbs after a subject ("he head out") */
+  static BODY_NOUNS = new Set([
+    "head", "hand", "hands", "face", "eye", "eyes", "back", "mouth", "shoulders",
+    "fingers", "gaze", "feet", "legs", "arms", "palm", "palms", "nails"
+  ]);
+
+  /** Words a subject pronoun normally follows */
+  static SUBJECT_LEADERS = new Set([
+    "and", "but", "or", "nor", "so", "yet", "as", "when", "whenever", "while",
+    "if", "because", "since", "until", "till", "though", "although", "unless",
+    "whether", "where", "wherever", "that", "than", "then", "once", "after",
+    "before", "now", "who", "which", "what", "how", "why", "even", "also",
+    "still", "only", "just", "soon", "instead", "thus", "here", "there",
+    "again", "perhaps", "maybe", "indeed", "lest", "said", "asked", "replied"
+  ]);
+
+  /**
+   * A subject pronoun between one of these and the end of its clause was
+   * meant as an object ("looked at he."). Words that also work as adverbs
+   * ("from now on he would", "deep inside he knew") are left out.
+   */
+  static PREPOSITIONS = new Set([
+    "into", "onto", "toward", "towards", "behind", "beside", "beneath",
+    "under", "upon", "around", "against", "through", "within", "without",
+    "with", "at", "to", "from", "of", "near", "unto", "among", "between"
+  ]);
+
+  /** Words that can start a new clause after an object ("with he and his men") */
+  static CLAUSE_BREAKS = new Set([
+    "and", "but", "or", "nor", "yet", "so", "then", "while", "when",
+    "because", "before", "after", "until", "as", "if", "though", "although"
+  ]);
+
+  /** Someone of this gender may be in the sentence besides the named characters */
+  static MALE_NOUNS = new Set([
+    ...FEMALE_POSSESSIVES, "man", "men", "boy", "king", "prince", "emperor",
+    "lord", "uncle", "grandfather", "nephew", "gentleman", "monk"
+  ]);
+
+  static FEMALE_NOUNS = new Set([
+    ...MALE_POSSESSIVES, "woman", "women", "girl", "queen", "princess",
+    "empress", "aunt", "grandmother", "niece", "lady", "maid", "madam"
+  ]);
+
+  /**
+   * Fix the pronouns of a text; paragraphs are separated by line breaks
+   * @param {string} text
+   * @param {object} characterMap - name → { gender, confidence, aliasOf?, manualOverride?, locked? }
+   * @return {{text: string, fixes: Array<{from: string, to: string}>}}
+   */
+  fixText(text, characterMap) {
+    const characters = this.#indexCharacters(characterMap);
+    const fixes = [];
+    const fixed = String(text || "")
+      .split(/(\n+)/)
+      .map((part, index) => (index % 2 === 1 ? part : this.#fixParagraph(part, characters, fixes)))
+      .join("");
+
+    return { text: fixed, fixes };
+  }
+
+  /**
+   * @param {object} characterMap
+   * @return {{pattern: RegExp|null, byName: Map<string, {id: string, gender: string}>}}
+   * @private
+   */
+  #indexCharacters(characterMap) {
+    const byName = new Map(
+      Object.entries(characterMap || {})
+        .filter(([name]) => name.trim().length > 1)
+        .map(([name, data]) => [name, { id: data.aliasOf || name, gender: this.#trustedGender(data) }])
+    );
+    if (byName.size === 0) return { pattern: null, byName };
+
+    const names = [...byName.keys()]
+      .sort((a, b) => b.length - a.length)
+      .map((name) => StringUtils.escapeRegExp(name));
+    return { pattern: new RegExp(`\\b(?:${names.join("|")})\\b`, "g"), byName };
+  }
+
+  /**
+   * Gender to fix pronouns towards; unknown unless set by hand, locked or
+   * detected with high confidence
+   * @param {object} data - Character data
+   * @return {string}
+   * @private
+   */
+  #trustedGender(data) {
+    const trusted =
+      data.manualOverride ||
+      data.locked ||
+      (parseFloat(data.confidence) || 0) >= GenderConfig.ANALYSIS.HIGH_CONFIDENCE_THRESHOLD;
+    return trusted ? GenderUtils.compressGender(data.gender) : UNKNOWN;
+  }
+
+  /**
+   * Fixes the narration of one paragraph; quoted dialogue is left alone. The
+   * character a sentence is about carries over to the next sentence.
+   * @private
+   */
+  #fixParagraph(paragraph, characters, fixes) {
+    let referent = null;
+
+    return paragraph
+      .split(/("[^"]*"?|“[^”]*”?)/)
+      .map((part, index) => (index % 2 === 1
+        ? part
+        : (part.match(/[^.!?]*[.!?]+|[^.!?]+$/g) || [])
+          .map((sentence) => {
+            const result = this.#fixSentence(sentence, characters, referent, fixes);
+            ({ referent } = result);
+            return result.text;
+          })
+          .join("")))
+      .join("");
+  }
+
+  /**
+   * @param {string} sentence
+   * @param {object} characters - From #indexCharacters
+   * @param {{id: string, gender: string}|null} previousReferent - Character the previous sentence was about
+   * @param {Array} fixes - Receives each replacement
+   * @return {{text: string, referent: object|null}} - Fixed sentence and the character it is about
+   * @private
+   */
+  #fixSentence(sentence, characters, previousReferent, fixes) {
+    const words = [...sentence.matchAll(/[A-Za-z]+(?:['’][A-Za-z]+)*/g)].map((match) => ({
+      text: match[0],
+      lower: match[0].toLowerCase(),
+      start: match.index,
+      end: match.index + match[0].length
+    }));
+    if (words.length === 0) return { text: sentence, referent: previousReferent };
+
+    const mentions = characters.pattern
+      ? [...sentence.matchAll(characters.pattern)].map((match) => ({
+        ...characters.byName.get(match[0]),
+        start: match.index,
+        end: match.index + match[0].length
+      }))
+      : [];
+    const startsWithMention = mentions[0]?.start === words[0].start;
+    const referent = startsWithMention ? null : previousReferent;
+    const others = this.#otherPeople(words, mentions);
+
+    // Everyone a pronoun here could refer to must share one known gender
+    const candidates = new Set([...mentions.map((mention) => mention.gender), ...others]);
+    if (referent) candidates.add(referent.gender);
+    const pronounGenders = new Set(words.map((word) => PRONOUN_GENDER.get(word.lower)).filter(Boolean));
+    const sentenceGender =
+      candidates.size === 1 && !candidates.has(UNKNOWN) && pronounGenders.size <= 1
+        ? [...candidates][0]
+        : null;
+    const firstMention = mentions[0]?.start ?? Infinity;
+
+    const usedGenders = new Set();
+    let fixed = "";
+    let cursor = 0;
+
+    words.forEach((word, index) => {
+      const ownGender = PRONOUN_GENDER.get(word.lower);
+      if (!ownGender) return;
+
+      const role = this.#role(sentence, words, index);
+      const swappable =
+        sentenceGender &&
+        (referent || word.start > firstMention) &&
+        (role === "subject" ? index === 0 : role !== "object" && role !== "ambiguous");
+      const gender = swappable ? sentenceGender : ownGender;
+      usedGenders.add(gender);
+      if (role === "ambiguous") return;
+
+      const replacement = this.#matchCase(word.text, PRONOUN_FORMS[gender][role]);
+      if (replacement === word.text) return;
+
+      fixed += sentence.slice(cursor, word.start) + replacement;
+      cursor = word.end;
+      fixes.push({ from: word.text, to: replacement });
+    });
+
+    return {
+      text: fixed + sentence.slice(cursor),
+      referent: this.#nextReferent({
+        mentions,
+        others,
+        startsWithMention,
+        startsWithPronoun: PRONOUN_GENDER.has(words[0].lower),
+        referent: previousReferent,
+        usedGenders
+      })
+    };
+  }
+
+  /**
+   * Genders of people the sentence refers to without a known name: gendered
+   * nouns ("the woman") and capitalized words that are not known characters
+   * @return {Set<string>}
+   * @private
+   */
+  #otherPeople(words, mentions) {
+    const genders = new Set();
+    const inMention = (word) => mentions.some((mention) => word.start >= mention.start && word.end <= mention.end);
+
+    words.forEach((word, index) => {
+      if (inMention(word)) return;
+      const singular = word.lower.replace(/s$/, "");
+      if (PronounFixer.MALE_NOUNS.has(word.lower) || PronounFixer.MALE_NOUNS.has(singular)) {
+        genders.add(MALE);
+      } else if (PronounFixer.FEMALE_NOUNS.has(word.lower) || PronounFixer.FEMALE_NOUNS.has(singular)) {
+        genders.add(FEMALE);
+      } else if (index > 0 && /^[A-Z][a-z]/.test(word.text) && !PRONOUN_GENDER.has(word.lower)) {
+        genders.add(UNKNOWN);
+      }
+    });
+
+    return genders;
+  }
+
+  /**
+   * Which form the pronoun should take, judged from its neighbours
+   * @return {"subject"|"object"|"possessive"|"standalone"|"reflexive"|"ambiguous"}
+   * @private
+   */
+  #role(sentence, words, index) {
+    const word = words[index];
+    const touching = (other, from, to) =>
+      other && /^\s+$/.test(sentence.slice(from, to)) ? other.lower : null;
+    const prev = touching(words[index - 1], words[index - 1]?.end, word.start);
+    const next = touching(words[index + 1], word.end, words[index + 1]?.start);
+
+    switch (word.lower) {
+      case "he":
+      case "she":
+        if (PronounFixer.POSSESSED_NOUNS.has(next)) return "possessive";
+        if (prev && PronounFixer.PREPOSITIONS.has(prev)) {
+          if (PronounFixer.BODY_NOUNS.has(next)) return "possessive";
+          // Anything else after it may be its verb ("to he was" stays)
+          return !next || PronounFixer.CLAUSE_BREAKS.has(next) ? "object" : "subject";
+        }
+        if (prev && !PronounFixer.SUBJECT_LEADERS.has(prev) && !prev.endsWith("ly") &&
+            PronounFixer.BODY_NOUNS.has(next)) {
+          return "possessive";
+        }
+        return "subject";
+      case "him":
+        return PronounFixer.POSSESSED_NOUNS.has(next) ? "possessive" : "object";
+      case "her":
+        // "her" alone could be an object or a possessive
+        return PronounFixer.POSSESSED_NOUNS.has(next) || PronounFixer.BODY_NOUNS.has(next)
+          ? "possessive"
+          : "ambiguous";
+      case "his":
+        return next ? "possessive" : "standalone";
+      case "hers":
+        return "standalone";
+      default:
+        return "reflexive";
+    }
+  }
+
+  /**
+   * The character the next sentence's pronouns most likely refer to, or null
+   * once someone of another gender has come into play
+   * @private
+   */
+  #nextReferent({ mentions, others, startsWithMention, startsWithPronoun, referent, usedGenders }) {
+    let subject = null;
+    if (startsWithMention) {
+      subject = mentions[0];
+    } else if (startsWithPronoun) {
+      subject = referent;
+    } else if (new Set(mentions.map((mention) => mention.id)).size === 1) {
+      subject = mentions[0];
+    } else if (mentions.length === 0 && others.size === 0) {
+      subject = referent;
+    }
+    if (!subject) return null;
+
+    const mixed = [...others, ...usedGenders].some((gender) => gender !== subject.gender);
+    return mixed ? null : { id: subject.id, gender: subject.gender };
+  }
+
+  /**
+   * @param {string} original
+   * @param {string} replacement - Lowercase
+   * @return {string} - Replacement capitalized like the original
+   * @private
+   */
+  #matchCase(original, replacement) {
+    return /^[A-Z]/.test(original)
+      ? replacement.charAt(0).toUpperCase() + replacement.slice(1)
+      : replacement;
+  }
+}
@@ -22,3 +22,9 @@ export const GENDER_PRONOUN_GROUPS = [
 // male: having a wife/daughter/etc. implies the possessor is male
 export const MALE_POSSESSIVES = ["wife", "girlfriend", "daughter", "sister", "mother", "bride"];
 export const FEMALE_POSSESSIVES = ["husband", "boyfriend", "son", "brother", "father", "groom"];
+
+// Every case of the third-person pronouns, for rewriting one into another
+export const PRONOUN_FORMS = {
+  m: { subject: "he", object: "him", possessive: "his", standalone: "his", reflexive: "himself" },
+  f: { subject: "she", object: "her", possessive: "her", standalone: "hers", reflexive: "herself" }
+};
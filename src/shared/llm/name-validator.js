@@ -0,0 +1,102 @@
+import { logger } from "../utils/logger.js";
+import { StringUtils } from "../utils/string-utils.js";
+
+// nameValidator.js
+/**
+ * Checks that an enhanced paragraph still names everyone the original named.
+ * Small models like to shorten "Lin Feng" to "Lin" or swap in a pronoun, even
+ * when the prompt forbids it.
+ */
+export class NameValidator {
+  /**
+   * Creates a new NameValidator instance
+   */
+  constructor() {
+    this.logger = logger;
+  }
+
+  /**
+   * Names the enhanced text has to keep: known characters mentioned in the
+   * original, plus runs of two or more capitalized words in mid-sentence
+   * ("Azure Cloud Sect"). Single capitalized words are left to the character
+   * map, since honorifics like "Shixiong" are meant to be translated.
+   * @param {string} original - Original paragraph
+   * @param {Array<string>} knownNames - Character names from the session map
+   * @return {Array<string>} - Distinct names, longest first
+   */
+  collectNames(original, knownNames = []) {
+    if (!original) return [];
+
+    const names = new Set(
+      knownNames.filter((name) => name && original.includes(name))
+    );
+
+    const properNounRun = /[a-z,;] ((?:[A-Z][a-z]+)(?: [A-Z][a-z]+)+)/g;
+    for (const match of original.matchAll(properNounRun)) {
+      names.add(match[1]);
+    }
+
+    return [...names].sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Compare an enhanced paragraph against its original
+   * @param {string} original - Original paragraph
+   * @param {string} enhanced - Enhanced paragraph (after cleanLLMResponse)
+   * @param {Array<string>} knownNames - Character names from the session map
+   * @param {object} [renderings] - Glossary term → required rendering (see
+   *   Glossary.renderingsFor); a name containing a term may come out with the rendering instead
+   * @return {{valid: boolean, dropped: Array<string>, altered: Array<string>}}
+   *   `altered` names still have part of them in the output ("Lin Feng" → "Lin"),
+   *   `dropped` names are gone entirely
+   */
+  validate(original, enhanced, knownNames = [], renderings = {}) {
+    const dropped = [];
+    const altered = [];
+
+    for (const name of this.collectNames(original, knownNames)) {
+      if (enhanced.includes(name)) continue;
+
+      const rendered = this.#applyRenderings(name, renderings);
+      if (rendered !== name && enhanced.toLowerCase().includes(rendered.toLowerCase())) continue;
+
+      const parts = name.split(" ").filter((part) => part.length > 1);
+      const partlyKept = parts.length > 1 && parts.some((part) => enhanced.includes(part));
+      (partlyKept ? altered : dropped).push(name);
+    }
+
+    return {
+      valid: dropped.length === 0 && altered.length === 0,
+      dropped,
+      altered
+    };
+  }
+
+  /**
+   * @param {string} name
+   * @param {object} renderings - Glossary term → rendering
+   * @return {string} - The name with every glossary term in it replaced
+   * @private
+   */
+  #applyRenderings(name, renderings) {
+    return Object.entries(renderings)
+      .sort(([a], [b]) => b.length - a.length)
+      .reduce(
+        (result, [term, rendering]) =>
+          result.replace(new RegExp(`\\b${StringUtils.escapeRegExp(term)}\\b`, "gi"), () => rendering),
+        name
+      );
+  }
+
+  /**
+   * One-line description of a failed validation for logs and error reports
+   * @param {{dropped: Array<string>, altered: Array<string>}} result
+   * @return {string}
+   */
+  describe(result) {
+    const parts = [];
+    if (result.altered.length > 0) parts.push(`altered ${result.altered.join(", ")}`);
+    if (result.dropped.length > 0) parts.push(`dropped ${result.dropped.join(", ")}`);
+    return `Enhanced paragraph ${parts.join("; ")}`;
+  }
+}
@@ -24,6 +24,23 @@ export class OllamaClient {
     this.logger.debug("Novel Dialogue Enhancer: Ollama Client initialized");
   }
 
+  /**
+   * Error messages that mean the AI service or the background worker could
+   * not be reached, or the request was cut off, rather than a bad reply
+   */
+  static CONNECTION_ERROR_PATTERN =
+    /timed out|was terminated|failed to fetch|networkerror|stream disconnected|message port closed|receiving end does not exist|extension context invalidated/i;
+
+  /**
+   * Whether a failed request is worth repeating: another try against an
+   * unreachable service would only wait out the same timeout again
+   * @param {Error|{message: string}} error - Rejection from processWithLLM or streamWithLLM
+   * @return {boolean}
+   */
+  static isConnectionError(error) {
+    return OllamaClient.CONNECTION_ERROR_PATTERN.test(error?.message || "");
+  }
+
   #withTimeout(promise, ms, message) {
     return Promise.race([
       promise,
@@ -31,6 +48,50 @@ export class OllamaClient {
     ]);
   }
 
+  /**
+   * Like #withTimeout, but only counts the time the request is running. The
+   * background worker queues requests from all tabs and reports the position
+   * with llmQueueStatus messages; the clock stops while the request waits and
+   * starts over once it runs.
+   * @param {Promise} promise
+   * @param {number} ms
+   * @param {string} message
+   * @param {string} requestId - Sent with the request and echoed in the status messages
+   * @return {Promise}
+   */
+  #withQueueAwareTimeout(promise, ms, message, requestId) {
+    let timer = null;
+    let rejectTimeout = null;
+    const timeout = new Promise((_, reject) => { rejectTimeout = reject; });
+    const startClock = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => rejectTimeout(new Error(message)), ms);
+    };
+    const onQueueStatus = (status) => {
+      if (status?.action !== "llmQueueStatus" || status.requestId !== requestId) return;
+      if (status.ahead > 0) {
+        clearTimeout(timer);
+      } else {
+        startClock();
+      }
+    };
+
+    chrome.runtime.onMessage.addListener(onQueueStatus);
+    startClock();
+
+    return Promise.race([promise, timeout]).finally(() => {
+      clearTimeout(timer);
+      chrome.runtime.onMessage.removeListener(onQueueStatus);
+    });
+  }
+
+  /**
+   * @return {string} - Identifies one request in the background worker's queue
+   */
+  #createRequestId() {
+    return `llm_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
   async checkOllamaAvailability() {
     const CACHE_TTL = 30000;
     const CHECK_TIMEOUT = 15000;
@@ -107,27 +168,25 @@ export class OllamaClient {
    * @param {number} options.max_tokens - Maximum tokens
    * @param {number} options.temperature - Temperature
    * @param {number} options.top_p - Top P
+   * @param {string} [options.cacheKey] - Answer from and store in the background's response cache under this key
+   * @param {boolean} [options.refreshCache] - Skip the cached reply for cacheKey and store the new one in its place
+   * @param {boolean} [options.prefetch] - Background cache warming; does not drive the toolbar badge
+   * @param {boolean} [options.jsonOutput] - Ask the server to constrain the reply to JSON
    * @returns {Promise<string>} - Processed text
    */
   async processWithLLM(model, prompt, options = {}) {
     const timeoutDuration = options.timeout || 60;
+    const requestId = this.#createRequestId();
 
     const requestPromise = new Promise((resolve, reject) => {
-      const requestData = {
-        model: model,
-        prompt: prompt,
-        num_predict: options.num_predict || options.max_tokens || 8192,
-        num_ctx: options.num_ctx || OllamaConfig.LLM.CONTEXT_SIZE,
-        temperature: options.temperature || OllamaConfig.LLM.TEMPERATURE,
-        top_p: options.top_p || OllamaConfig.LLM.TOP_P,
-        stream: false
-      };
-
       chrome.runtime.sendMessage(
         {
           action: "ollamaRequest",
-          data: requestData,
-          cacheKey: options.cacheKey
+          data: this.#buildRequestData(model, prompt, options, false),
+          cacheKey: options.cacheKey,
+          refreshCache: Boolean(options.refreshCache),
+          prefetch: Boolean(options.prefetch),
+          requestId
         },
         (response) => {
           if (chrome.runtime.lastError) {
@@ -153,7 +212,101 @@ export class OllamaClient {
       );
     });
 
-    return this.#withTimeout(requestPromise, timeoutDuration * 1000, `LLM request timed out after ${timeoutDuration} seconds`);
+    return this.#withQueueAwareTimeout(
+      requestPromise,
+      timeoutDuration * 1000,
+      `LLM request timed out after ${timeoutDuration} seconds`,
+      requestId
+    );
+  }
+
+  /**
+   * Processes text with LLM, receiving the response incrementally over a port
+   * @param {string} model - LLM model name
+   * @param {string} prompt - LLM prompt
+   * @param {object} options - LLM options (same as processWithLLM)
+   * @param {function(string): void} onPartial - Called with the accumulated text after each fragment
+   * @returns {Promise<string>} - Complete processed text
+   */
+  async streamWithLLM(model, prompt, options = {}, onPartial = () => {}) {
+    const timeoutDuration = options.timeout || 60;
+    const requestId = this.#createRequestId();
+    let port = null;
+
+    const requestPromise = new Promise((resolve, reject) => {
+      let accumulated = "";
+      let settled = false;
+
+      const settle = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        callback(value);
+      };
+
+      port = chrome.runtime.connect({ name: OllamaConfig.API.STREAM_PORT });
+
+      port.onMessage.addListener((message) => {
+        if (message.type === "chunk") {
+          accumulated += message.text;
+          onPartial(accumulated);
+        } else if (message.type === "done") {
+          // Cache hits arrive as a single "done" message with no preceding chunks
+          if (!accumulated && message.enhancedText) {
+            onPartial(message.enhancedText);
+          }
+          settle(resolve, message.enhancedText || accumulated);
+        } else if (message.type === "error") {
+          this.logger.warn("LLM stream failed:", message.error);
+          settle(reject, new Error(message.error));
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        const reason = chrome.runtime.lastError?.message || "LLM stream disconnected";
+        settle(reject, new Error(reason));
+      });
+
+      port.postMessage({
+        action: "ollamaRequest",
+        data: this.#buildRequestData(model, prompt, options, true),
+        cacheKey: options.cacheKey,
+        refreshCache: Boolean(options.refreshCache),
+        prefetch: Boolean(options.prefetch),
+        requestId
+      });
+    });
+
+    try {
+      return await this.#withQueueAwareTimeout(
+        requestPromise,
+        timeoutDuration * 1000,
+        `LLM request timed out after ${timeoutDuration} seconds`,
+        requestId
+      );
+    } finally {
+      port?.disconnect();
+    }
+  }
+
+  /**
+   * Builds the request payload shared by the one-shot and streaming paths
+   * @param {string} model - LLM model name
+   * @param {string} prompt - LLM prompt
+   * @param {object} options - LLM options
+   * @param {boolean} stream - Whether the response is streamed
+   * @return {object} - Request data for the background worker
+   */
+  #buildRequestData(model, prompt, options, stream) {
+    return {
+      model: model,
+      prompt: prompt,
+      num_predict: options.num_predict || options.max_tokens || 8192,
+      num_ctx: options.num_ctx || OllamaConfig.LLM.CONTEXT_SIZE,
+      temperature: options.temperature || OllamaConfig.LLM.TEMPERATURE,
+      top_p: options.top_p || OllamaConfig.LLM.TOP_P,
+      stream,
+      ...(options.jsonOutput ? { jsonOutput: true } : {})
+    };
   }
 
   /**
@@ -192,7 +345,8 @@ export class OllamaClient {
           timeout:     OllamaConfig.LLM.TIMEOUT,
           temperature: OllamaConfig.LLM.TEMPERATURE,
           topP:        OllamaConfig.LLM.TOP_P,
-          contextSize: OllamaConfig.LLM.CONTEXT_SIZE
+          contextSize: OllamaConfig.LLM.CONTEXT_SIZE,
+          streamResponses: OllamaConfig.LLM.STREAM
         },
         (data) => {
           if (chrome.runtime.lastError) {
@@ -4,7 +4,9 @@ export const OllamaConfig = {
     GENERATE: "/api/generate",
     VERSION:  "/api/version",
     TAGS:     "/api/tags",
-    TIMEOUT:  600000
+    TIMEOUT:  600000,
+    STREAM_PORT: "ollamaStream",
+    PROVIDER: "ollama"
   },
   LLM: {
     MODEL_NAME:     "qwen3.5:4b",
@@ -12,6 +14,11 @@ export const OllamaConfig = {
     TIMEOUT:        300,
     TEMPERATURE:    0.4,
     TOP_P:          0.9,
-    CONTEXT_SIZE:   8192
+    CONTEXT_SIZE:   8192,
+    STREAM:         true,
+    MAX_CONCURRENT_REQUESTS: 1, // across all tabs; more queue in the background worker
+    REGENERATE_TEMPERATURE_BOOST: 0.2,
+    PROMPT_OVERHEAD_TOKENS: 1024,
+    CHARS_PER_TOKEN: 3.5
   }
 };
@@ -18,9 +18,15 @@ export class PromptGenerator {
    * @param {string} chunk - Text chunk to enhance
    * @param {string} characterContext - Character information
    * @param {object} novelInfo - Novel style information
+   * @param {object} [options] - Prompt options
+   * @param {boolean} [options.paragraphMarkers] - Paragraphs are prefixed with [[P#]] markers
+   * @param {string} [options.context] - Neighbouring sections, shown for continuity only
+   * @param {boolean} [options.preserveNames=true] - Forbid changing character names
+   * @param {boolean} [options.fixPronouns=true] - characterContext lists pronouns to enforce
+   * @param {string} [options.glossary] - Glossary lines for terms found in the chunk
    * @return {string} - Complete prompt for LLM
    */
-  createEnhancementPrompt(chunk, characterContext, novelInfo) {
+  createEnhancementPrompt(chunk, characterContext, novelInfo, options = {}) {
     if (!chunk) return "";
 
     const rawStyle = novelInfo?.style || "standard narrative";
@@ -38,23 +44,73 @@ export class PromptGenerator {
     const tenseNote = rawStyle.includes("present tense")
       ? "\n- Maintain present tense throughout"
       : "";
+    const markerNote = options.paragraphMarkers
+      ? "\n- Each paragraph starts with a marker like [[P3]]; keep every marker exactly once, unchanged, at the start of its own paragraph, and never merge or split paragraphs"
+      : "";
+    const contextNote = options.context
+      ? "\n- Output only the rewritten TEXT section; the CONTEXT sections are for reference and must not be repeated"
+      : "";
+    const contextBlock = options.context ? `${options.context.trim()}\n\n` : "";
 
-    return `Enhance this ${baseStyle} translated novel excerpt to read naturally in English. Tone: ${tone}.
+    const preserveNames = options.preserveNames !== false;
+    const fixPronouns = options.fixPronouns !== false;
+    // Without pronoun fixing the list only serves name preservation
+    const characterBlock = fixPronouns
+      ? `Characters and pronouns:\n${characterContext || "None provided"}\n\n`
+      : preserveNames && characterContext
+        ? `Character names:\n${characterContext}\n\n`
+        : "";
+    const glossaryBlock = options.glossary
+      ? `Glossary (source → required rendering):\n${options.glossary}\n\n`
+      : "";
+    const glossaryNote = options.glossary
+      ? "\n- Render every glossary term exactly as listed above"
+      : "";
+    const namesRule = preserveNames
+      ? "- Never alter character names, plot events, or paragraph count"
+      : "- Never alter plot events or paragraph count";
+    const pronounRule = fixPronouns
+      ? "- Fix pronoun errors using the character list above"
+      : "- Keep pronouns as they are written";
 
-Characters and pronouns:
-${characterContext || "None provided"}
+    return `Enhance this ${baseStyle} translated novel excerpt to read naturally in English. Tone: ${tone}.
 
-Rules:
-- Never alter character names, plot events, or paragraph count
-- Fix pronoun errors using the character list above
-- Translate relationship honorifics (Shixiong → Senior Brother, Shifu → Master, etc.)${cultivationNote}${perspectiveNote}${tenseNote}
+${characterBlock}${glossaryBlock}Rules:
+${namesRule}
+${pronounRule}
+- Translate relationship honorifics (Shixiong → Senior Brother, Shifu → Master, etc.)${cultivationNote}${perspectiveNote}${tenseNote}${glossaryNote}${markerNote}${contextNote}
 - Improve awkward phrasing; leave natural sentences unchanged
 - Output only the enhanced text — no explanations or markdown
 /no_think
 
-TEXT:
+${contextBlock}TEXT:
 ${chunk}`;
   }
+
+  /**
+   * Creates a prompt asking for the gender of characters the heuristics could
+   * not settle, answered as JSON
+   * @param {Array<{name: string, snippets: Array<string>}>} characters - Names with passages mentioning them
+   * @return {string} - Complete prompt for LLM
+   */
+  createGenderResolutionPrompt(characters) {
+    if (!Array.isArray(characters) || characters.length === 0) return "";
+
+    const passages = characters
+      .map(({ name, snippets }) =>
+        `${name}:\n${snippets.map((snippet) => `- ${snippet}`).join("\n")}`
+      )
+      .join("\n\n");
+
+    return `Decide the gender of each character in these passages from a translated novel.
+Use pronouns, titles, relationships and descriptions that clearly refer to the character. Answer "unknown" when the passages do not say.
+
+${passages}
+
+Reply with JSON only, in this shape:
+{"characters": [{"name": "<name as given>", "gender": "male" | "female" | "unknown", "confidence": <0 to 1>, "reason": "<under 12 words>"}]}
+/no_think`;
+  }
 }
 
 
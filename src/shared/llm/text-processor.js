@@ -79,6 +79,54 @@ export class TextProcessor {
     return chunks;
   }
 
+  /**
+   * Maximum characters of source text per request. Half of the window left
+   * after the prompt template goes to the input, half to the rewrite.
+   * @param {number} [contextSize] - Configured context window in tokens
+   * @return {number} - Chunk size in characters
+   */
+  getChunkBudget(contextSize = OllamaConfig.LLM.CONTEXT_SIZE) {
+    const inputTokens = Math.max(
+      256,
+      ((contextSize || OllamaConfig.LLM.CONTEXT_SIZE) - OllamaConfig.LLM.PROMPT_OVERHEAD_TOKENS) / 2
+    );
+    return Math.min(
+      this.maxChunkSize,
+      Math.floor(inputTokens * OllamaConfig.LLM.CHARS_PER_TOKEN)
+    );
+  }
+
+  /**
+   * Group whole paragraphs into chunks that stay within a size budget.
+   * A paragraph longer than the budget gets a chunk of its own.
+   * @param {Array<string>} paragraphs - Paragraph texts
+   * @param {number} [maxChunkSize] - Override default maximum chunk size
+   * @return {Array<Array<number>>} - Paragraph indices per chunk, in order
+   */
+  groupParagraphsIntoChunks(paragraphs, maxChunkSize) {
+    const chunkSize = maxChunkSize || this.maxChunkSize;
+    const chunks = [];
+    let current = [];
+    let currentLength = 0;
+
+    paragraphs.forEach((paragraph, index) => {
+      const length = (paragraph || "").length + 2;
+      if (current.length > 0 && currentLength + length > chunkSize) {
+        chunks.push(current);
+        current = [];
+        currentLength = 0;
+      }
+      current.push(index);
+      currentLength += length;
+    });
+
+    if (current.length > 0) {
+      chunks.push(current);
+    }
+
+    return chunks;
+  }
+
   /**
    * Split a very long paragraph into sentence-based chunks
    * @param {string} paragraph - Long paragraph to split
@@ -143,6 +191,51 @@ export class TextProcessor {
     return contextInfo;
   }
 
+  /**
+   * Join paragraphs into one batch, prefixing each with a numbered marker
+   * ([[P1]], [[P2]], ...) so the output can be matched back to its input
+   * @param {Array<string>} paragraphs - Paragraph texts
+   * @param {Array<number>} indices - Zero-based index of each paragraph in the chapter
+   * @return {string} - Marked batch text
+   */
+  addParagraphMarkers(paragraphs, indices) {
+    return paragraphs
+      .map((paragraph, i) => `[[P${indices[i] + 1}]] ${paragraph}`)
+      .join("\n\n");
+  }
+
+  /**
+   * Split marked LLM output back into paragraphs. Markers that appear more
+   * than once are dropped because their text cannot be attributed.
+   * @param {string} text - Marked LLM output
+   * @return {Map<number, string>} - Zero-based paragraph index → text, in output order
+   */
+  parseParagraphMarkers(text) {
+    const segments = new Map();
+    const duplicates = new Set();
+    const parts = (text || "").split(/\[\[P(\d+)\]\]/);
+
+    // parts = [preamble, number, text, number, text, ...]
+    for (let i = 1; i < parts.length; i += 2) {
+      const index = parseInt(parts[i], 10) - 1;
+      const segment = this.stripParagraphMarkers(parts[i + 1] || "").trim();
+      if (segments.has(index)) duplicates.add(index);
+      segments.set(index, segment);
+    }
+
+    duplicates.forEach((index) => segments.delete(index));
+    return segments;
+  }
+
+  /**
+   * Remove any paragraph markers left in a text
+   * @param {string} text - Text that may contain [[P#]] markers
+   * @return {string} - Text without markers
+   */
+  stripParagraphMarkers(text) {
+    return (text || "").replace(/\[\[P\d+\]\]\s*/g, "");
+  }
+
   /**
    * Clean the LLM response to extract only the enhanced text
    * @param {string} llmResponse - Raw LLM response
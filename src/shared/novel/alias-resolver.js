@@ -0,0 +1,222 @@
+import { StringUtils } from "../utils/string-utils.js";
+import { GenderConfig } from "../gender/gender-config.js";
+import { GenderUtils } from "../gender/gender-utils.js";
+
+// alias-resolver.js
+/**
+ * Groups name variants of one character ("Lin Feng", "Feng'er",
+ * "Young Master Lin", "Brother Lin") and pools their gender guesses. The
+ * background worker stores the result as `aliases: [name]` on the canonical
+ * character, and `distinct: [name]` for variants the user split off so they
+ * are not merged again. background.js mirrors this logic.
+ */
+export class AliasResolver {
+  /** Forms of address removed before names are compared, longest first */
+  static TITLE_PREFIXES = [
+    "young master", "young miss", "young lady",
+    "senior brother", "senior sister", "junior brother", "junior sister",
+    "elder brother", "elder sister", "big brother", "big sister",
+    "little brother", "little sister",
+    "brother", "sister", "senior", "junior", "elder", "master",
+    "lady", "lord", "sir", "madam", "miss", "mrs.", "mrs", "mr.", "mr", "ms.", "ms",
+    "uncle", "aunt", "little", "old"
+  ];
+
+  /** Affectionate or kinship endings joined to the name ("Feng'er", "Lin-ge") */
+  static SUFFIX_PATTERN = /['’-](er|gege|ge|jiejie|jie|meimei|mei|didi|di|xiong)$/;
+
+  /** Minimum edit-distance similarity for two full names to be variants */
+  static SIMILARITY_THRESHOLD = 0.88;
+
+  /** Shorter names are only merged on exact or token matches */
+  static MIN_FUZZY_LENGTH = 6;
+
+  /** Fuzzy matching is for spelling variants, not numbered placeholders */
+  static LETTERS_ONLY = /^[\p{L}' -]+$/u;
+
+  /**
+   * @param {string} name
+   * @return {string} - Lowercase name without titles or suffixes
+   */
+  static stripTitles(name) {
+    let core = String(name || "").trim().replace(/\s+/g, " ").toLowerCase();
+
+    let stripped = true;
+    while (stripped) {
+      stripped = false;
+      for (const title of AliasResolver.TITLE_PREFIXES) {
+        if (core.startsWith(`${title} `)) {
+          core = core.slice(title.length + 1);
+          stripped = true;
+          break;
+        }
+      }
+    }
+
+    return core.replace(AliasResolver.SUFFIX_PATTERN, "");
+  }
+
+  /**
+   * Single-word cores that appear in more than one multi-word name, such as a
+   * shared family name. "Brother Lin" cannot be placed when there are both a
+   * "Lin Feng" and a "Lin Yue".
+   * @param {Array<string>} names
+   * @return {Set<string>}
+   */
+  static ambiguousTokens(names) {
+    const owners = new Map();
+    new Set(names.map(AliasResolver.stripTitles)).forEach((core) => {
+      const tokens = core.split(" ");
+      if (tokens.length < 2) return;
+      tokens.forEach((token) => owners.set(token, (owners.get(token) || 0) + 1));
+    });
+
+    return new Set([...owners].filter(([, count]) => count > 1).map(([token]) => token));
+  }
+
+  /**
+   * @param {string} nameA
+   * @param {string} nameB
+   * @param {Set<string>} [ambiguous] - From ambiguousTokens
+   * @return {boolean} - True when both names likely refer to one character
+   */
+  static isAlias(nameA, nameB, ambiguous = new Set()) {
+    const coreA = AliasResolver.stripTitles(nameA);
+    const coreB = AliasResolver.stripTitles(nameB);
+    if (!coreA || !coreB) return false;
+    if (coreA === coreB) return true;
+
+    const tokensA = coreA.split(" ");
+    const tokensB = coreB.split(" ");
+    if ((tokensA.length === 1) !== (tokensB.length === 1)) {
+      const [single, tokens] = tokensA.length === 1 ? [coreA, tokensB] : [coreB, tokensA];
+      return tokens.includes(single) && !ambiguous.has(single);
+    }
+
+    return (
+      Math.min(coreA.length, coreB.length) >= AliasResolver.MIN_FUZZY_LENGTH &&
+      AliasResolver.LETTERS_ONLY.test(coreA) &&
+      AliasResolver.LETTERS_ONLY.test(coreB) &&
+      StringUtils.similarity(coreA, coreB) >= AliasResolver.SIMILARITY_THRESHOLD
+    );
+  }
+
+  /**
+   * Groups characters whose names are variants of each other. Characters
+   * locked to different genders are never grouped.
+   * @param {Array<{names: Array<string>, distinct?: Array<string>, lockedGender?: string}>} characters - Each
+   *   character's name and known aliases, names it must not merge with and
+   *   the gender a lock holds
+   * @return {Array<Array<number>>} - Indexes into `characters`, one array per group
+   */
+  static cluster(characters) {
+    const ambiguous = AliasResolver.ambiguousTokens(characters.flatMap((c) => c.names));
+    const groups = characters.map((character, index) => ({
+      members: [index],
+      names: new Set(character.names.map((name) => name.toLowerCase())),
+      distinct: new Set((character.distinct || []).map((name) => name.toLowerCase())),
+      lockedGenders: new Set([character.lockedGender].filter(Boolean))
+    }));
+    const groupOf = groups.slice();
+
+    const linked = (a, b) =>
+      a.names.some((nameA) => b.names.some((nameB) => AliasResolver.isAlias(nameA, nameB, ambiguous)));
+    const compatible = (a, b) =>
+      ![...a.names].some((name) => b.distinct.has(name)) &&
+      ![...b.names].some((name) => a.distinct.has(name)) &&
+      new Set([...a.lockedGenders, ...b.lockedGenders]).size <= 1;
+
+    for (let i = 0; i < characters.length; i++) {
+      for (let j = i + 1; j < characters.length; j++) {
+        const groupA = groupOf[i];
+        const groupB = groupOf[j];
+        if (groupA === groupB || !linked(characters[i], characters[j]) || !compatible(groupA, groupB)) {
+          continue;
+        }
+
+        groupB.members.forEach((member) => {
+          groupA.members.push(member);
+          groupOf[member] = groupA;
+        });
+        groupB.names.forEach((name) => groupA.names.add(name));
+        groupB.distinct.forEach((name) => groupA.distinct.add(name));
+        groupB.lockedGenders.forEach((gender) => groupA.lockedGenders.add(gender));
+      }
+    }
+
+    return [...new Set(groupOf)].map((group) => group.members.sort((a, b) => a - b));
+  }
+
+  /**
+   * @param {{gender: string, manualOverride?: boolean, locked?: boolean}} character
+   * @return {string|null} - The gender a manual override or lock holds; null when unlocked or unknown
+   */
+  static lockedGender(character) {
+    if (!character?.manualOverride && !character?.locked) return null;
+    const gender = GenderUtils.compressGender(character.gender);
+    return gender === GenderConfig.CODES.UNKNOWN ? null : gender;
+  }
+
+  /**
+   * Combined gender of a group of variants. A manual override wins, then a
+   * locked character; otherwise each guess is weighted by its confidence and
+   * appearances.
+   * @param {Array<{gender: string, confidence: number, appearances: number, manualOverride?: boolean, locked?: boolean}>} members
+   * @return {{gender: string, confidence: number}}
+   */
+  static poolGender(members) {
+    const manual =
+      members.find((member) => member.manualOverride) ||
+      members.find((member) => member.locked);
+    if (manual) {
+      return { gender: GenderUtils.compressGender(manual.gender), confidence: manual.confidence || 1 };
+    }
+
+    const scores = { [GenderConfig.CODES.MALE]: 0, [GenderConfig.CODES.FEMALE]: 0 };
+    let weight = 0;
+    members.forEach((member) => {
+      const gender = GenderUtils.compressGender(member.gender);
+      if (!(gender in scores)) return;
+      const memberWeight = Math.max(1, member.appearances || 0);
+      scores[gender] += memberWeight * (parseFloat(member.confidence) || 0);
+      weight += memberWeight;
+    });
+
+    const male = scores[GenderConfig.CODES.MALE];
+    const female = scores[GenderConfig.CODES.FEMALE];
+    if (weight === 0 || male === female) {
+      return { gender: GenderConfig.CODES.UNKNOWN, confidence: 0 };
+    }
+
+    const winner = male > female ? GenderConfig.CODES.MALE : GenderConfig.CODES.FEMALE;
+    return { gender: winner, confidence: Math.round((scores[winner] / weight) * 100) / 100 };
+  }
+
+  /**
+   * Gives every variant in a name-keyed character map the pooled gender of
+   * its group, so "Brother Lin" is not guessed separately from "Lin Feng".
+   * Locked variants keep their own gender.
+   * @param {object} characterMap - name → { gender, confidence, appearances, aliases? }
+   * @return {object} - New map with the same keys
+   */
+  static poolCharacterMap(characterMap) {
+    const entries = Object.entries(characterMap || {});
+    const pooled = Object.fromEntries(entries.map(([name, data]) => [name, { ...data }]));
+
+    AliasResolver.cluster(entries.map(([name, data]) => ({
+      names: [name, ...(data.aliases || [])],
+      lockedGender: AliasResolver.lockedGender(data)
+    })))
+      .filter((members) => members.length > 1)
+      .forEach((members) => {
+        const { gender, confidence } = AliasResolver.poolGender(members.map((index) => entries[index][1]));
+        members
+          .filter((index) => !entries[index][1].locked)
+          .forEach((index) => {
+            Object.assign(pooled[entries[index][0]], { gender, confidence });
+          });
+      });
+
+    return pooled;
+  }
+}
@@ -3,6 +3,9 @@
  * Detects chapter information from various sources
  */
 export class ChapterDetector {
+    /** Stands for the chapter number in a pattern from buildChapterUrlPattern */
+    static CHAPTER_PLACEHOLDER = "{n}";
+  
     /**
      * Detect chapter information from title and content
      * @param {string} title - Page title
@@ -70,44 +73,92 @@ export class ChapterDetector {
         chapterNumber: null
       };
   
-      if (!url) return chapterInfo;
+      const location = this.#locateChapterNumber(url);
+      if (location) {
+        chapterInfo.isChapter = true;
+        chapterInfo.chapterNumber = location.chapterNumber;
+      }
+  
+      return chapterInfo;
+    }
+  
+    /**
+     * Turn a chapter URL into a pattern for its siblings, with the chapter
+     * number replaced by CHAPTER_PLACEHOLDER; uses the same URL rules as
+     * chapter detection
+     * @param {string} url - URL of any chapter of the novel
+     * @return {{pattern: string, chapterNumber: number}|null} - Null when the URL carries no chapter number
+     */
+    buildChapterUrlPattern(url) {
+      const location = this.#locateChapterNumber(url);
+      if (!location) return null;
+  
+      return {
+        pattern: location.withNumber(ChapterDetector.CHAPTER_PLACEHOLDER),
+        chapterNumber: location.chapterNumber
+      };
+    }
+  
+    /**
+     * Find the chapter number in a URL: a path segment like /chapter-123/ or
+     * /123/, else a query parameter like ?chapter=123
+     * @param {string} url - URL to analyze
+     * @return {{chapterNumber: number, withNumber: function(string): string}|null}
+     * @private
+     */
+    #locateChapterNumber(url) {
+      if (!url) return null;
   
       try {
         const urlObj = new URL(url);
         const pathParts = urlObj.pathname.split("/");
+        // Placeholder survives URL serialisation, unlike "{n}"
+        const marker = "NDECHAPTERNUMBER";
   
-        // Look for patterns like /chapter-123/ or /123/ in the URL
-        for (const part of pathParts) {
+        for (let i = 0; i < pathParts.length; i++) {
+          const part = pathParts[i];
           // Check for chapter numbers in URL segments
           const chapterNumMatch =
-            part.match(/chapter[\\-_]?(\d+)/i) ||
-            part.match(/ch[\\-_]?(\d+)/i) ||
+            part.match(/chapter[-_]?(\d+)/i) ||
+            part.match(/ch[-_]?(\d+)/i) ||
             part.match(/^(\d+)$/);
   
           if (chapterNumMatch) {
-            chapterInfo.isChapter = true;
-            chapterInfo.chapterNumber = parseInt(chapterNumMatch[1], 10);
-            break;
+            const [whole, digits] = chapterNumMatch;
+            const numberAt = chapterNumMatch.index + whole.lastIndexOf(digits);
+            return {
+              chapterNumber: parseInt(digits, 10),
+              withNumber: (value) => {
+                const parts = [...pathParts];
+                parts[i] = part.slice(0, numberAt) + marker + part.slice(numberAt + digits.length);
+                const patternUrl = new URL(urlObj.href);
+                patternUrl.pathname = parts.join("/");
+                return patternUrl.href.replace(marker, value);
+              }
+            };
           }
         }
   
         // Check for query parameters like ?chapter=123
-        if (!chapterInfo.isChapter && urlObj.searchParams) {
-          const chapterParam =
-            urlObj.searchParams.get("chapter") ||
-            urlObj.searchParams.get("chap") ||
-            urlObj.searchParams.get("c");
-  
-          if (chapterParam && /^\d+$/.test(chapterParam)) {
-            chapterInfo.isChapter = true;
-            chapterInfo.chapterNumber = parseInt(chapterParam, 10);
+        for (const name of ["chapter", "chap", "c"]) {
+          const chapterParam = urlObj.searchParams.get(name);
+          // A non-numeric value (e.g. ?c=comments) leaves the next name to try
+          if (chapterParam !== null && /^\d+$/.test(chapterParam)) {
+            return {
+              chapterNumber: parseInt(chapterParam, 10),
+              withNumber: (value) => {
+                const patternUrl = new URL(urlObj.href);
+                patternUrl.searchParams.set(name, marker);
+                return patternUrl.href.replace(marker, value);
+              }
+            };
           }
         }
       } catch (err) {
         console.warn("Error parsing URL for chapter info:", err);
       }
   
-      return chapterInfo;
+      return null;
     }
   }
   
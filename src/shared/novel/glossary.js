@@ -0,0 +1,151 @@
+// glossary.js
+/**
+ * Per-novel term dictionary: source term → preferred rendering, plus terms
+ * that must never be changed. Stored on the novel entry in the background as
+ * `glossary: { terms: { [source]: rendering }, keep: [term] }`.
+ */
+export class Glossary {
+  /** Most terms kept per novel; matches the cap in background.js */
+  static MAX_TERMS = 500;
+
+  /**
+   * @return {{terms: object, keep: Array<string>}} - A glossary with no entries
+   */
+  static empty() {
+    return { terms: {}, keep: [] };
+  }
+
+  /**
+   * Coerce stored or user data into a clean glossary
+   * @param {*} raw - Possibly malformed glossary
+   * @return {{terms: object, keep: Array<string>}}
+   */
+  static normalize(raw) {
+    const glossary = Glossary.empty();
+    if (!raw || typeof raw !== "object") return glossary;
+
+    Object.entries(raw.terms || {}).forEach(([source, rendering]) => {
+      const from = String(source).trim();
+      const to = String(rendering ?? "").trim();
+      if (from && to && Object.keys(glossary.terms).length < Glossary.MAX_TERMS) {
+        glossary.terms[from] = to;
+      }
+    });
+
+    const keep = Array.isArray(raw.keep) ? raw.keep : [];
+    glossary.keep = [...new Set(keep.map((term) => String(term).trim()).filter(Boolean))]
+      .slice(0, Glossary.MAX_TERMS);
+
+    return glossary;
+  }
+
+  /**
+   * @param {{terms: object, keep: Array<string>}} glossary
+   * @return {boolean} - True when there is nothing to apply
+   */
+  static isEmpty(glossary) {
+    return !glossary ||
+      (Object.keys(glossary.terms || {}).length === 0 && (glossary.keep || []).length === 0);
+  }
+
+  /**
+   * Parse the options editor format: one "source = rendering" per line
+   * @param {string} text
+   * @return {object} - Map of source term to rendering
+   */
+  static parseTerms(text) {
+    const terms = {};
+    (text || "").split("\n").forEach((line) => {
+      const separator = line.indexOf("=");
+      if (separator <= 0) return;
+      const source = line.slice(0, separator).trim();
+      const rendering = line.slice(separator + 1).trim();
+      if (source && rendering) terms[source] = rendering;
+    });
+    return terms;
+  }
+
+  /**
+   * Inverse of parseTerms, for filling the editor
+   * @param {object} terms
+   * @return {string}
+   */
+  static formatTerms(terms) {
+    return Object.entries(terms || {})
+      .map(([source, rendering]) => `${source} = ${rendering}`)
+      .join("\n");
+  }
+
+  /**
+   * Keep only the entries whose source term occurs in the text
+   * @param {{terms: object, keep: Array<string>}} glossary
+   * @param {string} text
+   * @return {{terms: object, keep: Array<string>}}
+   */
+  static filterForText(glossary, text) {
+    const filtered = Glossary.empty();
+    if (Glossary.isEmpty(glossary) || !text) return filtered;
+
+    const haystack = text.toLowerCase();
+    Object.entries(glossary.terms).forEach(([source, rendering]) => {
+      if (haystack.includes(source.toLowerCase())) filtered.terms[source] = rendering;
+    });
+    filtered.keep = glossary.keep.filter((term) => text.includes(term));
+    return filtered;
+  }
+
+  /**
+   * How the entries that occur in the text have to come out: source term →
+   * rendering, and each "keep" term → itself. NameValidator accepts these
+   * in place of the original names.
+   * @param {{terms: object, keep: Array<string>}} glossary
+   * @param {string} text
+   * @return {object}
+   */
+  static renderingsFor(glossary, text) {
+    const filtered = Glossary.filterForText(glossary, text);
+    const renderings = { ...filtered.terms };
+    filtered.keep.forEach((term) => { renderings[term] = term; });
+    return renderings;
+  }
+
+  /**
+   * Prompt section for the entries that occur in the text
+   * @param {{terms: object, keep: Array<string>}} glossary
+   * @param {string} text - Text being enhanced
+   * @return {string} - Empty when no entry applies
+   */
+  static formatForPrompt(glossary, text) {
+    const filtered = Glossary.filterForText(glossary, text);
+    const lines = Object.entries(filtered.terms).map(
+      ([source, rendering]) => `- ${source} → ${rendering}`
+    );
+    filtered.keep.forEach((term) => lines.push(`- ${term} (keep unchanged)`));
+    return lines.join("\n");
+  }
+
+  /**
+   * Entries the enhanced text did not follow: a source term whose rendering
+   * is missing from the output, or a "keep" term that was changed
+   * @param {{terms: object, keep: Array<string>}} glossary
+   * @param {string} original - Text sent to the model
+   * @param {string} enhanced - Text that came back
+   * @return {Array<{term: string, expected: string}>}
+   */
+  static findViolations(glossary, original, enhanced) {
+    const filtered = Glossary.filterForText(glossary, original);
+    const output = (enhanced || "").toLowerCase();
+    const violations = [];
+
+    Object.entries(filtered.terms).forEach(([source, rendering]) => {
+      if (!output.includes(rendering.toLowerCase())) {
+        violations.push({ term: source, expected: rendering });
+      }
+    });
+    filtered.keep.forEach((term) => {
+      if (!(enhanced || "").includes(term)) violations.push({ term, expected: term });
+    });
+
+    return violations;
+  }
+}
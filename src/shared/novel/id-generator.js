@@ -83,6 +83,16 @@ export class IdGenerator {
     return novelId;
   }
 
+  /**
+   * Novel name from a chapter page title, without chapter and site suffixes
+   * @param {string} title - Page title
+   * @return {string|null} - Null when the title yields no usable name
+   */
+  extractNovelTitle(title) {
+    if (!title || typeof title !== "string") return null;
+    return this.#cleanTitleForNovelName(title);
+  }
+
   /**
    * Extract novel name from title or URL
    * @param {string} title - Page title
@@ -9,6 +9,8 @@ import { IdGenerator } from "./id-generator.js";
 import { ChapterDetector } from "./chapter-detector.js";
 import { CharacterExtractor } from "./character-extractor.js";
 import { StyleAnalyzer } from "./style-analyzer.js";
+import { Glossary } from "./glossary.js";
+import { AliasResolver } from "./alias-resolver.js";
 
 /**
  * Main orchestrator class for novel processing utilities
@@ -19,10 +21,13 @@ export class NovelOrchestrator {
    * Creates a new NovelUtils instance
    * @param {string} url - URL of the novel page
    * @param {string} title - Title of the novel page
+   * @param {object} [options]
+   * @param {boolean} [options.prefetch] - The chapter is being pre-enhanced, not read
    */
-  constructor(url, title) {
+  constructor(url, title, { prefetch = false } = {}) {
     this.url = url;
     this.title = title || document.title || "";
+    this.prefetch = prefetch;
     this.logger = logger;
 
     // Initialize specialized modules
@@ -62,6 +67,13 @@ export class NovelOrchestrator {
     return this.novelId;
   }
 
+  /**
+   * @returns {string} - Novel name taken from the page title, or the raw title
+   */
+  getNovelTitle() {
+    return this.idGenerator.extractNovelTitle(this.title) || this.title;
+  }
+
   /**
    * Detects the platform of the novel based on the URL
    * @param {string} url - URL of the novel page
@@ -166,6 +178,9 @@ export class NovelOrchestrator {
       }
     });
 
+    // Name variants of one character share a single gender guess
+    characterMap = AliasResolver.poolCharacterMap(characterMap);
+
     // Store character map in background
     if (this.novelId && Object.keys(characterMap).length > 0) {
       this.syncCharacterMap(characterMap);
@@ -355,6 +370,34 @@ export class NovelOrchestrator {
     }
   }
 
+  /**
+   * Loads the user's glossary for the current novel. Fetched on every call so
+   * edits made in the options page apply to the next enhancement.
+   * @returns {Promise<{terms: object, keep: Array<string>}>} - Empty glossary on failure
+   */
+  async loadGlossary() {
+    if (!this.novelId) {
+      return Glossary.empty();
+    }
+
+    try {
+      const response = await this.#sendBackgroundMessage({
+        action: "getNovelGlossary",
+        novelId: this.novelId
+      });
+
+      if (response && response.status === "ok") {
+        return Glossary.normalize(response.glossary);
+      }
+
+      this.logger.warn("Invalid glossary response from background:", response);
+      return Glossary.empty();
+    } catch (error) {
+      this.logger.warn("Error loading glossary:", error);
+      return Glossary.empty();
+    }
+  }
+
   /**
    * Verifies the enhancement status of a specific chapter
    * @param {number} chapterNumber - Number of the chapter to verify
@@ -383,10 +426,14 @@ export class NovelOrchestrator {
   }
 
   /**
-   * Syncs the character map to the background script
+   * Syncs the character map to the background script. Pre-enhanced chapters
+   * are not synced: the chapter, its stats and its gender votes are recorded
+   * when the reader opens it.
    * @param {object} characterMap - Character map to sync
    */
   syncCharacterMap(characterMap) {
+    if (this.prefetch) return;
+
     const chapterNumber = this.chapterInfo?.chapterNumber;
     if (
       StringUtils.validateObject(characterMap) &&
@@ -649,6 +696,9 @@ export class NovelOrchestrator {
     const optimized = {};
 
     Object.entries(characterMap).forEach(([name, data], index) => {
+      // Known aliases are already stored on their canonical character
+      if (data.aliasOf) return;
+
       if (CharacterUtils.validateCharacterName(name)) {
         optimized[index] = {
           name: name,
@@ -667,6 +717,10 @@ export class NovelOrchestrator {
             ExtensionConfig.STORAGE.MAX_EVIDENCE_ENTRIES
           );
         }
+
+        if (data.genderSource) optimized[index].genderSource = data.genderSource;
+        // Only characters analyzed in this chapter vote on their gender
+        if (data.vote) optimized[index].vote = data.vote;
       }
     });
 
@@ -698,6 +752,13 @@ export class NovelOrchestrator {
               ? data.evidence.slice(0, 5)
               : []
           };
+
+          if (Array.isArray(data.aliases) && data.aliases.length > 0) {
+            optimized[name].aliases = [...data.aliases];
+          }
+          if (data.aliasOf) optimized[name].aliasOf = data.aliasOf;
+          if (data.genderSource) optimized[name].genderSource = data.genderSource;
+          if (data.locked) optimized[name].locked = true;
         }
       }
     );
@@ -708,19 +769,27 @@ export class NovelOrchestrator {
   /**
    * Create a dialogue summary for characters
    * @param {Array} characters - Array of character objects
+   * @param {string} [text] - Prefer characters mentioned in this text
+   * @param {object} [options]
+   * @param {boolean} [options.includePronouns=true] - Append each character's pronouns
    * @return {string} - Formatted character summary
    */
-  createCharacterSummary(characters, text = null) {
+  createCharacterSummary(characters, text = null, { includePronouns = true } = {}) {
     if (!characters || !Array.isArray(characters) || characters.length === 0) {
       return "";
     }
 
+    // Aliases are listed with their canonical character
+    const canonical = characters.filter((c) => !c.aliasOf);
+
     // When text is provided, prefer characters that appear in it
-    let pool = characters;
+    let pool = canonical;
     if (text && text.length > 0) {
       const textLower = text.toLowerCase();
-      const mentioned = characters.filter(
-        (c) => c.name && textLower.includes(c.name.toLowerCase())
+      const mentioned = canonical.filter((c) =>
+        [c.name, ...(c.aliases || [])].some(
+          (name) => name && textLower.includes(name.toLowerCase())
+        )
       );
       if (mentioned.length > 0) pool = mentioned;
     }
@@ -738,6 +807,10 @@ export class NovelOrchestrator {
 
     return displayCharacters
       .map((char) => {
+        const label = char.aliases?.length > 0
+          ? `${char.name} (also ${char.aliases.join(", ")})`
+          : char.name;
+        if (!includePronouns) return `- ${label}`;
         const expandedGender = GenderUtils.expandGender(char.gender);
         const pronouns =
           expandedGender === GenderConfig.CODES.MALE_FULL
@@ -745,7 +818,7 @@ export class NovelOrchestrator {
             : expandedGender === GenderConfig.CODES.FEMALE_FULL
             ? "she/her"
             : "unknown";
-        return `- ${char.name}: ${pronouns}`;
+        return `- ${label}: ${pronouns}`;
       })
       .join("\n");
   }
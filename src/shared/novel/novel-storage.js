@@ -0,0 +1,41 @@
+import { ExtensionConfig } from "../utils/extension-config.js";
+
+// novel-storage.js
+/**
+ * Read access to stored novel data for extension pages. The background worker
+ * is the only writer: it keeps one chrome.storage.local key per novel plus an
+ * index of each novel's last access, stored size and manual-override flag.
+ */
+export class NovelStorage {
+  /**
+   * @param {string} novelId
+   * @return {string} - Storage key of the novel's entry
+   */
+  static storageKey(novelId) {
+    return `${ExtensionConfig.STORAGE.NOVEL_KEY_PREFIX}${novelId}`;
+  }
+
+  /**
+   * @return {Promise<object>} - novelId → { lastAccess, bytes, manual }
+   */
+  static async loadIndex() {
+    const key = ExtensionConfig.STORAGE.NOVEL_INDEX_KEY;
+    const data = await chrome.storage.local.get(key);
+    return data[key] || {};
+  }
+
+  /**
+   * @return {Promise<object>} - Every stored novel entry keyed by novel ID
+   */
+  static async loadAll() {
+    const novelIds = Object.keys(await NovelStorage.loadIndex());
+    if (novelIds.length === 0) return {};
+
+    const stored = await chrome.storage.local.get(novelIds.map(NovelStorage.storageKey));
+    return Object.fromEntries(
+      novelIds
+        .filter((novelId) => stored[NovelStorage.storageKey(novelId)])
+        .map((novelId) => [novelId, stored[NovelStorage.storageKey(novelId)]])
+    );
+  }
+}
@@ -350,8 +350,9 @@ export class Toaster {
    * Updates the progress bar and text in the toaster
    * @param {number} current - Current progress value
    * @param {number} total - Total progress value
+   * @param {string} [unit] - What is being counted, e.g. "paragraphs" or "parts"
    */
-  updateProgress(currentValue, totalValue) {
+  updateProgress(currentValue, totalValue, unit = "paragraphs") {
     if (!this.toaster || !this.isActive) {
       this.createToaster();
     }
@@ -382,7 +383,7 @@ export class Toaster {
       if (current >= total) {
         this.progressText.textContent = `AI Enhancement complete!`;
       } else {
-        this.progressText.textContent = `Enhancing with AI: ${current}/${total} paragraphs (${percent}%)`;
+        this.progressText.textContent = `Enhancing with AI: ${current}/${total} ${unit} (${percent}%)`;
       }
     }
 
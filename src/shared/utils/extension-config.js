@@ -7,9 +7,22 @@ export const ExtensionConfig = {
   },
   STORAGE: {
     MAX_EVIDENCE_ENTRIES: 5,
-    MAX_DATA_SIZE_BYTES:  100000,
+    MAX_DATA_SIZE_BYTES:  3 * 1024 * 1024, // all novels together; matches MAX_NOVEL_DATA_BYTES in background.js
+    NOVEL_INDEX_KEY:      "novelIndex",    // novelId → { lastAccess, bytes, manual }
+    NOVEL_KEY_PREFIX:     "novel_",        // one chrome.storage.local key per novel
     DATA_PURGE_AGE_DAYS:  90,
     CACHE_TTL_MS:         5 * 60 * 1000,
     LLM_CACHE_TTL_MS:     12 * 60 * 60 * 1000
+  },
+  PREFETCH: {
+    QUEUE_DEPTH:          0,      // chapters enhanced ahead of the reader (storage key prefetchQueueDepth); off until the user opts in
+    MAX_QUEUE_DEPTH:      3,
+    START_DELAY_MS:       3000,   // let the page settle after its own enhancement
+    BUSY_RETRY_MS:        15000,  // wait while another tab is using the LLM
+    MAX_BUSY_RETRIES:     8,
+    MIN_BATTERY_LEVEL:    0.5     // below this, only prefetch while charging
+  },
+  JOBS: {
+    TAB_HASH:             "#nde-job" // marks a bulk-job tab; matches JOB_TAB_HASH in background.js
   }
 };
@@ -34,6 +34,49 @@ export class StringUtils {
     }
   }
 
+  /**
+   * Levenshtein distance between two strings
+   * @param {string} str1
+   * @param {string} str2
+   * @return {number}
+   */
+  static editDistance(str1, str2) {
+    const matrix = Array(str2.length + 1)
+      .fill(null)
+      .map(() => Array(str1.length + 1).fill(null));
+
+    for (let i = 0; i <= str1.length; i++) matrix[0][i] = i;
+    for (let j = 0; j <= str2.length; j++) matrix[j][0] = j;
+
+    for (let j = 1; j <= str2.length; j++) {
+      for (let i = 1; i <= str1.length; i++) {
+        const indicator = str1[i - 1] === str2[j - 1] ? 0 : 1;
+        matrix[j][i] = Math.min(
+          matrix[j][i - 1] + 1,
+          matrix[j - 1][i] + 1,
+          matrix[j - 1][i - 1] + indicator
+        );
+      }
+    }
+
+    return matrix[str2.length][str1.length];
+  }
+
+  /**
+   * Similarity of two strings from their edit distance
+   * @param {string} str1
+   * @param {string} str2
+   * @return {number} - 1 for identical strings, down to 0
+   */
+  static similarity(str1, str2) {
+    const longer = str1.length > str2.length ? str1 : str2;
+    const shorter = str1.length > str2.length ? str2 : str1;
+
+    if (longer.length === 0) return 1.0;
+
+    return (longer.length - StringUtils.editDistance(longer, shorter)) / longer.length;
+  }
+
   static isValidNumber(value) {
     return typeof value === "number" && !isNaN(value);
   }